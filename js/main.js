@@ -5,6 +5,9 @@ import { default as RaceUI } from './ui/raceUI.js';
 import { default as MarketUI } from './ui/marketUI.js';
 import { default as BreedingUI } from './ui/breedingUI.js';
 import { default as TrainingUI } from './ui/trainingUI.js';
+import { default as SaveSlotsUI } from './ui/saveSlotsUI.js';
+import { default as BettingUI } from './ui/bettingUI.js';
+import { default as LeagueUI } from './ui/leagueUI.js';
 import { default as audioManager } from './utils/audioManager.js';
 import eventSystem, { GameEvents } from './utils/eventSystem.js';
 import { default as assetLoader } from './utils/assetLoader.js';
@@ -87,6 +90,9 @@ class HorseTycoon {
             this.marketUI = new MarketUI(this.gameManager, this.uiController);
             this.breedingUI = new BreedingUI(this.gameManager, this.uiController);
             this.trainingUI = new TrainingUI(this.gameManager, this.uiController);
+            this.saveSlotsUI = new SaveSlotsUI(this.gameManager, this.uiController);
+            this.bettingUI = new BettingUI(this.gameManager, this.uiController);
+            this.leagueUI = new LeagueUI(this.gameManager, this.uiController);
             
             console.log('UI components initialized');
         } catch (error) {
@@ -284,6 +290,14 @@ class HorseTycoon {
             if (this.trainingUI?.updateAvailableHorses && isElementVisible('training-options')) {
                 this.trainingUI.updateAvailableHorses();
             }
+            
+            if (this.bettingUI?.refreshMarket && isElementVisible('betting-market')) {
+                this.bettingUI.refreshMarket();
+            }
+            
+            if (this.leagueUI?.refreshLeague && isElementVisible('league-table')) {
+                this.leagueUI.refreshLeague();
+            }
         } catch (error) {
             console.warn('Error updating UI:', error);
         }
@@ -0,0 +1,528 @@
+/**
+ * Horse Tycoon - Betting Manager Class
+ * 
+ * Runs a simulated pari-mutuel tote on scheduled races: pools, live odds, the player's bets,
+ * settlement and the betting ledger
+ */
+import rng from '../utils/rng.js';
+import calendar from '../utils/calendar.js';
+
+// Bet types and how many runners each selects (exacta and trifecta in finishing order)
+const BET_TYPES = {
+  win: { name: 'Win', selections: 1 },
+  place: { name: 'Place', selections: 1 },
+  show: { name: 'Show', selections: 1 },
+  exacta: { name: 'Exacta', selections: 2 },
+  trifecta: { name: 'Trifecta', selections: 3 }
+};
+
+// Share of each pool the track keeps before paying out
+const TAKEOUT = {
+  win: 0.16,
+  place: 0.16,
+  show: 0.16,
+  exacta: 0.2,
+  trifecta: 0.25
+};
+
+// Public money bet into the win pool by the off, by race tier; other pools are a share of it
+const WIN_POOL_SIZE = {
+  low: 5000,
+  medium: 20000,
+  high: 60000,
+  elite: 200000
+};
+const POOL_SHARE = {
+  win: 1,
+  place: 0.45,
+  show: 0.3,
+  exacta: 0.6,
+  trifecta: 0.4
+};
+
+// Share of the final public money in the pools by days before the race (most arrives on the day)
+const MONEY_BY_DAYS_OUT = [1, 0.3, 0.18, 0.12, 0.08, 0.06, 0.05];
+
+const MIN_STAKE = 2;
+// Smallest return per $1 on a winning bet, paid even from a minus pool
+const MIN_PAYOUT = 1.05;
+
+class BettingManager {
+  /**
+   * Create a new Betting Manager
+   * @param {Object} config - The manager configuration
+   */
+  constructor(config = {}) {
+    this.gameTime = config.gameTime || { day: 1, month: 1, year: 2023 };
+    
+    // Markets keyed by race ID: { raceId, raceName, tier, scheduleDay, runners, pools, history }
+    this.markets = config.markets || {};
+    
+    // Every bet the player has placed, oldest first
+    this.bets = config.bets || [];
+  }
+  
+  /**
+   * Get the bet types on offer
+   * @returns {Object} Bet types keyed by ID, with name, number of selections and takeout
+   */
+  getBetTypes() {
+    const types = {};
+    Object.keys(BET_TYPES).forEach(type => {
+      types[type] = { ...BET_TYPES[type], takeout: TAKEOUT[type] };
+    });
+    return types;
+  }
+  
+  /**
+   * Get the market for a race
+   * @param {string} raceId - ID of the race
+   * @returns {Object|null} Market or null if betting has not opened
+   */
+  getMarket(raceId) {
+    return this.markets[raceId] || null;
+  }
+  
+  /**
+   * Open betting on a race whose entries have closed
+   * @param {Race} race - The race
+   * @returns {Object} The market
+   */
+  openMarket(race) {
+    if (!this.markets[race.id]) {
+      this.markets[race.id] = {
+        raceId: race.id,
+        raceName: race.name,
+        tier: race.tier,
+        scheduleDay: race.scheduleDay ? { ...race.scheduleDay } : calendar.getDate(),
+        runners: [],
+        pools: {
+          win: { public: {}, player: {} },
+          place: { public: {}, player: {} },
+          show: { public: {}, player: {} },
+          exacta: { public: 0, player: {} },
+          trifecta: { public: 0, player: {} }
+        },
+        history: []
+      };
+    }
+    
+    this.updateMarket(race);
+    return this.markets[race.id];
+  }
+  
+  /**
+   * Bring a market up to date: add declared runners and the public money bet since the last update.
+   * Public money comes in once a day; later updates the same day only take out non-runners.
+   * @param {Race} race - The race
+   */
+  updateMarket(race) {
+    const market = this.markets[race.id];
+    if (!market) return;
+    
+    // Horses balloted out or scratched come out of the market with the money on them; bets
+    // on them are refunded when the race is settled
+    market.runners = market.runners.filter(runner => {
+      if (race.entrants.some(entrant => entrant.horseId === runner.horseId)) return true;
+      
+      ['win', 'place', 'show'].forEach(type => {
+        delete market.pools[type].public[runner.horseId];
+        delete market.pools[type].player[runner.horseId];
+      });
+      return false;
+    });
+    
+    // The public judges runners on their morning-line odds
+    race.entrants.forEach(entrant => {
+      if (!market.runners.some(runner => runner.horseId === entrant.horseId)) {
+        market.runners.push({
+          horseId: entrant.horseId,
+          horseName: entrant.horseName,
+          jockeyName: entrant.jockeyName,
+          playerOwned: entrant.playerOwned,
+          morningLine: entrant.odds
+        });
+      }
+    });
+    
+    // One odds snapshot per day
+    const date = calendar.getDate();
+    const last = market.history[market.history.length - 1];
+    if (last && calendar.isSameDay(last.date, date)) {
+      last.odds = this.getWinOdds(market);
+      return;
+    }
+    
+    const totalRating = market.runners.reduce((sum, runner) => sum + 1 / (runner.morningLine + 1), 0);
+    const daysOut = race.scheduleDay ? Math.max(0, calendar.daysBetween(this.gameTime, race.scheduleDay)) : 0;
+    const fraction = race.hasRun ? 1 : (MONEY_BY_DAYS_OUT[daysOut] || MONEY_BY_DAYS_OUT[MONEY_BY_DAYS_OUT.length - 1]);
+    const finalWinPool = WIN_POOL_SIZE[market.tier] || WIN_POOL_SIZE.low;
+    
+    ['win', 'place', 'show'].forEach(type => {
+      const pool = market.pools[type];
+      const target = finalWinPool * POOL_SHARE[type] * fraction;
+      const current = Object.values(pool.public).reduce((sum, amount) => sum + amount, 0);
+      const newMoney = Math.max(0, target - current);
+      
+      // New money follows the morning line with some drift, so prices move as the race nears
+      market.runners.forEach(runner => {
+        const share = (1 / (runner.morningLine + 1)) / totalRating;
+        const drift = 0.7 + rng.random() * 0.6;
+        pool.public[runner.horseId] = Math.round(((pool.public[runner.horseId] || 0) + newMoney * share * drift) * 100) / 100;
+      });
+    });
+    
+    ['exacta', 'trifecta'].forEach(type => {
+      market.pools[type].public = Math.max(market.pools[type].public, Math.round(finalWinPool * POOL_SHARE[type] * fraction));
+    });
+    
+    market.history.push({ date, odds: this.getWinOdds(market) });
+  }
+  
+  /**
+   * Total money on each runner in a win, place or show pool
+   * @param {Object} pool - Pool { public, player }
+   * @returns {Object} Amounts keyed by horse ID
+   */
+  getPoolAmounts(pool) {
+    const amounts = { ...pool.public };
+    Object.keys(pool.player).forEach(horseId => {
+      amounts[horseId] = (amounts[horseId] || 0) + pool.player[horseId];
+    });
+    return amounts;
+  }
+  
+  /**
+   * Total money in a pool
+   * @param {Object} market - The market
+   * @param {string} type - Bet type
+   * @returns {number} Pool total
+   */
+  getPoolTotal(market, type) {
+    const pool = market.pools[type];
+    const playerTotal = Object.values(pool.player).reduce((sum, amount) => sum + amount, 0);
+    const publicTotal = typeof pool.public === 'number'
+      ? pool.public
+      : Object.values(pool.public).reduce((sum, amount) => sum + amount, 0);
+    return publicTotal + playerTotal;
+  }
+  
+  /**
+   * Current win odds from the win pool
+   * @param {Object} market - The market
+   * @returns {Object} Odds to 1 keyed by horse ID
+   */
+  getWinOdds(market) {
+    const odds = {};
+    market.runners.forEach(runner => {
+      odds[runner.horseId] = Math.round((this.getProbablePayout(market, 'win', [runner.horseId]) - 1) * 10) / 10;
+    });
+    return odds;
+  }
+  
+  /**
+   * Chance the public gives a finishing order, from win pool shares (Harville's method)
+   * @param {Object} market - The market
+   * @param {Array} selection - Horse IDs in finishing order
+   * @returns {number} Probability (0-1)
+   */
+  getPublicChance(market, selection) {
+    const amounts = market.pools.win.public;
+    let remaining = Object.values(amounts).reduce((sum, amount) => sum + amount, 0);
+    let chance = 1;
+    
+    selection.forEach(horseId => {
+      const amount = amounts[horseId] || 0;
+      chance *= remaining > 0 ? amount / remaining : 0;
+      remaining -= amount;
+    });
+    
+    return chance;
+  }
+  
+  /**
+   * Money on one exacta or trifecta combination
+   * @param {Object} market - The market
+   * @param {string} type - 'exacta' or 'trifecta'
+   * @param {Array} selection - Horse IDs in finishing order
+   * @returns {number} Amount on the combination
+   */
+  getComboAmount(market, type, selection) {
+    const pool = market.pools[type];
+    return pool.public * this.getPublicChance(market, selection) + (pool.player[selection.join('>')] || 0);
+  }
+  
+  /**
+   * Return per $1 on a bet if the selection comes in; for place and show the other
+   * placed runners are assumed to be the most heavily backed
+   * @param {Object} market - The market
+   * @param {string} type - Bet type
+   * @param {Array} selection - Horse IDs (in finishing order for exotics)
+   * @param {Array} placed - Actual placed runners in finishing order, if known
+   * @returns {number} Return per $1 staked
+   */
+  getProbablePayout(market, type, selection, placed = null) {
+    const net = this.getPoolTotal(market, type) * (1 - TAKEOUT[type]);
+    let payout;
+    
+    if (type === 'win' || type === 'place' || type === 'show') {
+      const amounts = this.getPoolAmounts(market.pools[type]);
+      const places = type === 'win' ? 1 : (type === 'place' ? 2 : 3);
+      const horseId = selection[0];
+      
+      // Runners sharing the pool with the selection
+      const sharing = placed
+        ? placed.slice(0, places)
+        : [horseId, ...Object.keys(amounts)
+          .filter(id => id !== horseId)
+          .sort((a, b) => amounts[b] - amounts[a])
+          .slice(0, places - 1)];
+      
+      const returned = sharing.reduce((sum, id) => sum + (amounts[id] || 0), 0);
+      const profitShare = (net - returned) / sharing.length;
+      payout = amounts[horseId] > 0 ? 1 + profitShare / amounts[horseId] : 0;
+    } else {
+      const amount = this.getComboAmount(market, type, selection);
+      payout = amount > 0 ? net / amount : 0;
+    }
+    
+    // Breakage: returns are rounded down to the nearest 5 cents
+    return Math.max(MIN_PAYOUT, Math.floor(payout * 20) / 20);
+  }
+  
+  /**
+   * Place a bet
+   * @param {Race} race - The race
+   * @param {string} type - Bet type
+   * @param {Array} selection - Horse IDs (in finishing order for exotics)
+   * @param {number} stake - Amount staked
+   * @returns {Object} Result with the bet on success
+   */
+  placeBet(race, type, selection, stake) {
+    const betType = BET_TYPES[type];
+    if (!betType) {
+      return { success: false, message: `Unknown bet type: ${type}` };
+    }
+    
+    if (race.hasRun) {
+      return { success: false, message: `${race.name} has already been run` };
+    }
+    
+    const market = this.getMarket(race.id);
+    if (!market) {
+      return { success: false, message: `Betting has not opened on ${race.name}` };
+    }
+    
+    if (!Array.isArray(selection) || selection.length !== betType.selections || new Set(selection).size !== selection.length) {
+      return { success: false, message: `${betType.name} bets need ${betType.selections} different runner${betType.selections > 1 ? 's' : ''}` };
+    }
+    
+    const runners = selection.map(horseId => market.runners.find(runner => runner.horseId === horseId));
+    if (runners.some(runner => !runner)) {
+      return { success: false, message: `Selection is not in the field for ${race.name}` };
+    }
+    
+    if (!(stake >= MIN_STAKE)) {
+      return { success: false, message: `Minimum stake is $${MIN_STAKE}` };
+    }
+    
+    // The player's money goes into the pool and moves the odds
+    const pool = market.pools[type];
+    const key = betType.selections === 1 ? selection[0] : selection.join('>');
+    pool.player[key] = (pool.player[key] || 0) + stake;
+    
+    const bet = {
+      id: rng.id('bet'),
+      raceId: race.id,
+      raceName: race.name,
+      placedOn: calendar.getDate(),
+      type,
+      selection: [...selection],
+      selectionNames: runners.map(runner => runner.horseName),
+      stake,
+      status: 'open',
+      payout: 0,
+      settledOn: null
+    };
+    this.bets.push(bet);
+    
+    return {
+      success: true,
+      message: `$${stake} ${betType.name.toLowerCase()} bet on ${bet.selectionNames.join(' - ')} in ${race.name}`,
+      bet,
+      probablePayout: Math.round(stake * this.getProbablePayout(market, type, selection) * 100) / 100
+    };
+  }
+  
+  /**
+   * Settle every open bet on a race that has been run
+   * @param {Race} race - The race, with results
+   * @returns {Array} Settled bets
+   */
+  settleRace(race) {
+    const openBets = this.bets.filter(bet => bet.raceId === race.id && bet.status === 'open');
+    const market = this.getMarket(race.id);
+    
+    if (market) {
+      // Late public money arrives before the off
+      this.updateMarket(race);
+    }
+    
+    const order = [...race.results].sort((a, b) => a.position - b.position).map(result => result.horseId);
+    
+    openBets.forEach(bet => {
+      // Runners that did not take part are treated as non-runners and the stake is returned
+      if (!market || bet.selection.some(horseId => !order.includes(horseId))) {
+        this.closeBet(bet, 'refunded', bet.stake);
+        return;
+      }
+      
+      let won;
+      switch (bet.type) {
+        case 'win':
+          won = order[0] === bet.selection[0];
+          break;
+        case 'place':
+          won = order.slice(0, 2).includes(bet.selection[0]);
+          break;
+        case 'show':
+          won = order.slice(0, 3).includes(bet.selection[0]);
+          break;
+        default:
+          won = bet.selection.every((horseId, index) => order[index] === horseId);
+      }
+      
+      const payout = won
+        ? Math.round(bet.stake * this.getProbablePayout(market, bet.type, bet.selection, order) * 100) / 100
+        : 0;
+      this.closeBet(bet, won ? 'won' : 'lost', payout);
+    });
+    
+    delete this.markets[race.id];
+    
+    return openBets;
+  }
+  
+  /**
+   * Refund every open bet on a race that will not be run
+   * @param {string} raceId - ID of the race
+   * @returns {Array} Refunded bets
+   */
+  refundRace(raceId) {
+    const openBets = this.bets.filter(bet => bet.raceId === raceId && bet.status === 'open');
+    openBets.forEach(bet => this.closeBet(bet, 'refunded', bet.stake));
+    delete this.markets[raceId];
+    return openBets;
+  }
+  
+  /**
+   * Mark a bet as settled
+   * @param {Object} bet - The bet
+   * @param {string} status - 'won', 'lost' or 'refunded'
+   * @param {number} payout - Amount returned to the player
+   */
+  closeBet(bet, status, payout) {
+    bet.status = status;
+    bet.payout = payout;
+    bet.settledOn = calendar.getDate();
+  }
+  
+  /**
+   * Get the betting ledger: every bet with totals and running profit/loss
+   * @returns {Object} Ledger { bets, openBets, totals, byType, history }
+   */
+  getLedger() {
+    const settled = this.bets.filter(bet => bet.status !== 'open');
+    const totals = { bets: settled.length, winners: 0, staked: 0, returned: 0, profit: 0 };
+    const byType = {};
+    Object.keys(BET_TYPES).forEach(type => {
+      byType[type] = { bets: 0, winners: 0, staked: 0, returned: 0, profit: 0 };
+    });
+    
+    let balance = 0;
+    const history = settled.map(bet => {
+      const profit = bet.payout - bet.stake;
+      [totals, byType[bet.type]].forEach(summary => {
+        if (bet.status === 'won') summary.winners++;
+        summary.staked += bet.stake;
+        summary.returned += bet.payout;
+        summary.profit += profit;
+      });
+      byType[bet.type].bets++;
+      
+      balance += profit;
+      return { betId: bet.id, date: bet.settledOn, profit: Math.round(profit * 100) / 100, balance: Math.round(balance * 100) / 100 };
+    });
+    
+    // Keep money to the cent
+    [totals, ...Object.values(byType)].forEach(summary => {
+      ['staked', 'returned', 'profit'].forEach(key => {
+        summary[key] = Math.round(summary[key] * 100) / 100;
+      });
+    });
+    
+    return {
+      bets: [...this.bets].reverse(),
+      openBets: this.bets.filter(bet => bet.status === 'open'),
+      totals,
+      byType,
+      history
+    };
+  }
+  
+  /**
+   * Update markets for a new day, open betting on races whose entries have closed and refund
+   * bets on races that have left the schedule unrun
+   * @param {Object} gameTime - Current game time
+   * @param {Array} races - Races still scheduled
+   * @returns {Object} Update results with refunded bets
+   */
+  update(gameTime, races = []) {
+    if (gameTime) {
+      this.gameTime = gameTime;
+    }
+    
+    const refunded = [];
+    const racesById = new Map(races.map(race => [race.id, race]));
+    
+    Object.keys(this.markets).forEach(raceId => {
+      const race = racesById.get(raceId);
+      if (!race || race.hasRun) {
+        refunded.push(...this.refundRace(raceId));
+      } else {
+        this.updateMarket(race);
+      }
+    });
+    
+    races
+      .filter(race => race.entriesClosed && !race.hasRun && !this.markets[race.id])
+      .forEach(race => this.openMarket(race));
+    
+    // Bets whose market has already gone
+    this.bets
+      .filter(bet => bet.status === 'open' && !racesById.has(bet.raceId))
+      .forEach(bet => {
+        this.closeBet(bet, 'refunded', bet.stake);
+        refunded.push(bet);
+      });
+    
+    return {
+      success: true,
+      refunded
+    };
+  }
+  
+  /**
+   * Convert manager to a plain object for serialization
+   * @returns {Object} Serializable manager object
+   */
+  toJSON() {
+    return {
+      gameTime: this.gameTime,
+      markets: this.markets,
+      bets: this.bets
+    };
+  }
+}
+
+export default BettingManager;
@@ -6,6 +6,29 @@
 import Player from '../models/player.js';
 import HorseManager from './horseManager.js';
 import RaceManager from './raceManager.js';
+import StudManager from './studManager.js';
+import PedigreeManager from './pedigreeManager.js';
+import JockeyManager from './jockeyManager.js';
+import BettingManager from './bettingManager.js';
+import WeatherManager from './weatherManager.js';
+import RivalManager from './rivalManager.js';
+import rng from '../utils/rng.js';
+import calendar from '../utils/calendar.js';
+import { getGoingName } from '../utils/weather.js';
+import { getRacecourseName } from '../utils/racecourses.js';
+import eventSystem, { GameEvents } from '../utils/eventSystem.js';
+import { getColorOdds } from '../utils/genetics.js';
+import { SAVE_VERSION, migrateSave } from '../utils/saveMigrations.js';
+import { encodeSaveFile, decodeSaveFile, SAVE_FILE_EXTENSION } from '../utils/saveTransfer.js';
+
+// Storage keys for save slots
+const SAVE_INDEX_KEY = 'horseTycoonSaveIndex';
+const SAVE_SLOT_PREFIX = 'horseTycoonSave_';
+const LEGACY_SAVE_KEY = 'horseTycoonSave';
+const START_DATE = { day: 1, month: 1, year: 2023 };
+const SCAN_FEE = 150;
+// A vet certifies a declared runner unfit to run if it is injured or its health is below this
+const VET_CERTIFICATE_HEALTH = 80;
 
 class GameManager {
   /**
@@ -15,7 +38,7 @@ class GameManager {
   constructor(config = {}) {
     // Game state
     this.gameState = 'loading'; // loading, mainMenu, playerSetup, playing, paused
-    this.gameTime = config.gameTime || { day: 1, month: 1, year: 2023 };
+    this.gameTime = calendar.attach(config.gameTime || { ...START_DATE });
     this.gameSpeed = config.gameSpeed || 1; // 1 = normal, 2 = fast, 3 = very fast
     this.autosaveEnabled = config.autosaveEnabled !== false;
     this.soundEnabled = config.soundEnabled !== false;
@@ -23,6 +46,25 @@ class GameManager {
     this.lastSaveTime = config.lastSaveTime || null;
     this.tutorialEnabled = config.tutorialEnabled !== false;
     this.tutorialStep = config.tutorialStep || 0;
+    this.blockParentOffspringMatings = config.blockParentOffspringMatings !== false;
+    
+    // Save storage (defaults to the browser's localStorage; pass a MemoryStorage to run headless)
+    this.storage = config.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    
+    // Migration report from the most recent load
+    this.lastLoadReport = null;
+    
+    // Save slot the running game writes to (null until the first save of a new game)
+    this.currentSlotId = config.currentSlotId || null;
+    
+    // Playtime in seconds from earlier sessions, plus when this session started
+    this.playtime = config.playtime || 0;
+    this.sessionStartTime = Date.now();
+    
+    // Seed for the shared random number stream (same seed + same actions = same outcomes)
+    if (config.seed !== undefined) {
+      rng.seed(config.seed);
+    }
     
     // In Node.js context
     if (typeof require !== 'undefined') {
@@ -36,6 +78,12 @@ class GameManager {
     this.player = null;
     this.horseManager = null;
     this.raceManager = null;
+    this.studManager = null;
+    this.pedigreeManager = null;
+    this.jockeyManager = null;
+    this.bettingManager = null;
+    this.weatherManager = null;
+    this.rivalManager = null;
     
     // Initialize game if config is provided
     if (config.autoInit) {
@@ -53,7 +101,7 @@ class GameManager {
     
     // Initialize player
     this.player = new Player({
-      gameTime: this.gameTime,
+      gameTime: calendar.toDayNumber(this.gameTime),
       difficulty: this.difficulty
     });
     
@@ -61,7 +109,8 @@ class GameManager {
     this.horseManager = new HorseManager({
       gameTime: this.gameTime,
       playerFunds: this.player.funds,
-      stableSize: this.player.maxHorses
+      stableSize: this.player.maxHorses,
+      blockParentOffspringMatings: this.blockParentOffspringMatings
     });
     
     // Initialize race manager
@@ -70,8 +119,39 @@ class GameManager {
       playerReputation: this.player.reputation
     });
     
-    // Generate initial race schedule
-    this.raceManager.generateRaceSchedule(7);
+    // Initialize the outside stallion roster
+    this.studManager = new StudManager({
+      gameTime: this.gameTime
+    });
+    
+    // Initialize the pedigree registry
+    this.pedigreeManager = new PedigreeManager();
+    this.updatePedigrees();
+    
+    // Initialize the jockey roster
+    this.jockeyManager = new JockeyManager({
+      gameTime: this.gameTime
+    });
+    
+    // Initialize the tote
+    this.bettingManager = new BettingManager({
+      gameTime: this.gameTime
+    });
+    
+    // Initialize the weather and track going
+    this.weatherManager = new WeatherManager({
+      gameTime: this.gameTime
+    });
+    
+    // Initialize the rival stables
+    this.rivalManager = new RivalManager({
+      gameTime: this.gameTime
+    });
+    
+    // Generate initial race schedule and bring the entries for the first few days up to date
+    this.raceManager.generateRaceSchedule();
+    this.weatherManager.applyGoing(this.raceManager.getAllRaces());
+    this.updateRaceEntries();
     
     // Set game state to main menu
     this.setGameState('mainMenu');
@@ -99,18 +179,29 @@ class GameManager {
   
   /**
    * Start a new game
-   * @param {Object} playerConfig - Player configuration
+   * @param {Object} playerConfig - Player configuration (name, stableName, optional seed)
    * @returns {Object} Result of starting a new game
    */
   startNewGame(playerConfig) {
     // Set game state to player setup
     this.setGameState('playerSetup');
     
+    // A new game never overwrites an existing save slot
+    this.currentSlotId = null;
+    this.playtime = 0;
+    this.sessionStartTime = Date.now();
+    
+    // Start a fresh random stream, optionally from a chosen seed
+    rng.seed(playerConfig.seed !== undefined ? playerConfig.seed : Date.now());
+    
+    // Every new game starts on the same date
+    this.gameTime = calendar.attach({ ...START_DATE });
+    
     // Initialize player with config
     this.player = new Player({
       name: playerConfig.name || 'Player',
       stableName: playerConfig.stableName || 'My Stable',
-      gameTime: this.gameTime,
+      gameTime: calendar.toDayNumber(this.gameTime),
       difficulty: this.difficulty
     });
     
@@ -118,7 +209,8 @@ class GameManager {
     this.horseManager = new HorseManager({
       gameTime: this.gameTime,
       playerFunds: this.player.funds,
-      stableSize: this.player.maxHorses
+      stableSize: this.player.maxHorses,
+      blockParentOffspringMatings: this.blockParentOffspringMatings
     });
     
     // Initialize race manager
@@ -127,8 +219,39 @@ class GameManager {
       playerReputation: this.player.reputation
     });
     
-    // Generate initial race schedule
-    this.raceManager.generateRaceSchedule(7);
+    // Initialize the outside stallion roster
+    this.studManager = new StudManager({
+      gameTime: this.gameTime
+    });
+    
+    // Initialize the pedigree registry
+    this.pedigreeManager = new PedigreeManager();
+    this.updatePedigrees();
+    
+    // Initialize the jockey roster
+    this.jockeyManager = new JockeyManager({
+      gameTime: this.gameTime
+    });
+    
+    // Initialize the tote
+    this.bettingManager = new BettingManager({
+      gameTime: this.gameTime
+    });
+    
+    // Initialize the weather and track going
+    this.weatherManager = new WeatherManager({
+      gameTime: this.gameTime
+    });
+    
+    // Initialize the rival stables
+    this.rivalManager = new RivalManager({
+      gameTime: this.gameTime
+    });
+    
+    // Generate initial race schedule and bring the entries for the first few days up to date
+    this.raceManager.generateRaceSchedule();
+    this.weatherManager.applyGoing(this.raceManager.getAllRaces());
+    this.updateRaceEntries();
     
     return {
       success: true,
@@ -155,6 +278,7 @@ class GameManager {
     
     // Update player's horses
     this.player.horses = this.horseManager.getAllHorses();
+    this.updatePedigrees();
     
     // Set game state to playing
     this.setGameState('playing');
@@ -174,22 +298,14 @@ class GameManager {
    * @returns {Object} Result of advancing the game
    */
   advanceDay() {
-    // Update game time
-    this.gameTime.day += 1;
+    // Every race due today is run before the day ends
+    const raceDay = this.runRaceDay();
     
-    // Handle month/year changes (simple implementation)
-    if (this.gameTime.day > 30) {
-      this.gameTime.day = 1;
-      this.gameTime.month += 1;
-      
-      if (this.gameTime.month > 12) {
-        this.gameTime.month = 1;
-        this.gameTime.year += 1;
-      }
-    }
+    // Update game time (emits week, month, season and year events as they pass)
+    const calendarUpdate = calendar.advance(1);
     
     // Update player
-    const playerUpdateResult = this.player.advanceTime(1);
+    const playerUpdateResult = this.player.advanceTime(1, this.gameTime);
     
     // Update horses
     const horsesUpdateResult = this.horseManager.updateHorses(this.gameTime);
@@ -197,9 +313,97 @@ class GameManager {
     // Update races
     const racesUpdateResult = this.raceManager.update(this.gameTime);
     
+    // Roll today's weather and set the going on races still to be run
+    const weatherUpdateResult = this.weatherManager.update(this.gameTime);
+    const goingChanges = this.weatherManager.applyGoing(this.raceManager.getAllRaces());
+    this.notifyGoingChanges(goingChanges);
+    eventSystem.emit(GameEvents.WEATHER_CHANGED, {
+      date: calendar.getDate(),
+      weather: weatherUpdateResult.weather
+    });
+    
+    // Update the stud roster
+    const studUpdateResult = this.studManager.update(this.gameTime);
+    
+    // Update jockey availability and bookings
+    this.jockeyManager.update(this.gameTime);
+    
+    // Rival stables' horses age, foal, train and retire; the stables breed and trade
+    const rivalUpdateResult = this.rivalManager.update(this.gameTime, {
+      stallions: this.studManager.getRoster(),
+      playerStableName: this.player.stableName
+    });
+    this.processRivalUpdate(rivalUpdateResult);
+    
+    // Entries open for newly scheduled races, close and are declared as race days come nearer
+    if (racesUpdateResult.scheduledRaces.length > 0) {
+      eventSystem.emit(GameEvents.RACE_ENTRIES_OPENED, {
+        races: racesUpdateResult.scheduledRaces.map(race => ({
+          raceId: race.id,
+          raceName: race.name,
+          scheduleDay: race.scheduleDay,
+          entriesClose: race.getEntriesCloseDate()
+        }))
+      });
+    }
+    const raceEntriesResult = this.updateRaceEntries();
+    
+    // Move betting markets on and refund bets on races that were never run
+    const bettingUpdateResult = this.bettingManager.update(this.gameTime, this.raceManager.getAllRaces());
+    this.settleBets(bettingUpdateResult.refunded, 'was not run');
+    
+    // Record foals born today
+    horsesUpdateResult.foalings.forEach(foaling => {
+      this.player.recordHorseBred();
+      this.studManager.recordFoal(foaling.sire.id, foaling.foal);
+      
+      const notification = {
+        type: 'foal_born',
+        horseId: foaling.foal.id,
+        message: `${foaling.damName} has foaled a ${foaling.foal.gender === 'male' ? 'colt' : 'filly'} by ${foaling.sire.name}: welcome ${foaling.foal.name}!`
+      };
+      
+      this.player.addNotification(notification);
+      this.triggerCallbacks('onNotification', notification);
+      eventSystem.emit(GameEvents.FOAL_BORN, {
+        foal: foaling.foal,
+        damId: foaling.damId,
+        sireId: foaling.sire.id,
+        date: calendar.getDate()
+      });
+    });
+    
+    horsesUpdateResult.returnedToSeason.forEach(mare => {
+      const notification = {
+        type: 'returned_to_season',
+        horseId: mare.id,
+        message: `${mare.name} has come back into season; she did not conceive and can be covered again.`
+      };
+      
+      this.player.addNotification(notification);
+      this.triggerCallbacks('onNotification', notification);
+    });
+    
     // Update player's horses reference
     this.player.horses = this.horseManager.getAllHorses();
     
+    // Keep the pedigree registry up to date with new foals, records and stallions
+    this.updatePedigrees();
+    
+    // Let the player know which horses had a birthday
+    horsesUpdateResult.birthdays.forEach(birthday => {
+      const stageChanged = birthday.lifeStage !== birthday.previousLifeStage;
+      const notification = {
+        type: 'horse_birthday',
+        horseId: birthday.id,
+        message: `${birthday.name} turned ${birthday.age}` +
+          (stageChanged ? ` and is now a ${birthday.lifeStage} horse.` : '.')
+      };
+      
+      this.player.addNotification(notification);
+      this.triggerCallbacks('onNotification', notification);
+    });
+    
     // Update horse manager's player funds reference
     this.horseManager.playerFunds = this.player.funds;
     
@@ -209,6 +413,7 @@ class GameManager {
     // Trigger day change callbacks
     this.triggerCallbacks('onDayChange', {
       gameTime: { ...this.gameTime },
+      calendarEvents: calendarUpdate.events,
       playerUpdate: playerUpdateResult,
       horsesUpdate: horsesUpdateResult,
       racesUpdate: racesUpdateResult
@@ -233,11 +438,17 @@ class GameManager {
     
     return {
       success: true,
-      message: 'Advanced to day ' + this.gameTime.day,
+      message: 'Advanced to ' + calendar.formatDate(this.gameTime),
       gameTime: { ...this.gameTime },
+      date: calendar.describe(this.gameTime),
+      calendarEvents: calendarUpdate.events,
       playerUpdate: playerUpdateResult,
       horsesUpdate: horsesUpdateResult,
-      racesUpdate: racesUpdateResult
+      racesUpdate: racesUpdateResult,
+      studUpdate: studUpdateResult,
+      raceEntries: raceEntriesResult,
+      raceDay,
+      rivalUpdate: rivalUpdateResult
     };
   }
   
@@ -245,9 +456,10 @@ class GameManager {
    * Enter a horse in a race
    * @param {string} horseId - ID of the horse to enter
    * @param {string} raceId - ID of the race
+   * @param {string|null} jockeyId - ID of the jockey to book, or null for the stable jockey
    * @returns {Object} Result of entering the race
    */
-  enterRace(horseId, raceId) {
+  enterRace(horseId, raceId, jockeyId = null) {
     // Get the horse
     const horse = this.horseManager.getHorse(horseId);
     
@@ -268,22 +480,130 @@ class GameManager {
       };
     }
     
-    if (race.entryFee > 0) {
-      if (!this.player.canAfford(race.entryFee)) {
+    // Check the jockey can take the ride
+    if (jockeyId) {
+      const availability = this.jockeyManager.checkAvailability(jockeyId, race, horse.id);
+      if (!availability.available) {
         return {
           success: false,
-          message: `Not enough funds to pay entry fee of $${race.entryFee}`
+          message: availability.reason
         };
       }
-      
-      // Pay entry fee
-      this.player.removeFunds(race.entryFee, 'Race entry fee');
+    }
+    
+    const ride = this.jockeyManager.getRide(jockeyId, horse.id);
+    const jockeyFee = jockeyId ? this.jockeyManager.getJockey(jockeyId).fee : 0;
+    
+    if (!this.player.canAfford(race.entryFee + jockeyFee)) {
+      return {
+        success: false,
+        message: jockeyFee > 0
+          ? `Not enough funds to pay entry fee of $${race.entryFee} and ${ride.name}'s fee of $${jockeyFee}`
+          : `Not enough funds to pay entry fee of $${race.entryFee}`
+      };
     }
     
     // Enter the race
-    const entryResult = this.raceManager.enterHorseInRace(raceId, horse);
+    const entryResult = this.raceManager.enterHorseInRace(raceId, horse, ride);
+    
+    if (!entryResult.success) {
+      return entryResult;
+    }
+    
+    // Pay entry fee
+    if (race.entryFee > 0) {
+      this.player.removeFunds(race.entryFee, 'Race entry fee');
+    }
+    
+    // Book and pay the jockey
+    if (jockeyId) {
+      this.jockeyManager.bookRide(jockeyId, race, horse);
+      this.player.removeFunds(jockeyFee, `Riding fee for ${ride.name}`);
+    }
+    
+    return {
+      ...entryResult,
+      jockey: ride.name,
+      jockeyFee
+    };
+  }
+  
+  /**
+   * Get the jockeys who could ride a horse in a race
+   * @param {string} horseId - ID of the horse
+   * @param {string} raceId - ID of the race
+   * @returns {Object} Result with jockeys, best first, showing fee, skills, familiarity and availability
+   */
+  getJockeyOptions(horseId, raceId) {
+    const race = this.raceManager.getRace(raceId);
+    
+    if (!race) {
+      return {
+        success: false,
+        message: 'Race not found'
+      };
+    }
     
-    return entryResult;
+    return {
+      success: true,
+      jockeys: this.jockeyManager.getRoster().map(jockey => {
+        const availability = this.jockeyManager.checkAvailability(jockey.id, race, horseId);
+        
+        return {
+          id: jockey.id,
+          name: jockey.name,
+          rating: this.jockeyManager.calculateRating(jockey),
+          skills: { ...jockey.skills },
+          weight: jockey.weight,
+          fee: jockey.fee,
+          record: { rides: jockey.rides, wins: jockey.wins, places: jockey.places },
+          familiarity: this.jockeyManager.getFamiliarity(jockey.id, horseId),
+          available: availability.available,
+          reason: availability.reason
+        };
+      })
+    };
+  }
+  
+  /**
+   * Get a scheduled race
+   * @param {string} raceId - ID of the race
+   * @returns {Race|null} The race or null if not found
+   */
+  getRace(raceId) {
+    return this.raceManager.getRace(raceId);
+  }
+  
+  /**
+   * Get the player's horses that can be entered in a race
+   * @param {string} raceId - ID of the race
+   * @returns {Array} Eligible horses not already entered
+   */
+  getEligibleHorsesForRace(raceId) {
+    const race = this.raceManager.getRace(raceId);
+    if (!race) return [];
+    
+    return this.horseManager.getAllHorses().filter(horse =>
+      race.checkEligibility(horse).isEligible &&
+      !race.entrants.some(entrant => entrant.horseId === horse.id)
+    );
+  }
+  
+  /**
+   * Estimate a horse's chance of winning a race from its odds before the market's randomness,
+   * so the estimate stays the same however often it is asked for
+   * @param {string} horseId - ID of the horse
+   * @param {string} raceId - ID of the race
+   * @param {string|null} jockeyId - ID of the jockey to book, or null for the stable jockey
+   * @returns {number} Chance of winning (0-1)
+   */
+  calculateRaceWinChance(horseId, raceId, jockeyId = null) {
+    const horse = this.horseManager.getHorse(horseId);
+    const race = this.raceManager.getRace(raceId);
+    if (!horse || !race) return 0;
+    
+    const odds = race.roundOdds(race.calculateBaseOdds(horse, this.jockeyManager.getRide(jockeyId, horse.id)));
+    return 1 / (odds + 1);
   }
   
   /**
@@ -302,162 +622,986 @@ class GameManager {
       };
     }
     
-    // Find player's horse in the race
-    let playerHorse = null;
+    const raceResult = this.resolveRace(race);
     
-    for (const entrant of race.entrants) {
-      if (entrant.playerOwned) {
-        playerHorse = this.horseManager.getHorse(entrant.horseId);
-        break;
-      }
+    // Save game after race
+    if (raceResult.success) {
+      this.saveGame();
     }
     
-    // Run the race
-    const raceResult = this.raceManager.runRace(raceId, playerHorse);
+    return raceResult;
+  }
+  
+  /**
+   * Run a race and process everything that follows from it: each of the player's runners,
+   * jockeys' rides, bets and the rival stables. Races the player has runners in go into the
+   * race history.
+   * @param {Race} race - The race to run
+   * @returns {Object} Race results
+   */
+  resolveRace(race) {
+    // Run the race against the rival stables' runners, with free roster jockeys riding the rest of the field
+    this.declareRaceField(race);
+    const playerHorses = race.entrants
+      .filter(entrant => entrant.playerOwned)
+      .map(entrant => this.horseManager.getHorse(entrant.horseId))
+      .filter(Boolean);
+    const options = {
+      jockeys: this.jockeyManager.getAvailableRides(race),
+      horses: this.rivalManager.getAllHorses()
+    };
+    const raceResult = race.entrants.some(entrant => entrant.playerOwned)
+      ? this.raceManager.runRace(race.id, playerHorses, options)
+      : race.runRace([], options);
     
     if (!raceResult.success) {
       return raceResult;
     }
     
-    // Process race results
-    if (playerHorse && raceResult.playerResult) {
-      // Update horse with race results
-      playerHorse.addRaceResult({
-        raceId: race.id,
-        raceName: race.name,
-        position: raceResult.playerResult.position,
-        prize: raceResult.playerResult.prize,
-        experience: raceResult.playerResult.experience,
-        energyUsed: raceResult.playerResult.energyUsed,
-        injury: raceResult.playerResult.injury
-      });
-      
-      // Add prize money if player won a prize
-      if (raceResult.playerResult.prize > 0) {
-        this.player.addFunds(
-          raceResult.playerResult.prize,
-          `Prize money from ${race.name}`
-        );
+    // Update jockey records, bets, and the rival horses' form and the league table
+    this.recordRaceOutcome(race, raceResult);
+    
+    // Process the result of each of the player's runners
+    raceResult.playerResults.forEach(result => {
+      const horse = playerHorses.find(h => h.id === result.horseId);
+      if (horse) {
+        this.recordPlayerRun(race, horse, result);
       }
-      
-      // Record race result in player stats
-      this.player.recordRaceResult({
-        raceId: race.id,
-        raceName: race.name,
-        position: raceResult.playerResult.position,
-        prize: raceResult.playerResult.prize
-      });
-      
+    });
+    
+    if (raceResult.playerResults.length > 0) {
       // Update player reputation
       this.player.calculateReputation();
       this.raceManager.calculateReputation();
     }
     
-    // Save game after race
-    this.saveGame();
-    
     return raceResult;
   }
   
   /**
-   * Train a horse
-   * @param {string} horseId - ID of the horse to train
-   * @param {string} statType - Type of stat to train
-   * @param {number} intensity - Training intensity (1-3)
-   * @returns {Object} Result of training
+   * Record one of the player's runs: the horse's race record, energy and any injury, its prize
+   * money, the player's stats and its sire's progeny record
+   * @param {Race} race - The race that was run
+   * @param {Horse} horse - The player's horse
+   * @param {Object} result - The horse's result
    */
-  trainHorse(horseId, statType, intensity = 1) {
-    // Get the horse
-    const horse = this.horseManager.getHorse(horseId);
+  recordPlayerRun(race, horse, result) {
+    // Update horse with race results
+    const horseUpdate = horse.addRaceResult(race.createRaceRecord(result));
+    this.notifyTraitChanges(horse, horseUpdate.traitChanges);
+    this.notifyHandicapChange(horse, horseUpdate.handicapChange, race);
+    
+    // Add prize money if the horse won a prize
+    if (result.prize > 0) {
+      this.player.addFunds(
+        result.prize,
+        `Prize money from ${race.name} (${horse.name})`
+      );
+    }
     
-    if (!horse) {
-      return {
-        success: false,
-        message: 'Horse not found'
-      };
+    // Record race result in player stats
+    this.player.recordRaceResult({
+      raceId: race.id,
+      raceName: race.name,
+      position: result.position,
+      prize: result.prize
+    });
+    
+    // Outside sires are repriced on their progeny's results
+    if (horse.sire && horse.sire.id) {
+      const feeChange = this.studManager.recordProgenyResult(horse.sire.id, result);
+      
+      if (feeChange && feeChange.fee !== feeChange.previousFee) {
+        const notification = {
+          type: 'stud_fee_changed',
+          horseId: feeChange.stallionId,
+          message: `${feeChange.name}'s stud fee is now $${feeChange.fee.toLocaleString()} (was $${feeChange.previousFee.toLocaleString()}).`
+        };
+        
+        this.player.addNotification(notification);
+        this.triggerCallbacks('onNotification', notification);
+      }
     }
     
-    // Calculate training cost
-    const baseCost = 50 * intensity;
-    const trainingCost = Math.round(baseCost * (1 + (horse.calculateOverallRating() / 100)));
+    // Keep the horse's record in the pedigree registry current
+    this.pedigreeManager.register(horse, { source: 'player' });
+  }
+  
+  /**
+   * Set a stable-mate tactic for one of the player's runners, such as making the pace for
+   * another of the player's horses in the same race
+   * @param {string} horseId - ID of the horse
+   * @param {string} raceId - ID of the race
+   * @param {string|null} tactic - 'pacemaker', or null to run on its merits
+   * @returns {Object} Result of setting the tactic
+   */
+  setRaceTactic(horseId, raceId, tactic) {
+    const race = this.raceManager.getRace(raceId);
     
-    // Check if player can afford training
-    if (!this.player.canAfford(trainingCost)) {
+    if (!race) {
       return {
         success: false,
-        message: `Not enough funds to pay training cost of $${trainingCost}`
+        message: 'Race not found'
       };
     }
     
-    // Pay training cost
-    this.player.removeFunds(trainingCost, 'Training cost');
-    
-    // Train the horse
-    const trainingResult = horse.train(statType, intensity);
-    
-    // Save game after training
-    this.saveGame();
-    
+    return race.setTactic(horseId, tactic);
+  }
+  
+  /**
+   * Get today's weather and the going on every track
+   * @returns {Object} { weather, season, tracks } with recent weather as history
+   */
+  getWeatherConditions() {
     return {
-      ...trainingResult,
-      cost: trainingCost
+      ...this.weatherManager.getConditions(),
+      history: this.weatherManager.getWeatherHistory()
     };
   }
   
   /**
-   * Rest a horse
-   * @param {string} horseId - ID of the horse to rest
-   * @param {number} days - Number of days to rest
-   * @returns {Object} Result of resting
+   * Tell the player when the going changes for races their horses are entered in
+   * @param {Array} changes - Going changes { race, previousGoing, going }
    */
-  restHorse(horseId, days = 1) {
-    // Get the horse
-    const horse = this.horseManager.getHorse(horseId);
+  notifyGoingChanges(changes) {
+    // Races generated today have no earlier going to change from
+    const changed = changes.filter(change => change.previousGoing);
+    
+    changed.forEach(({ race, previousGoing, going }) => {
+      race.entrants.filter(entrant => entrant.playerOwned).forEach(entrant => {
+        const notification = {
+          type: 'going_changed',
+          horseId: entrant.horseId,
+          raceId: race.id,
+          message: `The going for ${entrant.horseName}'s race, ${race.name}, has changed from ${getGoingName(previousGoing)} to ${getGoingName(going)}.`
+        };
+        
+        this.player.addNotification(notification);
+        this.triggerCallbacks('onNotification', notification);
+      });
+    });
     
-    if (!horse) {
-      return {
-        success: false,
-        message: 'Horse not found'
-      };
+    if (changed.length > 0) {
+      eventSystem.emit(GameEvents.GOING_CHANGED, {
+        changes: changed.map(({ race, previousGoing, going }) => ({
+          raceId: race.id,
+          raceName: race.name,
+          previousGoing,
+          going
+        }))
+      });
     }
+  }
+  
+  /**
+   * Move races through their entry stages: entries close on each race's closing date and the
+   * final field is declared the day before the race
+   * @returns {Object} { entriesClosed, declared } IDs of the races that reached each stage today
+   */
+  updateRaceEntries() {
+    const today = calendar.getDate();
+    const changes = { entriesClosed: [], declared: [] };
     
-    // Rest the horse
-    const restResult = horse.rest(days);
-    
-    // Save game after resting
-    this.saveGame();
+    this.raceManager.getAllRaces().forEach(race => {
+      if (race.hasRun || !race.scheduleDay) return;
+      
+      if (!race.entriesClosed && calendar.compareDates(race.getEntriesCloseDate(), today) <= 0) {
+        this.closeRaceEntries(race);
+        changes.entriesClosed.push(race.id);
+      }
+      
+      if (!race.fieldDeclared && calendar.compareDates(race.getDeclarationDate(), today) <= 0) {
+        this.declareRaceField(race);
+        changes.declared.push(race.id);
+      }
+    });
     
-    return restResult;
+    return changes;
   }
   
   /**
-   * Provide care for a horse
-   * @param {string} horseId - ID of the horse
-   * @param {string} careType - Type of care to provide
-   * @returns {Object} Result of providing care
+   * Close entries for a race. The rival stables make their entries, and outside entries are
+   * pitched at the player's runner, or at the rival stables' runners when the player has none.
+   * @param {Race} race - The race
    */
-  provideHorseCare(horseId, careType) {
-    // Get the horse
-    const horse = this.horseManager.getHorse(horseId);
-    
-    if (!horse) {
-      return {
-        success: false,
-        message: 'Horse not found'
-      };
+  closeRaceEntries(race) {
+    if (race.entriesClosed || race.hasRun) return;
+    
+    const playerRatings = race.entrants
+      .filter(entrant => entrant.playerOwned)
+      .map(entrant => this.horseManager.getHorse(entrant.horseId))
+      .filter(Boolean)
+      .map(horse => horse.calculateOverallRating());
+    
+    const rivals = this.rivalManager.getEntriesForRace(race, this.raceManager.unlockedTiers);
+    let fieldRating = 50;
+    if (playerRatings.length > 0) {
+      fieldRating = Math.max(...playerRatings);
+    } else if (rivals.length > 0) {
+      fieldRating = rivals.reduce((sum, rival) => sum + rival.quality, 0) / rivals.length;
     }
     
-    // Calculate care cost
-    let careCost = 0;
+    race.closeEntries(fieldRating, rivals);
+    this.bettingManager.openMarket(race);
     
-    switch (careType) {
-      case 'vet':
-        careCost = 500;
-        break;
-      case 'groom':
-        careCost = 100;
-        break;
-      case 'farrier':
+    const declarationDate = race.getDeclarationDate();
+    eventSystem.emit(GameEvents.RACE_ENTRIES_CLOSED, {
+      raceId: race.id,
+      raceName: race.name,
+      entries: race.entrants.length,
+      maxEntrants: race.maxEntrants,
+      declarationDate
+    });
+    
+    race.entrants.filter(entrant => entrant.playerOwned).forEach(entrant => {
+      const oversubscribed = race.entrants.length > race.maxEntrants;
+      const notification = {
+        type: 'race_entries_closed',
+        horseId: entrant.horseId,
+        message: `Entries have closed for ${race.name}, with ${race.entrants.length} entries for ${race.maxEntrants} places.` +
+          (declarationDate ? ` Final declarations are on ${calendar.formatDate(declarationDate)}.` : '') +
+          (oversubscribed ? ` The lowest-rated entries will be balloted out, and ${entrant.horseName} could be one of them.` : '')
+      };
+      
+      this.player.addNotification(notification);
+      this.triggerCallbacks('onNotification', notification);
+    });
+  }
+  
+  /**
+   * Make the final declarations for a race, closing entries first if needed. Entries that have
+   * been injured come out on a vet's certificate and the lowest-rated horses are balloted out
+   * if the race is oversubscribed.
+   * @param {Race} race - The race
+   */
+  declareRaceField(race) {
+    if (race.fieldDeclared || race.hasRun) return;
+    
+    this.closeRaceEntries(race);
+    this.withdrawUnfitRunners(race);
+    
+    // The ballot goes on the player's horses' ratings and marks as they stand now
+    race.entrants.filter(entrant => entrant.playerOwned).forEach(entrant => {
+      const horse = this.horseManager.getHorse(entrant.horseId);
+      if (horse) {
+        entrant.rating = horse.calculateOverallRating();
+        entrant.mark = typeof horse.handicapMark === 'number' ? horse.handicapMark : null;
+      }
+    });
+    
+    const { runners, ballotedOut } = race.declareField(this.jockeyManager.getAvailableRides(race));
+    this.rivalManager.releaseNonRunners(race);
+    
+    if (ballotedOut.length > 0) {
+      ballotedOut.filter(nonRunner => nonRunner.playerOwned).forEach(nonRunner => {
+        const fees = this.settleEntryFees(race, nonRunner);
+        
+        const notification = {
+          type: 'balloted_out',
+          horseId: nonRunner.horseId,
+          message: `${nonRunner.horseName} has been balloted out of ${race.name}, which had more entries than its ${race.maxEntrants} places.${fees.message}`
+        };
+        
+        this.player.addNotification(notification);
+        this.triggerCallbacks('onNotification', notification);
+      });
+      
+      eventSystem.emit(GameEvents.RACE_HORSES_BALLOTED_OUT, {
+        raceId: race.id,
+        raceName: race.name,
+        horses: ballotedOut
+      });
+    }
+    
+    eventSystem.emit(GameEvents.RACE_FIELD_DECLARED, {
+      raceId: race.id,
+      raceName: race.name,
+      runners: runners.map(entrant => ({
+        horseId: entrant.horseId,
+        horseName: entrant.horseName,
+        playerOwned: entrant.playerOwned,
+        stableId: entrant.stableId || null,
+        draw: entrant.draw,
+        weight: entrant.weight
+      })),
+      nonRunners: [...race.nonRunners]
+    });
+    
+    runners.filter(entrant => entrant.playerOwned).forEach(entrant => {
+      const notification = {
+        type: 'field_declared',
+        horseId: entrant.horseId,
+        message: `${entrant.horseName} has been declared to run in ${race.name}: drawn ${entrant.draw} of ${runners.length}, carrying ${entrant.weight}kg.`
+      };
+      
+      this.player.addNotification(notification);
+      this.triggerCallbacks('onNotification', notification);
+    });
+  }
+  
+  /**
+   * Take out entries that have gone wrong or left their stables since they were entered:
+   * injured or unwell horses come out on a vet's certificate
+   * @param {Race} race - The race
+   */
+  withdrawUnfitRunners(race) {
+    const withdrawals = [
+      ...this.rivalManager.getWithdrawals(race),
+      ...race.entrants
+        .filter(entrant => entrant.playerOwned)
+        .map(entrant => ({ horseId: entrant.horseId, horse: this.horseManager.getHorse(entrant.horseId) }))
+        .filter(({ horse }) => !horse || horse.injured || horse.health < VET_CERTIFICATE_HEALTH)
+        .map(({ horseId, horse }) => ({ horseId, vetCertificate: !!horse }))
+    ];
+    
+    withdrawals.forEach(withdrawal => {
+      const result = race.scratchEntrant(withdrawal.horseId, { vetCertificate: withdrawal.vetCertificate });
+      if (result.success) this.recordScratching(race, result.nonRunner);
+    });
+  }
+  
+  /**
+   * Take one of the player's horses out of a race. Until declarations a horse can be withdrawn
+   * freely; after them only with a vet's certificate, which the vet signs for a horse that is
+   * injured or unwell.
+   * @param {string} horseId - ID of the horse
+   * @param {string} raceId - ID of the race
+   * @returns {Object} Result of the scratching
+   */
+  scratchHorse(horseId, raceId) {
+    const race = this.raceManager.getRace(raceId);
+    
+    if (!race) {
+      return {
+        success: false,
+        message: 'Race not found'
+      };
+    }
+    
+    const horse = this.horseManager.getHorse(horseId);
+    
+    if (!horse) {
+      return {
+        success: false,
+        message: 'Horse not found'
+      };
+    }
+    
+    const vetCertificate = race.fieldDeclared && (horse.injured || horse.health < VET_CERTIFICATE_HEALTH);
+    const result = race.scratchEntrant(horseId, { vetCertificate });
+    
+    if (!result.success) {
+      return result;
+    }
+    
+    this.recordScratching(race, result.nonRunner);
+    this.saveGame();
+    
+    return result;
+  }
+  
+  /**
+   * Record a horse coming out of a race: it leaves the betting market, and for the player's
+   * horses the fees are settled and the player is told
+   * @param {Race} race - The race
+   * @param {Object} nonRunner - The non-runner record
+   */
+  recordScratching(race, nonRunner) {
+    if (nonRunner.playerOwned) {
+      const fees = this.settleEntryFees(race, nonRunner);
+      
+      const notification = {
+        type: 'horse_scratched',
+        horseId: nonRunner.horseId,
+        message: (nonRunner.reason === 'scratched'
+          ? `${nonRunner.horseName} is a non-runner in ${race.name} on a vet's certificate.`
+          : `${nonRunner.horseName} has been withdrawn from ${race.name}.`) + fees.message
+      };
+      
+      this.player.addNotification(notification);
+      this.triggerCallbacks('onNotification', notification);
+    }
+    
+    this.bettingManager.updateMarket(race);
+    eventSystem.emit(GameEvents.RACE_HORSE_SCRATCHED, {
+      raceId: race.id,
+      raceName: race.name,
+      ...nonRunner
+    });
+  }
+  
+  /**
+   * Settle the fees on one of the player's horses that will not run. The jockey's booking is
+   * cancelled and the riding fee refunded; the entry fee is refunded or forfeited by the race's
+   * rules. The amounts are kept on the non-runner record.
+   * @param {Race} race - The race
+   * @param {Object} nonRunner - The non-runner record
+   * @returns {Object} { refund, jockeyRefund, forfeited, message }
+   */
+  settleEntryFees(race, nonRunner) {
+    const booking = this.jockeyManager.cancelBooking(race.id, nonRunner.horseId);
+    const jockeyRefund = booking ? booking.fee || 0 : 0;
+    const refund = race.getEntryFeeRefund(nonRunner);
+    const forfeited = race.entryFee - refund;
+    
+    if (refund + jockeyRefund > 0) {
+      this.player.addFunds(refund + jockeyRefund, `Fees refunded for ${nonRunner.horseName} in ${race.name}`);
+    }
+    nonRunner.feeRefund = refund + jockeyRefund;
+    nonRunner.feeForfeited = forfeited;
+    
+    let message = '';
+    if (refund > 0 && forfeited > 0) {
+      message += ` $${refund} of the $${race.entryFee} entry fee has been refunded.`;
+    } else if (refund > 0) {
+      message += ` The $${race.entryFee} entry fee has been refunded.`;
+    } else if (forfeited > 0) {
+      message += ` The $${race.entryFee} entry fee is forfeited.`;
+    }
+    if (jockeyRefund > 0) {
+      message += ` ${booking.jockeyName}'s $${jockeyRefund} riding fee has been refunded.`;
+    }
+    
+    return { refund, jockeyRefund, forfeited, message };
+  }
+  
+  /**
+   * Record what follows from a race being run: jockeys' rides, bets, and the rival horses'
+   * form and prize money and the league table
+   * @param {Race} race - The race that was run
+   * @param {Object} raceResult - Result of running the race
+   */
+  recordRaceOutcome(race, raceResult) {
+    // Update jockey records and partnerships with the player's horses
+    raceResult.results.forEach(result => {
+      if (result.jockeyId) {
+        this.jockeyManager.recordRide(result.jockeyId, race.id, result.horseId, result.position, result.playerOwned);
+      }
+    });
+    
+    // Settle bets on the race
+    raceResult.bets = this.settleBets(this.bettingManager.settleRace(race));
+    
+    raceResult.rivalRuns = this.rivalManager.recordRaceResults(race, raceResult.results);
+    
+    // Rival horses by outside sires count towards their sires' progeny records too
+    raceResult.rivalRuns.forEach(run => {
+      const found = this.rivalManager.findHorse(run.horseId);
+      if (found && found.horse.sire && found.horse.sire.id) {
+        this.studManager.recordProgenyResult(found.horse.sire.id, run);
+      }
+    });
+  }
+  
+  /**
+   * Race day: run every race due today, whether or not the player has runners in it, and sum
+   * up the day in a digest. Runners that have gone wrong since declarations come out first on
+   * a vet's certificate; a race that cannot be run is abandoned.
+   * @returns {Object} Digest { date, races, playerRuns, nonRunners, abandoned, prizeMoney, feesRefunded, feesForfeited }
+   */
+  runRaceDay() {
+    const today = calendar.getDate();
+    const digest = {
+      date: today,
+      races: [],
+      playerRuns: [],
+      nonRunners: [],
+      abandoned: [],
+      prizeMoney: 0,
+      feesRefunded: 0,
+      feesForfeited: 0
+    };
+    
+    this.raceManager.getAllRaces()
+      .filter(race => !race.hasRun && race.scheduleDay && calendar.compareDates(race.scheduleDay, today) <= 0)
+      .forEach(race => {
+        this.withdrawUnfitRunners(race);
+        
+        const raceResult = this.resolveRace(race);
+        if (!raceResult.success) {
+          digest.abandoned.push(this.abandonRace(race));
+          return;
+        }
+        
+        const winner = raceResult.results[0];
+        const winnerEntrant = race.entrants.find(entrant => entrant.horseId === winner.horseId);
+        const playerRuns = raceResult.playerResults.map(result => ({
+          raceId: race.id,
+          raceName: race.name,
+          tier: race.tier,
+          horseId: result.horseId,
+          horseName: result.horseName,
+          position: result.position,
+          runners: raceResult.results.length,
+          prize: result.prize || 0
+        }));
+        
+        digest.races.push({
+          raceId: race.id,
+          raceName: race.name,
+          courseName: getRacecourseName(race.courseId),
+          tier: race.tier,
+          runners: raceResult.results.length,
+          winner: {
+            horseId: winner.horseId,
+            horseName: winner.horseName,
+            stableName: winner.playerOwned ? this.player.stableName : (winnerEntrant && winnerEntrant.stableName) || null
+          },
+          playerRuns
+        });
+        digest.playerRuns.push(...playerRuns);
+      });
+    
+    // The player's horses taken out of races today, and what happened to their fees
+    this.raceManager.getAllRaces().forEach(race => {
+      race.nonRunners
+        .filter(nonRunner => nonRunner.playerOwned && nonRunner.date && calendar.isSameDay(nonRunner.date, today))
+        .forEach(nonRunner => {
+          digest.nonRunners.push({
+            raceId: race.id,
+            raceName: race.name,
+            horseId: nonRunner.horseId,
+            horseName: nonRunner.horseName,
+            reason: nonRunner.reason,
+            refund: nonRunner.feeRefund || 0,
+            forfeited: nonRunner.feeForfeited || 0
+          });
+        });
+    });
+    
+    digest.prizeMoney = digest.playerRuns.reduce((sum, run) => sum + run.prize, 0);
+    digest.feesRefunded = digest.nonRunners.reduce((sum, nonRunner) => sum + nonRunner.refund, 0) +
+      digest.abandoned.reduce((sum, abandoned) => sum + abandoned.refund, 0);
+    digest.feesForfeited = digest.nonRunners.reduce((sum, nonRunner) => sum + nonRunner.forfeited, 0);
+    
+    if (digest.playerRuns.length > 0 || digest.nonRunners.length > 0 || digest.abandoned.length > 0) {
+      const parts = [];
+      if (digest.playerRuns.length > 0) {
+        const runs = digest.playerRuns.map(run => (run.position === 1
+          ? `${run.horseName} won ${run.raceName}`
+          : `${run.horseName} finished ${run.position} of ${run.runners} in ${run.raceName}`) +
+          (run.prize > 0 ? ` ($${run.prize.toLocaleString()})` : ''));
+        parts.push(`${runs.join('; ')}.`, `Prize money: $${digest.prizeMoney.toLocaleString()}.`);
+      }
+      if (digest.nonRunners.length > 0) {
+        parts.push(`Non-runners: ${digest.nonRunners.map(nonRunner => nonRunner.horseName).join(', ')}.`);
+      }
+      if (digest.abandoned.length > 0) {
+        parts.push(`Abandoned: ${digest.abandoned.map(abandoned => abandoned.raceName +
+          (abandoned.horseNames.length > 0 ? ` (${abandoned.horseNames.join(', ')})` : '')).join(', ')}.`);
+      }
+      const fees = [];
+      if (digest.feesRefunded > 0) fees.push(`$${digest.feesRefunded.toLocaleString()} refunded`);
+      if (digest.feesForfeited > 0) fees.push(`$${digest.feesForfeited.toLocaleString()} forfeited`);
+      if (fees.length > 0) {
+        parts.push(`Fees: ${fees.join(', ')}.`);
+      }
+      
+      const notification = {
+        type: 'race_day_digest',
+        horseId: null,
+        message: `Race day, ${calendar.formatDate(today)}: ${parts.join(' ')}`
+      };
+      
+      this.player.addNotification(notification);
+      this.triggerCallbacks('onNotification', notification);
+    }
+    
+    if (digest.races.length > 0 || digest.nonRunners.length > 0 || digest.abandoned.length > 0) {
+      eventSystem.emit(GameEvents.RACE_DAY_DIGEST, digest);
+    }
+    
+    return digest;
+  }
+  
+  /**
+   * Abandon a race that could not be run: the player's entry and riding fees are refunded in
+   * full and every bet on it is refunded
+   * @param {Race} race - The race
+   * @returns {Object} { raceId, raceName, horseNames, refund, bets }
+   */
+  abandonRace(race) {
+    const entrants = race.abandon();
+    
+    let refund = 0;
+    entrants.forEach(entrant => {
+      const booking = this.jockeyManager.cancelBooking(race.id, entrant.horseId);
+      refund += race.entryFee + (booking ? booking.fee || 0 : 0);
+    });
+    
+    if (refund > 0) {
+      this.player.addFunds(refund, `Fees refunded for ${race.name}`);
+    }
+    
+    const bets = this.settleBets(this.bettingManager.refundRace(race.id), 'was abandoned');
+    
+    return {
+      raceId: race.id,
+      raceName: race.name,
+      horseNames: entrants.map(entrant => entrant.horseName),
+      refund,
+      bets
+    };
+  }
+  
+  /**
+   * Pass on the rival stables' daily news: foals by roster stallions, coverings, retirements,
+   * trades, and the end of a league season
+   * @param {Object} update - Rival stables update results
+   */
+  processRivalUpdate(update) {
+    update.coverings.forEach(covering => {
+      this.studManager.recordCovering(covering.stallionId);
+    });
+    
+    update.foals.forEach(foaling => {
+      if (foaling.sire && foaling.sire.id) {
+        this.studManager.recordFoal(foaling.sire.id, foaling.foal);
+      }
+      eventSystem.emit(GameEvents.RIVAL_FOAL_BORN, {
+        stableId: foaling.stableId,
+        foal: foaling.foal,
+        date: calendar.getDate()
+      });
+    });
+    
+    update.retirements.forEach(retirement => {
+      eventSystem.emit(GameEvents.RIVAL_HORSE_RETIRED, { ...retirement, date: calendar.getDate() });
+    });
+    
+    [...update.trades, ...update.purchases].forEach(trade => {
+      eventSystem.emit(GameEvents.RIVAL_HORSE_TRADED, { ...trade, date: calendar.getDate() });
+    });
+    
+    if (update.seasonEnded) {
+      const { season, champion, table } = update.seasonEnded;
+      const playerRow = table.find(row => row.isPlayer);
+      const notification = {
+        type: 'league_season_ended',
+        horseId: null,
+        message: `The ${season} stables' championship went to ${champion.name}. ` +
+          `${this.player.stableName} finished ${playerRow.position} of ${table.length} with $${playerRow.earnings.toLocaleString()} in prize money.`
+      };
+      
+      this.player.addNotification(notification);
+      this.triggerCallbacks('onNotification', notification);
+      eventSystem.emit(GameEvents.LEAGUE_SEASON_ENDED, update.seasonEnded);
+    }
+  }
+  
+  /**
+   * Get the rival stables and their horses
+   * @returns {Array} Stables with racehorses and their form, broodmares, youngstock and retired horses
+   */
+  getRivalStables() {
+    return this.rivalManager.getStables();
+  }
+  
+  /**
+   * Get the stables' league table for the season, with earlier seasons' final tables
+   * @returns {Object} { season, table, history }
+   */
+  getLeagueTable() {
+    return {
+      ...this.rivalManager.getLeagueTable(this.player.stableName),
+      history: this.rivalManager.getLeagueHistory()
+    };
+  }
+  
+  /**
+   * Get the betting market on a race without changing it. Betting opens when entries close and
+   * the market moves once a day; horses balloted out or scratched later leave the market.
+   * @param {string} raceId - ID of the race
+   * @returns {Object} Result with runners and live odds, probable place and show returns per $1, pool totals and odds history
+   */
+  getBettingMarket(raceId) {
+    const race = this.raceManager.getRace(raceId);
+    
+    if (!race) {
+      return {
+        success: false,
+        message: 'Race not found'
+      };
+    }
+    
+    if (race.hasRun) {
+      return {
+        success: false,
+        message: `${race.name} has already been run`
+      };
+    }
+    
+    if (!race.entriesClosed) {
+      const closeDate = race.getEntriesCloseDate();
+      return {
+        success: false,
+        message: closeDate
+          ? `Betting on ${race.name} opens when entries close on ${calendar.formatDate(closeDate)}`
+          : `Betting on ${race.name} opens when entries close`
+      };
+    }
+    
+    const market = this.bettingManager.getMarket(race.id);
+    if (!market) {
+      return {
+        success: false,
+        message: `Betting on ${race.name} has not opened yet`
+      };
+    }
+    
+    const odds = this.bettingManager.getWinOdds(market);
+    
+    return {
+      success: true,
+      raceId: race.id,
+      raceName: race.name,
+      betTypes: this.bettingManager.getBetTypes(),
+      runners: market.runners.map(runner => ({
+        ...runner,
+        odds: odds[runner.horseId],
+        placePayout: this.bettingManager.getProbablePayout(market, 'place', [runner.horseId]),
+        showPayout: this.bettingManager.getProbablePayout(market, 'show', [runner.horseId])
+      })),
+      pools: Object.keys(market.pools).reduce((pools, type) => {
+        pools[type] = Math.round(this.bettingManager.getPoolTotal(market, type));
+        return pools;
+      }, {}),
+      history: market.history
+    };
+  }
+  
+  /**
+   * Place a bet on a race
+   * @param {string} raceId - ID of the race
+   * @param {string} type - 'win', 'place', 'show', 'exacta' or 'trifecta'
+   * @param {Array|string} selection - Horse ID, or horse IDs in finishing order for exotics
+   * @param {number} stake - Amount to stake
+   * @returns {Object} Result of placing the bet
+   */
+  placeBet(raceId, type, selection, stake) {
+    const market = this.getBettingMarket(raceId);
+    if (!market.success) return market;
+    
+    if (!this.player.canAfford(stake)) {
+      return {
+        success: false,
+        message: `Not enough funds to stake $${stake}`
+      };
+    }
+    
+    const race = this.raceManager.getRace(raceId);
+    const result = this.bettingManager.placeBet(race, type, Array.isArray(selection) ? selection : [selection], stake);
+    
+    if (result.success) {
+      this.player.removeFunds(stake, `Bet on ${race.name}`);
+      eventSystem.emit(GameEvents.BET_PLACED, { bet: result.bet });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Pay out settled bets and tell the player how they did
+   * @param {Array} bets - Settled bets
+   * @param {string} refundReason - Why refunded bets were refunded, for the notification
+   * @returns {Array} The bets
+   */
+  settleBets(bets, refundReason = 'had a non-runner') {
+    bets.forEach(bet => {
+      if (bet.payout > 0) {
+        this.player.addFunds(bet.payout, bet.status === 'refunded' ? `Bet refunded: ${bet.raceName}` : `Betting returns from ${bet.raceName}`);
+      }
+      
+      const betName = `$${bet.stake} ${bet.type} bet on ${bet.selectionNames.join(' - ')} in ${bet.raceName}`;
+      let message;
+      if (bet.status === 'won') {
+        message = `Your ${betName} won: $${bet.payout.toLocaleString()} returned.`;
+      } else if (bet.status === 'refunded') {
+        message = `Your ${betName} was refunded because the race ${refundReason}.`;
+      } else {
+        message = `Your ${betName} lost.`;
+      }
+      
+      const notification = { type: `bet_${bet.status}`, raceId: bet.raceId, message };
+      this.player.addNotification(notification);
+      this.triggerCallbacks('onNotification', notification);
+    });
+    
+    if (bets.length > 0) {
+      eventSystem.emit(GameEvents.BETS_SETTLED, { bets });
+    }
+    
+    return bets;
+  }
+  
+  /**
+   * Get the betting ledger
+   * @returns {Object} Every bet with totals, profit/loss by bet type and running profit/loss
+   */
+  getBettingLedger() {
+    return this.bettingManager.getLedger();
+  }
+  
+  /**
+   * Tell the player about acquired traits a horse has gained or lost
+   * @param {Horse} horse - The horse
+   * @param {Object} traitChanges - { gained, lost } trait details from the horse
+   */
+  notifyTraitChanges(horse, traitChanges) {
+    if (!traitChanges) return;
+    
+    traitChanges.gained.forEach(trait => {
+      const notification = {
+        type: 'trait_gained',
+        horseId: horse.id,
+        message: `${horse.name} has gained the ${trait.name} trait: ${trait.description}`
+      };
+      
+      this.player.addNotification(notification);
+      this.triggerCallbacks('onNotification', notification);
+      eventSystem.emit(GameEvents.HORSE_TRAIT_GAINED, { horseId: horse.id, trait });
+    });
+    
+    traitChanges.lost.forEach(trait => {
+      const notification = {
+        type: 'trait_lost',
+        horseId: horse.id,
+        message: `${horse.name} has lost the ${trait.name} trait.`
+      };
+      
+      this.player.addNotification(notification);
+      this.triggerCallbacks('onNotification', notification);
+      eventSystem.emit(GameEvents.HORSE_TRAIT_LOST, { horseId: horse.id, trait });
+    });
+  }
+  
+  /**
+   * Tell the player about a horse's new or reassessed handicap mark
+   * @param {Horse} horse - The horse
+   * @param {Object} handicapChange - { previousMark, mark } from the horse's race result
+   * @param {Race} race - The race the horse was assessed on
+   */
+  notifyHandicapChange(horse, handicapChange, race) {
+    if (!handicapChange || handicapChange.previousMark === handicapChange.mark) return;
+    
+    const { previousMark, mark } = handicapChange;
+    const message = previousMark === null
+      ? `${horse.name} has been given an official handicap mark of ${mark}.`
+      : `${horse.name}'s handicap mark has gone ${mark > previousMark ? 'up' : 'down'} from ${previousMark} to ${mark}.`;
+    const notification = {
+      type: 'handicap_mark',
+      horseId: horse.id,
+      message
+    };
+    
+    this.player.addNotification(notification);
+    this.triggerCallbacks('onNotification', notification);
+    eventSystem.emit(GameEvents.HANDICAP_MARK_CHANGED, { horseId: horse.id, raceId: race.id, previousMark, mark });
+  }
+  
+  /**
+   * Train a horse
+   * @param {string} horseId - ID of the horse to train
+   * @param {string} statType - Type of stat to train
+   * @param {number} intensity - Training intensity (1-3)
+   * @returns {Object} Result of training
+   */
+  trainHorse(horseId, statType, intensity = 1) {
+    // Get the horse
+    const horse = this.horseManager.getHorse(horseId);
+    
+    if (!horse) {
+      return {
+        success: false,
+        message: 'Horse not found'
+      };
+    }
+    
+    // Calculate training cost
+    const baseCost = 50 * intensity;
+    const trainingCost = Math.round(baseCost * (1 + (horse.calculateOverallRating() / 100)));
+    
+    // Check if player can afford training
+    if (!this.player.canAfford(trainingCost)) {
+      return {
+        success: false,
+        message: `Not enough funds to pay training cost of $${trainingCost}`
+      };
+    }
+    
+    // Pay training cost
+    this.player.removeFunds(trainingCost, 'Training cost');
+    
+    // Train the horse
+    const trainingResult = horse.train(statType, intensity);
+    
+    if (trainingResult.success) {
+      this.notifyTraitChanges(horse, trainingResult.traitChanges);
+    }
+    
+    // Save game after training
+    this.saveGame();
+    
+    return {
+      ...trainingResult,
+      cost: trainingCost
+    };
+  }
+  
+  /**
+   * Rest a horse
+   * @param {string} horseId - ID of the horse to rest
+   * @param {number} days - Number of days to rest
+   * @returns {Object} Result of resting
+   */
+  restHorse(horseId, days = 1) {
+    // Get the horse
+    const horse = this.horseManager.getHorse(horseId);
+    
+    if (!horse) {
+      return {
+        success: false,
+        message: 'Horse not found'
+      };
+    }
+    
+    // Rest the horse
+    const restResult = horse.rest(days);
+    
+    // Save game after resting
+    this.saveGame();
+    
+    return restResult;
+  }
+  
+  /**
+   * Provide care for a horse
+   * @param {string} horseId - ID of the horse
+   * @param {string} careType - Type of care to provide
+   * @returns {Object} Result of providing care
+   */
+  provideHorseCare(horseId, careType) {
+    // Get the horse
+    const horse = this.horseManager.getHorse(horseId);
+    
+    if (!horse) {
+      return {
+        success: false,
+        message: 'Horse not found'
+      };
+    }
+    
+    // Calculate care cost
+    let careCost = 0;
+    
+    switch (careType) {
+      case 'vet':
+        careCost = 500;
+        break;
+      case 'groom':
+        careCost = 100;
+        break;
+      case 'farrier':
         careCost = 200;
         break;
       case 'massage':
@@ -496,8 +1640,8 @@ class GameManager {
   /**
    * Breed two horses
    * @param {string} damId - ID of the dam (female)
-   * @param {string} sireId - ID of the sire (male)
-   * @param {number} studFee - Stud fee if sire is not owned by player
+   * @param {string} sireId - ID of the sire (male), either owned or standing on the stud roster
+   * @param {number} studFee - Stud fee for an owned sire (outside stallions charge their roster fee)
    * @returns {Object} Result of breeding
    */
   breedHorses(damId, sireId, studFee = 0) {
@@ -517,10 +1661,11 @@ class GameManager {
     if (this.horseManager.getHorse(sireId)) {
       // Player-owned sire
       sire = this.horseManager.getHorse(sireId);
+    } else if (this.studManager.getStallion(sireId)) {
+      // Outside stallion booked from the stud roster at his current fee
+      sire = this.studManager.getStallion(sireId);
+      studFee = this.studManager.getStudFee(sireId);
     } else {
-      // External sire (from breeding candidates)
-      // In a real implementation, we would store breeding candidates
-      // For now, we'll assume sireId is always a player-owned horse
       return {
         success: false,
         message: 'Sire not found'
@@ -528,40 +1673,263 @@ class GameManager {
     }
     
     // Check if player can afford stud fee
-    if (studFee > 0) {
-      if (!this.player.canAfford(studFee)) {
-        return {
-          success: false,
-          message: `Not enough funds to pay stud fee of $${studFee}`
-        };
+    if (studFee > 0 && !this.player.canAfford(studFee)) {
+      return {
+        success: false,
+        message: `Not enough funds to pay stud fee of $${studFee.toLocaleString()}`
+      };
+    }
+    
+    // Work out how inbred the foal would be from the pedigree registry
+    this.pedigreeManager.register(dam, { source: 'player' });
+    const inbreeding = this.pedigreeManager.calculateFoalInbreeding(sire.id, dam.id);
+    
+    // Cover the mare (the foal arrives at the end of the pregnancy)
+    const breedingResult = this.horseManager.breedHorses(dam, sire, { inbreeding });
+    breedingResult.inbreeding = inbreeding;
+    
+    // The fee is only paid once the covering goes ahead
+    if (breedingResult.success) {
+      if (studFee > 0) {
+        this.player.removeFunds(studFee, `Stud fee (${sire.name})`);
       }
-      
-      // Pay stud fee
-      this.player.removeFunds(studFee, 'Stud fee');
+      this.studManager.recordCovering(sire.id);
+    }
+    
+    // Save game after breeding
+    this.saveGame();
+    
+    return {
+      ...breedingResult,
+      studFee
+    };
+  }
+  
+  /**
+   * Register the stable's horses and the stud roster in the pedigree registry
+   */
+  updatePedigrees() {
+    this.horseManager.getAllHorses().forEach(horse => {
+      this.pedigreeManager.register(horse, { source: 'player' });
+    });
+    
+    this.studManager.stallions.forEach(entry => {
+      this.pedigreeManager.register(entry.horse, {
+        source: 'stud',
+        record: entry.record,
+        pedigree: entry.pedigree
+      });
+    });
+  }
+  
+  /**
+   * Get a horse's pedigree from the registry
+   * @param {string} horseId - ID of the horse
+   * @param {number} generations - Generations of ancestors to include
+   * @returns {Object} Result with the pedigree tree
+   */
+  getPedigree(horseId, generations = 4) {
+    const horse = this.horseManager.getHorse(horseId);
+    if (horse) {
+      this.pedigreeManager.register(horse, { source: 'player' });
+    }
+    
+    const pedigree = this.pedigreeManager.getPedigree(horseId, generations + 1);
+    
+    if (!pedigree) {
+      return {
+        success: false,
+        message: 'Horse not found in the pedigree registry'
+      };
+    }
+    
+    return {
+      success: true,
+      pedigree
+    };
+  }
+  
+  /**
+   * Export a horse's pedigree as a file
+   * @param {string} horseId - ID of the horse
+   * @param {number} generations - Generations of ancestors to include
+   * @returns {Object} Result with fileName and contents
+   */
+  exportPedigree(horseId, generations = 4) {
+    const horse = this.horseManager.getHorse(horseId);
+    if (horse) {
+      this.pedigreeManager.register(horse, { source: 'player' });
+    }
+    
+    const pedigreeExport = this.pedigreeManager.exportPedigree(horseId, generations);
+    
+    if (!pedigreeExport) {
+      return {
+        success: false,
+        message: 'Horse not found in the pedigree registry'
+      };
+    }
+    
+    const fileName = `${pedigreeExport.pedigree.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-pedigree.json`;
+    
+    return {
+      success: true,
+      message: `Pedigree of ${pedigreeExport.pedigree.name} exported`,
+      fileName,
+      contents: JSON.stringify(pedigreeExport, null, 2)
+    };
+  }
+  
+  /**
+   * Assess how closely related a pairing is before breeding
+   * @param {string} horseId - ID of one parent (a player horse or a roster stallion)
+   * @param {string} mateId - ID of the other parent
+   * @returns {Object} Result with coefficient, level, relationship, warning and whether the mating is blocked
+   */
+  getInbreedingReport(horseId, mateId) {
+    const find = id => this.horseManager.getHorse(id) || this.studManager.getStallion(id);
+    const horse = find(horseId);
+    const mate = find(mateId);
+    
+    if (!horse || !mate) {
+      return {
+        success: false,
+        message: 'Horse not found'
+      };
+    }
+    
+    const [sire, dam] = horse.gender === 'male' ? [horse, mate] : [mate, horse];
+    [sire, dam].forEach(parent => this.pedigreeManager.register(parent, {
+      source: this.horseManager.getHorse(parent.id) ? 'player' : 'stud'
+    }));
+    
+    const coefficient = this.pedigreeManager.calculateFoalInbreeding(sire.id, dam.id);
+    const relationship = this.pedigreeManager.getRelationship(sire.id, dam.id);
+    const blocked = this.blockParentOffspringMatings && this.horseManager.isParentOffspring(dam, sire);
+    
+    let level = 'none';
+    if (coefficient >= 0.125) {
+      level = 'high';
+    } else if (coefficient >= 0.0625) {
+      level = 'moderate';
+    } else if (coefficient > 0) {
+      level = 'low';
+    }
+    
+    let warning = null;
+    if (blocked) {
+      warning = `${dam.name} and ${sire.name} are parent and offspring; this mating is blocked.`;
+    } else if (level === 'high' || level === 'moderate') {
+      warning = `Close inbreeding${relationship ? ` (${relationship})` : ''}: the foal is likely to be less fertile and may be born with weaknesses.`;
+    }
+    
+    return {
+      success: true,
+      coefficient,
+      percentage: Math.round(coefficient * 1000) / 10,
+      level,
+      relationship,
+      blocked,
+      warning
+    };
+  }
+  
+  /**
+   * Preview the coat colours a pairing can produce
+   * @param {string} horseId - ID of one parent (a player horse or a roster stallion)
+   * @param {string} mateId - ID of the other parent
+   * @returns {Object} Result with odds [{ color, probability }], most likely first
+   */
+  getFoalColorOdds(horseId, mateId) {
+    const find = id => this.horseManager.getHorse(id) || this.studManager.getStallion(id);
+    const horse = find(horseId);
+    const mate = find(mateId);
+    
+    if (!horse || !mate) {
+      return {
+        success: false,
+        message: 'Horse not found'
+      };
+    }
+    
+    if (horse.gender === mate.gender) {
+      return {
+        success: false,
+        message: 'A pairing needs a mare and a stallion'
+      };
+    }
+    
+    const [sire, dam] = horse.gender === 'male' ? [horse, mate] : [mate, horse];
+    
+    return {
+      success: true,
+      odds: getColorOdds(sire.genotype, dam.genotype)
+    };
+  }
+  
+  /**
+   * Get the outside stallions standing at stud
+   * @returns {Array} Stallion summaries with fee, race record and progeny record
+   */
+  getStudRoster() {
+    return this.studManager.getRoster().map(entry => ({
+      id: entry.horse.id,
+      name: entry.horse.name,
+      age: entry.horse.age,
+      breed: entry.horse.breed,
+      rating: entry.horse.calculateOverallRating(),
+      fertility: entry.horse.getFertility(),
+      fee: entry.fee,
+      pedigree: entry.pedigree,
+      record: { ...entry.record },
+      progeny: {
+        foals: entry.progeny.foals.length,
+        runs: entry.progeny.runs,
+        wins: entry.progeny.wins,
+        places: entry.progeny.places,
+        earnings: entry.progeny.earnings
+      }
+    }));
+  }
+  
+  /**
+   * Have the vet scan a covered mare
+   * @param {string} horseId - ID of the mare
+   * @returns {Object} Scan result
+   */
+  scanMare(horseId) {
+    const dam = this.horseManager.getHorse(horseId);
+    
+    if (!dam) {
+      return {
+        success: false,
+        message: 'Horse not found'
+      };
+    }
+    
+    if (!this.player.canAfford(SCAN_FEE)) {
+      return {
+        success: false,
+        message: `Not enough funds to pay the vet scan fee of $${SCAN_FEE}`
+      };
     }
     
-    // Breed the horses
-    const breedingResult = this.horseManager.breedHorses(dam, sire);
+    const scanResult = this.horseManager.scanMare(dam);
     
-    if (breedingResult.success) {
-      // Record breeding in player stats
-      this.player.recordHorseBred();
-      
-      // Update player's horses reference
-      this.player.horses = this.horseManager.getAllHorses();
+    // The vet is only paid for scans that go ahead
+    if (scanResult.success) {
+      this.player.removeFunds(SCAN_FEE, 'Vet scan');
     }
     
-    // Save game after breeding
-    this.saveGame();
-    
     return {
-      ...breedingResult,
-      studFee
+      ...scanResult,
+      cost: scanResult.success ? SCAN_FEE : 0
     };
   }
   
   /**
-   * Sell a horse
+   * Sell a horse. A horse declared to run can't be sold until its race is over; one that is
+   * only entered is withdrawn from its races.
    * @param {string} horseId - ID of the horse to sell
    * @param {number} price - Sale price (if not specified, market value is used)
    * @returns {Object} Result of the sale
@@ -577,10 +1945,30 @@ class GameManager {
       };
     }
     
+    const entries = this.raceManager.getAllRaces()
+      .filter(race => !race.hasRun && race.entrants.some(entrant => entrant.horseId === horseId));
+    const declared = entries.find(race => race.fieldDeclared);
+    
+    if (declared) {
+      return {
+        success: false,
+        message: `${horse.name} has been declared to run in ${declared.name} and can't be sold until after the race`
+      };
+    }
+    
     // Sell the horse
     const saleResult = this.horseManager.sellHorse(horseId, price);
     
     if (saleResult.success) {
+      // Its entries go with it
+      entries.forEach(race => {
+        const result = race.scratchEntrant(horseId);
+        if (result.success) this.recordScratching(race, result.nonRunner);
+      });
+      
+      // The horse leaves the stable but stays in the pedigree registry
+      this.pedigreeManager.register(horse, { source: 'sold' });
+      
       // Add funds from sale
       this.player.addFunds(saleResult.price, `Sale of ${saleResult.horse.name}`);
       
@@ -624,6 +2012,7 @@ class GameManager {
       
       // Update player's horses reference
       this.player.horses = this.horseManager.getAllHorses();
+      this.pedigreeManager.register(horse, { source: 'player' });
     }
     
     // Save game after buying
@@ -675,6 +2064,17 @@ class GameManager {
     this.autosaveEnabled = enabled;
   }
   
+  /**
+   * Toggle the block on parent/offspring matings
+   * @param {boolean} enabled - Whether parent/offspring matings are refused
+   */
+  setParentOffspringBlock(enabled) {
+    this.blockParentOffspringMatings = enabled;
+    if (this.horseManager) {
+      this.horseManager.blockParentOffspringMatings = enabled;
+    }
+  }
+  
   /**
    * Toggle sound
    * @param {boolean} enabled - Whether sound is enabled
@@ -700,39 +2100,201 @@ class GameManager {
     return this.tutorialStep;
   }
   
+  /**
+   * Build the serializable save data for the current game
+   * @returns {Object} Save data
+   */
+  createSaveData() {
+    return {
+      saveVersion: SAVE_VERSION,
+      gameState: this.gameState,
+      gameTime: this.gameTime,
+      gameSpeed: this.gameSpeed,
+      autosaveEnabled: this.autosaveEnabled,
+      soundEnabled: this.soundEnabled,
+      difficulty: this.difficulty,
+      lastSaveTime: new Date().toISOString(),
+      playtime: this.getPlaytime(),
+      tutorialEnabled: this.tutorialEnabled,
+      tutorialStep: this.tutorialStep,
+      blockParentOffspringMatings: this.blockParentOffspringMatings,
+      player: this.player ? this.player.toJSON() : null,
+      horseManager: this.horseManager ? this.horseManager.toJSON() : null,
+      raceManager: this.raceManager ? this.raceManager.toJSON() : null,
+      studManager: this.studManager ? this.studManager.toJSON() : null,
+      pedigreeManager: this.pedigreeManager ? this.pedigreeManager.toJSON() : null,
+      jockeyManager: this.jockeyManager ? this.jockeyManager.toJSON() : null,
+      bettingManager: this.bettingManager ? this.bettingManager.toJSON() : null,
+      weatherManager: this.weatherManager ? this.weatherManager.toJSON() : null,
+      rivalManager: this.rivalManager ? this.rivalManager.toJSON() : null,
+      rng: rng.getState()
+    };
+  }
+  
+  /**
+   * Build the slot metadata shown in the save browser
+   * @param {Object} saveData - Save data for the slot
+   * @param {Object} existing - Existing metadata for the slot, if any
+   * @returns {Object} Slot metadata
+   */
+  createSlotMetadata(saveData, existing = {}) {
+    const player = saveData.player || {};
+    const horses = saveData.horseManager && saveData.horseManager.horses
+      ? saveData.horseManager.horses
+      : (player.horses || []);
+    
+    return {
+      id: existing.id,
+      name: existing.name || player.stableName || 'Unnamed Stable',
+      stableName: player.stableName || '',
+      playerName: player.name || '',
+      gameTime: saveData.gameTime ? { ...saveData.gameTime } : null,
+      funds: player.funds || 0,
+      horseCount: horses.length,
+      difficulty: saveData.difficulty || 'normal',
+      playtime: saveData.playtime || 0,
+      saveVersion: saveData.saveVersion || 0,
+      createdAt: existing.createdAt || saveData.lastSaveTime,
+      savedAt: saveData.lastSaveTime
+    };
+  }
+  
+  /**
+   * Get total playtime in seconds, including the current session
+   * @returns {number} Playtime in seconds
+   */
+  getPlaytime() {
+    const sessionSeconds = this.sessionStartTime ? Math.floor((Date.now() - this.sessionStartTime) / 1000) : 0;
+    return this.playtime + sessionSeconds;
+  }
+  
+  /**
+   * Read the save slot index from storage
+   * @returns {Array} Slot metadata entries
+   */
+  readSlotIndex() {
+    if (!this.storage) return [];
+    
+    try {
+      const index = JSON.parse(this.storage.getItem(SAVE_INDEX_KEY) || '[]');
+      return Array.isArray(index) ? index : [];
+    } catch (error) {
+      console.error('Error reading save slot index:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Write the save slot index to storage
+   * @param {Array} index - Slot metadata entries
+   */
+  writeSlotIndex(index) {
+    if (this.storage) {
+      this.storage.setItem(SAVE_INDEX_KEY, JSON.stringify(index));
+    }
+  }
+  
+  /**
+   * Create a new, unused slot ID
+   * @returns {string} Slot ID
+   */
+  createSlotId() {
+    const index = this.readSlotIndex();
+    let number = index.length + 1;
+    
+    while (index.some(slot => slot.id === `slot${number}`)) {
+      number++;
+    }
+    
+    return `slot${number}`;
+  }
+  
+  /**
+   * Move a save written by the old single-slot format into a slot
+   */
+  migrateLegacySave() {
+    if (!this.storage) return;
+    
+    const legacySave = this.storage.getItem(LEGACY_SAVE_KEY);
+    if (!legacySave) return;
+    
+    try {
+      const saveData = JSON.parse(legacySave);
+      const slotId = this.createSlotId();
+      const index = this.readSlotIndex();
+      
+      this.storage.setItem(SAVE_SLOT_PREFIX + slotId, legacySave);
+      index.push(this.createSlotMetadata(saveData, { id: slotId }));
+      this.writeSlotIndex(index);
+      this.storage.removeItem(LEGACY_SAVE_KEY);
+    } catch (error) {
+      console.error('Error migrating legacy save:', error);
+    }
+  }
+  
+  /**
+   * List all save slots, most recently saved first
+   * @returns {Array} Slot metadata entries
+   */
+  listSaveSlots() {
+    this.migrateLegacySave();
+    
+    return this.readSlotIndex()
+      .map(slot => ({ ...slot, isCurrent: slot.id === this.currentSlotId }))
+      .sort((a, b) => String(b.savedAt || '').localeCompare(String(a.savedAt || '')));
+  }
+  
+  /**
+   * Get metadata for one save slot
+   * @param {string} slotId - ID of the slot
+   * @returns {Object|null} Slot metadata or null if not found
+   */
+  getSaveSlot(slotId) {
+    return this.listSaveSlots().find(slot => slot.id === slotId) || null;
+  }
+  
   /**
    * Save the game
+   * @param {string} slotId - Slot to save into (defaults to the current slot, or a new one)
    * @returns {Object} Save result
    */
-  saveGame() {
+  saveGame(slotId = null) {
     try {
+      if (!this.storage) {
+        return {
+          success: false,
+          message: 'Storage not available'
+        };
+      }
+      
+      this.migrateLegacySave();
+      
       // Create save data
-      const saveData = {
-        gameState: this.gameState,
-        gameTime: this.gameTime,
-        gameSpeed: this.gameSpeed,
-        autosaveEnabled: this.autosaveEnabled,
-        soundEnabled: this.soundEnabled,
-        difficulty: this.difficulty,
-        lastSaveTime: new Date().toISOString(),
-        tutorialEnabled: this.tutorialEnabled,
-        tutorialStep: this.tutorialStep,
-        player: this.player ? this.player.toJSON() : null,
-        horseManager: this.horseManager ? this.horseManager.toJSON() : null,
-        raceManager: this.raceManager ? this.raceManager.toJSON() : null
-      };
+      const saveData = this.createSaveData();
+      const targetSlotId = slotId || this.currentSlotId || this.createSlotId();
+      
+      // Save data and slot metadata
+      this.storage.setItem(SAVE_SLOT_PREFIX + targetSlotId, JSON.stringify(saveData));
       
-      // Save to localStorage
-      if (typeof localStorage !== 'undefined') {
-        localStorage.setItem('horseTycoonSave', JSON.stringify(saveData));
+      const index = this.readSlotIndex();
+      const existingIndex = index.findIndex(slot => slot.id === targetSlotId);
+      const metadata = this.createSlotMetadata(saveData, existingIndex !== -1 ? index[existingIndex] : { id: targetSlotId });
+      
+      if (existingIndex !== -1) {
+        index[existingIndex] = metadata;
+      } else {
+        index.push(metadata);
       }
+      this.writeSlotIndex(index);
       
+      this.currentSlotId = targetSlotId;
       this.lastSaveTime = saveData.lastSaveTime;
       
       return {
         success: true,
         message: 'Game saved successfully',
-        timestamp: this.lastSaveTime
+        timestamp: this.lastSaveTime,
+        slot: metadata
       };
     } catch (error) {
       return {
@@ -744,77 +2306,41 @@ class GameManager {
   
   /**
    * Load a saved game
+   * @param {string} slotId - Slot to load (defaults to the most recent save)
    * @returns {Object} Load result
    */
-  loadGame() {
+  loadGame(slotId = null) {
     try {
-      // Load from localStorage
-      let saveData;
-      
-      if (typeof localStorage !== 'undefined') {
-        const savedGame = localStorage.getItem('horseTycoonSave');
-        
-        if (!savedGame) {
-          return {
-            success: false,
-            message: 'No saved game found'
-          };
-        }
-        
-        saveData = JSON.parse(savedGame);
-      } else {
+      if (!this.storage) {
         return {
           success: false,
-          message: 'localStorage not available'
+          message: 'Storage not available'
         };
       }
       
-      // Set game state
-      this.gameState = saveData.gameState || 'mainMenu';
-      this.gameTime = saveData.gameTime || { day: 1, month: 1, year: 2023 };
-      this.gameSpeed = saveData.gameSpeed || 1;
-      this.autosaveEnabled = saveData.autosaveEnabled !== false;
-      this.soundEnabled = saveData.soundEnabled !== false;
-      this.difficulty = saveData.difficulty || 'normal';
-      this.lastSaveTime = saveData.lastSaveTime || null;
-      this.tutorialEnabled = saveData.tutorialEnabled !== false;
-      this.tutorialStep = saveData.tutorialStep || 0;
-      
-      // Load player
-      if (saveData.player) {
-        this.player = new Player(saveData.player);
-      }
+      // Find the slot to load
+      const slots = this.listSaveSlots();
+      const slot = slotId ? slots.find(s => s.id === slotId) : slots[0];
       
-      // Load horse manager
-      if (saveData.horseManager) {
-        this.horseManager = new HorseManager({
-          gameTime: this.gameTime,
-          playerFunds: this.player ? this.player.funds : 0,
-          stableSize: this.player ? this.player.maxHorses : 5
-        });
-        
-        // Load horses
-        if (saveData.horseManager.horses) {
-          this.horseManager.loadHorses(saveData.horseManager.horses);
-        }
+      if (!slot) {
+        return {
+          success: false,
+          message: 'No saved game found'
+        };
       }
       
-      // Load race manager
-      if (saveData.raceManager) {
-        this.raceManager = new RaceManager({
-          gameTime: this.gameTime,
-          playerReputation: this.player ? this.player.reputation : 0
-        });
-        
-        // Load race manager data
-        this.raceManager.loadFromJSON(saveData.raceManager);
-      }
+      const savedGame = this.storage.getItem(SAVE_SLOT_PREFIX + slot.id);
       
-      // Update player's horses reference
-      if (this.player && this.horseManager) {
-        this.player.horses = this.horseManager.getAllHorses();
+      if (!savedGame) {
+        return {
+          success: false,
+          message: `Save data for "${slot.name}" is missing`
+        };
       }
       
+      const report = this.restoreSaveData(JSON.parse(savedGame));
+      this.currentSlotId = slot.id;
+      
       // Trigger game state change
       this.triggerCallbacks('onGameStateChange', {
         oldState: 'loading',
@@ -824,7 +2350,9 @@ class GameManager {
       return {
         success: true,
         message: 'Game loaded successfully',
-        timestamp: this.lastSaveTime
+        timestamp: this.lastSaveTime,
+        slot,
+        report
       };
     } catch (error) {
       return {
@@ -835,23 +2363,285 @@ class GameManager {
   }
   
   /**
-   * Delete saved game
+   * Rebuild the game from save data, upgrading older save versions first
+   * @param {Object} rawSaveData - Save data created by createSaveData()
+   * @returns {Object} Migration report (migrations applied, fields repaired or dropped)
+   */
+  restoreSaveData(rawSaveData) {
+    // Upgrade and validate before anything is rebuilt (throws for unsupported saves)
+    const { saveData, report } = migrateSave(rawSaveData);
+    this.lastLoadReport = report;
+    
+    // Set game state
+    this.gameState = saveData.gameState || 'mainMenu';
+    this.gameTime = calendar.attach(saveData.gameTime || { ...START_DATE });
+    this.gameSpeed = saveData.gameSpeed || 1;
+    this.autosaveEnabled = saveData.autosaveEnabled !== false;
+    this.soundEnabled = saveData.soundEnabled !== false;
+    this.difficulty = saveData.difficulty || 'normal';
+    this.lastSaveTime = saveData.lastSaveTime || null;
+    this.playtime = saveData.playtime || 0;
+    this.sessionStartTime = Date.now();
+    this.tutorialEnabled = saveData.tutorialEnabled !== false;
+    this.tutorialStep = saveData.tutorialStep || 0;
+    this.blockParentOffspringMatings = saveData.blockParentOffspringMatings !== false;
+    
+    // Load player (validation guarantees the player, horses and races are all in the save, so
+    // nothing from a game that was already running is kept)
+    this.player = new Player(saveData.player);
+    
+    // Load horse manager
+    this.horseManager = new HorseManager({
+      gameTime: this.gameTime,
+      playerFunds: this.player.funds,
+      stableSize: this.player.maxHorses,
+      blockParentOffspringMatings: this.blockParentOffspringMatings
+    });
+    this.horseManager.loadHorses(saveData.horseManager.horses);
+    
+    // Load race manager
+    this.raceManager = new RaceManager({
+      gameTime: this.gameTime,
+      playerReputation: this.player.reputation
+    });
+    this.raceManager.loadFromJSON(saveData.raceManager);
+    
+    // Load the stud roster (saves from before the roster get a fresh one)
+    this.studManager = new StudManager({
+      gameTime: this.gameTime,
+      stallions: saveData.studManager ? saveData.studManager.stallions : []
+    });
+    
+    // Load the pedigree registry (saves from before the registry start one from the current horses)
+    this.pedigreeManager = new PedigreeManager({
+      records: saveData.pedigreeManager ? saveData.pedigreeManager.records : []
+    });
+    
+    // Load the jockey roster (saves from before the roster get a fresh one)
+    this.jockeyManager = new JockeyManager({
+      gameTime: this.gameTime,
+      jockeys: saveData.jockeyManager ? saveData.jockeyManager.jockeys : [],
+      availabilityRolledTo: saveData.jockeyManager ? saveData.jockeyManager.availabilityRolledTo : null
+    });
+    
+    // Load the tote and betting ledger
+    this.bettingManager = new BettingManager({
+      gameTime: this.gameTime,
+      markets: saveData.bettingManager ? saveData.bettingManager.markets : {},
+      bets: saveData.bettingManager ? saveData.bettingManager.bets : []
+    });
+    
+    // Load the weather and track going (older saves start from the usual going for the season)
+    this.weatherManager = new WeatherManager({
+      gameTime: this.gameTime,
+      today: saveData.weatherManager ? saveData.weatherManager.today : null,
+      tracks: saveData.weatherManager ? saveData.weatherManager.tracks : {},
+      history: saveData.weatherManager ? saveData.weatherManager.history : []
+    });
+    if (!saveData.weatherManager) {
+      this.weatherManager.applyGoing(this.raceManager.getAllRaces());
+    }
+    
+    // Load the rival stables and league (saves from before the stables get new ones)
+    this.rivalManager = new RivalManager({
+      ...(saveData.rivalManager || {}),
+      gameTime: this.gameTime
+    });
+    
+    // Update player's horses reference
+    this.player.horses = this.horseManager.getAllHorses();
+    this.updatePedigrees();
+    
+    // Restore the random stream last so rebuilding the managers does not advance it
+    if (saveData.rng) {
+      rng.setState(saveData.rng);
+    }
+    
+    return report;
+  }
+  
+  /**
+   * Rename a save slot
+   * @param {string} slotId - ID of the slot
+   * @param {string} name - New slot name
+   * @returns {Object} Rename result
+   */
+  renameSaveSlot(slotId, name) {
+    const trimmedName = String(name || '').trim();
+    
+    if (!trimmedName) {
+      return {
+        success: false,
+        message: 'Save name cannot be empty'
+      };
+    }
+    
+    const index = this.readSlotIndex();
+    const slot = index.find(s => s.id === slotId);
+    
+    if (!slot) {
+      return {
+        success: false,
+        message: 'Save slot not found'
+      };
+    }
+    
+    slot.name = trimmedName.slice(0, 40);
+    this.writeSlotIndex(index);
+    
+    return {
+      success: true,
+      message: `Save renamed to "${slot.name}"`,
+      slot
+    };
+  }
+  
+  /**
+   * Delete a save slot
+   * @param {string} slotId - ID of the slot
+   * @returns {Object} Delete result
+   */
+  deleteSaveSlot(slotId) {
+    try {
+      const index = this.readSlotIndex();
+      const slot = index.find(s => s.id === slotId);
+      
+      if (!slot) {
+        return {
+          success: false,
+          message: 'Save slot not found'
+        };
+      }
+      
+      this.storage.removeItem(SAVE_SLOT_PREFIX + slotId);
+      this.writeSlotIndex(index.filter(s => s.id !== slotId));
+      
+      // The running game keeps playing but will save into a fresh slot
+      if (this.currentSlotId === slotId) {
+        this.currentSlotId = null;
+      }
+      
+      return {
+        success: true,
+        message: `Deleted save "${slot.name}"`
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: 'Failed to delete save: ' + error.message
+      };
+    }
+  }
+  
+  /**
+   * Delete the current game's save
    * @returns {Object} Delete result
    */
   deleteSavedGame() {
+    if (!this.currentSlotId) {
+      return {
+        success: false,
+        message: 'No saved game to delete'
+      };
+    }
+    
+    const result = this.deleteSaveSlot(this.currentSlotId);
+    
+    return result.success
+      ? { success: true, message: 'Saved game deleted successfully' }
+      : result;
+  }
+  
+  /**
+   * Export a save slot as a compressed, checksummed save file
+   * @param {string} slotId - Slot to export (defaults to the running game)
+   * @returns {Promise<Object>} Export result with the file name and contents
+   */
+  async exportSave(slotId = null) {
+    try {
+      let saveData;
+      let name;
+      
+      if (slotId) {
+        const slot = this.getSaveSlot(slotId);
+        const savedGame = slot && this.storage ? this.storage.getItem(SAVE_SLOT_PREFIX + slotId) : null;
+        
+        if (!savedGame) {
+          return {
+            success: false,
+            message: 'Save slot not found'
+          };
+        }
+        
+        saveData = JSON.parse(savedGame);
+        name = slot.name;
+      } else {
+        if (!this.player) {
+          return {
+            success: false,
+            message: 'No game in progress to export'
+          };
+        }
+        
+        saveData = this.createSaveData();
+        name = this.player.stableName;
+      }
+      
+      const contents = await encodeSaveFile(saveData);
+      const fileName = `${String(name || 'horse-tycoon').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'horse-tycoon'}${SAVE_FILE_EXTENSION}`;
+      
+      return {
+        success: true,
+        message: `Exported "${name}"`,
+        fileName,
+        contents
+      };
+    } catch (error) {
+      return {
+        success: false,
+        message: 'Failed to export save: ' + error.message
+      };
+    }
+  }
+  
+  /**
+   * Import a save file into a new save slot
+   * @param {string} contents - Text contents of a file made by exportSave()
+   * @returns {Promise<Object>} Import result with the new slot and migration report
+   */
+  async importSave(contents) {
     try {
-      if (typeof localStorage !== 'undefined') {
-        localStorage.removeItem('horseTycoonSave');
+      if (!this.storage) {
+        return {
+          success: false,
+          message: 'Storage not available'
+        };
       }
       
+      // Check the file and upgrade it before it is stored
+      const { saveData, report } = migrateSave(await decodeSaveFile(contents));
+      
+      this.migrateLegacySave();
+      
+      const slotId = this.createSlotId();
+      const index = this.readSlotIndex();
+      const metadata = this.createSlotMetadata(saveData, { id: slotId });
+      metadata.name = `${metadata.name} (imported)`.slice(0, 40);
+      
+      this.storage.setItem(SAVE_SLOT_PREFIX + slotId, JSON.stringify(saveData));
+      index.push(metadata);
+      this.writeSlotIndex(index);
+      
       return {
         success: true,
-        message: 'Saved game deleted successfully'
+        message: `Imported "${metadata.name}"`,
+        slot: metadata,
+        report
       };
     } catch (error) {
       return {
         success: false,
-        message: 'Failed to delete saved game: ' + error.message
+        message: 'Failed to import save: ' + error.message
       };
     }
   }
@@ -912,6 +2702,7 @@ class GameManager {
     if (!this.player) {
       return {
         gameTime: this.gameTime,
+        date: calendar.describe(this.gameTime),
         difficulty: this.difficulty,
         lastSaveTime: this.lastSaveTime
       };
@@ -919,6 +2710,7 @@ class GameManager {
     
     return {
       gameTime: this.gameTime,
+      date: calendar.describe(this.gameTime),
       difficulty: this.difficulty,
       lastSaveTime: this.lastSaveTime,
       playerStats: {
@@ -938,21 +2730,20 @@ class GameManager {
       }
     };
   }
-
+  
   /**
    * Check if there is a saved game
    * @returns {boolean} True if there is a saved game
    */
   hasSavedGame() {
     try {
-      const savedGame = localStorage.getItem('horseTycoonSave');
-      return savedGame !== null;
+      return this.listSaveSlots().length > 0;
     } catch (error) {
       console.error('Error checking for saved game:', error);
       return false;
     }
   }
-
+  
   /**
    * Update game state
    * @returns {Object} Update result
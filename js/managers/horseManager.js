@@ -3,6 +3,20 @@
  * 
  * Manages collections of horses and operations on multiple horses
  */
+import Horse, { RETURN_TO_SEASON_DAYS } from '../models/horse.js';
+import rng from '../utils/rng.js';
+import calendar from '../utils/calendar.js';
+import { breedGenotype, inferGenotype, expressPhenotype } from '../utils/genetics.js';
+import { TRAITS, inheritTraits, rollTrait } from '../utils/traits.js';
+
+// Days after covering before a scan can show a pregnancy
+const SCAN_AFTER_DAYS = 14;
+// Inbreeding above this coefficient (first cousins) starts to show in foals
+const INBREEDING_DEPRESSION_THRESHOLD = 0.0625;
+// Weaknesses that inbred foals can be born with
+const INBREEDING_WEAKNESSES = Object.keys(TRAITS).filter(id => TRAITS[id].weakness);
+// Chance a foal is born with a trait neither parent passed on
+const NEW_TRAIT_CHANCE = 0.2;
 
 class HorseManager {
   /**
@@ -15,13 +29,11 @@ class HorseManager {
     this.playerFunds = config.playerFunds || 0;
     this.stableSize = config.stableSize || 5;
     
-    // Load horse class if not in browser context
-    if (typeof Horse === 'undefined' && typeof require !== 'undefined') {
-      const Horse = require('../models/horse.js');
-      this.Horse = Horse;
-    } else {
-      this.Horse = Horse;
-    }
+    // Refuse to cover a mare with her sire or a stallion with his dam
+    this.blockParentOffspringMatings = config.blockParentOffspringMatings !== false;
+    
+    // Model class used to create horses
+    this.Horse = Horse;
   }
   
   /**
@@ -65,7 +77,7 @@ class HorseManager {
     // Check if horse with same ID already exists
     if (this.horses.some(h => h.id === horseInstance.id)) {
       // Generate a new ID for the horse
-      horseInstance.id = Date.now() + '_' + Math.floor(Math.random() * 1000000);
+      horseInstance.id = rng.id();
     }
     
     // Add the horse
@@ -178,10 +190,10 @@ class HorseManager {
     }
     
     // Calculate random quality
-    const quality = minQuality + Math.random() * (adjustedMaxQuality - minQuality);
+    const quality = minQuality + rng.random() * (adjustedMaxQuality - minQuality);
     
     // Calculate random age
-    const age = Math.floor(minAge + Math.random() * (maxAge - minAge + 1));
+    const age = Math.floor(minAge + rng.random() * (maxAge - minAge + 1));
     
     // Create a new horse with the calculated stats
     const horse = new this.Horse({
@@ -266,8 +278,8 @@ class HorseManager {
       horse.gender = gender;
       
       // If preferred breeds are specified, give them higher probability
-      if (preferredBreeds.length > 0 && Math.random() > 0.5) {
-        const randomBreedIndex = Math.floor(Math.random() * preferredBreeds.length);
+      if (preferredBreeds.length > 0 && rng.random() > 0.5) {
+        const randomBreedIndex = Math.floor(rng.random() * preferredBreeds.length);
         horse.breed = preferredBreeds[randomBreedIndex];
       }
       
@@ -282,12 +294,14 @@ class HorseManager {
   }
   
   /**
-   * Breed two horses to produce a foal
+   * Cover a mare with a stallion. Conception depends on both horses' fertility;
+   * a conceived foal is born when the gestation ends.
    * @param {Horse} dam - The mother horse
    * @param {Horse} sire - The father horse
-   * @returns {Object} Result of the breeding operation
+   * @param {Object} options - Covering options { inbreeding } with the foal's coefficient of inbreeding
+   * @returns {Object} Result of the covering
    */
-  breedHorses(dam, sire) {
+  breedHorses(dam, sire, options = {}) {
     // Check if horses exist
     if (!dam || !sire) {
       return {
@@ -304,6 +318,25 @@ class HorseManager {
       };
     }
     
+    // Parent/offspring matings can be ruled out altogether
+    if (this.blockParentOffspringMatings && this.isParentOffspring(dam, sire)) {
+      return {
+        success: false,
+        blocked: true,
+        message: `${dam.name} and ${sire.name} are parent and offspring; parent/offspring matings are not allowed`
+      };
+    }
+    
+    // A mare carries one foal at a time
+    if (dam.pregnancy) {
+      return {
+        success: false,
+        message: dam.pregnancy.confirmed
+          ? `${dam.name} is already in foal`
+          : `${dam.name} has already been covered; scan her to find out whether she is in foal`
+      };
+    }
+    
     // Check breeding cooldowns
     if (dam.breedingCooldown > 0) {
       return {
@@ -328,6 +361,42 @@ class HorseManager {
       };
     }
     
+    // Conception chance from both horses' fertility
+    const conceptionChance = Math.min(0.95, Math.max(0.05, (dam.getFertility() / 100) * (sire.getFertility() / 100) * 1.2));
+    const conceived = rng.random() < conceptionChance;
+    
+    dam.startPregnancy(sire, conceived, this.gameTime, options.inbreeding || 0);
+    
+    return {
+      success: true,
+      message: `${dam.name} has been covered by ${sire.name}. Scan her after ${SCAN_AFTER_DAYS} days to confirm she is in foal.`,
+      covered: true,
+      conceptionChance,
+      scanAfter: calendar.addDays(this.gameTime, SCAN_AFTER_DAYS)
+    };
+  }
+  
+  /**
+   * Check whether one horse is the other's sire or dam
+   * @param {Horse} dam - The mare
+   * @param {Horse} sire - The stallion
+   * @returns {boolean} True for a parent/offspring pairing
+   */
+  isParentOffspring(dam, sire) {
+    return Boolean(
+      (dam.sire && dam.sire.id && dam.sire.id === sire.id) ||
+      (sire.dam && sire.dam.id && sire.dam.id === dam.id)
+    );
+  }
+  
+  /**
+   * Create the foal at the end of a pregnancy
+   * @param {Horse} dam - The mother horse
+   * @param {Object} sire - The sire, or the sire details kept with the pregnancy
+   * @param {number} inbreeding - The foal's coefficient of inbreeding
+   * @returns {Horse} The new foal
+   */
+  createFoal(dam, sire, inbreeding = 0) {
     // Create the foal by mixing parent traits
     const foal = new this.Horse({
       // Set parent references
@@ -342,46 +411,124 @@ class HorseManager {
         breed: dam.breed
       },
       // Determine breed (50% chance of each parent's breed)
-      breed: Math.random() < 0.5 ? dam.breed : sire.breed,
-      // Inherit preferred traits
-      preferredDistance: Math.random() < 0.6 ? dam.preferredDistance : sire.preferredDistance,
-      preferredSurface: Math.random() < 0.6 ? dam.preferredSurface : sire.preferredSurface,
+      breed: rng.random() < 0.5 ? dam.breed : sire.breed,
+      // One gamete from each parent (sires recorded before genotypes existed get one inferred)
+      genotype: breedGenotype(sire.genotype || inferGenotype(sire), dam.genotype || inferGenotype(dam)),
       // Determine gender (50/50 chance)
-      gender: Math.random() < 0.5 ? 'male' : 'female',
+      gender: rng.random() < 0.5 ? 'male' : 'female',
       // Start as a foal
       age: 0,
       // Set birth date
-      birthDay: { ...this.gameTime },
-      // Always owned by player if dam is owned
-      isPlayerOwned: dam.isPlayerOwned
+      birthDay: calendar.getDate()
     });
     
-    // Calculate inherited stats
+    // Express stats and preferences from the inherited genotype
     this.calculateInheritedStats(foal, dam, sire);
     
-    // Set cooldown for dam
-    dam.breedingCooldown = 30; // 30 days cooldown after breeding
-    
-    // Add foal to stable if dam is player-owned
-    let addResult = { success: true };
-    if (dam.isPlayerOwned) {
-      addResult = this.addHorse(foal);
-      if (!addResult.success) {
-        return {
-          success: false,
-          message: 'Failed to add foal to stable: ' + addResult.message
-        };
-      }
+    // Close inbreeding takes its toll
+    this.applyInbreedingEffects(foal, inbreeding);
+    
+    return foal;
+  }
+  
+  /**
+   * Apply the effects of inbreeding to a newborn foal: lower fertility and a chance of weaknesses
+   * @param {Horse} foal - The foal
+   * @param {number} inbreeding - The foal's coefficient of inbreeding
+   */
+  applyInbreedingEffects(foal, inbreeding) {
+    foal.inbreeding = inbreeding;
+    
+    if (inbreeding < INBREEDING_DEPRESSION_THRESHOLD) return;
+    
+    // A full-sibling or parent/offspring foal (0.25) loses about 20 points of fertility
+    foal.fertility = Math.max(10, Math.round(foal.fertility - inbreeding * 80));
+    
+    // Weaknesses get more likely and can stack the more inbred the foal is
+    let chance = Math.min(0.9, inbreeding * 2.5);
+    const available = INBREEDING_WEAKNESSES.filter(weakness => !foal.traits.includes(weakness));
+    
+    while (available.length > 0 && rng.random() < chance) {
+      const [weakness] = available.splice(Math.floor(rng.random() * available.length), 1);
+      foal.traits.push(weakness);
+      chance /= 2;
     }
+  }
+  
+  /**
+   * Scan a covered mare to find out whether she is in foal
+   * @param {Horse} dam - The mare to scan
+   * @returns {Object} Scan result
+   */
+  scanMare(dam) {
+    if (!dam || !dam.pregnancy) {
+      return {
+        success: false,
+        message: dam ? `${dam.name} has not been covered` : 'Horse not found'
+      };
+    }
+    
+    const status = dam.getPregnancyStatus(this.gameTime);
+    
+    if (status.daysInFoal < SCAN_AFTER_DAYS) {
+      return {
+        success: false,
+        message: `Too early to scan ${dam.name}; try again in ${SCAN_AFTER_DAYS - status.daysInFoal} days`
+      };
+    }
+    
+    // Not in foal: she comes back into season and can be covered again
+    if (!status.inFoal) {
+      dam.pregnancy = null;
+      
+      return {
+        success: true,
+        inFoal: false,
+        message: `${dam.name} is not in foal. She can be covered again.`
+      };
+    }
+    
+    dam.pregnancy.confirmed = true;
+    dam.pregnancy.scans.push({ date: calendar.getDate(), daysInFoal: status.daysInFoal });
     
     return {
       success: true,
-      message: `Breeding successful! ${dam.name} and ${sire.name} produced a ${foal.gender === 'male' ? 'colt' : 'filly'}.`,
-      foal,
-      addedToStable: dam.isPlayerOwned
+      inFoal: true,
+      message: `${dam.name} is ${status.daysInFoal} days in foal to ${status.sire.name}. Due ${calendar.formatDate(status.dueDate)}.`,
+      pregnancy: dam.getPregnancyStatus(this.gameTime)
     };
   }
   
+  /**
+   * Progress a mare's pregnancy for the day
+   * @param {Horse} dam - The mare
+   * @returns {Object|null} Foaling or return-to-season details, or null if nothing happened
+   */
+  updatePregnancy(dam) {
+    if (!dam.pregnancy) return null;
+    
+    const status = dam.getPregnancyStatus(this.gameTime);
+    
+    // Unscanned mares that did not conceive show it by coming back into season
+    if (!status.inFoal) {
+      if (status.daysInFoal < RETURN_TO_SEASON_DAYS) return null;
+      
+      dam.pregnancy = null;
+      return { type: 'returnedToSeason' };
+    }
+    
+    if (status.daysToDue > 0) return null;
+    
+    // Foaling
+    const foal = this.createFoal(dam, dam.pregnancy.sire, dam.pregnancy.inbreeding || 0);
+    const sire = { ...status.sire };
+    
+    dam.pregnancy = null;
+    dam.breedingCooldown = 30; // Rest before she can be covered again
+    
+    return { type: 'foaling', foal, sire };
+  }
+  
   /**
    * Calculate inherited stats for a foal based on parents
    * @param {Horse} foal - The foal to calculate stats for
@@ -389,67 +536,41 @@ class HorseManager {
    * @param {Horse} sire - The father horse
    */
   calculateInheritedStats(foal, dam, sire) {
-    // Core stats are inherited with random weighting from parents
-    // plus some random variation
+    // Genetic stats are expressed from the foal's genotype, with some
+    // environmental variation on top
+    const phenotype = expressPhenotype(foal.genotype);
     
-    const statNames = ['speed', 'acceleration', 'stamina', 'jumping', 'temperament'];
-    
-    statNames.forEach(stat => {
-      // Weighted average of parents' stats (random weight)
-      const parentWeight = Math.random(); // 0 to 1
-      const parentAvg = (dam[stat] * parentWeight) + (sire[stat] * (1 - parentWeight));
-      
-      // Add random variation (±10%)
-      const variation = (Math.random() * 0.2) - 0.1; // -10% to +10%
-      
-      // Calculate stat with a small boost for genetic potential
-      const inheritedStat = Math.round(parentAvg * (1 + variation));
-      
-      // Ensure stat is within reasonable range (10-100)
-      foal[stat] = Math.max(10, Math.min(100, inheritedStat));
+    ['speed', 'acceleration', 'stamina', 'temperament'].forEach(stat => {
+      const variation = Math.round(rng.random() * 12) - 6; // -6 to +6
+      foal[stat] = Math.max(10, Math.min(100, phenotype[stat] + variation));
     });
     
-    // Calculate potential (slightly higher than parents on average)
-    const damPotential = dam.potential || 0;
-    const sirePotential = sire.potential || 0;
-    const parentPotentialAvg = (damPotential + sirePotential) / 2;
+    // Jumping is not carried on the genotype: weighted average of the parents (±10%)
+    const parentWeight = rng.random();
+    const parentAvg = (dam.jumping * parentWeight) + (sire.jumping * (1 - parentWeight));
+    foal.jumping = Math.max(10, Math.min(100, Math.round(parentAvg * (0.9 + rng.random() * 0.2))));
+    
+    // Preferences follow the genotype exactly
+    foal.preferredDistance = phenotype.preferredDistance;
+    foal.preferredSurface = phenotype.preferredSurface;
+    foal.preferredGoing = phenotype.preferredGoing;
     
-    // Potential can sometimes exceed parents (genetic lottery)
-    const potentialBoost = Math.random() < 0.3 ? Math.random() * 15 : 0;
-    foal.potential = Math.min(100, parentPotentialAvg + potentialBoost);
+    // Potential is what the genotype allows
+    foal.potential = foal.calculatePotential();
     
     // Growth rate varies with potential
     foal.growthRate = 0.8 + (foal.potential / 100) * 0.4; // 0.8 to 1.2
     
-    // Calculate traits - chance to inherit traits from parents
-    // or develop new ones
-    foal.traits = [];
-    
-    // 70% chance to inherit a trait from each parent
-    if (dam.traits && dam.traits.length > 0 && Math.random() < 0.7) {
-      const randomDamTrait = dam.traits[Math.floor(Math.random() * dam.traits.length)];
-      foal.traits.push(randomDamTrait);
-    }
-    
-    if (sire.traits && sire.traits.length > 0 && Math.random() < 0.7) {
-      const randomSireTrait = sire.traits[Math.floor(Math.random() * sire.traits.length)];
-      // Avoid duplicate traits
-      if (!foal.traits.includes(randomSireTrait)) {
-        foal.traits.push(randomSireTrait);
-      }
-    }
+    // Each innate trait of either parent passes on according to its heritability;
+    // acquired traits are not inherited
+    foal.traits = inheritTraits(dam.traits, sire.traits, () => rng.random());
     
-    // 20% chance for a random new trait
-    if (Math.random() < 0.2) {
-      const possibleTraits = [
-        'Sprinter', 'Endurance', 'Quick Learner', 'Calm', 'Competitive',
-        'Late Bloomer', 'Early Developer', 'Mud Runner', 'Turf Specialist'
-      ];
-      
-      const newTrait = possibleTraits[Math.floor(Math.random() * possibleTraits.length)];
+    // Occasionally a foal has a trait of its own, rarer traits less often
+    if (rng.random() < NEW_TRAIT_CHANCE) {
+      const newTrait = rollTrait(() => rng.random(), trait => !trait.weakness);
       
       // Avoid duplicate traits
-      if (!foal.traits.includes(newTrait)) {
+      if (newTrait && !foal.traits.includes(newTrait)) {
         foal.traits.push(newTrait);
       }
     }
@@ -559,22 +680,43 @@ class HorseManager {
     const results = {
       updates: [],
       birthdays: [],
+      foalings: [],
+      returnedToSeason: [],
       recoveries: [],
       cooldowns: []
     };
     
     this.horses.forEach(horse => {
-      // Update horse for a new day
-      const updateResult = horse.update(this.gameTime);
+      // Update horse for a new day (horses age on the racing birthday)
+      const updateResult = horse.update(1, this.gameTime);
+      
+      // Pregnancies end in a foal, or a return to season if the mare did not conceive
+      const pregnancyResult = this.updatePregnancy(horse);
+      if (pregnancyResult && pregnancyResult.type === 'foaling') {
+        results.foalings.push({
+          damId: horse.id,
+          damName: horse.name,
+          sire: pregnancyResult.sire,
+          foal: pregnancyResult.foal
+        });
+      } else if (pregnancyResult) {
+        results.returnedToSeason.push({
+          id: horse.id,
+          name: horse.name
+        });
+      }
       
       // Process update results
-      if (updateResult.hadBirthday) {
+      updateResult.birthdays.forEach(birthday => {
         results.birthdays.push({
           id: horse.id,
           name: horse.name,
-          age: horse.age
+          age: birthday.age,
+          lifeStage: birthday.lifeStage,
+          previousLifeStage: birthday.previousLifeStage,
+          changes: birthday.changes
         });
-      }
+      });
       
       if (updateResult.recoveredFromInjury) {
         results.recoveries.push({
@@ -600,6 +742,11 @@ class HorseManager {
       });
     });
     
+    // Foals join the stable once the day's updates are done; a foal is born even if every box is full
+    results.foalings.forEach(foaling => {
+      this.horses.push(foaling.foal);
+    });
+    
     return results;
   }
   
@@ -0,0 +1,364 @@
+/**
+ * Horse Tycoon - Jockey Manager Class
+ * 
+ * Keeps the roster of professional jockeys, their skills, fees, availability, bookings and partnerships
+ */
+import Race from '../models/race.js';
+import rng from '../utils/rng.js';
+import calendar from '../utils/calendar.js';
+
+const ROSTER_SIZE = 16;
+// Days ahead for which availability is known, matching the race schedule
+const AVAILABILITY_HORIZON = 8;
+const UNAVAILABLE_CHANCE = 0.12;
+const UNAVAILABLE_REASONS = ['riding at another meeting', 'riding at another meeting', 'suspended', 'injured', 'on holiday'];
+const MIN_RIDING_FEE = 40;
+// Rides together before a partnership is fully familiar
+const FULL_FAMILIARITY_RIDES = 6;
+
+// The stable's own rider, used when no jockey is booked
+const STABLE_JOCKEY = {
+  jockeyId: null,
+  name: 'Stable Jockey',
+  tactics: 40,
+  strength: 40,
+  finish: 40,
+  weight: 55,
+  familiarity: 50,
+  rating: 40
+};
+
+class JockeyManager {
+  /**
+   * Create a new Jockey Manager
+   * @param {Object} config - The manager configuration
+   */
+  constructor(config = {}) {
+    this.gameTime = config.gameTime || { day: 1, month: 1, year: 2023 };
+    
+    // Jockeys: { id, name, skills, weight, fee, rides, wins, places, partnerships, unavailable, bookings }
+    this.jockeys = config.jockeys || [];
+    
+    // Last day number whose availability has been rolled
+    this.availabilityRolledTo = config.availabilityRolledTo || null;
+    
+    if (this.jockeys.length === 0) {
+      this.generateRoster(ROSTER_SIZE);
+    }
+    
+    this.rollAvailability();
+  }
+  
+  /**
+   * Fill the roster with jockeys from journeymen to champions
+   * @param {number} count - Number of jockeys to add
+   * @returns {Array} The new jockeys
+   */
+  generateRoster(count = ROSTER_SIZE) {
+    const jockeys = [];
+    
+    for (let i = 0; i < count; i++) {
+      const quality = 35 + Math.round((i / Math.max(1, count - 1)) * 55) + Math.floor(rng.random() * 7) - 3;
+      const jockey = this.generateJockey(quality);
+      this.jockeys.push(jockey);
+      jockeys.push(jockey);
+    }
+    
+    return jockeys;
+  }
+  
+  /**
+   * Generate a jockey around a quality level
+   * @param {number} quality - Target overall skill (0-100)
+   * @returns {Object} Jockey
+   */
+  generateJockey(quality) {
+    const skill = () => Math.max(10, Math.min(100, quality + Math.floor(rng.random() * 21) - 10));
+    
+    const jockey = {
+      id: rng.id('jockey'),
+      name: this.generateUniqueName(),
+      skills: {
+        tactics: skill(),
+        strength: skill(),
+        finish: skill()
+      },
+      weight: 50 + Math.floor(rng.random() * 9), // Riding weight in kg
+      fee: 0,
+      rides: 0,
+      wins: 0,
+      places: 0,
+      partnerships: {},
+      unavailable: {},
+      bookings: []
+    };
+    
+    jockey.fee = this.calculateFee(jockey);
+    return jockey;
+  }
+  
+  /**
+   * Generate a name not already used on the roster
+   * @returns {string} Jockey name
+   */
+  generateUniqueName() {
+    const taken = new Set(this.jockeys.map(jockey => jockey.name));
+    let name = Race.prototype.generateRandomJockeyName();
+    
+    for (let attempt = 0; taken.has(name) && attempt < 20; attempt++) {
+      name = Race.prototype.generateRandomJockeyName();
+    }
+    
+    return taken.has(name) ? `${name} Jr` : name;
+  }
+  
+  /**
+   * Calculate a jockey's overall riding rating
+   * @param {Object} jockey - The jockey
+   * @returns {number} Rating (0-100)
+   */
+  calculateRating(jockey) {
+    const { tactics, strength, finish } = jockey.skills;
+    return Math.round(tactics * 0.35 + strength * 0.25 + finish * 0.4);
+  }
+  
+  /**
+   * Calculate a jockey's riding fee from their rating
+   * @param {Object} jockey - The jockey
+   * @returns {number} Fee per ride, rounded to $5
+   */
+  calculateFee(jockey) {
+    const rating = this.calculateRating(jockey);
+    return Math.round(Math.max(MIN_RIDING_FEE, 20 + (rating * rating) / 40) / 5) * 5;
+  }
+  
+  /**
+   * Get every jockey, best first
+   * @returns {Array} Jockeys
+   */
+  getRoster() {
+    return [...this.jockeys].sort((a, b) => this.calculateRating(b) - this.calculateRating(a));
+  }
+  
+  /**
+   * Get a jockey by ID
+   * @param {string} jockeyId - ID of the jockey
+   * @returns {Object|null} The jockey or null if not found
+   */
+  getJockey(jockeyId) {
+    return this.jockeys.find(jockey => jockey.id === jockeyId) || null;
+  }
+  
+  /**
+   * Decide which jockeys are unavailable on days that have come into view
+   */
+  rollAvailability() {
+    const today = calendar.toDayNumber(this.gameTime);
+    const lastDay = today + AVAILABILITY_HORIZON - 1;
+    const firstDay = this.availabilityRolledTo === null ? today : Math.max(today, this.availabilityRolledTo + 1);
+    
+    for (let day = firstDay; day <= lastDay; day++) {
+      this.jockeys.forEach(jockey => {
+        if (rng.random() < UNAVAILABLE_CHANCE) {
+          jockey.unavailable[day] = UNAVAILABLE_REASONS[Math.floor(rng.random() * UNAVAILABLE_REASONS.length)];
+        }
+      });
+    }
+    
+    this.availabilityRolledTo = Math.max(this.availabilityRolledTo || 0, lastDay);
+  }
+  
+  /**
+   * Check whether a jockey can take a ride in a race
+   * @param {string} jockeyId - ID of the jockey
+   * @param {Race} race - The race
+   * @param {string} horseId - ID of the horse to ride, if any
+   * @returns {Object} { available, reason }
+   */
+  checkAvailability(jockeyId, race, horseId = null) {
+    const jockey = this.getJockey(jockeyId);
+    if (!jockey) {
+      return { available: false, reason: 'Jockey not found' };
+    }
+    
+    const day = race.scheduleDay ? calendar.toDayNumber(race.scheduleDay) : calendar.toDayNumber(this.gameTime);
+    if (jockey.unavailable[day]) {
+      return { available: false, reason: `${jockey.name} is ${jockey.unavailable[day]} that day` };
+    }
+    
+    const booking = jockey.bookings.find(b => b.raceId === race.id);
+    if (booking && booking.horseId !== horseId) {
+      return { available: false, reason: `${jockey.name} is already booked to ride ${booking.horseName} in this race` };
+    }
+    
+    return { available: true, reason: null };
+  }
+  
+  /**
+   * Get how well a jockey knows a horse
+   * @param {string} jockeyId - ID of the jockey
+   * @param {string} horseId - ID of the horse
+   * @returns {number} Familiarity (0-100)
+   */
+  getFamiliarity(jockeyId, horseId) {
+    const jockey = this.getJockey(jockeyId);
+    const partnership = jockey && jockey.partnerships[horseId];
+    if (!partnership) return 0;
+    
+    return Math.min(100, Math.round((partnership.rides / FULL_FAMILIARITY_RIDES) * 100));
+  }
+  
+  /**
+   * Build the ride details a race needs for a jockey on a horse
+   * @param {string|null} jockeyId - ID of the jockey, or null for the stable jockey
+   * @param {string|null} horseId - ID of the horse, if known
+   * @returns {Object} Ride { jockeyId, name, tactics, strength, finish, weight, familiarity, rating }
+   */
+  getRide(jockeyId, horseId = null) {
+    const jockey = jockeyId ? this.getJockey(jockeyId) : null;
+    if (!jockey) return { ...STABLE_JOCKEY };
+    
+    return {
+      jockeyId: jockey.id,
+      name: jockey.name,
+      ...jockey.skills,
+      weight: jockey.weight,
+      familiarity: horseId ? this.getFamiliarity(jockey.id, horseId) : 0,
+      rating: this.calculateRating(jockey)
+    };
+  }
+  
+  /**
+   * Book a jockey to ride a horse in a race
+   * @param {string} jockeyId - ID of the jockey
+   * @param {Race} race - The race
+   * @param {Object} horse - The horse { id, name }
+   * @returns {Object} Result with the fee and ride on success
+   */
+  bookRide(jockeyId, race, horse) {
+    const availability = this.checkAvailability(jockeyId, race, horse.id);
+    if (!availability.available) {
+      return {
+        success: false,
+        message: availability.reason
+      };
+    }
+    
+    const jockey = this.getJockey(jockeyId);
+    jockey.bookings = jockey.bookings.filter(b => b.raceId !== race.id);
+    jockey.bookings.push({
+      raceId: race.id,
+      raceName: race.name,
+      horseId: horse.id,
+      horseName: horse.name,
+      date: race.scheduleDay ? { ...race.scheduleDay } : calendar.getDate(),
+      fee: jockey.fee
+    });
+    
+    return {
+      success: true,
+      message: `${jockey.name} will ride ${horse.name} in ${race.name}`,
+      fee: jockey.fee,
+      ride: this.getRide(jockeyId, horse.id)
+    };
+  }
+  
+  /**
+   * Cancel a booking, for example when a horse is withdrawn
+   * @param {string} raceId - ID of the race
+   * @param {string} horseId - ID of the horse
+   * @returns {Object|null} The cancelled booking, or null if there was none
+   */
+  cancelBooking(raceId, horseId) {
+    for (const jockey of this.jockeys) {
+      const booking = jockey.bookings.find(b => b.raceId === raceId && b.horseId === horseId);
+      if (booking) {
+        jockey.bookings = jockey.bookings.filter(b => b !== booking);
+        return { ...booking, jockeyId: jockey.id, jockeyName: jockey.name };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get rides for jockeys free to take outside mounts in a race
+   * @param {Race} race - The race
+   * @returns {Array} Rides of available jockeys without a booking in the race
+   */
+  getAvailableRides(race) {
+    return this.jockeys
+      .filter(jockey => !jockey.bookings.some(b => b.raceId === race.id))
+      .filter(jockey => this.checkAvailability(jockey.id, race).available)
+      .map(jockey => this.getRide(jockey.id));
+  }
+  
+  /**
+   * Record a finished ride
+   * @param {string} jockeyId - ID of the jockey
+   * @param {string} raceId - ID of the race
+   * @param {string} horseId - ID of the horse
+   * @param {number} position - Finishing position
+   * @param {boolean} trackPartnership - Whether to remember the partnership (only for horses that race again)
+   */
+  recordRide(jockeyId, raceId, horseId, position, trackPartnership = false) {
+    const jockey = this.getJockey(jockeyId);
+    if (!jockey) return;
+    
+    jockey.rides++;
+    if (position === 1) {
+      jockey.wins++;
+    } else if (position <= 3) {
+      jockey.places++;
+    }
+    
+    if (trackPartnership) {
+      const partnership = jockey.partnerships[horseId] || (jockey.partnerships[horseId] = { rides: 0, wins: 0 });
+      partnership.rides++;
+      if (position === 1) partnership.wins++;
+    }
+    
+    jockey.bookings = jockey.bookings.filter(b => !(b.raceId === raceId && b.horseId === horseId));
+  }
+  
+  /**
+   * Update the roster for a new day
+   * @param {Object} gameTime - Current game time
+   * @returns {Object} Update results
+   */
+  update(gameTime = null) {
+    if (gameTime) {
+      this.gameTime = gameTime;
+    }
+    
+    const today = calendar.toDayNumber(this.gameTime);
+    
+    // Forget past days and bookings for races that have gone
+    this.jockeys.forEach(jockey => {
+      Object.keys(jockey.unavailable).forEach(day => {
+        if (Number(day) < today) delete jockey.unavailable[day];
+      });
+      jockey.bookings = jockey.bookings.filter(b => calendar.toDayNumber(b.date) >= today);
+    });
+    
+    this.rollAvailability();
+    
+    return {
+      success: true
+    };
+  }
+  
+  /**
+   * Convert manager to a plain object for serialization
+   * @returns {Object} Serializable manager object
+   */
+  toJSON() {
+    return {
+      gameTime: this.gameTime,
+      availabilityRolledTo: this.availabilityRolledTo,
+      jockeys: this.jockeys
+    };
+  }
+}
+
+export default JockeyManager;
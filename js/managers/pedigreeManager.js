@@ -0,0 +1,309 @@
+/**
+ * Horse Tycoon - Pedigree Manager Class
+ * 
+ * Registry of every horse the game has seen and its ancestors, kept after horses are sold or retired
+ */
+import calendar from '../utils/calendar.js';
+
+const DEFAULT_GENERATIONS = 4;
+// Generations of ancestors searched for common ancestors when working out inbreeding
+const INBREEDING_GENERATIONS = 6;
+const PEDIGREE_EXPORT_FORMAT = 'horse-tycoon-pedigree';
+const PEDIGREE_EXPORT_VERSION = 1;
+
+class PedigreeManager {
+  /**
+   * Create a new Pedigree Manager
+   * @param {Object} config - The manager configuration
+   */
+  constructor(config = {}) {
+    // Records keyed by horse ID
+    this.records = {};
+    
+    (config.records || []).forEach(record => {
+      this.records[record.id] = record;
+    });
+  }
+  
+  /**
+   * Add or refresh a horse's record, and its parents' if they are not yet known
+   * @param {Horse} horse - The horse to register
+   * @param {Object} options - { source, record, pedigree } where record overrides the race record
+   *   and pedigree gives named ancestors ({ sire: { name, sire, dam }, dam: ... }) for horses without known parents
+   * @returns {Object} The horse's registry record
+   */
+  register(horse, options = {}) {
+    const existing = this.records[horse.id] || {};
+    const pedigree = options.pedigree || {};
+    
+    const record = {
+      id: horse.id,
+      name: horse.name,
+      gender: horse.gender,
+      breed: horse.breed || existing.breed || null,
+      color: horse.color || existing.color || null,
+      birthYear: horse.birthDay ? horse.birthDay.year : (existing.birthYear || null),
+      sireId: this.registerParent(horse.id, 'sire', horse.sire, pedigree.sire) || existing.sireId || null,
+      damId: this.registerParent(horse.id, 'dam', horse.dam, pedigree.dam) || existing.damId || null,
+      rating: typeof horse.calculateOverallRating === 'function' ? horse.calculateOverallRating() : (existing.rating || null),
+      record: options.record ? { ...options.record } : {
+        starts: Array.isArray(horse.races) ? horse.races.length : 0,
+        wins: horse.racesWon || 0,
+        places: horse.racesPlaced || 0,
+        earnings: horse.earnings || 0
+      },
+      source: options.source || existing.source || 'external',
+      placeholder: false,
+      updatedOn: calendar.getDate()
+    };
+    
+    this.records[horse.id] = record;
+    return record;
+  }
+  
+  /**
+   * Make sure a parent has a record, creating a placeholder from what the child knows about it
+   * @param {string} childId - ID of the child
+   * @param {string} side - 'sire' or 'dam'
+   * @param {Object|null} parent - Parent reference { id, name } kept on the child
+   * @param {Object|null} pedigree - Named ancestors of the parent, if known
+   * @returns {string|null} The parent's record ID, or null if the parent is unknown
+   */
+  registerParent(childId, side, parent, pedigree) {
+    if (!parent && !pedigree) return null;
+    
+    // Ancestors without an ID get one derived from the child so they stay stable
+    const id = (parent && parent.id) || `${childId}_${side === 'sire' ? 's' : 'd'}`;
+    
+    if (!this.records[id]) {
+      this.records[id] = {
+        id,
+        name: (parent && parent.name) || (pedigree && pedigree.name) || 'Unknown',
+        gender: side === 'sire' ? 'male' : 'female',
+        breed: (parent && parent.breed) || null,
+        color: null,
+        birthYear: null,
+        sireId: null,
+        damId: null,
+        rating: null,
+        record: null,
+        source: 'external',
+        placeholder: true,
+        updatedOn: calendar.getDate()
+      };
+    }
+    
+    // Fill in grandparents the record is still missing
+    const record = this.records[id];
+    if (pedigree) {
+      if (!record.sireId && pedigree.sire) {
+        record.sireId = this.registerParent(id, 'sire', null, pedigree.sire);
+      }
+      if (!record.damId && pedigree.dam) {
+        record.damId = this.registerParent(id, 'dam', null, pedigree.dam);
+      }
+    }
+    
+    return id;
+  }
+  
+  /**
+   * Get a horse's registry record
+   * @param {string} horseId - ID of the horse
+   * @returns {Object|null} Registry record or null if not found
+   */
+  getRecord(horseId) {
+    return this.records[horseId] || null;
+  }
+  
+  /**
+   * Build a horse's pedigree tree
+   * @param {string} horseId - ID of the horse
+   * @param {number} generations - Generations to include, counting the horse itself as the first
+   * @param {number} generation - Generation of this node (0 for the horse itself)
+   * @returns {Object|null} Tree node { ...record, generation, sire, dam }, or null if the horse is unknown
+   */
+  getPedigree(horseId, generations = DEFAULT_GENERATIONS + 1, generation = 0) {
+    const record = this.getRecord(horseId);
+    if (!record) return null;
+    
+    const hasParents = generation + 1 < generations;
+    
+    return {
+      ...record,
+      record: record.record ? { ...record.record } : null,
+      generation,
+      sire: hasParents && record.sireId ? this.getPedigree(record.sireId, generations, generation + 1) : null,
+      dam: hasParents && record.damId ? this.getPedigree(record.damId, generations, generation + 1) : null
+    };
+  }
+  
+  /**
+   * Get the ancestors in one generation of a pedigree, sire's side first
+   * @param {Object} tree - Pedigree tree from getPedigree
+   * @param {number} generation - Generation to list (1 = parents, 2 = grandparents, ...)
+   * @returns {Array} Ancestor nodes, with null for unknown ancestors
+   */
+  getGeneration(tree, generation) {
+    let nodes = [tree];
+    
+    for (let i = 0; i < generation; i++) {
+      nodes = nodes.flatMap(node => (node ? [node.sire, node.dam] : [null, null]));
+    }
+    
+    return nodes;
+  }
+  
+  /**
+   * Get the IDs of a horse's known ancestors
+   * @param {string} horseId - ID of the horse
+   * @param {number} generations - Generations of ancestors to search
+   * @returns {Set} Ancestor IDs
+   */
+  getAncestorIds(horseId, generations = INBREEDING_GENERATIONS) {
+    const ancestors = new Set();
+    let current = [horseId];
+    
+    for (let i = 0; i < generations && current.length > 0; i++) {
+      current = current
+        .map(id => this.getRecord(id))
+        .filter(Boolean)
+        .flatMap(record => [record.sireId, record.damId])
+        .filter(Boolean);
+      current.forEach(id => ancestors.add(id));
+    }
+    
+    return ancestors;
+  }
+  
+  /**
+   * Calculate the coefficient of kinship between two horses: the chance that an allele
+   * taken at random from each is identical by descent
+   * @param {string} aId - ID of the first horse
+   * @param {string} bId - ID of the second horse
+   * @param {number} generations - Generations of ancestors to search
+   * @returns {number} Kinship coefficient (0-1)
+   */
+  calculateKinship(aId, bId, generations = INBREEDING_GENERATIONS) {
+    const ancestorCache = {};
+    const ancestorsOf = id => {
+      if (!ancestorCache[id]) {
+        ancestorCache[id] = this.getAncestorIds(id, generations * 2);
+      }
+      return ancestorCache[id];
+    };
+    
+    const kinship = (a, b, depth) => {
+      if (!a || !b || depth > generations * 2) return 0;
+      
+      if (a === b) {
+        const record = this.getRecord(a);
+        return 0.5 * (1 + (record ? kinship(record.sireId, record.damId, depth + 1) : 0));
+      }
+      
+      // Step back through the parents of whichever horse is not an ancestor of the other
+      const younger = ancestorsOf(b).has(a) ? b : a;
+      const other = younger === a ? b : a;
+      const record = this.getRecord(younger);
+      if (!record) return 0;
+      
+      return 0.5 * (kinship(record.sireId, other, depth + 1) + kinship(record.damId, other, depth + 1));
+    };
+    
+    return kinship(aId, bId, 0);
+  }
+  
+  /**
+   * Calculate the coefficient of inbreeding a foal of two horses would have
+   * @param {string} sireId - ID of the sire
+   * @param {string} damId - ID of the dam
+   * @returns {number} Coefficient of inbreeding (0-1)
+   */
+  calculateFoalInbreeding(sireId, damId) {
+    return this.calculateKinship(sireId, damId);
+  }
+  
+  /**
+   * Calculate a horse's own coefficient of inbreeding
+   * @param {string} horseId - ID of the horse
+   * @returns {number} Coefficient of inbreeding (0-1)
+   */
+  calculateInbreeding(horseId) {
+    const record = this.getRecord(horseId);
+    return record ? this.calculateKinship(record.sireId, record.damId) : 0;
+  }
+  
+  /**
+   * Describe how two horses are related, if closely
+   * @param {string} aId - ID of the first horse
+   * @param {string} bId - ID of the second horse
+   * @returns {string|null} 'parent and offspring', 'full siblings', 'half siblings', 'grandparent and grandchild' or null
+   */
+  getRelationship(aId, bId) {
+    const a = this.getRecord(aId);
+    const b = this.getRecord(bId);
+    if (!a || !b) return null;
+    
+    const parentsOf = record => [record.sireId, record.damId].filter(Boolean);
+    
+    if (parentsOf(a).includes(bId) || parentsOf(b).includes(aId)) return 'parent and offspring';
+    
+    const sharedParents = parentsOf(a).filter(id => parentsOf(b).includes(id)).length;
+    if (sharedParents === 2) return 'full siblings';
+    if (sharedParents === 1) return 'half siblings';
+    
+    const grandparentsOf = record => parentsOf(record).flatMap(id => (this.getRecord(id) ? parentsOf(this.getRecord(id)) : []));
+    if (grandparentsOf(a).includes(bId) || grandparentsOf(b).includes(aId)) return 'grandparent and grandchild';
+    
+    return null;
+  }
+  
+  /**
+   * Build an export of a horse's pedigree
+   * @param {string} horseId - ID of the horse
+   * @param {number} generations - Generations of ancestors to include
+   * @returns {Object|null} Export { format, version, exportedOn, generations, pedigree, text }, or null if the horse is unknown
+   */
+  exportPedigree(horseId, generations = DEFAULT_GENERATIONS) {
+    const tree = this.getPedigree(horseId, generations + 1);
+    if (!tree) return null;
+    
+    // Indented text version for printing or sharing
+    const lines = [];
+    const describe = node => {
+      const details = [node.birthYear, node.color, node.breed].filter(Boolean).join(', ');
+      const record = node.record
+        ? ` - ${node.record.starts} starts, ${node.record.wins} wins, ${node.record.places} places, $${node.record.earnings.toLocaleString()}`
+        : '';
+      return `${node.name}${details ? ` (${details})` : ''}${record}`;
+    };
+    const walk = (node, label, depth) => {
+      if (!node) return;
+      lines.push(`${'  '.repeat(depth)}${label}${describe(node)}`);
+      walk(node.sire, 'Sire: ', depth + 1);
+      walk(node.dam, 'Dam: ', depth + 1);
+    };
+    walk(tree, '', 0);
+    
+    return {
+      format: PEDIGREE_EXPORT_FORMAT,
+      version: PEDIGREE_EXPORT_VERSION,
+      exportedOn: calendar.getDate(),
+      generations,
+      pedigree: tree,
+      text: lines.join('\n')
+    };
+  }
+  
+  /**
+   * Convert manager to a plain object for serialization
+   * @returns {Object} Serializable manager object
+   */
+  toJSON() {
+    return {
+      records: Object.values(this.records)
+    };
+  }
+}
+
+export default PedigreeManager;
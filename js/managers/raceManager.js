@@ -3,6 +3,13 @@
  * 
  * Manages race schedules, racing circuits, and race operations
  */
+import Race from '../models/race.js';
+import rng from '../utils/rng.js';
+import calendar from '../utils/calendar.js';
+import { RACECOURSES, getRacecourseName, getRacecoursesForSurface } from '../utils/racecourses.js';
+
+// Days ahead that races are scheduled, so that entries can be made before they close
+const SCHEDULE_DAYS = 14;
 
 class RaceManager {
   /**
@@ -18,13 +25,8 @@ class RaceManager {
     this.maxHistoryLength = config.maxHistoryLength || 50;
     this.playerHorseIds = config.playerHorseIds || [];
     
-    // Load race class if not in browser context
-    if (typeof Race === 'undefined' && typeof require !== 'undefined') {
-      const Race = require('../models/race.js');
-      this.Race = Race;
-    } else {
-      this.Race = Race;
-    }
+    // Model class used to create races
+    this.Race = Race;
     
     // Initialize race templates
     this.raceTemplates = this.initializeRaceTemplates();
@@ -67,6 +69,28 @@ class RaceManager {
             difficulty: 2,
             purse: 1500,
             requirements: { minAge: 3, maxAge: 20, minRating: 0 }
+          },
+          {
+            name: "Country Handicap",
+            distance: 'middle',
+            surface: 'turf',
+            type: 'flat',
+            tier: 'low',
+            difficulty: 1,
+            purse: 1400,
+            isHandicap: true,
+            requirements: { minAge: 3, maxAge: 20, minRating: 0, maxMark: 60 }
+          },
+          {
+            name: "Sprint Handicap",
+            distance: 'sprint',
+            surface: 'dirt',
+            type: 'flat',
+            tier: 'low',
+            difficulty: 1,
+            purse: 1300,
+            isHandicap: true,
+            requirements: { minAge: 3, maxAge: 20, minRating: 0, maxMark: 60 }
           }
         ],
         jump: [
@@ -79,6 +103,17 @@ class RaceManager {
             difficulty: 2,
             purse: 1800,
             requirements: { minAge: 4, maxAge: 20, minRating: 0 }
+          },
+          {
+            name: "Handicap Hurdle",
+            distance: 'middle',
+            surface: 'turf',
+            type: 'jump',
+            tier: 'low',
+            difficulty: 2,
+            purse: 1700,
+            isHandicap: true,
+            requirements: { minAge: 4, maxAge: 20, minRating: 0, maxMark: 65 }
           }
         ]
       },
@@ -113,6 +148,17 @@ class RaceManager {
             difficulty: 3,
             purse: 10000,
             requirements: { minAge: 3, maxAge: 20, minRating: 50 }
+          },
+          {
+            name: "Regional Handicap",
+            distance: 'middle',
+            surface: 'turf',
+            type: 'flat',
+            tier: 'medium',
+            difficulty: 2,
+            purse: 6500,
+            isHandicap: true,
+            requirements: { minAge: 3, maxAge: 20, minRating: 35, maxMark: 85 }
           }
         ],
         jump: [
@@ -135,6 +181,17 @@ class RaceManager {
             difficulty: 3,
             purse: 9000,
             requirements: { minAge: 4, maxAge: 20, minRating: 50 }
+          },
+          {
+            name: "Handicap Chase",
+            distance: 'long',
+            surface: 'turf',
+            type: 'jump',
+            tier: 'medium',
+            difficulty: 3,
+            purse: 7500,
+            isHandicap: true,
+            requirements: { minAge: 4, maxAge: 20, minRating: 35, maxMark: 85 }
           }
         ]
       },
@@ -169,6 +226,17 @@ class RaceManager {
             difficulty: 4,
             purse: 50000,
             requirements: { minAge: 3, maxAge: 20, minRating: 75 }
+          },
+          {
+            name: "Summer Handicap",
+            distance: 'middle',
+            surface: 'turf',
+            type: 'flat',
+            tier: 'high',
+            difficulty: 3,
+            purse: 30000,
+            isHandicap: true,
+            requirements: { minAge: 3, maxAge: 20, minRating: 55, maxMark: 105 }
           }
         ],
         jump: [
@@ -215,6 +283,17 @@ class RaceManager {
             difficulty: 5,
             purse: 250000,
             requirements: { minAge: 3, maxAge: 20, minRating: 95 }
+          },
+          {
+            name: "Heritage Handicap",
+            distance: 'long',
+            surface: 'turf',
+            type: 'flat',
+            tier: 'elite',
+            difficulty: 4,
+            purse: 80000,
+            isHandicap: true,
+            requirements: { minAge: 3, maxAge: 20, minRating: 75, maxMark: 130 }
           }
         ],
         jump: [
@@ -268,14 +347,14 @@ class RaceManager {
   }
   
   /**
-   * Get races that a specific horse is eligible for
+   * Get races that a specific horse is eligible for and can still be entered in
    * @param {Horse} horse - The horse to check
    * @returns {Array} Array of races the horse is eligible for
    */
   getEligibleRaces(horse) {
     return this.races.filter(race => {
-      // Skip races that have already run
-      if (race.hasRun) return false;
+      // Skip races that have already run or whose entries have closed
+      if (race.hasRun || race.entriesClosed) return false;
       
       // Check eligibility
       const eligibility = race.checkEligibility(horse);
@@ -288,17 +367,20 @@ class RaceManager {
    * @param {number} days - Number of days to schedule
    * @returns {Object} Result of the scheduling operation
    */
-  generateRaceSchedule(days = 7) {
+  generateRaceSchedule(days = SCHEDULE_DAYS) {
     const scheduledRaces = [];
     
-    // Clear any unrun races that were previously scheduled
-    this.races = this.races.filter(race => race.hasRun);
+    // Clear any unrun races that were previously scheduled, keeping those the player has entered
+    this.races = this.races.filter(race => race.hasRun || race.entrants.some(entrant => entrant.playerOwned));
     
     // Schedule races for each day
     for (let i = 0; i < days; i++) {
       // Calculate the game day for this schedule day
       const scheduleDay = this.calculateGameDay(i);
       
+      // Days with entered races kept from the old schedule are left as they are
+      if (this.getRacesForDay(scheduleDay).some(race => !race.hasRun)) continue;
+      
       // Generate races for this day
       const dayRaces = this.generateRacesForDay(scheduleDay);
       
@@ -320,13 +402,7 @@ class RaceManager {
    * @returns {Object} New game day
    */
   calculateGameDay(daysToAdd) {
-    // Simple implementation - doesn't handle month/year boundaries
-    // In a real implementation, this would properly handle date arithmetic
-    return {
-      day: this.gameTime.day + daysToAdd,
-      month: this.gameTime.month,
-      year: this.gameTime.year
-    };
+    return calendar.addDays(this.gameTime, daysToAdd);
   }
   
   /**
@@ -345,13 +421,16 @@ class RaceManager {
     // Base number of races per day
     let raceCount = isWeekend ? 5 : 3;
     
+    // Courses holding a meeting today
+    const meetings = this.selectMeetings(isWeekend ? 3 : 2);
+    
     // Generate races
     for (let i = 0; i < raceCount; i++) {
       // Select a tier based on unlocked tiers and randomness
       const tier = this.selectRandomTier();
       
       // Select race type (flat or jump)
-      const type = Math.random() < 0.8 ? 'flat' : 'jump';
+      const type = rng.random() < 0.8 ? 'flat' : 'jump';
       
       // Get templates for this tier and type
       const templates = this.raceTemplates[tier][type];
@@ -360,11 +439,12 @@ class RaceManager {
       if (!templates || templates.length === 0) continue;
       
       // Select a random template
-      const template = templates[Math.floor(Math.random() * templates.length)];
+      const template = templates[Math.floor(rng.random() * templates.length)];
       
-      // Create race from template
+      // Create race from template at one of today's courses that offers the surface
       const race = new this.Race({
         ...template,
+        courseId: this.selectRacecourse(template.surface, meetings),
         scheduleDay: { ...gameDay }
       });
       
@@ -372,13 +452,73 @@ class RaceManager {
     }
     
     // Add special races occasionally
-    if (isWeekend && Math.random() < 0.3) {
-      this.addSpecialRace(races, gameDay);
+    if (isWeekend && rng.random() < 0.3) {
+      this.addSpecialRace(races, gameDay, meetings);
     }
     
     return races;
   }
   
+  /**
+   * Pick the racecourses holding meetings on a day
+   * @param {number} count - Number of meetings
+   * @returns {Array} Racecourse IDs
+   */
+  selectMeetings(count) {
+    const courses = Object.keys(RACECOURSES);
+    const meetings = [];
+    
+    while (meetings.length < Math.min(count, courses.length)) {
+      const courseId = courses[Math.floor(rng.random() * courses.length)];
+      if (!meetings.includes(courseId)) meetings.push(courseId);
+    }
+    
+    return meetings;
+  }
+  
+  /**
+   * Pick the racecourse for a race, preferring the day's meetings. If no meeting offers the
+   * surface, another course that does is added to the day's meetings.
+   * @param {string} surface - Race surface
+   * @param {Array} meetings - Racecourse IDs racing that day (extended if needed)
+   * @returns {string|null} Racecourse ID
+   */
+  selectRacecourse(surface, meetings = []) {
+    let candidates = meetings.filter(courseId => RACECOURSES[courseId].surfaces.includes(surface));
+    
+    if (candidates.length === 0) {
+      candidates = getRacecoursesForSurface(surface);
+      if (candidates.length === 0) return null;
+      
+      const courseId = candidates[Math.floor(rng.random() * candidates.length)];
+      meetings.push(courseId);
+      return courseId;
+    }
+    
+    return candidates[Math.floor(rng.random() * candidates.length)];
+  }
+  
+  /**
+   * Get the racecourses racing on a day
+   * @param {Object} gameDay - The game day
+   * @returns {Array} Meetings { courseId, courseName, races }
+   */
+  getMeetingsForDay(gameDay) {
+    const meetings = {};
+    
+    this.getRacesForDay(gameDay).forEach(race => {
+      const courseId = race.courseId || 'unknown';
+      const meeting = meetings[courseId] || (meetings[courseId] = {
+        courseId: race.courseId,
+        courseName: getRacecourseName(race.courseId),
+        races: []
+      });
+      meeting.races.push(race);
+    });
+    
+    return Object.values(meetings);
+  }
+  
   /**
    * Select a random tier based on unlocked tiers
    * @returns {string} Selected tier
@@ -413,7 +553,7 @@ class RaceManager {
     });
     
     // Select a tier based on weights
-    const random = Math.random();
+    const random = rng.random();
     let cumulativeWeight = 0;
     
     for (const tier of availableTiers) {
@@ -431,8 +571,9 @@ class RaceManager {
    * Add a special race to the schedule
    * @param {Array} races - Array of races to add to
    * @param {Object} gameDay - The game day for the race
+   * @param {Array} meetings - Racecourse IDs racing that day
    */
-  addSpecialRace(races, gameDay) {
+  addSpecialRace(races, gameDay, meetings = []) {
     // Special races have higher purses and unique requirements
     
     // Select a tier (special races are usually higher tier)
@@ -442,7 +583,7 @@ class RaceManager {
     
     // If no suitable tiers are unlocked, use 'low'
     const tier = availableTiers.length > 0 
-      ? availableTiers[Math.floor(Math.random() * availableTiers.length)]
+      ? availableTiers[Math.floor(rng.random() * availableTiers.length)]
       : 'low';
     
     // Create special race templates based on tier
@@ -461,7 +602,7 @@ class RaceManager {
       medium: {
         name: "Breeder's Cup",
         distance: 'middle',
-        surface: Math.random() < 0.5 ? 'dirt' : 'turf',
+        surface: rng.random() < 0.5 ? 'dirt' : 'turf',
         type: 'flat',
         tier: 'medium',
         difficulty: 3,
@@ -496,6 +637,7 @@ class RaceManager {
     // Create the special race
     const specialRace = new this.Race({
       ...specialTemplates[tier],
+      courseId: this.selectRacecourse(specialTemplates[tier].surface, meetings),
       scheduleDay: { ...gameDay }
     });
     
@@ -506,10 +648,10 @@ class RaceManager {
    * Enter a horse in a race
    * @param {string} raceId - ID of the race
    * @param {Horse} horse - The horse to enter
-   * @param {string} jockeyName - Name of the jockey
+   * @param {Object|string} jockey - Ride from the jockey roster, or a jockey's name
    * @returns {Object} Result of the entry operation
    */
-  enterHorseInRace(raceId, horse, jockeyName = 'Player Jockey') {
+  enterHorseInRace(raceId, horse, jockey = 'Player Jockey') {
     const race = this.getRace(raceId);
     
     if (!race) {
@@ -520,7 +662,7 @@ class RaceManager {
     }
     
     // Add horse to race
-    const entryResult = race.addEntrant(horse, jockeyName);
+    const entryResult = race.addEntrant(horse, jockey);
     
     // Update player horse IDs if successful
     if (entryResult.success) {
@@ -535,10 +677,12 @@ class RaceManager {
   /**
    * Run a race
    * @param {string} raceId - ID of the race to run
-   * @param {Horse} playerHorse - The player's horse in the race
+   * @param {Array} playerHorses - The player's horses in the race
+   * @param {Object} options - { jockeys, horses } rides of roster jockeys free to ride the AI field
+   *   and the rival stables' Horse instances
    * @returns {Object} Race results
    */
-  runRace(raceId, playerHorse) {
+  runRace(raceId, playerHorses, options = {}) {
     const race = this.getRace(raceId);
     
     if (!race) {
@@ -549,7 +693,7 @@ class RaceManager {
     }
     
     // Run the race
-    const raceResult = race.runRace(playerHorse);
+    const raceResult = race.runRace(playerHorses, options);
     
     // If race was successful, add to history
     if (raceResult.success) {
@@ -607,7 +751,10 @@ class RaceManager {
           date: raceRecord.date,
           position: horseResult.position,
           prize: horseResult.prize,
-          time: horseResult.formattedTime
+          time: horseResult.formattedTime,
+          beatenLengths: horseResult.beatenLengths,
+          positionsByCall: horseResult.positionsByCall,
+          sectionals: horseResult.sectionals
         });
         
         if (horseHistory.length >= limit) break;
@@ -710,17 +857,30 @@ class RaceManager {
       this.gameTime = gameTime;
     }
     
-    // Check if we need to generate more races
-    const scheduledDays = this.getScheduledDays();
+    // Drop races from past days unless the race history still refers to them
+    const today = this.calculateGameDay(0);
+    this.races = this.races.filter(race => {
+      if (!race.scheduleDay || this.compareGameDays(race.scheduleDay, today) >= 0) return true;
+      return race.hasRun && this.raceHistory.some(record => record.id === race.id);
+    });
     
-    // If we have less than 7 days of races scheduled, generate more
-    if (scheduledDays < 7) {
-      this.generateRaceSchedule(7 - scheduledDays);
+    // Fill any of the days ahead that have no races yet, keeping existing entries; entries
+    // open for the new races
+    const scheduledRaces = [];
+    for (let i = 0; i < SCHEDULE_DAYS; i++) {
+      const scheduleDay = this.calculateGameDay(i);
+      
+      if (this.getRacesForDay(scheduleDay).length === 0) {
+        const dayRaces = this.generateRacesForDay(scheduleDay);
+        this.races.push(...dayRaces);
+        scheduledRaces.push(...dayRaces);
+      }
     }
     
     return {
       success: true,
       message: 'Race manager updated',
+      scheduledRaces,
       scheduledDays: this.getScheduledDays(),
       races: this.races.length,
       reputation: this.playerReputation,
@@ -728,16 +888,27 @@ class RaceManager {
     };
   }
   
+  /**
+   * Compare two game days
+   * @param {Object} a - First game day
+   * @param {Object} b - Second game day
+   * @returns {number} Negative if a is before b, 0 if equal, positive if after
+   */
+  compareGameDays(a, b) {
+    return calendar.compareDates(a, b);
+  }
+  
   /**
    * Get the number of days that have races scheduled
    * @returns {number} Number of days with scheduled races
    */
   getScheduledDays() {
-    // Get all unique scheduled days
+    // Get all unique scheduled days from today onwards
     const scheduledDays = new Set();
+    const today = this.calculateGameDay(0);
     
     this.races.forEach(race => {
-      if (race.scheduleDay && !race.hasRun) {
+      if (race.scheduleDay && !race.hasRun && this.compareGameDays(race.scheduleDay, today) >= 0) {
         const dayKey = `${race.scheduleDay.year}-${race.scheduleDay.month}-${race.scheduleDay.day}`;
         scheduledDays.add(dayKey);
       }
@@ -781,7 +952,8 @@ class RaceManager {
     }
     
     // Load other properties
-    if (data.gameTime) this.gameTime = data.gameTime;
+    // Keep the shared game date object; only copy the saved date into it
+    if (data.gameTime) Object.assign(this.gameTime, data.gameTime);
     if (typeof data.playerReputation === 'number') this.playerReputation = data.playerReputation;
     if (Array.isArray(data.unlockedTiers)) this.unlockedTiers = data.unlockedTiers;
     if (Array.isArray(data.raceHistory)) this.raceHistory = data.raceHistory;
@@ -0,0 +1,831 @@
+/**
+ * Horse Tycoon - Rival Manager Class
+ * 
+ * Runs the rival stables: their horses train, race, breed, retire and change hands over the
+ * seasons, and every stable's results go into the league table alongside the player's
+ */
+import Horse from '../models/horse.js';
+import HorseManager from './horseManager.js';
+import rng from '../utils/rng.js';
+import calendar from '../utils/calendar.js';
+
+// Key the player's stable is recorded under in the league table
+export const PLAYER_STABLE_ID = 'player';
+
+const RIVAL_STABLES = [
+  { name: 'Ashdown Lodge', trainer: 'Margaret Hale' },
+  { name: 'Beckhampton House', trainer: 'Tom Garside' },
+  { name: 'Coldharbour Stables', trainer: 'Aidan Roche' },
+  { name: 'Danebury Yard', trainer: 'Priya Lowther' },
+  { name: 'Eastbury Park', trainer: 'Hugh Carrington' },
+  { name: 'Foxhill Stables', trainer: 'Nell Dawson' }
+];
+
+// Horses a yard keeps: racehorses in training, and mares kept back for breeding
+const MIN_RACEHORSES = 4;
+const MAX_RACEHORSES = 8;
+const MAX_BROODMARES = 3;
+const MAX_HORSES = 16;
+
+// Racehorses retire at this age or after a long injury; broodmares are pensioned off later
+const RACING_RETIREMENT_AGE = 10;
+const LONG_INJURY_DAYS = 60;
+const BROODMARE_RETIREMENT_AGE = 20;
+const MIN_BROODMARE_FERTILITY = 50;
+
+// Racehorses need this much of a break between runs, and to be this fresh (a tired horse runs below its best)
+const MIN_DAYS_BETWEEN_RUNS = 10;
+const MIN_RACING_ENERGY = 95;
+// Most rival runners in one race, and from one stable
+const MAX_RUNNERS_PER_RACE = 4;
+const MAX_RUNNERS_PER_STABLE = 2;
+// Chance a fit horse that suits a race is entered for it, so horses spread across the meetings
+const ENTRY_CHANCE = 0.5;
+
+// Ratings of the horses each tier's races are aimed at. Horses too good for every tier on the
+// schedule run in the top one.
+const TIER_RATINGS = {
+  low: { min: 0, max: 65 },
+  medium: { min: 45, max: 80 },
+  high: { min: 60, max: 95 },
+  elite: { min: 75, max: Infinity }
+};
+
+// Stables train their horses up to this many points above the stable's strength
+const TRAINING_HEADROOM = 6;
+// A vet's visit, which stables pay for whenever a horse is below full health
+const VET_FEE = 500;
+
+// Mares are covered from February to June
+const COVERING_MONTHS = [2, 3, 4, 5, 6];
+// Share of a stable's funds it will pay for a covering
+const STUD_FEE_BUDGET = 0.2;
+
+// Weekly chance of a private sale between stables, and the premium over market value the buyer pays
+const PRIVATE_SALE_CHANCE = 0.3;
+const PRIVATE_SALE_PREMIUM = 1.2;
+
+// Retired horses kept on each stable's roll of honour, and seasons kept in the league history
+const MAX_RETIRED_RECORDS = 20;
+const MAX_LEAGUE_HISTORY = 10;
+
+class RivalManager {
+  /**
+   * Create a new Rival Manager
+   * @param {Object} config - The manager configuration
+   */
+  constructor(config = {}) {
+    this.gameTime = config.gameTime || { day: 1, month: 1, year: 2023 };
+    
+    // Stables: { id, name, trainer, strength, trainingRate, funds, broodmareIds, retired, horseManager }
+    this.stables = (config.stables || []).map(stable => this.loadStable(stable));
+    
+    // Day number each rival horse last ran
+    this.lastRuns = config.lastRuns || {};
+    
+    // Rival horses entered for races not yet run: { raceId: { day, horseIds } }
+    this.entries = config.entries || {};
+    
+    // This season's league: { season, stables: { stableId: { runs, wins, places, earnings } } }
+    this.league = config.league || { season: calendar.getRacingYear(this.gameTime), stables: {} };
+    
+    // Final tables of earlier seasons, newest first
+    this.leagueHistory = config.leagueHistory || [];
+    
+    if (this.stables.length === 0) {
+      this.generateStables();
+    }
+  }
+  
+  /**
+   * Rebuild a saved stable around a Horse Manager for its horses
+   * @param {Object} stable - Saved stable
+   * @returns {Object} Stable
+   */
+  loadStable(stable) {
+    const { horses = [], ...details } = stable;
+    const horseManager = new HorseManager({ gameTime: this.gameTime, stableSize: MAX_HORSES });
+    horseManager.loadHorses(horses.map(horse => (horse instanceof Horse ? horse.toJSON() : horse)));
+    
+    return {
+      broodmareIds: [],
+      retired: [],
+      ...details,
+      horseManager
+    };
+  }
+  
+  /**
+   * Set up the rival stables, from small local yards to powerful operations
+   * @returns {Array} The new stables
+   */
+  generateStables() {
+    RIVAL_STABLES.forEach((details, index) => {
+      const strength = 40 + Math.round((index / (RIVAL_STABLES.length - 1)) * 24) + Math.floor(rng.random() * 7) - 3;
+      const stable = this.loadStable({
+        id: `rival_${index + 1}`,
+        name: details.name,
+        trainer: details.trainer,
+        strength,
+        trainingRate: 0.03 + rng.random() * 0.05,
+        funds: 20000 + strength * 500
+      });
+      
+      for (let i = 0; i < 6; i++) {
+        stable.horseManager.horses.push(this.createHorse(strength, { age: 3 + Math.floor(rng.random() * 5) }));
+      }
+      for (let i = 0; i < 2; i++) {
+        const mare = this.createHorse(strength, { age: 8 + Math.floor(rng.random() * 7), gender: 'female' });
+        stable.horseManager.horses.push(mare);
+        stable.broodmareIds.push(mare.id);
+      }
+      
+      this.stables.push(stable);
+    });
+    
+    return this.stables;
+  }
+  
+  /**
+   * Create a horse of about a stable's quality
+   * @param {number} quality - Target overall quality (0-100)
+   * @param {Object} options - Horse settings such as age and gender
+   * @returns {Horse} The new horse
+   */
+  createHorse(quality, options = {}) {
+    const stat = spread => Math.max(10, Math.min(100, quality + Math.floor(rng.random() * (spread * 2 + 1)) - spread));
+    
+    return new Horse({
+      name: this.generateUniqueName(),
+      speed: stat(10),
+      acceleration: stat(10),
+      stamina: stat(10),
+      jumping: stat(15),
+      temperament: stat(15),
+      isPlayerOwned: false,
+      ...options
+    });
+  }
+  
+  /**
+   * Generate a name no horse in the rival stables already has
+   * @returns {string} Horse name
+   */
+  generateUniqueName() {
+    const taken = new Set(this.getAllHorses().map(horse => horse.name));
+    let name = Horse.prototype.generateRandomName();
+    
+    for (let attempt = 0; taken.has(name) && attempt < 20; attempt++) {
+      name = Horse.prototype.generateRandomName();
+    }
+    
+    return taken.has(name) ? `${name} II` : name;
+  }
+  
+  /**
+   * Get a stable by ID
+   * @param {string} stableId - ID of the stable
+   * @returns {Object|null} The stable or null if not found
+   */
+  getStable(stableId) {
+    return this.stables.find(stable => stable.id === stableId) || null;
+  }
+  
+  /**
+   * Get every horse in the rival stables
+   * @returns {Array} Horses
+   */
+  getAllHorses() {
+    return this.stables.flatMap(stable => stable.horseManager.getAllHorses());
+  }
+  
+  /**
+   * Find a rival horse and the stable it belongs to
+   * @param {string} horseId - ID of the horse
+   * @returns {Object|null} { stable, horse } or null if no rival stable has it
+   */
+  findHorse(horseId) {
+    for (const stable of this.stables) {
+      const horse = stable.horseManager.getHorse(horseId);
+      if (horse) return { stable, horse };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Get a stable's horses in training (everything old enough that is not a broodmare)
+   * @param {Object} stable - The stable
+   * @returns {Array} Racehorses
+   */
+  getRacehorses(stable) {
+    return stable.horseManager.getAllHorses().filter(horse => horse.age >= 2 && !stable.broodmareIds.includes(horse.id));
+  }
+  
+  /**
+   * Get the stables with their horses for display
+   * @returns {Array} Stable summaries with horse details and form
+   */
+  getStables() {
+    return this.stables.map(stable => ({
+      id: stable.id,
+      name: stable.name,
+      trainer: stable.trainer,
+      funds: stable.funds,
+      racehorses: this.getRacehorses(stable).map(horse => ({
+        ...horse.getDetails(),
+        form: horse.getFormFigures()
+      })),
+      broodmares: stable.broodmareIds.map(id => stable.horseManager.getHorse(id)).filter(Boolean).map(horse => horse.getDetails()),
+      youngstock: stable.horseManager.getAllHorses().filter(horse => horse.age < 2).map(horse => horse.getDetails()),
+      retired: [...stable.retired]
+    }));
+  }
+  
+  /**
+   * Check whether a rival horse is fit to be entered to run on a day
+   * @param {Horse} horse - The horse
+   * @param {number} day - Day number of the race
+   * @returns {boolean} True if the horse can run
+   */
+  isFitToRun(horse, day) {
+    const lastRun = this.lastRuns[horse.id];
+    
+    return !horse.injured &&
+      !horse.pregnancy &&
+      horse.racingCooldown === 0 &&
+      horse.energy >= MIN_RACING_ENERGY &&
+      (lastRun === undefined || day - lastRun >= MIN_DAYS_BETWEEN_RUNS);
+  }
+  
+  /**
+   * Get the rival stables' entries for a race, choosing them the first time a race asks.
+   * Stables enter fit horses in races of their class, preferring their best trip and surface.
+   * @param {Race} race - The race
+   * @param {Array} scheduledTiers - Tiers of race on the schedule
+   * @returns {Array} Entries as AI horse details with their Horse IDs, stables and form
+   */
+  getEntriesForRace(race, scheduledTiers = ['low']) {
+    if (race.hasRun || race.entriesClosed) return [];
+    
+    if (!this.entries[race.id]) {
+      this.entries[race.id] = {
+        day: calendar.toDayNumber(race.scheduleDay || this.gameTime),
+        horseIds: this.selectEntries(race, scheduledTiers)
+      };
+    }
+    
+    return this.entries[race.id].horseIds
+      .map(horseId => this.findHorse(horseId))
+      .filter(Boolean)
+      .map(({ stable, horse }) => ({
+        id: horse.id,
+        name: horse.name,
+        // Quality is what the horse runs to: its racing stats
+        quality: Math.round((horse.speed + horse.acceleration + horse.stamina + horse.temperament) / 4),
+        rating: horse.calculateOverallRating(),
+        mark: horse.handicapMark,
+        stats: {
+          speed: horse.speed,
+          acceleration: horse.acceleration,
+          stamina: horse.stamina,
+          temperament: horse.temperament
+        },
+        preferredDistance: horse.preferredDistance,
+        preferredSurface: horse.preferredSurface,
+        preferredGoing: horse.preferredGoing,
+        stableId: stable.id,
+        stableName: stable.name,
+        form: horse.getFormFigures(),
+        courseForm: horse.getCourseForm(race.courseId, race.distance)
+      }));
+  }
+  
+  /**
+   * Choose the rival horses to enter for a race
+   * @param {Race} race - The race
+   * @param {Array} scheduledTiers - Tiers of race on the schedule
+   * @returns {Array} IDs of the horses entered
+   */
+  selectEntries(race, scheduledTiers) {
+    const day = calendar.toDayNumber(race.scheduleDay || this.gameTime);
+    const band = TIER_RATINGS[race.tier] || TIER_RATINGS.low;
+    const topTier = Object.keys(TIER_RATINGS).filter(tier => scheduledTiers.includes(tier)).pop();
+    const maxRating = race.tier === topTier ? Infinity : band.max;
+    
+    // Horses already entered for another race too close to this one stay where they are
+    const enteredNearby = new Set();
+    Object.values(this.entries).forEach(entry => {
+      if (Math.abs(entry.day - day) < MIN_DAYS_BETWEEN_RUNS) {
+        entry.horseIds.forEach(horseId => enteredNearby.add(horseId));
+      }
+    });
+    
+    const candidates = [];
+    this.stables.forEach(stable => {
+      this.getRacehorses(stable).forEach(horse => {
+        if (enteredNearby.has(horse.id) || !this.isFitToRun(horse, day)) return;
+        
+        const rating = horse.calculateOverallRating();
+        if (rating < band.min || rating > maxRating || !race.checkEligibility(horse).isEligible) return;
+        
+        // Horses suited by the trip and surface are the likeliest runners
+        let suitability = rng.random();
+        if (horse.preferredDistance === race.distance) suitability += 0.5;
+        if (horse.preferredSurface === race.surface) suitability += 0.25;
+        
+        if (rng.random() < ENTRY_CHANCE) {
+          candidates.push({ stableId: stable.id, horseId: horse.id, suitability });
+        }
+      });
+    });
+    
+    const runsByStable = {};
+    return candidates
+      .sort((a, b) => b.suitability - a.suitability)
+      .filter(candidate => {
+        runsByStable[candidate.stableId] = (runsByStable[candidate.stableId] || 0) + 1;
+        return runsByStable[candidate.stableId] <= MAX_RUNNERS_PER_STABLE;
+      })
+      .slice(0, MAX_RUNNERS_PER_RACE)
+      .map(candidate => candidate.horseId);
+  }
+  
+  /**
+   * Record a race's results: rival horses add the run to their form and earn their prize money,
+   * and every stable's runners (the player's too) count towards the league table
+   * @param {Race} race - The race that was run
+   * @param {Array} results - The race results
+   * @returns {Array} Runs by rival horses { stableId, stableName, horseId, horseName, position, prize, injured }
+   */
+  recordRaceResults(race, results) {
+    const runs = [];
+    const day = calendar.toDayNumber(race.scheduleDay || this.gameTime);
+    
+    results.forEach(result => {
+      const stableId = result.playerOwned ? PLAYER_STABLE_ID : result.stableId;
+      if (stableId) {
+        this.recordLeagueRun(stableId, result);
+      }
+      
+      const found = result.stableId ? this.findHorse(result.horseId) : null;
+      if (!found) return;
+      
+      const { stable, horse } = found;
+      const horseUpdate = horse.addRaceResult(race.createRaceRecord(result));
+      stable.funds += result.prize || 0;
+      this.lastRuns[horse.id] = day;
+      
+      runs.push({
+        stableId: stable.id,
+        stableName: stable.name,
+        horseId: horse.id,
+        horseName: horse.name,
+        position: result.position,
+        prize: result.prize || 0,
+        injured: horseUpdate.injured
+      });
+    });
+    
+    delete this.entries[race.id];
+    
+    return runs;
+  }
+  
+  /**
+   * Get the rival entries in a race that have to come out before declarations: horses that
+   * have been injured, which the vet certifies, and horses that have left the rival stables
+   * @param {Race} race - The race
+   * @returns {Array} Withdrawals { horseId, vetCertificate }
+   */
+  getWithdrawals(race) {
+    return race.entrants
+      .filter(entrant => entrant.stableId)
+      .map(entrant => {
+        const found = this.findHorse(entrant.horseId);
+        if (found && !found.horse.injured) return null;
+        return { horseId: entrant.horseId, vetCertificate: !!found };
+      })
+      .filter(Boolean);
+  }
+  
+  /**
+   * Release rival horses that will not run in a race, so they can be entered elsewhere
+   * @param {Race} race - The race
+   */
+  releaseNonRunners(race) {
+    const entry = this.entries[race.id];
+    if (!entry) return;
+    
+    entry.horseIds = entry.horseIds.filter(horseId => race.entrants.some(entrant => entrant.horseId === horseId));
+  }
+  
+  /**
+   * Add a run to a stable's league record for the season
+   * @param {string} stableId - ID of the stable, or PLAYER_STABLE_ID
+   * @param {Object} result - Race result { position, prize }
+   */
+  recordLeagueRun(stableId, result) {
+    const record = this.league.stables[stableId] ||
+      (this.league.stables[stableId] = { runs: 0, wins: 0, places: 0, earnings: 0 });
+    
+    record.runs++;
+    if (result.position === 1) {
+      record.wins++;
+    } else if (result.position <= 3) {
+      record.places++;
+    }
+    record.earnings += result.prize || 0;
+  }
+  
+  /**
+   * Get the league table for the season: every stable ranked by prize money, then wins
+   * @param {string} playerStableName - Name shown for the player's stable
+   * @returns {Object} { season, table } with rows { position, stableId, name, trainer, isPlayer, runs, wins, places, earnings, strikeRate }
+   */
+  getLeagueTable(playerStableName = 'Your Stable') {
+    const rows = [
+      { stableId: PLAYER_STABLE_ID, name: playerStableName, trainer: null, isPlayer: true },
+      ...this.stables.map(stable => ({ stableId: stable.id, name: stable.name, trainer: stable.trainer, isPlayer: false }))
+    ].map(row => {
+      const record = this.league.stables[row.stableId] || { runs: 0, wins: 0, places: 0, earnings: 0 };
+      return {
+        ...row,
+        ...record,
+        strikeRate: record.runs > 0 ? Math.round((record.wins / record.runs) * 100) : 0
+      };
+    });
+    
+    rows.sort((a, b) => b.earnings - a.earnings || b.wins - a.wins);
+    
+    return {
+      season: this.league.season,
+      table: rows.map((row, index) => ({ position: index + 1, ...row }))
+    };
+  }
+  
+  /**
+   * Get the final league tables of earlier seasons
+   * @returns {Array} { season, champion, table } newest first
+   */
+  getLeagueHistory() {
+    return this.leagueHistory;
+  }
+  
+  /**
+   * Close the season's league: its final table goes into the history and a new season starts
+   * @param {string} playerStableName - Name shown for the player's stable
+   * @returns {Object} The finished season { season, champion, table }
+   */
+  endSeason(playerStableName) {
+    const { season, table } = this.getLeagueTable(playerStableName);
+    const finished = { season, champion: { stableId: table[0].stableId, name: table[0].name }, table };
+    
+    this.leagueHistory.unshift(finished);
+    if (this.leagueHistory.length > MAX_LEAGUE_HISTORY) {
+      this.leagueHistory = this.leagueHistory.slice(0, MAX_LEAGUE_HISTORY);
+    }
+    
+    this.league = { season: calendar.getRacingYear(this.gameTime), stables: {} };
+    
+    return finished;
+  }
+  
+  /**
+   * Work the stable's fit racehorses on their weakest racing stat, as far as the stable can
+   * bring them on
+   * @param {Object} stable - The stable
+   */
+  trainHorses(stable) {
+    const entered = new Set(Object.values(this.entries).flatMap(entry => entry.horseIds));
+    
+    this.getRacehorses(stable).forEach(horse => {
+      // Horses entered in a race are kept fresh for it
+      if (entered.has(horse.id) || horse.injured || horse.energy < 80 || rng.random() >= stable.trainingRate) return;
+      if (horse.calculateOverallRating() >= stable.strength + TRAINING_HEADROOM) return;
+      
+      const cost = Math.round(50 * (1 + horse.calculateOverallRating() / 100));
+      if (stable.funds < cost) return;
+      
+      const stat = ['speed', 'acceleration', 'stamina'].reduce((lowest, key) => (horse[key] < horse[lowest] ? key : lowest));
+      if (horse.train(stat, 1).success) {
+        stable.funds -= cost;
+      }
+    });
+  }
+  
+  /**
+   * Call the vet to any horse that is below full health
+   * @param {Object} stable - The stable
+   */
+  careForHorses(stable) {
+    stable.horseManager.getAllHorses().forEach(horse => {
+      if (horse.health < 100 && stable.funds >= VET_FEE) {
+        horse.provideCare('veterinarian');
+        stable.funds -= VET_FEE;
+      }
+    });
+  }
+  
+  /**
+   * Retire old and badly injured racehorses (fertile mares join the broodmares if there is room)
+   * and pension off old broodmares
+   * @param {Object} stable - The stable
+   * @returns {Array} Retirements { stableId, stableName, horseId, horseName, reason }
+   */
+  retireHorses(stable) {
+    const retirements = [];
+    
+    this.getRacehorses(stable).forEach(horse => {
+      const longInjury = horse.injured && horse.injuryDuration >= LONG_INJURY_DAYS;
+      if (horse.age < RACING_RETIREMENT_AGE && !longInjury) return;
+      
+      if (horse.gender === 'female' && stable.broodmareIds.length < MAX_BROODMARES && horse.getFertility() >= MIN_BROODMARE_FERTILITY) {
+        stable.broodmareIds.push(horse.id);
+        retirements.push(this.createRetirement(stable, horse, 'retired to the paddocks as a broodmare'));
+      } else {
+        const reason = longInjury ? 'retired through injury' : 'retired from racing';
+        this.removeHorse(stable, horse, reason);
+        retirements.push(this.createRetirement(stable, horse, reason));
+      }
+    });
+    
+    stable.broodmareIds.forEach(horseId => {
+      const mare = stable.horseManager.getHorse(horseId);
+      if (mare && mare.age >= BROODMARE_RETIREMENT_AGE && !mare.pregnancy) {
+        this.removeHorse(stable, mare, 'pensioned off');
+        retirements.push(this.createRetirement(stable, mare, 'pensioned off'));
+      }
+    });
+    
+    return retirements;
+  }
+  
+  /**
+   * Describe a retirement
+   * @param {Object} stable - The stable
+   * @param {Horse} horse - The horse
+   * @param {string} reason - Why the horse retired
+   * @returns {Object} { stableId, stableName, horseId, horseName, reason }
+   */
+  createRetirement(stable, horse, reason) {
+    return { stableId: stable.id, stableName: stable.name, horseId: horse.id, horseName: horse.name, reason };
+  }
+  
+  /**
+   * Take a horse out of a stable, keeping its record on the stable's roll of honour
+   * @param {Object} stable - The stable
+   * @param {Horse} horse - The horse leaving
+   * @param {string} reason - Why the horse left
+   */
+  removeHorse(stable, horse, reason) {
+    stable.horseManager.removeHorse(horse.id);
+    stable.broodmareIds = stable.broodmareIds.filter(id => id !== horse.id);
+    delete this.lastRuns[horse.id];
+    
+    stable.retired.unshift({
+      id: horse.id,
+      name: horse.name,
+      gender: horse.gender,
+      age: horse.age,
+      starts: horse.races.length,
+      wins: horse.racesWon,
+      earnings: horse.races.reduce((sum, race) => sum + (race.prize || 0), 0),
+      reason,
+      date: calendar.getDate()
+    });
+    if (stable.retired.length > MAX_RETIRED_RECORDS) {
+      stable.retired = stable.retired.slice(0, MAX_RETIRED_RECORDS);
+    }
+  }
+  
+  /**
+   * Send the stable's broodmares to the best stallions at stud it can afford
+   * @param {Object} stable - The stable
+   * @param {Array} stallions - Stud roster entries { horse, fee }
+   * @returns {Array} Coverings { stableId, mareId, mareName, stallionId, stallionName, fee }
+   */
+  coverMares(stable, stallions) {
+    const coverings = [];
+    
+    stable.broodmareIds.forEach(horseId => {
+      const mare = stable.horseManager.getHorse(horseId);
+      if (!mare || mare.pregnancy || mare.breedingCooldown > 0) return;
+      
+      const affordable = stallions
+        .filter(entry => entry.fee <= stable.funds * STUD_FEE_BUDGET)
+        .sort((a, b) => b.horse.calculateOverallRating() - a.horse.calculateOverallRating())
+        .slice(0, 3);
+      if (affordable.length === 0) return;
+      
+      const stallion = affordable[Math.floor(rng.random() * affordable.length)];
+      const covering = stable.horseManager.breedHorses(mare, stallion.horse);
+      if (!covering.success) return;
+      
+      stable.funds -= stallion.fee;
+      coverings.push({
+        stableId: stable.id,
+        mareId: mare.id,
+        mareName: mare.name,
+        stallionId: stallion.horse.id,
+        stallionName: stallion.horse.name,
+        fee: stallion.fee
+      });
+    });
+    
+    return coverings;
+  }
+  
+  /**
+   * Weekly trading: stables with too many racehorses sell their weakest, to another stable with
+   * room if one can pay, otherwise out of racing; a stable may buy a horse better than its own
+   * privately from another; short-handed stables buy at the sales
+   * @returns {Object} { trades, purchases } with { horseId, horseName, price, fromStableId, fromStableName, toStableId, toStableName }
+   */
+  tradeHorses() {
+    const trades = [];
+    const purchases = [];
+    
+    this.stables.forEach(seller => {
+      const racehorses = this.getRacehorses(seller);
+      if (racehorses.length <= MAX_RACEHORSES) return;
+      
+      const horse = racehorses.reduce((weakest, candidate) =>
+        (candidate.calculateOverallRating() < weakest.calculateOverallRating() ? candidate : weakest));
+      const price = horse.calculateMarketValue();
+      const buyer = this.stables.find(stable => stable !== seller &&
+        this.getRacehorses(stable).length < MAX_RACEHORSES &&
+        stable.horseManager.getAllHorses().length < MAX_HORSES &&
+        stable.funds >= price);
+      
+      seller.horseManager.removeHorse(horse.id);
+      
+      if (buyer) {
+        buyer.horseManager.horses.push(horse);
+        buyer.funds -= price;
+        seller.funds += price;
+      } else {
+        // Sold out of racing for what the sales will pay
+        seller.funds += Math.round(price * 0.7);
+        delete this.lastRuns[horse.id];
+      }
+      
+      trades.push({
+        horseId: horse.id,
+        horseName: horse.name,
+        price: buyer ? price : Math.round(price * 0.7),
+        fromStableId: seller.id,
+        fromStableName: seller.name,
+        toStableId: buyer ? buyer.id : null,
+        toStableName: buyer ? buyer.name : null
+      });
+    });
+    
+    if (rng.random() < PRIVATE_SALE_CHANCE) {
+      const sale = this.makePrivateSale();
+      if (sale) trades.push(sale);
+    }
+    
+    this.stables.forEach(stable => {
+      if (this.getRacehorses(stable).length >= MIN_RACEHORSES || stable.horseManager.getAllHorses().length >= MAX_HORSES) return;
+      
+      const horse = this.createHorse(stable.strength, { age: 3 });
+      const price = horse.calculateMarketValue();
+      if (stable.funds < price) return;
+      
+      stable.horseManager.horses.push(horse);
+      stable.funds -= price;
+      purchases.push({
+        horseId: horse.id,
+        horseName: horse.name,
+        price,
+        fromStableId: null,
+        fromStableName: null,
+        toStableId: stable.id,
+        toStableName: stable.name
+      });
+    });
+    
+    return { trades, purchases };
+  }
+  
+  /**
+   * Have a stable buy a horse that would improve its string from another stable that can spare it
+   * @returns {Object|null} The trade, or null if no deal was done
+   */
+  makePrivateSale() {
+    const buyer = this.stables[Math.floor(rng.random() * this.stables.length)];
+    if (this.getRacehorses(buyer).length >= MAX_RACEHORSES || buyer.horseManager.getAllHorses().length >= MAX_HORSES) return null;
+    
+    const offers = this.stables
+      .filter(seller => seller !== buyer && this.getRacehorses(seller).length > MIN_RACEHORSES)
+      .flatMap(seller => this.getRacehorses(seller)
+        .filter(horse => !horse.injured && horse.calculateOverallRating() > buyer.strength)
+        .map(horse => ({ seller, horse, price: Math.round(horse.calculateMarketValue() * PRIVATE_SALE_PREMIUM) })))
+      .filter(offer => offer.price <= buyer.funds / 2);
+    if (offers.length === 0) return null;
+    
+    const { seller, horse, price } = offers[Math.floor(rng.random() * offers.length)];
+    seller.horseManager.removeHorse(horse.id);
+    buyer.horseManager.horses.push(horse);
+    seller.funds += price;
+    buyer.funds -= price;
+    
+    return {
+      horseId: horse.id,
+      horseName: horse.name,
+      price,
+      fromStableId: seller.id,
+      fromStableName: seller.name,
+      toStableId: buyer.id,
+      toStableName: buyer.name
+    };
+  }
+  
+  /**
+   * Update the rival stables for a new day: horses age, heal and foal, stables train, retire,
+   * breed and trade, and the league starts a new season with the racing year
+   * @param {Object} gameTime - Current game time
+   * @param {Object} options - { stallions, playerStableName }: stud roster entries and the player's stable name
+   * @returns {Object} Update results
+   */
+  update(gameTime = null, options = {}) {
+    if (gameTime) {
+      this.gameTime = gameTime;
+    }
+    
+    const results = {
+      success: true,
+      foals: [],
+      retirements: [],
+      coverings: [],
+      trades: [],
+      purchases: [],
+      seasonEnded: null
+    };
+    
+    if (calendar.getRacingYear(this.gameTime) !== this.league.season) {
+      results.seasonEnded = this.endSeason(options.playerStableName);
+    }
+    
+    const breedingSeason = COVERING_MONTHS.includes(this.gameTime.month);
+    
+    this.stables.forEach(stable => {
+      const horsesUpdate = stable.horseManager.updateHorses(this.gameTime);
+      horsesUpdate.foalings.forEach(foaling => {
+        results.foals.push({
+          stableId: stable.id,
+          stableName: stable.name,
+          foal: foaling.foal,
+          damName: foaling.damName,
+          sire: foaling.sire
+        });
+      });
+      
+      this.careForHorses(stable);
+      this.trainHorses(stable);
+      results.retirements.push(...this.retireHorses(stable));
+      
+      if (breedingSeason) {
+        results.coverings.push(...this.coverMares(stable, options.stallions || []));
+      }
+    });
+    
+    // Stables do their buying and selling at the start of each week
+    if (calendar.getDayOfWeek(this.gameTime) === 0) {
+      const trading = this.tradeHorses();
+      results.trades = trading.trades;
+      results.purchases = trading.purchases;
+    }
+    
+    // Entries for days that have passed lapse
+    const today = calendar.toDayNumber(this.gameTime);
+    Object.keys(this.entries).forEach(raceId => {
+      if (this.entries[raceId].day < today) {
+        delete this.entries[raceId];
+      }
+    });
+    
+    return results;
+  }
+  
+  /**
+   * Convert manager to a plain object for serialization
+   * @returns {Object} Serializable manager object
+   */
+  toJSON() {
+    return {
+      gameTime: this.gameTime,
+      stables: this.stables.map(({ horseManager, ...stable }) => ({
+        ...stable,
+        horses: horseManager.getAllHorses().map(horse => horse.toJSON())
+      })),
+      lastRuns: this.lastRuns,
+      entries: this.entries,
+      league: this.league,
+      leagueHistory: this.leagueHistory
+    };
+  }
+}
+
+export default RivalManager;
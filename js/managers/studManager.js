@@ -0,0 +1,335 @@
+/**
+ * Horse Tycoon - Stud Manager Class
+ * 
+ * Keeps the roster of outside stallions standing at stud, their fees and their progeny records
+ */
+import Horse from '../models/horse.js';
+import rng from '../utils/rng.js';
+import calendar from '../utils/calendar.js';
+
+const ROSTER_SIZE = 8;
+const MIN_STUD_FEE = 250;
+const RETIREMENT_AGE = 20;
+// Strike rate an average sire's runners achieve in ten-runner fields
+const AVERAGE_STRIKE_RATE = 0.12;
+
+class StudManager {
+  /**
+   * Create a new Stud Manager
+   * @param {Object} config - The manager configuration
+   */
+  constructor(config = {}) {
+    this.gameTime = config.gameTime || { day: 1, month: 1, year: 2023 };
+    
+    // Model class used to create stallions
+    this.Horse = Horse;
+    
+    // Roster entries: { horse, pedigree, record, baseFee, fee, coverings, progeny, retired }
+    this.stallions = (config.stallions || []).map(entry => ({
+      ...entry,
+      horse: entry.horse instanceof Horse ? entry.horse : new this.Horse(entry.horse)
+    }));
+    
+    if (this.stallions.length === 0) {
+      this.generateRoster(ROSTER_SIZE);
+    }
+  }
+  
+  /**
+   * Fill the roster with new stallions spread across quality levels
+   * @param {number} count - Number of stallions to add
+   * @returns {Array} The new roster entries
+   */
+  generateRoster(count = ROSTER_SIZE) {
+    const entries = [];
+    
+    for (let i = 0; i < count; i++) {
+      // Spread quality from modest local sires to champions
+      const quality = 40 + Math.round((i / Math.max(1, count - 1)) * 45) + Math.floor(rng.random() * 7) - 3;
+      const entry = this.generateStallion(quality);
+      this.stallions.push(entry);
+      entries.push(entry);
+    }
+    
+    return entries;
+  }
+  
+  /**
+   * Generate an outside stallion with a pedigree and a race record
+   * @param {number} quality - Target overall quality (0-100)
+   * @returns {Object} Roster entry
+   */
+  generateStallion(quality) {
+    const stat = spread => Math.max(10, Math.min(100, quality + Math.floor(rng.random() * (spread * 2 + 1)) - spread));
+    const pedigree = this.generatePedigree();
+    
+    const horse = new this.Horse({
+      id: rng.id('stud'),
+      name: this.generateUniqueName(),
+      gender: 'male',
+      breed: 'Thoroughbred',
+      age: 5 + Math.floor(rng.random() * 10),
+      speed: stat(10),
+      acceleration: stat(10),
+      stamina: stat(10),
+      jumping: stat(15),
+      temperament: stat(15),
+      fertility: 70 + Math.floor(rng.random() * 26),
+      sire: { id: null, name: pedigree.sire.name },
+      dam: { id: null, name: pedigree.dam.name }
+    });
+    
+    const record = this.generateRaceRecord(horse, quality);
+    horse.racesWon = record.wins;
+    horse.racesPlaced = record.places;
+    horse.earnings = record.earnings;
+    
+    // Fee reflects the stallion's own ability and racing record
+    const baseFee = this.roundFee(Math.max(MIN_STUD_FEE, horse.calculateMarketValue() * 0.15 + record.wins * 150));
+    
+    return {
+      horse,
+      pedigree,
+      record,
+      baseFee,
+      fee: baseFee,
+      coverings: 0,
+      progeny: {
+        foals: [],
+        runs: 0,
+        wins: 0,
+        places: 0,
+        earnings: 0
+      },
+      retired: false
+    };
+  }
+  
+  /**
+   * Generate a name not already used on the roster
+   * @returns {string} Stallion name
+   */
+  generateUniqueName() {
+    const taken = new Set(this.stallions.map(entry => entry.horse.name));
+    let name = Horse.prototype.generateRandomName();
+    
+    for (let attempt = 0; taken.has(name) && attempt < 20; attempt++) {
+      name = Horse.prototype.generateRandomName();
+    }
+    
+    return taken.has(name) ? `${name} II` : name;
+  }
+  
+  /**
+   * Generate a two-generation pedigree of named ancestors
+   * @returns {Object} Pedigree { sire: { name, sire, dam }, dam: { name, sire, dam } }
+   */
+  generatePedigree() {
+    const name = () => Horse.prototype.generateRandomName();
+    
+    return {
+      sire: { name: name(), sire: { name: name() }, dam: { name: name() } },
+      dam: { name: name(), sire: { name: name() }, dam: { name: name() } }
+    };
+  }
+  
+  /**
+   * Generate a racing career that matches a stallion's quality
+   * @param {Horse} horse - The stallion
+   * @param {number} quality - Overall quality (0-100)
+   * @returns {Object} Race record { starts, wins, places, earnings }
+   */
+  generateRaceRecord(horse, quality) {
+    const starts = 6 + Math.floor(rng.random() * Math.min(25, horse.age * 3));
+    const winRate = Math.min(0.45, Math.max(0.05, (quality - 35) / 100 + (rng.random() * 0.1 - 0.05)));
+    const wins = Math.round(starts * winRate);
+    const places = Math.min(starts - wins, Math.round(starts * (0.2 + rng.random() * 0.1)));
+    
+    // Better horses raced for bigger purses
+    let prizePerWin = 5000;
+    if (quality >= 75) {
+      prizePerWin = 40000;
+    } else if (quality >= 60) {
+      prizePerWin = 15000;
+    }
+    
+    return {
+      starts,
+      wins,
+      places,
+      earnings: Math.round(wins * prizePerWin + places * prizePerWin * 0.2)
+    };
+  }
+  
+  /**
+   * Round a fee to the nearest $50
+   * @param {number} fee - Fee to round
+   * @returns {number} Rounded fee
+   */
+  roundFee(fee) {
+    return Math.round(fee / 50) * 50;
+  }
+  
+  /**
+   * Get the stallions currently standing at stud, most expensive first
+   * @returns {Array} Roster entries
+   */
+  getRoster() {
+    return this.stallions
+      .filter(entry => !entry.retired)
+      .sort((a, b) => b.fee - a.fee);
+  }
+  
+  /**
+   * Get a roster entry by stallion ID
+   * @param {string} stallionId - ID of the stallion
+   * @returns {Object|null} Roster entry or null if not found
+   */
+  getEntry(stallionId) {
+    return this.stallions.find(entry => entry.horse.id === stallionId) || null;
+  }
+  
+  /**
+   * Get a stallion standing at stud
+   * @param {string} stallionId - ID of the stallion
+   * @returns {Horse|null} The stallion, or null if not found or retired
+   */
+  getStallion(stallionId) {
+    const entry = this.getEntry(stallionId);
+    return entry && !entry.retired ? entry.horse : null;
+  }
+  
+  /**
+   * Get the current stud fee for a stallion
+   * @param {string} stallionId - ID of the stallion
+   * @returns {number|null} Stud fee, or null if the stallion is not standing
+   */
+  getStudFee(stallionId) {
+    const entry = this.getEntry(stallionId);
+    return entry && !entry.retired ? entry.fee : null;
+  }
+  
+  /**
+   * Record a covering by a stallion
+   * @param {string} stallionId - ID of the stallion
+   */
+  recordCovering(stallionId) {
+    const entry = this.getEntry(stallionId);
+    if (entry) {
+      entry.coverings++;
+    }
+  }
+  
+  /**
+   * Record a foal sired by a roster stallion
+   * @param {string} stallionId - ID of the sire
+   * @param {Horse} foal - The foal
+   * @returns {boolean} True if the sire is on the roster
+   */
+  recordFoal(stallionId, foal) {
+    const entry = this.getEntry(stallionId);
+    if (!entry) return false;
+    
+    entry.progeny.foals.push({ id: foal.id, name: foal.name, born: calendar.getDate() });
+    return true;
+  }
+  
+  /**
+   * Record a race run by one of a roster stallion's progeny and reprice the stallion
+   * @param {string} stallionId - ID of the sire
+   * @param {Object} result - Race result { position, prize }
+   * @returns {Object|null} Fee change { stallionId, name, previousFee, fee }, or null if the sire is not on the roster
+   */
+  recordProgenyResult(stallionId, result) {
+    const entry = this.getEntry(stallionId);
+    if (!entry) return null;
+    
+    entry.progeny.runs++;
+    if (result.position === 1) {
+      entry.progeny.wins++;
+    } else if (result.position <= 3) {
+      entry.progeny.places++;
+    }
+    entry.progeny.earnings += result.prize || 0;
+    
+    const previousFee = entry.fee;
+    this.updateFee(entry);
+    
+    return {
+      stallionId,
+      name: entry.horse.name,
+      previousFee,
+      fee: entry.fee
+    };
+  }
+  
+  /**
+   * Reprice a stallion from his progeny's record: winners and earnings raise the fee,
+   * runners who keep getting beaten lower it
+   * @param {Object} entry - Roster entry
+   */
+  updateFee(entry) {
+    const progeny = entry.progeny;
+    let factor = 1;
+    
+    // Only judge the strike rate once a few runners have been seen
+    if (progeny.runs >= 3) {
+      const strikeRate = (progeny.wins + progeny.places * 0.3) / progeny.runs;
+      factor += (strikeRate - AVERAGE_STRIKE_RATE) * 2.5;
+    }
+    
+    factor += Math.min(1, progeny.earnings / 100000);
+    
+    entry.fee = this.roundFee(Math.max(MIN_STUD_FEE, entry.baseFee * Math.min(3, Math.max(0.5, factor))));
+  }
+  
+  /**
+   * Update the roster for a new day: stallions age, old ones retire and are replaced
+   * @param {Object} gameTime - Current game time
+   * @returns {Object} Update results
+   */
+  update(gameTime = null) {
+    if (gameTime) {
+      this.gameTime = gameTime;
+    }
+    
+    const retired = [];
+    
+    this.stallions.forEach(entry => {
+      if (entry.retired) return;
+      
+      entry.horse.update(1, this.gameTime);
+      
+      if (entry.horse.age >= RETIREMENT_AGE) {
+        entry.retired = true;
+        retired.push({ id: entry.horse.id, name: entry.horse.name });
+      }
+    });
+    
+    // Keep the roster full
+    const added = this.generateRoster(Math.max(0, ROSTER_SIZE - this.getRoster().length))
+      .map(entry => ({ id: entry.horse.id, name: entry.horse.name, fee: entry.fee }));
+    
+    return {
+      success: true,
+      retired,
+      added
+    };
+  }
+  
+  /**
+   * Convert manager to a plain object for serialization
+   * @returns {Object} Serializable manager object
+   */
+  toJSON() {
+    return {
+      gameTime: this.gameTime,
+      stallions: this.stallions.map(entry => ({
+        ...entry,
+        horse: entry.horse.toJSON()
+      }))
+    };
+  }
+}
+
+export default StudManager;
@@ -0,0 +1,212 @@
+/**
+ * Horse Tycoon - Weather Manager Class
+ * 
+ * Draws the daily weather from the season and keeps the going of every racecourse track as it wets and dries
+ */
+import rng from '../utils/rng.js';
+import calendar from '../utils/calendar.js';
+import {
+  rollWeather,
+  updateMoisture,
+  getGoing,
+  getGoingName,
+  getSeasonalMoisture,
+  SURFACE_DRAINAGE
+} from '../utils/weather.js';
+import { RACECOURSES, getRacecoursesForSurface } from '../utils/racecourses.js';
+
+// Days of weather kept for the forecast screen and reports
+const MAX_WEATHER_HISTORY = 30;
+
+const SURFACE_NAMES = {
+  turf: 'Turf',
+  dirt: 'Dirt',
+  synthetic: 'All-Weather'
+};
+
+class WeatherManager {
+  /**
+   * Create a new Weather Manager
+   * @param {Object} config - The manager configuration
+   */
+  constructor(config = {}) {
+    this.gameTime = config.gameTime || { day: 1, month: 1, year: 2023 };
+    
+    // Today's weather { date, type, name, rainfall }
+    this.today = config.today || null;
+    
+    // Tracks by ID (course and surface): { id, courseId, name, surface, drainage, moisture }
+    this.tracks = config.tracks || {};
+    
+    // Earlier days' weather, newest first
+    this.history = config.history || [];
+    
+    this.initializeTracks();
+    
+    if (!this.today) {
+      this.today = { date: { ...this.gameTime }, ...rollWeather(calendar.getSeason(this.gameTime), () => rng.random()) };
+    }
+  }
+  
+  /**
+   * Set up every racecourse track from the course registry, keeping saved moisture. Tracks
+   * without a saved state start at the usual moisture for the season.
+   */
+  initializeTracks() {
+    const seasonalMoisture = getSeasonalMoisture(calendar.getSeason(this.gameTime));
+    const saved = this.tracks;
+    this.tracks = {};
+    
+    Object.entries(RACECOURSES).forEach(([courseId, course]) => {
+      course.surfaces.forEach(surface => {
+        const id = this.getTrackId(courseId, surface);
+        this.tracks[id] = {
+          id,
+          courseId,
+          name: `${course.name} ${SURFACE_NAMES[surface]}`,
+          surface,
+          drainage: SURFACE_DRAINAGE[surface] * course.drainage,
+          moisture: saved[id] && typeof saved[id].moisture === 'number' ? saved[id].moisture : seasonalMoisture
+        };
+      });
+    });
+  }
+  
+  /**
+   * Get the ID of a racecourse's track for a surface
+   * @param {string} courseId - ID of the racecourse
+   * @param {string} surface - Surface
+   * @returns {string} Track ID
+   */
+  getTrackId(courseId, surface) {
+    return `${courseId}_${surface}`;
+  }
+  
+  /**
+   * Get the track a race is run on
+   * @param {Object} race - The race (or anything with a course and surface)
+   * @returns {Object} The track; races with no course use the first course offering the surface
+   */
+  getTrack(race) {
+    const track = this.tracks[this.getTrackId(race.courseId, race.surface)];
+    if (track) return track;
+    
+    const courseId = getRacecoursesForSurface(race.surface)[0] || Object.keys(RACECOURSES)[0];
+    return this.tracks[this.getTrackId(courseId, race.surface)] || Object.values(this.tracks)[0];
+  }
+  
+  /**
+   * Get the current going for a race
+   * @param {Object} race - The race
+   * @returns {string} Going ID
+   */
+  getGoing(race) {
+    const track = this.getTrack(race);
+    return getGoing(track.surface, track.moisture);
+  }
+  
+  /**
+   * Set the going on races that have not been run. Races on later days show today's going,
+   * which keeps changing with the weather until race day.
+   * @param {Array} races - Races to update
+   * @returns {Array} Changes { race, previousGoing, going } for races whose going changed
+   */
+  applyGoing(races) {
+    const changes = [];
+    
+    races.forEach(race => {
+      if (race.hasRun) return;
+      
+      const going = this.getGoing(race);
+      if (race.going !== going) {
+        changes.push({ race, previousGoing: race.going, going });
+        race.going = going;
+      }
+    });
+    
+    return changes;
+  }
+  
+  /**
+   * Get today's weather and the going on every track
+   * @returns {Object} { weather, season, tracks }
+   */
+  getConditions() {
+    return {
+      weather: { ...this.today },
+      season: calendar.getSeasonName(this.gameTime),
+      tracks: Object.values(this.tracks).map(track => {
+        const going = getGoing(track.surface, track.moisture);
+        return {
+          id: track.id,
+          courseId: track.courseId,
+          name: track.name,
+          surface: track.surface,
+          moisture: track.moisture,
+          going,
+          goingName: getGoingName(going)
+        };
+      })
+    };
+  }
+  
+  /**
+   * Get recent weather
+   * @param {number} limit - Maximum number of days to return
+   * @returns {Array} Weather by day, newest first
+   */
+  getWeatherHistory(limit = 7) {
+    return this.history.slice(0, limit);
+  }
+  
+  /**
+   * Update the weather and tracks for a new day
+   * @param {Object} gameTime - Current game time
+   * @returns {Object} Update results with today's weather
+   */
+  update(gameTime = null) {
+    if (gameTime) {
+      this.gameTime = gameTime;
+    }
+    
+    if (this.today && calendar.compareDates(this.today.date, this.gameTime) === 0) {
+      return {
+        success: true,
+        weather: this.today
+      };
+    }
+    
+    const season = calendar.getSeason(this.gameTime);
+    
+    this.history.unshift(this.today);
+    if (this.history.length > MAX_WEATHER_HISTORY) {
+      this.history = this.history.slice(0, MAX_WEATHER_HISTORY);
+    }
+    
+    this.today = { date: { ...this.gameTime }, ...rollWeather(season, () => rng.random()) };
+    
+    Object.values(this.tracks).forEach(track => {
+      track.moisture = updateMoisture(track.moisture, this.today, season, track.drainage);
+    });
+    
+    return {
+      success: true,
+      weather: this.today
+    };
+  }
+  
+  /**
+   * Convert manager to a plain object for serialization
+   * @returns {Object} Serializable manager object
+   */
+  toJSON() {
+    return {
+      gameTime: this.gameTime,
+      today: this.today,
+      tracks: this.tracks,
+      history: this.history
+    };
+  }
+}
+
+export default WeatherManager;
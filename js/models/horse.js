@@ -3,6 +3,28 @@
  * 
  * The core Horse class that handles all horse-related properties and methods
  */
+import rng from '../utils/rng.js';
+import calendar from '../utils/calendar.js';
+import { inferGenotype, getGeneticValue, expressColor, expressGoing, getColorRarity } from '../utils/genetics.js';
+import { getTraitEffect, resolveTraitId, describeTraits, evaluateAcquiredTraits } from '../utils/traits.js';
+import { getGoingSuitability, GOINGS } from '../utils/weather.js';
+import { getRacecourseName } from '../utils/racecourses.js';
+import { reassessMark } from '../utils/handicapping.js';
+
+// Life cycle stages by age in years (every horse turns a year older on the racing birthday)
+const LIFE_STAGES = [
+  { id: 'juvenile', name: 'Juvenile', minAge: 0, maxAge: 4 },
+  { id: 'prime', name: 'Prime', minAge: 5, maxAge: 10 },
+  { id: 'veteran', name: 'Veteran', minAge: 11, maxAge: Infinity }
+];
+
+// Pregnancy milestones in days since covering
+const GESTATION_DAYS = 340;
+const PREGNANCY_RACING_LIMIT = 120; // Mares may race early in pregnancy only
+const PREGNANCY_LIGHT_TRAINING = 120; // Light work only from here
+const PREGNANCY_TRAINING_LIMIT = 240; // No training in late pregnancy
+// A mare that did not conceive comes back into season by this day, so one still covered is plainly in foal
+export const RETURN_TO_SEASON_DAYS = 42;
 
 class Horse {
   /**
@@ -11,15 +33,18 @@ class Horse {
    */
   constructor(config = {}) {
     // Generate a unique ID
-    this.id = config.id || Date.now() + '_' + Math.floor(Math.random() * 1000000);
+    this.id = config.id || rng.id();
     
     // Basic info
     this.name = config.name || this.generateRandomName();
-    this.gender = config.gender || (Math.random() > 0.5 ? 'male' : 'female');
+    this.gender = config.gender || (rng.random() > 0.5 ? 'male' : 'female');
     this.breed = config.breed || this.getRandomBreed();
-    this.color = config.color || this.getRandomColor();
-    this.age = config.age || 2; // Age in years
-    this.birthDay = config.birthDay || 0; // Game day of birth
+    this.color = config.color || null; // Coat colour (expressed from the genotype below if not given)
+    this.birthDay = config.birthDay || null; // Birth date { day, month, year }
+    this.age = config.age !== undefined ? config.age : (this.birthDay ? this.getAge() : 2); // Age in years
+    if (!this.birthDay) {
+      this.birthDay = this.estimateBirthDay();
+    }
     
     // Lineage
     this.sire = config.sire || null; // Father
@@ -35,6 +60,16 @@ class Horse {
     // Racing preferences
     this.preferredDistance = config.preferredDistance || this.getRandomPreferredDistance();
     this.preferredSurface = config.preferredSurface || this.getRandomPreferredSurface();
+    this.preferredGoing = config.preferredGoing || null; // 'firm', 'good' or 'soft' (expressed from the genotype if not given)
+    
+    // Hidden genotype the stats and preferences are expressed from (inferred for horses with no recorded parents)
+    this.genotype = config.genotype || inferGenotype(this);
+    if (!this.color) {
+      this.color = expressColor(this.genotype);
+    }
+    if (!this.preferredGoing) {
+      this.preferredGoing = expressGoing(this.genotype);
+    }
     
     // Status
     this.energy = config.energy !== undefined ? config.energy : 100;
@@ -50,6 +85,11 @@ class Horse {
     this.injured = config.injured || false;
     this.injuryDuration = config.injuryDuration || 0;
     
+    // Breeding
+    this.fertility = config.fertility !== undefined ? config.fertility : this.generateRandomStat(60, 95);
+    this.pregnancy = config.pregnancy || null; // Set on covering, cleared on foaling or a failed conception
+    this.inbreeding = config.inbreeding || 0; // Coefficient of inbreeding (0-1) worked out from the pedigree at covering
+    
     // Records and achievements
     this.races = config.races || []; // Race history
     this.racesWon = config.racesWon || 0;
@@ -57,16 +97,22 @@ class Horse {
     this.earnings = config.earnings || 0;
     this.level = config.level || 1;
     
-    // Traits (special abilities or characteristics)
-    this.traits = config.traits || [];
-    this.acquiredTraits = config.acquiredTraits || [];
+    // Official handicap mark, given after the first run and reassessed after every run
+    this.handicapMark = typeof config.handicapMark === 'number' ? config.handicapMark : null;
+    this.markHistory = config.markHistory || []; // { raceId, date, previousMark, mark, figure }
+    
+    // Traits (special abilities or characteristics), stored as trait registry IDs
+    this.traits = (config.traits || []).map(resolveTraitId).filter(Boolean);
+    this.acquiredTraits = (config.acquiredTraits || []).map(resolveTraitId).filter(Boolean);
+    // Per acquired trait: when it was gained and training since, or when it was lost
+    this.acquiredTraitProgress = config.acquiredTraitProgress || {};
     
     // Internal states
     this.needsUpdate = true;
-    this.growthRate = this.calculateGrowthRate();
+    this.growthRate = config.growthRate !== undefined ? config.growthRate : this.calculateGrowthRate();
     
-    // Calculate potential based on stats
-    this.potential = this.calculatePotential();
+    // Calculate potential from the genotype (kept from saves so reloading does not reroll it)
+    this.potential = config.potential !== undefined ? config.potential : this.calculatePotential();
   }
   
   /**
@@ -79,8 +125,8 @@ class Horse {
     const suffixes = ['Runner', 'Spirit', 'Star', 'Bolt', 'Wind', 'Heart', 'Fire', 'Dash', 'Flash',
                       'Mane', 'Dancer', 'Jumper', 'Blaze', 'Whisper', 'Dream', 'Legend'];
     
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-    const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+    const prefix = prefixes[Math.floor(rng.random() * prefixes.length)];
+    const suffix = suffixes[Math.floor(rng.random() * suffixes.length)];
     
     return prefix + ' ' + suffix;
   }
@@ -92,17 +138,7 @@ class Horse {
   getRandomBreed() {
     const breeds = ['Thoroughbred', 'Arabian', 'Quarter Horse', 'Appaloosa', 'Mustang', 
                     'Morgan', 'Andalusian', 'Friesian', 'Belgian', 'Clydesdale'];
-    return breeds[Math.floor(Math.random() * breeds.length)];
-  }
-  
-  /**
-   * Get a random horse color
-   * @returns {string} A randomly selected color
-   */
-  getRandomColor() {
-    const colors = ['Bay', 'Chestnut', 'Black', 'Grey', 'Palomino', 'Buckskin', 
-                    'Roan', 'Dun', 'Pinto', 'White', 'Sorrel'];
-    return colors[Math.floor(Math.random() * colors.length)];
+    return breeds[Math.floor(rng.random() * breeds.length)];
   }
   
   /**
@@ -112,7 +148,7 @@ class Horse {
    * @returns {number} A random value between min and max
    */
   generateRandomStat(min = 0, max = 100) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(rng.random() * (max - min + 1)) + min;
   }
   
   /**
@@ -121,7 +157,7 @@ class Horse {
    */
   getRandomPreferredDistance() {
     const distances = ['sprint', 'middle', 'long'];
-    return distances[Math.floor(Math.random() * distances.length)];
+    return distances[Math.floor(rng.random() * distances.length)];
   }
   
   /**
@@ -130,7 +166,7 @@ class Horse {
    */
   getRandomPreferredSurface() {
     const surfaces = ['dirt', 'turf', 'synthetic'];
-    return surfaces[Math.floor(Math.random() * surfaces.length)];
+    return surfaces[Math.floor(rng.random() * surfaces.length)];
   }
   
   /**
@@ -149,20 +185,111 @@ class Horse {
     }
     
     // Add some randomness
-    rate *= (0.9 + Math.random() * 0.2);
+    rate *= (0.9 + rng.random() * 0.2);
     
     return rate;
   }
   
   /**
-   * Calculate horse's overall potential
+   * Pick a birth date in the foaling season that matches the horse's age
+   * @param {Object} date - Current calendar date
+   * @returns {Object} Birth date { day, month, year }
+   */
+  estimateBirthDay(date = calendar.getDate()) {
+    // Most foals arrive between January and May
+    const year = calendar.getRacingYear(date) - this.age;
+    const month = 1 + Math.floor(rng.random() * 5);
+    const day = 1 + Math.floor(rng.random() * calendar.getDaysInMonth(month, year));
+    const birthDay = { day, month, year };
+    
+    // A horse born this year cannot be born after today
+    return calendar.compareDates(birthDay, date) > 0 ? { ...date } : birthDay;
+  }
+  
+  /**
+   * Get the horse's age on a date, counted in racing years since birth
+   * @param {Object} date - Calendar date (defaults to today)
+   * @returns {number} Age in years
+   */
+  getAge(date = calendar.getDate()) {
+    return Math.max(0, calendar.getRacingYear(date) - calendar.getRacingYear(this.birthDay));
+  }
+  
+  /**
+   * Count days since the horse's last racing birthday
+   * @param {Object} date - Calendar date (defaults to today)
+   * @returns {number} Days since the last birthday
+   */
+  getDaysSinceBirthday(date = calendar.getDate()) {
+    const lastBirthday = calendar.getRacingYearStart(date);
+    return calendar.daysBetween(calendar.compareDates(this.birthDay, lastBirthday) > 0 ? this.birthDay : lastBirthday, date);
+  }
+  
+  /**
+   * Get the life cycle stage for an age
+   * @param {number} age - Age in years (defaults to the horse's age)
+   * @returns {Object} Life stage { id, name, minAge, maxAge }
+   */
+  getLifeStage(age = this.age) {
+    return LIFE_STAGES.find(stage => age >= stage.minAge && age <= stage.maxAge);
+  }
+  
+  /**
+   * Apply a year of development or decline for a birthday
+   * @param {number} age - The age the horse has just turned
+   * @returns {Object} Stat changes keyed by stat name
+   */
+  applyBirthdayDevelopment(age) {
+    const changes = {};
+    const adjust = (stat, amount) => {
+      const before = this[stat];
+      this[stat] = Math.max(0, Math.min(100, this[stat] + amount));
+      if (this[stat] !== before) {
+        changes[stat] = (changes[stat] || 0) + (this[stat] - before);
+      }
+    };
+    
+    switch (this.getLifeStage(age).id) {
+      case 'juvenile': {
+        // Still growing: two stats develop, faster for quick-maturing horses and those with room to grow
+        const stats = ['speed', 'acceleration', 'stamina', 'jumping', 'temperament'];
+        const headroom = Math.max(0.5, Math.min(1.5, 1 + (this.potential - this.calculateOverallRating()) / 50));
+        for (let i = 0; i < 2; i++) {
+          const stat = stats[Math.floor(rng.random() * stats.length)];
+          adjust(stat, Math.max(1, Math.round((1 + rng.random() * 3) * this.growthRate * headroom)));
+        }
+        break;
+      }
+      case 'prime':
+        // Mature horses hold their physical stats and settle in temperament
+        if (rng.random() < 0.5) {
+          adjust('temperament', 1);
+        }
+        break;
+      case 'veteran': {
+        // Decline speeds up the older the horse gets
+        const maxLoss = Math.min(5, 1 + Math.floor((age - 11) / 2));
+        ['speed', 'acceleration', 'stamina'].forEach(stat => {
+          adjust(stat, -(1 + Math.floor(rng.random() * maxLoss)));
+        });
+        break;
+      }
+    }
+    
+    return changes;
+  }
+  
+  /**
+   * Calculate horse's overall potential from its genotype
    * @returns {number} Potential rating (0-100)
    */
   calculatePotential() {
-    // Average of base stats with small random factor
-    const baseAverage = (this.speed + this.acceleration + this.stamina + this.jumping + this.temperament) / 5;
-    const potential = Math.min(100, baseAverage * (1 + (Math.random() * 0.3 - 0.1)));
-    return Math.round(potential);
+    // Genetic values of the inherited stats; jumping is not genetic and counts as it stands
+    const speed = getGeneticValue(this.genotype, 'speed');
+    const stamina = getGeneticValue(this.genotype, 'stamina');
+    const temperament = getGeneticValue(this.genotype, 'temperament');
+    const potential = (speed * 2 + stamina + this.jumping + temperament) / 5;
+    return Math.round(Math.min(100, potential));
   }
   
   /**
@@ -212,13 +339,7 @@ class Horse {
     let finalRating = rating * ageModifier * healthModifier * energyModifier * (1 + trainingBonus);
     
     // Apply trait modifiers
-    if (this.traits.length > 0) {
-      this.traits.forEach(trait => {
-        if (trait.ratingEffect) {
-          finalRating += trait.ratingEffect;
-        }
-      });
-    }
+    finalRating += this.getTraitEffect('rating');
     
     // Cap at 100
     return Math.min(100, Math.round(finalRating));
@@ -245,76 +366,63 @@ class Horse {
       ageMultiplier = 1.2;
     }
     
+    // Rare coat colours fetch a premium
+    const colorMultiplier = this.getColorRarity().valueMultiplier;
+    
     // Add value for racing success
     const raceBonus = (this.racesWon * 500) + (this.racesPlaced * 200);
     
-    // Add value for good traits
-    let traitBonus = 0;
-    if (this.traits.length > 0) {
-      this.traits.forEach(trait => {
-        if (trait.valueEffect) {
-          traitBonus += trait.valueEffect;
-        }
-      });
-    }
+    // Good traits add value and weaknesses take it away
+    const traitMultiplier = Math.max(0.5, 1 + this.getTraitEffect('value'));
     
     // Calculate final value
-    return Math.max(500, Math.round((baseValue * ageMultiplier) + raceBonus + traitBonus));
+    return Math.max(500, Math.round((baseValue * ageMultiplier * colorMultiplier * traitMultiplier) + raceBonus));
+  }
+  
+  /**
+   * Get how rare the horse's coat colour is
+   * @returns {Object} Colour rarity { id, name, valueMultiplier }
+   */
+  getColorRarity() {
+    return getColorRarity(this.genotype);
   }
   
   /**
    * Get racing performance for a specific race
    * @param {Object} race - Race information
-   * @returns {Object} Performance metrics for the race
+   * @returns {Object} Performance metrics and simulation profile for the race
    */
   getRacePerformance(race) {
     // Base performance from overall rating
     let performance = this.calculateOverallRating() * 0.8;
     
-    // Calculate distance compatibility
-    let distanceCompatibility = 1.0;
-    if (race.distance === this.preferredDistance) {
-      distanceCompatibility = 1.2; // 20% boost for preferred distance
-    } else if (
-      (race.distance === 'sprint' && this.preferredDistance === 'long') ||
-      (race.distance === 'long' && this.preferredDistance === 'sprint')
-    ) {
-      distanceCompatibility = 0.8; // 20% penalty for opposite preference
-    }
-    
-    // Calculate surface compatibility
-    let surfaceCompatibility = 1.0;
-    if (race.surface === this.preferredSurface) {
-      surfaceCompatibility = 1.15; // 15% boost for preferred surface
-    } else {
-      surfaceCompatibility = 0.9; // 10% penalty for non-preferred surface
-    }
+    // Distance, surface and going suitability
+    const { distanceCompatibility, surfaceCompatibility, goingCompatibility } = this.calculateRaceCompatibility(race);
     
     // Apply energy and health factors
     const energyFactor = this.energy / 100;
     const healthFactor = this.health / 100;
     
-    // Apply random factor (luck)
-    const randomFactor = 0.85 + (Math.random() * 0.3); // 0.85 to 1.15
+    // Apply trait modifiers for traits whose conditions the race meets
+    const traitModifier = this.getTraitEffect('race', { race });
     
-    // Apply trait modifiers
-    let traitModifier = 0;
-    if (this.traits.length > 0) {
-      this.traits.forEach(trait => {
-        if (trait.raceEffect) {
-          traitModifier += trait.raceEffect;
-        }
-      });
-    }
+    // Overall condition on the day (luck is left to the race simulation)
+    const condition = distanceCompatibility * surfaceCompatibility * goingCompatibility * energyFactor * healthFactor;
     
     // Calculate final performance score
-    const finalScore = performance * distanceCompatibility * surfaceCompatibility * 
-                       energyFactor * healthFactor * randomFactor + traitModifier;
+    const finalScore = performance * condition + traitModifier;
     
     // Create race result data
     return {
       score: finalScore,
-      time: this.calculateRaceTime(race, finalScore),
+      profile: {
+        speed: this.speed,
+        acceleration: this.acceleration,
+        stamina: this.stamina,
+        temperament: this.temperament,
+        condition: condition * (1 + traitModifier / 100),
+        startFactor: this.getTraitEffect('start', { race })
+      },
       energyUsed: this.calculateEnergyUsed(race),
       injury: this.calculateInjuryChance(race),
       experience: this.calculateExperienceGained(race)
@@ -322,37 +430,38 @@ class Horse {
   }
   
   /**
-   * Calculate race time based on performance
+   * Calculate how well the race distance, surface and going suit the horse
    * @param {Object} race - Race information
-   * @param {number} performance - Performance score
-   * @returns {number} Race time in seconds
+   * @returns {Object} Distance, surface and going multipliers
    */
-  calculateRaceTime(race, performance) {
-    // Base time depends on distance
-    let baseTime;
-    switch(race.distance) {
-      case 'sprint':
-        baseTime = 70; // ~1:10 for 1200m
-        break;
-      case 'middle':
-        baseTime = 120; // ~2:00 for 2000m
-        break;
-      case 'long':
-        baseTime = 180; // ~3:00 for 3000m
-        break;
-      default:
-        baseTime = 120;
+  calculateRaceCompatibility(race) {
+    // Calculate distance compatibility
+    let distanceCompatibility = 1.0;
+    if (race.distance === this.preferredDistance) {
+      distanceCompatibility = 1.2; // 20% boost for preferred distance
+    } else if (
+      (race.distance === 'sprint' && this.preferredDistance === 'long') ||
+      (race.distance === 'long' && this.preferredDistance === 'sprint')
+    ) {
+      distanceCompatibility = 0.8; // 20% penalty for opposite preference
     }
     
-    // Adjust based on performance
-    // Higher performance = lower time
-    const performanceAdjustment = (100 - performance) / 100;
+    // Calculate surface compatibility
+    let surfaceCompatibility = 1.0;
+    if (race.surface === this.preferredSurface) {
+      surfaceCompatibility = 1.15; // 15% boost for preferred surface
+    } else {
+      surfaceCompatibility = 0.9; // 10% penalty for non-preferred surface
+    }
     
-    // Add some randomness
-    const randomAdjustment = (Math.random() * 10 - 5) / 100; // -5% to +5%
+    // Going compatibility: best on the preferred going, worse the further the ground is from it
+    const goingCompatibility = getGoingSuitability(this.preferredGoing, race.going);
     
-    // Calculate final time
-    return baseTime * (1 + performanceAdjustment + randomAdjustment);
+    return {
+      distanceCompatibility,
+      surfaceCompatibility,
+      goingCompatibility
+    };
   }
   
   /**
@@ -381,10 +490,16 @@ class Horse {
     const staminaFactor = 1 - (this.stamina / 200); // 0.5 to 1
     
     // Add some randomness
-    const randomFactor = 0.9 + (Math.random() * 0.2); // 0.9 to 1.1
+    const randomFactor = 0.9 + (rng.random() * 0.2); // 0.9 to 1.1
+    
+    // Some traits make races more or less tiring
+    const traitFactor = this.getTraitEffect('energy', { race });
+    
+    // Deep ground takes more out of a horse
+    const goingFactor = GOINGS[race.going] ? GOINGS[race.going].stamina : 1;
     
     // Calculate total energy used
-    return Math.min(100, Math.round(baseEnergy * staminaFactor * randomFactor));
+    return Math.min(100, Math.round(baseEnergy * staminaFactor * randomFactor * traitFactor * goingFactor));
   }
   
   /**
@@ -403,12 +518,18 @@ class Horse {
     // Adjust based on race distance
     if (race.distance === 'long') baseChance *= 1.5;
     
+    // Firm ground jars legs
+    if (race.going === 'firm') baseChance *= 1.3;
+    
     // Adjust based on temperament (calmer horses less likely to injure)
     const temperamentFactor = 1 - (this.temperament / 200); // 0.5 to 1
     baseChance *= temperamentFactor;
     
+    // Adjust for traits such as Fragile
+    baseChance *= this.getTraitEffect('injury', { race });
+    
     // Roll for injury
-    const injured = Math.random() < baseChance;
+    const injured = rng.random() < baseChance;
     
     // If injured, determine severity
     let severity = 0;
@@ -416,18 +537,18 @@ class Horse {
     
     if (injured) {
       // 1-3 severity, higher is worse
-      severity = Math.floor(Math.random() * 3) + 1;
+      severity = Math.floor(rng.random() * 3) + 1;
       
       // Duration based on severity
       switch(severity) {
         case 1: // Minor
-          duration = Math.floor(Math.random() * 3) + 1; // 1-3 days
+          duration = Math.floor(rng.random() * 3) + 1; // 1-3 days
           break;
         case 2: // Moderate
-          duration = Math.floor(Math.random() * 5) + 3; // 3-7 days
+          duration = Math.floor(rng.random() * 5) + 3; // 3-7 days
           break;
         case 3: // Severe
-          duration = Math.floor(Math.random() * 10) + 7; // 7-16 days
+          duration = Math.floor(rng.random() * 10) + 7; // 7-16 days
           break;
       }
     }
@@ -469,7 +590,7 @@ class Horse {
     if (race.surface === this.preferredSurface) baseExp *= 1.1;
     
     // Random variance
-    const randomFactor = 0.9 + (Math.random() * 0.2); // 0.9 to 1.1
+    const randomFactor = 0.9 + (rng.random() * 0.2); // 0.9 to 1.1
     
     return Math.round(baseExp * randomFactor);
   }
@@ -489,8 +610,17 @@ class Horse {
       };
     }
     
+    // Pregnant mares are limited to lighter work, then none at all
+    const pregnancy = this.getPregnancyStatus();
+    if (pregnancy.knownInFoal && pregnancy.maxTrainingIntensity === 0) {
+      return {
+        success: false,
+        message: `${this.name} is heavily in foal and cannot train`
+      };
+    }
+    
     // Cap intensity
-    intensity = Math.min(3, Math.max(1, intensity));
+    intensity = Math.min(pregnancy.maxTrainingIntensity, Math.max(1, intensity));
     
     // Base stat gain
     const baseGain = intensity * 2;
@@ -507,8 +637,9 @@ class Horse {
     let secondaryStatType = '';
     let secondaryStatLossAmount = 0;
     
-    // Calculate actual gain with some randomness
-    primaryStatGain = Math.round(baseGain * (0.8 + Math.random() * 0.4));
+    // Calculate actual gain with some randomness, adjusted for traits such as Quick Learner
+    const traitFactor = this.getTraitEffect('training', { stat: statType });
+    primaryStatGain = Math.round(baseGain * (0.8 + rng.random() * 0.4) * traitFactor);
     
     // Apply gain to the selected stat
     if (this[statType] !== undefined) {
@@ -516,10 +647,10 @@ class Horse {
     }
     
     // Check for secondary stat loss
-    if (Math.random() < secondaryStatLossChance) {
+    if (rng.random() < secondaryStatLossChance) {
       // Choose a random stat that's not the primary one
       const stats = ['speed', 'acceleration', 'stamina', 'jumping', 'temperament'].filter(s => s !== statType);
-      secondaryStatType = stats[Math.floor(Math.random() * stats.length)];
+      secondaryStatType = stats[Math.floor(rng.random() * stats.length)];
       secondaryStatLossAmount = Math.round(baseGain * 0.3); // 30% of gain becomes loss in secondary
       
       // Apply loss
@@ -541,6 +672,14 @@ class Horse {
       leveledUp = true;
     }
     
+    // Training counts towards working off acquired traits such as Gate Shy
+    this.acquiredTraits.forEach(trait => {
+      const progress = this.acquiredTraitProgress[trait] || (this.acquiredTraitProgress[trait] = { training: {} });
+      progress.training = progress.training || {};
+      progress.training[statType] = (progress.training[statType] || 0) + 1;
+    });
+    const traitChanges = this.updateAcquiredTraits();
+    
     // Record that the horse needs an update
     this.needsUpdate = true;
     
@@ -548,6 +687,7 @@ class Horse {
     return {
       success: true,
       message: "Training completed successfully",
+      traitChanges,
       primaryStatGain,
       statTrained: statType,
       secondaryStatLoss,
@@ -559,6 +699,124 @@ class Horse {
     };
   }
   
+  /**
+   * Get the horse's fertility, reduced for old mares and poor health
+   * @returns {number} Fertility (0-100)
+   */
+  getFertility() {
+    if (this.age < 3) return 0;
+    
+    const ageFactor = this.gender === 'female' && this.age > 15 ? Math.max(0.2, 1 - (this.age - 15) * 0.1) : 1;
+    const healthFactor = 0.5 + (this.health / 200);
+    
+    const traitAdjustment = this.getTraitEffect('fertility');
+    
+    return Math.max(0, Math.round((this.fertility + traitAdjustment) * ageFactor * healthFactor));
+  }
+  
+  /**
+   * Get all the horse's traits: those it was born with and those it has acquired
+   * @returns {Array} Trait registry IDs
+   */
+  getAllTraits() {
+    return [...this.traits, ...this.acquiredTraits.filter(trait => !this.traits.includes(trait))];
+  }
+  
+  /**
+   * Get the combined effect of the horse's traits
+   * @param {string} effect - Effect name from the trait registry ('race', 'rating', 'value', 'training', 'energy', 'injury', 'fertility')
+   * @param {Object} context - { race, stat } the effect applies to; the horse's age is added
+   * @returns {number} Summed modifier, or combined multiplier for training, energy and injury
+   */
+  getTraitEffect(effect, context = {}) {
+    return getTraitEffect(this.getAllTraits(), effect, { ...context, age: this.age });
+  }
+  
+  /**
+   * Get the pregnancy state of a mare. inFoal is the truth, for the stable's own bookkeeping;
+   * the limits on racing and training only apply once the pregnancy is known, from a scan or
+   * from the mare not coming back into season, so they never give away an unscanned result.
+   * @param {Object} date - Calendar date (defaults to today)
+   * @returns {Object} Pregnancy status and the limits it places on racing and training
+   */
+  getPregnancyStatus(date = calendar.getDate()) {
+    if (!this.pregnancy) {
+      return { covered: false, inFoal: false, knownInFoal: false, canRace: true, maxTrainingIntensity: 3 };
+    }
+    
+    const daysSinceCovering = calendar.daysBetween(this.pregnancy.coveredOn, date);
+    const inFoal = this.pregnancy.conceived;
+    const knownInFoal = inFoal && (this.pregnancy.confirmed || daysSinceCovering >= RETURN_TO_SEASON_DAYS);
+    
+    let stage = 'early';
+    if (daysSinceCovering >= PREGNANCY_TRAINING_LIMIT) {
+      stage = 'late';
+    } else if (daysSinceCovering >= PREGNANCY_LIGHT_TRAINING) {
+      stage = 'mid';
+    }
+    
+    let maxTrainingIntensity = 3;
+    if (knownInFoal && stage === 'late') {
+      maxTrainingIntensity = 0;
+    } else if (knownInFoal && stage === 'mid') {
+      maxTrainingIntensity = 1;
+    } else if (knownInFoal) {
+      maxTrainingIntensity = 2;
+    }
+    
+    return {
+      covered: true,
+      inFoal,
+      knownInFoal,
+      confirmed: this.pregnancy.confirmed,
+      sire: { id: this.pregnancy.sire.id, name: this.pregnancy.sire.name },
+      coveredOn: { ...this.pregnancy.coveredOn },
+      dueDate: inFoal ? { ...this.pregnancy.dueDate } : null,
+      daysInFoal: daysSinceCovering,
+      daysToDue: inFoal ? calendar.daysBetween(date, this.pregnancy.dueDate) : null,
+      stage,
+      canRace: !knownInFoal || daysSinceCovering < PREGNANCY_RACING_LIMIT,
+      racingLimit: PREGNANCY_RACING_LIMIT,
+      maxTrainingIntensity
+    };
+  }
+  
+  /**
+   * Record a covering; whether the mare conceived is only known once she is scanned
+   * @param {Object} sire - The covering stallion
+   * @param {boolean} conceived - Whether the covering resulted in a pregnancy
+   * @param {Object} date - Covering date (defaults to today)
+   * @param {number} inbreeding - Coefficient of inbreeding the foal will have
+   */
+  startPregnancy(sire, conceived, date = calendar.getDate(), inbreeding = 0) {
+    this.pregnancy = {
+      // Keep what the foal inherits from the sire in case he leaves the stable before foaling
+      sire: {
+        id: sire.id,
+        name: sire.name,
+        breed: sire.breed,
+        speed: sire.speed,
+        acceleration: sire.acceleration,
+        stamina: sire.stamina,
+        jumping: sire.jumping,
+        temperament: sire.temperament,
+        potential: sire.potential,
+        preferredDistance: sire.preferredDistance,
+        preferredSurface: sire.preferredSurface,
+        preferredGoing: sire.preferredGoing,
+        genotype: sire.genotype,
+        traits: [...(sire.traits || [])]
+      },
+      coveredOn: { ...date },
+      // Gestation varies by a couple of weeks either side
+      dueDate: calendar.addDays(date, GESTATION_DAYS - 15 + Math.floor(rng.random() * 31)),
+      conceived,
+      inbreeding,
+      confirmed: false,
+      scans: []
+    };
+  }
+  
   /**
    * Rest the horse to recover energy
    * @param {number} days - Number of days to rest
@@ -612,13 +870,26 @@ class Horse {
   /**
    * Process daily updates for the horse
    * @param {number} days - Number of days to process
+   * @param {Object} date - Calendar date after the update (defaults to today)
    * @returns {Object} Update results
    */
-  update(days = 1) {
-    // Age processing
+  update(days = 1, date = calendar.getDate()) {
+    // Age processing - one development step per birthday passed, never repeated
     const previousAge = this.age;
-    const daysSinceBirth = Math.floor(days) + this.birthDay;
-    this.age = 2 + Math.floor(daysSinceBirth / 365); // Starting at 2 years old
+    const previousStage = this.getLifeStage();
+    const birthdays = [];
+    const currentAge = this.getAge(date);
+    
+    while (this.age < currentAge) {
+      const stageBefore = this.getLifeStage().id;
+      this.age += 1;
+      birthdays.push({
+        age: this.age,
+        previousLifeStage: stageBefore,
+        lifeStage: this.getLifeStage().id,
+        changes: this.applyBirthdayDevelopment(this.age)
+      });
+    }
     
     const hasAged = this.age > previousAge;
     
@@ -648,31 +919,16 @@ class Horse {
       }
     }
     
-    // Check for age-related stat changes
-    if (hasAged) {
-      if (this.age > 15) {
-        // Decline in old age
-        this.speed = Math.max(0, this.speed - Math.floor(Math.random() * 3));
-        this.acceleration = Math.max(0, this.acceleration - Math.floor(Math.random() * 3));
-        this.stamina = Math.max(0, this.stamina - Math.floor(Math.random() * 3));
-      } else if (this.age < 6) {
-        // Young horses still developing
-        const growthChance = (6 - this.age) * 0.1; // 40% at age 2, down to 10% at age 5
-        
-        if (Math.random() < growthChance) {
-          const stats = ['speed', 'acceleration', 'stamina', 'jumping', 'temperament'];
-          const statToImprove = stats[Math.floor(Math.random() * stats.length)];
-          this[statToImprove] = Math.min(100, this[statToImprove] + Math.floor(Math.random() * 3) + 1);
-        }
-      }
-    }
-    
     // Horse is now up to date
     this.needsUpdate = false;
     
     return {
       success: true,
       hasAged,
+      hadBirthday: hasAged,
+      birthdays,
+      previousLifeStage: previousStage.id,
+      lifeStage: this.getLifeStage().id,
       recoveredFromInjury
     };
   }
@@ -727,10 +983,108 @@ class Horse {
       racesWon: this.racesWon,
       racesPlaced: this.racesPlaced,
       totalEarnings: this.earnings,
-      injured: this.injured
+      injured: this.injured,
+      traitChanges: this.updateAcquiredTraits(),
+      handicapChange: this.updateHandicapMark(raceResult.performanceFigure, raceResult.raceId)
     };
   }
   
+  /**
+   * Reassess the official handicap mark from a performance figure
+   * @param {number} figure - The handicapper's figure for the run
+   * @param {string} raceId - ID of the race the figure was earned in
+   * @returns {Object|null} { previousMark, mark }, or null if there was no figure
+   */
+  updateHandicapMark(figure, raceId = null) {
+    if (typeof figure !== 'number') return null;
+    
+    const previousMark = this.handicapMark;
+    this.handicapMark = reassessMark(previousMark, figure);
+    this.markHistory.push({ raceId, date: calendar.getDate(), previousMark, mark: this.handicapMark, figure });
+    
+    return { previousMark, mark: this.handicapMark };
+  }
+  
+  /**
+   * Gain or lose acquired traits according to the horse's race and training history
+   * @returns {Object} { gained, lost } lists of trait details
+   */
+  updateAcquiredTraits() {
+    const { gained, lost } = evaluateAcquiredTraits(this.acquiredTraits, this.races, this.acquiredTraitProgress);
+    
+    gained.forEach(trait => {
+      this.acquiredTraits.push(trait);
+      this.acquiredTraitProgress[trait] = { gainedOn: calendar.getDate(), training: {} };
+    });
+    
+    lost.forEach(trait => {
+      this.acquiredTraits = this.acquiredTraits.filter(id => id !== trait);
+      this.acquiredTraitProgress[trait] = { lostOn: calendar.getDate(), lostAfterStarts: this.races.length };
+    });
+    
+    return {
+      gained: describeTraits(gained),
+      lost: describeTraits(lost)
+    };
+  }
+  
+  /**
+   * Get the horse's form figures: finishing positions in its latest runs, oldest first,
+   * with 0 for anything out of the first nine
+   * @param {number} runs - Number of runs to show
+   * @returns {string} Form figures such as '3-1-0-2', or '' for an unraced horse
+   */
+  getFormFigures(runs = 6) {
+    return this.races.slice(-runs).map(race => (race.position > 9 ? 0 : race.position)).join('-');
+  }
+  
+  /**
+   * Get the horse's record at each course and distance it has raced over
+   * @returns {Array} Records { courseId, courseName, distance, runs, wins, places }, most runs first
+   */
+  getCourseRecord() {
+    const records = {};
+    
+    this.races.filter(race => race.courseId).forEach(race => {
+      const key = `${race.courseId}:${race.distance}`;
+      const record = records[key] || (records[key] = {
+        courseId: race.courseId,
+        courseName: getRacecourseName(race.courseId),
+        distance: race.distance,
+        runs: 0,
+        wins: 0,
+        places: 0
+      });
+      
+      record.runs++;
+      if (race.position === 1) {
+        record.wins++;
+      } else if (race.position <= 3) {
+        record.places++;
+      }
+    });
+    
+    return Object.values(records).sort((a, b) => b.runs - a.runs);
+  }
+  
+  /**
+   * Get the race card form letters for a race: C for a course winner, D for a distance winner
+   * @param {string} courseId - ID of the racecourse
+   * @param {string} distance - Race distance category
+   * @returns {string} 'CD', 'C', 'D', 'C D' (won at both, but not together) or ''
+   */
+  getCourseForm(courseId, distance) {
+    const wins = this.races.filter(race => race.position === 1);
+    
+    if (wins.some(race => race.courseId && race.courseId === courseId && race.distance === distance)) return 'CD';
+    
+    const letters = [];
+    if (wins.some(race => race.courseId && race.courseId === courseId)) letters.push('C');
+    if (wins.some(race => race.distance === distance)) letters.push('D');
+    
+    return letters.join(' ');
+  }
+  
   /**
    * Care for the horse to improve happiness and health
    * @param {string} careType - Type of care to provide
@@ -754,7 +1108,7 @@ class Horse {
         this.health += healthGain;
         
         // Chance to reduce injury duration
-        if (this.injured && Math.random() < 0.5) {
+        if (this.injured && rng.random() < 0.5) {
           this.injuryDuration = Math.max(0, this.injuryDuration - 1);
           bonusApplied = true;
           message = `Veterinarian care provided. Health +${healthGain}. Reduced injury recovery by 1 day.`;
@@ -811,8 +1165,12 @@ class Horse {
       name: this.name,
       gender: this.gender,
       age: this.age,
+      birthDay: this.birthDay,
+      lifeStage: this.getLifeStage().name,
       breed: this.breed,
       color: this.color,
+      colorRarity: this.getColorRarity().name,
+      inbreeding: this.inbreeding,
       stats: {
         speed: this.speed,
         acceleration: this.acceleration,
@@ -834,7 +1192,11 @@ class Horse {
         totalRaces: this.races.length,
         earnings: this.earnings,
         preferredDistance: this.preferredDistance,
-        preferredSurface: this.preferredSurface
+        preferredSurface: this.preferredSurface,
+        preferredGoing: this.preferredGoing,
+        courseRecord: this.getCourseRecord(),
+        handicapMark: this.handicapMark,
+        markHistory: this.markHistory
       },
       conditions: {
         injured: this.injured,
@@ -842,7 +1204,11 @@ class Horse {
         racingCooldown: this.racingCooldown,
         breedingCooldown: this.breedingCooldown
       },
-      traits: this.traits,
+      traits: describeTraits(this.getAllTraits()),
+      breeding: {
+        fertility: this.getFertility(),
+        pregnancy: this.pregnancy && this.pregnancy.confirmed ? this.getPregnancyStatus() : null
+      },
       value: this.calculateMarketValue()
     };
   }
@@ -870,6 +1236,8 @@ class Horse {
       temperament: this.temperament,
       preferredDistance: this.preferredDistance,
       preferredSurface: this.preferredSurface,
+      preferredGoing: this.preferredGoing,
+      genotype: this.genotype,
       energy: this.energy,
       health: this.health,
       happiness: this.happiness,
@@ -880,14 +1248,23 @@ class Horse {
       racingCooldown: this.racingCooldown,
       injured: this.injured,
       injuryDuration: this.injuryDuration,
+      fertility: this.fertility,
+      pregnancy: this.pregnancy,
+      inbreeding: this.inbreeding,
       races: this.races,
       racesWon: this.racesWon,
       racesPlaced: this.racesPlaced,
       earnings: this.earnings,
       level: this.level,
+      handicapMark: this.handicapMark,
+      markHistory: this.markHistory,
       traits: this.traits,
       acquiredTraits: this.acquiredTraits,
-      potential: this.potential
+      acquiredTraitProgress: this.acquiredTraitProgress,
+      potential: this.potential,
+      growthRate: this.growthRate
     };
   }
-} 
\ No newline at end of file
+}
+
+export default Horse;
@@ -3,6 +3,8 @@
  * 
  * Manages the player's game state, horses, finances, and progression
  */
+import rng from '../utils/rng.js';
+import calendar from '../utils/calendar.js';
 
 class Player {
   /**
@@ -11,7 +13,7 @@ class Player {
    */
   constructor(config = {}) {
     // Basic info
-    this.id = config.id || Date.now() + '_' + Math.floor(Math.random() * 1000000);
+    this.id = config.id || rng.id();
     this.name = config.name || 'Player';
     this.stableName = config.stableName || 'My Stable';
     
@@ -21,7 +23,7 @@ class Player {
     this.expenses = config.expenses || [];  // Expense history
     
     // Game time tracking
-    this.gameTime = config.gameTime || 0;  // In days
+    this.gameTime = config.gameTime || 0;  // Calendar day number (see calendar.toDayNumber)
     this.startDate = config.startDate || new Date().toISOString();
     this.lastPlayedDate = config.lastPlayedDate || new Date().toISOString();
     
@@ -272,15 +274,24 @@ class Player {
     };
   }
   
+  /**
+   * Get the player's current calendar date
+   * @returns {Object} Date { day, month, year }
+   */
+  getCurrentDate() {
+    return calendar.fromDayNumber(Math.floor(this.gameTime));
+  }
+  
   /**
    * Advance the game time by a specified number of days
    * @param {number} days - Number of days to advance
+   * @param {Object} currentDate - Calendar date after advancing; keeps the day number in step with the calendar
    * @returns {Object} Result of the operation
    */
-  advanceTime(days = 1) {
+  advanceTime(days = 1, currentDate = null) {
     // Update game time
     const previousDay = Math.floor(this.gameTime);
-    this.gameTime += days;
+    this.gameTime = currentDate ? calendar.toDayNumber(currentDate) : this.gameTime + days;
     const currentDay = Math.floor(this.gameTime);
     
     // Update last played date
@@ -291,7 +302,7 @@ class Player {
     
     // Apply daily maintenance costs
     const maintenanceCost = this.calculateDailyMaintenanceCost() * days;
-    this.removeFunds(maintenanceCost, 'Stable Maintenance');
+    const maintenanceResult = this.removeFunds(maintenanceCost, 'Stable Maintenance');
     
     // Process daily events
     const daysPassed = currentDay - previousDay;
@@ -309,7 +320,10 @@ class Player {
       success: true,
       previousDay,
       currentDay,
+      currentDate: calendar.fromDayNumber(currentDay),
       daysPassed,
+      maintenanceCost,
+      maintenancePaid: maintenanceCost <= 0 || maintenanceResult.success,
       events
     };
   }
@@ -3,6 +3,67 @@
  * 
  * Handles race creation, configuration, and results
  */
+import RaceSimulator from './raceSimulator.js';
+import rng from '../utils/rng.js';
+import calendar from '../utils/calendar.js';
+import { getGoingSuitability, getGoingName } from '../utils/weather.js';
+import { describeRacecourse, getRacecourseName } from '../utils/racecourses.js';
+import {
+  STANDARD_WEIGHT,
+  allocateHandicapWeights,
+  assessMarks,
+  calculatePerformanceFigures,
+  getMarkForRating,
+  getRatingForMark
+} from '../utils/handicapping.js';
+
+// Level-weight runs used to read the form of AI horses that have no official mark
+const FORM_RUNS = 12;
+
+// Outside entries for every place in a handicap; the handicapper declares the ones closest to the field
+const HANDICAP_ENTRIES_PER_PLACE = 4;
+
+// Days before the race that entries close, by tier: the bigger races close earlier
+const ENTRY_CLOSE_DAYS = {
+  low: 2,
+  medium: 3,
+  high: 5,
+  elite: 7
+};
+
+// Final declarations are made the day before the race
+const DECLARATION_DAYS = 1;
+
+// A race takes up to twice as many entries as it has places. Outside yards fill the places
+// left and oversubscribe some races by up to half as many again; the ballot decides who runs.
+const ENTRIES_PER_PLACE = 2;
+const OVERSUBSCRIPTION_CHANCE = 0.35;
+const MAX_OVERSUBSCRIPTION = 0.5;
+
+// Stages of a race's entries, from nominations opening to the result
+export const ENTRY_STAGES = {
+  open: 'Entries open',
+  closed: 'Entries closed',
+  declared: 'Final field declared',
+  run: 'Result',
+  abandoned: 'Abandoned'
+};
+
+// Stable-mate tactics a runner can be given: a pacemaker makes the running to set a true gallop
+// for a stable-mate in the same race
+export const STABLE_TACTICS = {
+  pacemaker: 'Pacemaker'
+};
+
+// Share of the entry fee returned for a non-runner on a vet's certificate
+const VET_CERTIFICATE_REFUND = 0.5;
+
+// Why a horse that was entered did not run
+export const NON_RUNNER_REASONS = {
+  withdrawn: 'Withdrawn',
+  balloted_out: 'Balloted out',
+  scratched: 'Non-runner (vet\'s certificate)'
+};
 
 class Race {
   /**
@@ -11,12 +72,14 @@ class Race {
    */
   constructor(config = {}) {
     // Basic info
-    this.id = config.id || Date.now() + '_' + Math.floor(Math.random() * 1000000);
+    this.id = config.id || rng.id();
     this.name = config.name || 'Unnamed Race';
     
     // Race details
     this.distance = config.distance || 'middle';  // 'sprint', 'middle', or 'long'
     this.surface = config.surface || 'dirt';  // 'dirt', 'turf', or 'synthetic'
+    this.courseId = config.courseId || null;  // Racecourse the race is run at
+    this.going = config.going || 'good';  // 'firm', 'good', 'soft', 'heavy' or 'sloppy', set from the weather until race day
     this.type = config.type || 'flat';  // 'flat' or 'jump'
     this.tier = config.tier || 'low';  // 'low', 'medium', 'high', or 'elite'
     this.difficulty = config.difficulty || 1;  // 1-5 scale
@@ -26,13 +89,14 @@ class Race {
     this.purse = config.purse || 1000;  // Total prize money
     this.prizes = config.prizes || this.calculateDefaultPrizes();
     
-    // Requirements
-    this.requirements = config.requirements || {
+    // Requirements (templates may only set some of these)
+    this.requirements = {
       minAge: 3,
       maxAge: 20,
       minRating: 0,
       gender: 'any',  // 'male', 'female', or 'any'
-      breeds: []  // Empty array means any breed
+      breeds: [],  // Empty array means any breed
+      ...config.requirements
     };
     
     // Maximum number of horses that can enter
@@ -41,9 +105,21 @@ class Race {
     // Special flag
     this.isSpecial = config.isSpecial || false;  // Special races have unique rewards/conditions
     
-    // Results
+    // Handicaps set each runner's weight from its official mark; other races carry level weights
+    this.isHandicap = config.isHandicap || false;
+    
+    // Results; a race that could not be run is abandoned and counts as run with no result
     this.hasRun = config.hasRun || false;
+    this.abandoned = config.abandoned || false;
     this.entrants = config.entrants || [];
+    // Entries close some days before the race, when the outside runners are known, and the
+    // final field is declared the day before
+    this.entryCloseDays = config.entryCloseDays || ENTRY_CLOSE_DAYS[this.tier] || ENTRY_CLOSE_DAYS.low;
+    this.fieldDeclared = config.fieldDeclared || false;
+    this.entriesClosed = config.entriesClosed || this.fieldDeclared;
+    // Horses entered that will not run: withdrawn, balloted out or scratched
+    // { horseId, horseName, playerOwned, stableId, reason, vetCertificate, stage, date }
+    this.nonRunners = config.nonRunners || [];
     this.results = config.results || [];
     
     // Scheduled time (game day)
@@ -92,6 +168,16 @@ class Race {
       reasons.push(`Horse's rating is too low (minimum rating: ${this.requirements.minRating})`);
     }
     
+    // Handicaps are for horses with an official mark, up to the top of the race's band
+    if (this.isHandicap) {
+      const mark = horse.handicapMark;
+      if (typeof mark !== 'number') {
+        reasons.push('Horse needs an official handicap mark, which it gets after its first run');
+      } else if (this.requirements.maxMark !== undefined && mark > this.requirements.maxMark) {
+        reasons.push(`Horse's handicap mark of ${mark} is too high (maximum mark: ${this.requirements.maxMark})`);
+      }
+    }
+    
     // Check gender restrictions
     if (this.requirements.gender !== 'any' && horse.gender !== this.requirements.gender) {
       reasons.push(`This race is for ${this.requirements.gender} horses only`);
@@ -111,6 +197,14 @@ class Race {
       reasons.push('Horse\'s health is too low to race');
     }
     
+    // Mares can only race early in pregnancy, judged on race day
+    const pregnancy = typeof horse.getPregnancyStatus === 'function'
+      ? horse.getPregnancyStatus(this.scheduleDay || calendar.getDate())
+      : null;
+    if (pregnancy && pregnancy.knownInFoal && !pregnancy.canRace) {
+      reasons.push(`Mare will be ${pregnancy.daysInFoal} days in foal on race day and cannot race after ${pregnancy.racingLimit} days of pregnancy`);
+    }
+    
     // Check if horse is on cooldown
     if (horse.racingCooldown > 0) {
       reasons.push(`Horse needs to rest for ${horse.racingCooldown} more days before racing again`);
@@ -128,24 +222,36 @@ class Race {
   /**
    * Add a horse to the race
    * @param {Horse} horse - The horse to add
-   * @param {string} jockeyName - Name of the jockey
+   * @param {Object|string|null} jockey - Ride from the jockey roster
+   *   ({ jockeyId, name, tactics, strength, finish, weight, familiarity, rating }), or just a jockey's name
    * @returns {Object} Result of the operation
    */
-  addEntrant(horse, jockeyName = 'Unknown Jockey') {
-    // Check if race is already full
-    if (this.entrants.length >= this.maxEntrants) {
+  addEntrant(horse, jockey = null) {
+    // Check if race has already run
+    if (this.hasRun) {
       return {
         success: false,
-        message: 'Race is already full',
-        maxEntrants: this.maxEntrants
+        message: 'Race has already been run'
       };
     }
     
-    // Check if race has already run
-    if (this.hasRun) {
+    // No entries once they have closed
+    if (this.entriesClosed) {
+      const closeDate = this.getEntriesCloseDate();
       return {
         success: false,
-        message: 'Race has already been run'
+        message: closeDate
+          ? `Entries for ${this.name} closed on ${calendar.formatDate(closeDate)}`
+          : `Entries for ${this.name} are closed`
+      };
+    }
+    
+    // Check if the race has taken all the entries it can
+    if (this.entrants.length >= this.getMaxEntries()) {
+      return {
+        success: false,
+        message: 'Race is already full',
+        maxEntrants: this.maxEntrants
       };
     }
     
@@ -167,18 +273,31 @@ class Race {
       };
     }
     
+    // Older callers only name the jockey
+    const ride = typeof jockey === 'string' ? { jockeyId: null, name: jockey } : jockey;
+    
     // Add horse to entrants
     this.entrants.push({
       horseId: horse.id,
       horseName: horse.name,
-      jockeyName: jockeyName,
+      jockeyId: ride ? ride.jockeyId : null,
+      jockeyName: ride ? ride.name : 'Unknown Jockey',
+      jockey: ride,
       playerOwned: true,  // Flag to indicate this is the player's horse
-      odds: this.calculateOdds(horse)
+      tactic: null,  // Stable-mate tactic, such as 'pacemaker'
+      odds: this.calculateOdds(horse, ride),
+      rating: horse.calculateOverallRating(),
+      mark: typeof horse.handicapMark === 'number' ? horse.handicapMark : null,
+      // Race card form: recent finishing positions, and C (won at the course), D (won over the distance) or CD
+      form: horse.getFormFigures ? horse.getFormFigures() : '',
+      courseForm: horse.getCourseForm ? horse.getCourseForm(this.courseId, this.distance) : ''
     });
     
     return {
       success: true,
-      message: `${horse.name} has been entered in ${this.name}`,
+      message: this.entrants.length > this.maxEntrants
+        ? `${horse.name} has been entered in ${this.name}; with ${this.entrants.length} entries for ${this.maxEntrants} places there may be a ballot`
+        : `${horse.name} has been entered in ${this.name}`,
       entrantCount: this.entrants.length,
       maxEntrants: this.maxEntrants
     };
@@ -190,8 +309,8 @@ class Race {
    * @returns {Object} Result of the operation
    */
   addAIEntrant(aiHorse) {
-    // Check if race is already full
-    if (this.entrants.length >= this.maxEntrants) {
+    // Check if the race has taken all the entries it can
+    if (this.entrants.length >= this.getMaxEntries()) {
       return {
         success: false,
         message: 'Race is already full',
@@ -211,9 +330,22 @@ class Race {
     this.entrants.push({
       horseId: aiHorse.id,
       horseName: aiHorse.name,
-      jockeyName: aiHorse.jockeyName || this.generateRandomJockeyName(),
+      jockeyId: aiHorse.jockey ? aiHorse.jockey.jockeyId : null,
+      jockeyName: (aiHorse.jockey && aiHorse.jockey.name) || aiHorse.jockeyName || this.generateRandomJockeyName(),
+      jockey: aiHorse.jockey || null,
       playerOwned: false,  // This is an AI horse
-      odds: aiHorse.odds || this.calculateAIOdds(aiHorse)
+      odds: aiHorse.odds || this.calculateAIOdds(aiHorse),
+      rating: aiHorse.rating || aiHorse.quality || 50,
+      mark: typeof aiHorse.mark === 'number' ? aiHorse.mark : null,
+      stats: aiHorse.stats || null,
+      preferredDistance: aiHorse.preferredDistance || null,
+      preferredSurface: aiHorse.preferredSurface || null,
+      preferredGoing: aiHorse.preferredGoing || null,
+      // Runners from rival stables carry their stable and form onto the race card
+      stableId: aiHorse.stableId || null,
+      stableName: aiHorse.stableName || null,
+      form: aiHorse.form || '',
+      courseForm: aiHorse.courseForm || ''
     });
     
     return {
@@ -239,18 +371,45 @@ class Race {
       'Martinez', 'Wilson', 'Anderson', 'Taylor', 'Thomas', 'Moore', 'Martin', 'Lee'
     ];
     
-    const firstName = firstNames[Math.floor(Math.random() * firstNames.length)];
-    const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
+    const firstName = firstNames[Math.floor(rng.random() * firstNames.length)];
+    const lastName = lastNames[Math.floor(rng.random() * lastNames.length)];
     
     return `${firstName} ${lastName}`;
   }
   
+  /**
+   * How much a jockey shortens or lengthens a horse's odds
+   * @param {Object|null} jockey - Ride details { rating, familiarity }
+   * @returns {number} Odds multiplier
+   */
+  calculateJockeyOddsFactor(jockey) {
+    if (!jockey || jockey.rating === undefined) return 1;
+    
+    // A top jockey is worth up to a sixth off the price, a known partnership a little more
+    return 1 - (jockey.rating - 50) / 250 - (jockey.familiarity || 0) / 2000;
+  }
+  
   /**
    * Calculate odds for a player's horse based on its stats and the race
    * @param {Horse} horse - The horse to calculate odds for
+   * @param {Object|null} jockey - Ride details of the booked jockey
    * @returns {number} Decimal odds (e.g. 3.5 means 3.5 to 1)
    */
-  calculateOdds(horse) {
+  calculateOdds(horse, jockey = null) {
+    // Add some randomness (±15%)
+    const randomFactor = 0.85 + (rng.random() * 0.3);
+    
+    return this.roundOdds(this.calculateBaseOdds(horse, jockey) * randomFactor);
+  }
+  
+  /**
+   * Calculate a player's horse's odds from its stats, the race and the jockey alone, without
+   * the market's randomness, so the same horse and ride always get the same price
+   * @param {Horse} horse - The horse to calculate odds for
+   * @param {Object|null} jockey - Ride details of the booked jockey
+   * @returns {number} Decimal odds before the market's randomness and rounding
+   */
+  calculateBaseOdds(horse, jockey = null) {
     // Get the horse's rating
     const rating = horse.calculateOverallRating();
     
@@ -274,6 +433,9 @@ class Race {
       baseOdds *= 1.15; // Increase odds if horse doesn't prefer this surface
     }
     
+    // Adjust for the going
+    baseOdds /= getGoingSuitability(horse.preferredGoing, this.going);
+    
     // Adjust for race type
     if (this.type === 'jump' && horse.jumping >= 70) {
       baseOdds *= 0.85; // Better odds for good jumpers in jump races
@@ -281,15 +443,17 @@ class Race {
       baseOdds *= 1.3; // Worse odds for poor jumpers in jump races
     }
     
-    // Add some randomness (±15%)
-    const randomFactor = 0.85 + (Math.random() * 0.3);
-    baseOdds *= randomFactor;
-    
-    // Ensure odds are within reasonable range
-    baseOdds = Math.max(1.2, Math.min(20, baseOdds));
-    
-    // Round to 1 decimal place
-    return Math.round(baseOdds * 10) / 10;
+    // Adjust for the jockey
+    return baseOdds * this.calculateJockeyOddsFactor(jockey);
+  }
+  
+  /**
+   * Keep odds within a reasonable range and round them to 1 decimal place
+   * @param {number} odds - Decimal odds
+   * @returns {number} Rounded odds
+   */
+  roundOdds(odds) {
+    return Math.round(Math.max(1.2, Math.min(20, odds)) * 10) / 10;
   }
   
   /**
@@ -304,8 +468,14 @@ class Race {
     // Calculate base odds (higher quality = lower odds)
     let baseOdds = 12 - (quality / 10);
     
+    // Adjust for the going
+    baseOdds /= getGoingSuitability(aiHorse.preferredGoing, this.going);
+    
+    // Adjust for the jockey
+    baseOdds *= this.calculateJockeyOddsFactor(aiHorse.jockey);
+    
     // Add some randomness (±20%)
-    const randomFactor = 0.8 + (Math.random() * 0.4);
+    const randomFactor = 0.8 + (rng.random() * 0.4);
     baseOdds *= randomFactor;
     
     // Ensure odds are within reasonable range
@@ -318,11 +488,14 @@ class Race {
   /**
    * Generate the field of AI horses if not enough entrants
    * @param {number} playerRating - The player's horse's rating
+   * @param {Array} jockeys - Rides of roster jockeys free to ride; freelance riders make up any shortfall
+   * @param {number} count - Number of horses to generate (defaults to the places left in the field)
    * @returns {Array} Array of AI horse objects
    */
-  generateAIField(playerRating = 50) {
+  generateAIField(playerRating = 50, jockeys = [], count = this.maxEntrants - this.entrants.length) {
+    const freeJockeys = [...jockeys];
     const aiHorses = [];
-    const remainingSlots = this.maxEntrants - this.entrants.length;
+    const remainingSlots = count;
     
     if (remainingSlots <= 0) return aiHorses;
     
@@ -354,22 +527,44 @@ class Race {
           spread = 15;
       }
       
+      // Handicappers are horses of much the same standard
+      if (this.isHandicap) {
+        spread = Math.min(spread, 6);
+      }
+      
       // Generate quality with randomness
-      quality = baseQuality + (Math.random() * spread * 2) - spread;
+      quality = baseQuality + (rng.random() * spread * 2) - spread;
       
-      // Cap quality between 20 and 95
+      // Cap quality between 20 and 95, and keep handicappers within the race's band
       quality = Math.max(20, Math.min(95, quality));
+      if (this.isHandicap && this.requirements.maxMark !== undefined) {
+        quality = Math.min(quality, getRatingForMark(this.requirements.maxMark));
+      }
+      
+      // Spread individual stats around the overall quality
+      const stats = {};
+      ['speed', 'acceleration', 'stamina', 'temperament'].forEach(stat => {
+        stats[stat] = Math.round(Math.max(10, Math.min(100, quality + (rng.random() * 20) - 10)));
+      });
+      
+      // Engage a free jockey from the roster
+      const jockey = freeJockeys.length > 0
+        ? freeJockeys.splice(Math.floor(rng.random() * freeJockeys.length), 1)[0]
+        : null;
       
       // Create AI horse
       const aiHorse = {
-        id: `ai_${Date.now()}_${i}`,
+        id: rng.id('ai'),
         name: this.generateRandomHorseName(),
-        jockeyName: this.generateRandomJockeyName(),
+        jockey,
+        jockeyName: jockey ? jockey.name : this.generateRandomJockeyName(),
         quality: quality,
         rating: quality,
+        stats,
         odds: null, // Will be calculated later
-        preferredDistance: ['sprint', 'middle', 'long'][Math.floor(Math.random() * 3)],
-        preferredSurface: ['dirt', 'turf', 'synthetic'][Math.floor(Math.random() * 3)]
+        preferredDistance: ['sprint', 'middle', 'long'][Math.floor(rng.random() * 3)],
+        preferredSurface: ['dirt', 'turf', 'synthetic'][Math.floor(rng.random() * 3)],
+        preferredGoing: ['firm', 'good', 'soft'][Math.floor(rng.random() * 3)]
       };
       
       // Calculate odds
@@ -381,6 +576,397 @@ class Race {
     return aiHorses;
   }
   
+  /**
+   * Get the most entries the race takes
+   * @returns {number} Maximum number of entries
+   */
+  getMaxEntries() {
+    return this.maxEntrants * ENTRIES_PER_PLACE;
+  }
+  
+  /**
+   * Get the date entries close
+   * @returns {Object|null} Closing date, or null for a race that is not scheduled
+   */
+  getEntriesCloseDate() {
+    return this.scheduleDay ? calendar.addDays(this.scheduleDay, -this.entryCloseDays) : null;
+  }
+  
+  /**
+   * Get the date the final field is declared
+   * @returns {Object|null} Declaration date, or null for a race that is not scheduled
+   */
+  getDeclarationDate() {
+    return this.scheduleDay ? calendar.addDays(this.scheduleDay, -DECLARATION_DAYS) : null;
+  }
+  
+  /**
+   * Get the stage the race's entries have reached
+   * @returns {string} 'open', 'closed', 'declared', 'run' or 'abandoned'
+   */
+  getEntryStage() {
+    if (this.abandoned) return 'abandoned';
+    if (this.hasRun) return 'run';
+    if (this.fieldDeclared) return 'declared';
+    return this.entriesClosed ? 'closed' : 'open';
+  }
+  
+  /**
+   * Get the entry stage and key dates for the race card
+   * @returns {Object} { stage, stageName, entriesClose, declarationDate, entries, maxEntrants, nonRunners }
+   */
+  getEntryStatus() {
+    const stage = this.getEntryStage();
+    return {
+      stage,
+      stageName: ENTRY_STAGES[stage],
+      entriesClose: this.getEntriesCloseDate(),
+      declarationDate: this.getDeclarationDate(),
+      entries: this.entrants.length + this.nonRunners.length,
+      maxEntrants: this.maxEntrants,
+      nonRunners: this.nonRunners.map(nonRunner => ({ ...nonRunner, reasonName: NON_RUNNER_REASONS[nonRunner.reason] }))
+    };
+  }
+  
+  /**
+   * Close entries: the rival stables' entries go in, and outside yards enter enough horses to
+   * fill the places left, often more
+   * @param {number} fieldRating - Rating that sets the strength of the outside entries
+   * @param {Array} rivals - Entries from rival stables (AI horse details with their Horse IDs)
+   * @returns {Array} The entries
+   */
+  closeEntries(fieldRating = 50, rivals = []) {
+    if (this.entriesClosed || this.hasRun) return this.entrants;
+    
+    rivals.forEach(aiHorse => this.addAIEntrant(aiHorse));
+    
+    const places = Math.max(0, this.maxEntrants - this.entrants.length);
+    const oversubscription = rng.random() < OVERSUBSCRIPTION_CHANCE
+      ? 1 + Math.floor(rng.random() * this.maxEntrants * MAX_OVERSUBSCRIPTION)
+      : 0;
+    const count = Math.min(places + oversubscription, this.getMaxEntries() - this.entrants.length);
+    const field = this.isHandicap
+      ? this.selectHandicapField(fieldRating, count)
+      : this.generateAIField(fieldRating, [], count);
+    field.forEach(aiHorse => this.addAIEntrant(aiHorse));
+    
+    this.entriesClosed = true;
+    return this.entrants;
+  }
+  
+  /**
+   * Make the final declarations: closes entries if that has not been done, ballots out the
+   * lowest-rated horses if there are more entries than places, puts free roster jockeys up on
+   * the other runners and sets the weights and the draw
+   * @param {Array} jockeys - Rides of roster jockeys free to ride the rival and outside runners
+   * @returns {Object} { runners, ballotedOut } the declared runners and the non-runners balloted out
+   */
+  declareField(jockeys = []) {
+    if (this.fieldDeclared || this.hasRun) {
+      return { runners: this.entrants, ballotedOut: [] };
+    }
+    
+    this.closeEntries();
+    const ballotedOut = this.ballot();
+    this.assignRides(jockeys);
+    this.assessUnratedRunners();
+    this.assignWeights();
+    this.assignDraws();
+    this.fieldDeclared = true;
+    
+    return { runners: this.entrants, ballotedOut };
+  }
+  
+  /**
+   * Ballot out the lowest-rated entries when there are more than places: in a handicap the
+   * lowest marks go, and horses rated the same are separated by lot
+   * @returns {Array} Non-runner records of the horses balloted out
+   */
+  ballot() {
+    if (this.entrants.length <= this.maxEntrants) return [];
+    
+    const rating = entrant => (this.isHandicap ? entrant.mark : entrant.rating) ?? 0;
+    const order = this.entrants
+      .map(entrant => ({ entrant, lot: rng.random() }))
+      .sort((a, b) => rating(b.entrant) - rating(a.entrant) || a.lot - b.lot);
+    
+    return order.slice(this.maxEntrants).map(({ entrant }) => this.recordNonRunner(entrant, 'balloted_out'));
+  }
+  
+  /**
+   * Put free roster jockeys up on declared runners without a booked jockey; freelances ride the rest
+   * @param {Array} jockeys - Rides of roster jockeys free to ride
+   */
+  assignRides(jockeys = []) {
+    const freeJockeys = [...jockeys];
+    
+    this.entrants.forEach(entrant => {
+      if (entrant.playerOwned || entrant.jockey || freeJockeys.length === 0) return;
+      
+      const jockey = freeJockeys.splice(Math.floor(rng.random() * freeJockeys.length), 1)[0];
+      entrant.jockey = jockey;
+      entrant.jockeyId = jockey.jockeyId;
+      entrant.jockeyName = jockey.name;
+      entrant.odds = Math.max(1.5, Math.round(entrant.odds * this.calculateJockeyOddsFactor(jockey) * 10) / 10);
+    });
+  }
+  
+  /**
+   * Take a horse out of the race. Before declarations a horse can simply be withdrawn; a
+   * declared runner can only come out with a vet's certificate.
+   * @param {string} horseId - ID of the horse
+   * @param {Object} options - { vetCertificate } whether a vet has certified the horse unfit to run
+   * @returns {Object} Result with the non-runner record on success
+   */
+  scratchEntrant(horseId, options = {}) {
+    if (this.hasRun) {
+      return {
+        success: false,
+        message: 'Race has already been run'
+      };
+    }
+    
+    const entrant = this.entrants.find(e => e.horseId === horseId);
+    if (!entrant) {
+      return {
+        success: false,
+        message: `Horse is not entered in ${this.name}`
+      };
+    }
+    
+    if (this.fieldDeclared && !options.vetCertificate) {
+      return {
+        success: false,
+        message: `${entrant.horseName} has been declared to run in ${this.name}; a declared runner can only be taken out with a vet's certificate`
+      };
+    }
+    
+    const nonRunner = this.recordNonRunner(entrant, this.fieldDeclared ? 'scratched' : 'withdrawn', !!options.vetCertificate);
+    return {
+      success: true,
+      message: this.fieldDeclared
+        ? `${entrant.horseName} is a non-runner in ${this.name}`
+        : `${entrant.horseName} has been withdrawn from ${this.name}`,
+      nonRunner
+    };
+  }
+  
+  /**
+   * Get the stable an entrant runs for: the player's, a rival stable's, or none for an outside runner
+   * @param {Object} entrant - The entrant
+   * @returns {string|null} Stable key
+   */
+  getStableKey(entrant) {
+    return entrant.playerOwned ? 'player' : (entrant.stableId || null);
+  }
+  
+  /**
+   * Get an entrant's stable-mates in the race
+   * @param {Object} entrant - The entrant
+   * @returns {Array} The other entrants from the same stable
+   */
+  getStableMates(entrant) {
+    const stable = this.getStableKey(entrant);
+    if (!stable) return [];
+    
+    return this.entrants.filter(other => other !== entrant && this.getStableKey(other) === stable);
+  }
+  
+  /**
+   * Check whether an entrant will make the pace: it has to be a pacemaker with a stable-mate
+   * in the field running on its merits
+   * @param {Object} entrant - The entrant
+   * @returns {boolean} True if the entrant makes the running for a stable-mate
+   */
+  isPacemaking(entrant) {
+    return entrant.tactic === 'pacemaker' &&
+      this.getStableMates(entrant).some(mate => mate.tactic !== 'pacemaker');
+  }
+  
+  /**
+   * Give one of the player's runners a stable-mate tactic, or take it away
+   * @param {string} horseId - ID of the horse
+   * @param {string|null} tactic - 'pacemaker', or null to run on its merits
+   * @returns {Object} Result of the operation
+   */
+  setTactic(horseId, tactic) {
+    if (this.hasRun) {
+      return {
+        success: false,
+        message: 'Race has already been run'
+      };
+    }
+    
+    const entrant = this.entrants.find(e => e.horseId === horseId && e.playerOwned);
+    if (!entrant) {
+      return {
+        success: false,
+        message: `Horse is not one of your runners in ${this.name}`
+      };
+    }
+    
+    if (tactic !== null && !STABLE_TACTICS[tactic]) {
+      return {
+        success: false,
+        message: `Unknown tactic: ${tactic}`
+      };
+    }
+    
+    const runningOnMerits = this.getStableMates(entrant).filter(mate => mate.tactic !== 'pacemaker');
+    if (tactic === 'pacemaker' && runningOnMerits.length === 0) {
+      return {
+        success: false,
+        message: `${entrant.horseName} needs a stable-mate running on its merits in ${this.name} to make the pace for`
+      };
+    }
+    
+    entrant.tactic = tactic;
+    
+    return {
+      success: true,
+      message: tactic === 'pacemaker'
+        ? `${entrant.horseName} will make the pace for ${runningOnMerits.map(mate => mate.horseName).join(' and ')} in ${this.name}`
+        : `${entrant.horseName} will run on its merits in ${this.name}`
+    };
+  }
+  
+  /**
+   * Take an entrant out of the field and record it as a non-runner
+   * @param {Object} entrant - The entrant
+   * @param {string} reason - 'withdrawn', 'balloted_out' or 'scratched'
+   * @param {boolean} vetCertificate - Whether the horse came out on a vet's certificate
+   * @returns {Object} The non-runner record
+   */
+  recordNonRunner(entrant, reason, vetCertificate = false) {
+    const stage = this.getEntryStage();
+    this.entrants = this.entrants.filter(e => e !== entrant);
+    
+    const nonRunner = {
+      horseId: entrant.horseId,
+      horseName: entrant.horseName,
+      playerOwned: entrant.playerOwned,
+      stableId: entrant.stableId || null,
+      reason,
+      vetCertificate,
+      // Entry stage the race had reached when the horse came out
+      stage,
+      date: calendar.getDate()
+    };
+    this.nonRunners.push(nonRunner);
+    return nonRunner;
+  }
+  
+  /**
+   * Get the entry fee returned for a non-runner: all of it for a horse withdrawn while entries
+   * were open or balloted out, half for a runner scratched on a vet's certificate, and nothing
+   * for a horse taken out after entries closed
+   * @param {Object} nonRunner - The non-runner record
+   * @returns {number} Amount refunded
+   */
+  getEntryFeeRefund(nonRunner) {
+    if (nonRunner.reason === 'balloted_out' || nonRunner.stage === 'open') return this.entryFee;
+    if (nonRunner.vetCertificate) return Math.floor(this.entryFee * VET_CERTIFICATE_REFUND);
+    return 0;
+  }
+  
+  /**
+   * Pick the outside entries for a handicap: the handicapper's pool holds several horses for
+   * every entry, and the ones whose marks are closest to the field's are entered, so that the
+   * weights can bring them together
+   * @param {number} fieldRating - Rating that sets the strength of the field
+   * @param {number} count - Number of entries to pick (defaults to the places left in the field)
+   * @returns {Array} The entered AI horses, each with its mark
+   */
+  selectHandicapField(fieldRating, count = this.maxEntrants - this.entrants.length) {
+    if (count <= 0) return [];
+    
+    const entries = this.generateAIField(fieldRating, [], count * HANDICAP_ENTRIES_PER_PLACE);
+    const marks = this.assessForm(entries);
+    entries.forEach(aiHorse => {
+      aiHorse.mark = marks[aiHorse.id];
+    });
+    
+    // Aim at the marks of the horses already entered, within the race's band
+    const rated = this.entrants.filter(entrant => typeof entrant.mark === 'number');
+    const maxMark = this.requirements.maxMark !== undefined ? this.requirements.maxMark : Infinity;
+    const target = Math.min(maxMark, rated.length > 0
+      ? rated.reduce((sum, entrant) => sum + entrant.mark, 0) / rated.length
+      : getMarkForRating(fieldRating));
+    
+    const entered = entries
+      .sort((a, b) => (a.mark > maxMark) - (b.mark > maxMark) || Math.abs(a.mark - target) - Math.abs(b.mark - target))
+      .slice(0, count);
+    entered.forEach(aiHorse => {
+      aiHorse.mark = Math.min(aiHorse.mark, maxMark);
+    });
+    
+    return entered;
+  }
+  
+  /**
+   * Read the form of AI horses from a set of level-weight runs over this race's conditions
+   * @param {Array} horses - AI horses or entrants (rating, stats and preferences)
+   * @returns {Object} Marks by horse ID; the average horse gets the mark its rating would usually earn
+   */
+  assessForm(horses) {
+    if (horses.length === 0) return {};
+    
+    const runners = horses.map(horse => ({ ...this.getAIRunnerProfile(horse), id: horse.id || horse.horseId }));
+    const runs = [];
+    for (let i = 0; i < FORM_RUNS; i++) {
+      runs.push(new RaceSimulator({ distance: this.distance, going: this.going, courseId: this.courseId, runners }).run());
+    }
+    
+    const averageRating = horses.reduce((sum, horse) => sum + (horse.rating || 50), 0) / horses.length;
+    return assessMarks(runs, this.distance, getMarkForRating(averageRating));
+  }
+  
+  /**
+   * Give AI entrants without an official mark one from their form. They have no saved
+   * history, so the handicapper reads it from level-weight runs.
+   */
+  assessUnratedRunners() {
+    const unrated = this.entrants.filter(entrant => !entrant.playerOwned && typeof entrant.mark !== 'number');
+    const marks = this.assessForm(unrated);
+    
+    unrated.forEach(entrant => {
+      entrant.mark = marks[entrant.horseId];
+      if (this.isHandicap && this.requirements.maxMark !== undefined) {
+        entrant.mark = Math.min(entrant.mark, this.requirements.maxMark);
+      }
+    });
+  }
+  
+  /**
+   * Set the weight every entrant carries: from the marks in a handicap, level weights otherwise
+   */
+  assignWeights() {
+    const weights = this.isHandicap
+      ? allocateHandicapWeights(this.entrants.map(entrant => ({ id: entrant.horseId, mark: entrant.mark })))
+      : {};
+    
+    this.entrants.forEach(entrant => {
+      entrant.weight = this.isHandicap ? weights[entrant.horseId] : STANDARD_WEIGHT;
+    });
+  }
+  
+  /**
+   * Draw a starting stall for every entrant
+   */
+  assignDraws() {
+    const stalls = this.entrants.map((entrant, index) => index + 1);
+    
+    // Shuffle the stall numbers
+    for (let i = stalls.length - 1; i > 0; i--) {
+      const j = Math.floor(rng.random() * (i + 1));
+      [stalls[i], stalls[j]] = [stalls[j], stalls[i]];
+    }
+    
+    this.entrants.forEach((entrant, index) => {
+      entrant.draw = stalls[index];
+    });
+  }
+  
   /**
    * Generate a random horse name
    * @returns {string} Random horse name
@@ -396,18 +982,20 @@ class Race {
       'Legend', 'Flash', 'Heart', 'Moon', 'Storm', 'Hero', 'Warrior', 'Champion'
     ];
     
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-    const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+    const prefix = prefixes[Math.floor(rng.random() * prefixes.length)];
+    const suffix = suffixes[Math.floor(rng.random() * suffixes.length)];
     
     return `${prefix} ${suffix}`;
   }
   
   /**
    * Run the race and generate results
-   * @param {Object} playerHorse - The player's horse object
-   * @returns {Object} Race results
+   * @param {Array|Object|null} playerHorses - The player's horses in the race (a single horse is accepted too)
+   * @param {Object} options - { jockeys, rivals, horses }: rides of roster jockeys free to ride the AI field,
+   *   runners declared by rival stables and the rival stables' Horse instances
+   * @returns {Object} Race results, with a result for each of the player's runners
    */
-  runRace(playerHorse) {
+  runRace(playerHorses, options = {}) {
     // Check if the race has already been run
     if (this.hasRun) {
       return {
@@ -425,125 +1013,197 @@ class Race {
       };
     }
     
-    // Generate any needed AI horses
-    const playerRating = playerHorse ? playerHorse.calculateOverallRating() : 50;
-    const aiHorses = this.generateAIField(playerRating);
-    
-    // Add AI horses to entrants
-    aiHorses.forEach(aiHorse => this.addAIEntrant(aiHorse));
+    // Close entries and declare the field now if that has not already been done
+    const ownHorses = [].concat(playerHorses || []);
+    const playerRating = ownHorses.length > 0 ? Math.max(...ownHorses.map(horse => horse.calculateOverallRating())) : 50;
+    this.closeEntries(playerRating, options.rivals || []);
+    this.declareField(options.jockeys || []);
     
-    // Get the player's horse performance
-    let playerPerformance = null;
-    let playerEntrantIndex = -1;
-    
-    if (playerHorse) {
-      playerEntrantIndex = this.entrants.findIndex(e => e.horseId === playerHorse.id);
-      
-      if (playerEntrantIndex >= 0) {
-        // Get performance based on horse stats and race conditions
-        playerPerformance = playerHorse.getRacePerformance({
+    // The player's horses and rival stables' horses run to their stats, fitness and the race conditions
+    const performances = new Map();
+    [...ownHorses, ...(options.horses || [])].forEach(horse => {
+      if (horse && !performances.has(horse.id) && this.entrants.some(e => e.horseId === horse.id)) {
+        performances.set(horse.id, horse.getRacePerformance({
           distance: this.distance,
           surface: this.surface,
+          going: this.going,
           type: this.type,
           tier: this.tier
-        });
+        }));
       }
-    }
+    });
     
-    // Generate performances for all horses
-    const performances = this.entrants.map((entrant, index) => {
-      // For the player's horse, use the calculated performance
-      if (index === playerEntrantIndex && playerPerformance) {
-        return {
-          entrantIndex: index,
-          horseId: entrant.horseId,
-          horseName: entrant.horseName,
-          jockeyName: entrant.jockeyName,
-          playerOwned: entrant.playerOwned,
-          odds: entrant.odds,
-          score: playerPerformance.score,
-          time: playerPerformance.time,
-          energyUsed: playerPerformance.energyUsed,
-          injury: playerPerformance.injury,
-          experience: playerPerformance.experience
-        };
-      }
-      
-      // For AI horses, generate a performance
-      // Base the performance score on odds (lower odds = better performance)
-      const baseScore = 100 - (entrant.odds * 4);
-      const score = baseScore * (0.85 + (Math.random() * 0.3)); // Add randomness
-      
-      // Calculate time based on score and race distance
-      let baseTime;
-      switch(this.distance) {
-        case 'sprint':
-          baseTime = 70; // ~1:10 for 1200m
-          break;
-        case 'middle':
-          baseTime = 120; // ~2:00 for 2000m
-          break;
-        case 'long':
-          baseTime = 180; // ~3:00 for 3000m
-          break;
-        default:
-          baseTime = 120;
-      }
-      
-      // Adjust based on performance (higher score = lower time)
-      const performanceAdjustment = (100 - score) / 100;
-      const randomAdjustment = (Math.random() * 10 - 5) / 100; // -5% to +5%
-      const time = baseTime * (1 + performanceAdjustment + randomAdjustment);
+    // Build a simulation profile for every entrant
+    const runners = this.entrants.map(entrant => {
+      const performance = performances.get(entrant.horseId);
+      const profile = performance ? performance.profile : this.getAIRunnerProfile(entrant);
       
-      // AI horses don't need energy calculations or injury checks
       return {
-        entrantIndex: index,
-        horseId: entrant.horseId,
-        horseName: entrant.horseName,
-        jockeyName: entrant.jockeyName,
-        playerOwned: entrant.playerOwned,
-        odds: entrant.odds,
-        score,
-        time,
-        energyUsed: 0,
-        injury: { injured: false },
-        experience: 0
+        id: entrant.horseId,
+        ...profile,
+        draw: entrant.draw || null,
+        weight: entrant.weight || STANDARD_WEIGHT,
+        jockey: entrant.jockey || null,
+        stable: this.getStableKey(entrant),
+        tactic: this.isPacemaking(entrant) ? 'pacemaker' : null
       };
     });
     
-    // Sort by performance score (descending) to determine race positions
-    performances.sort((a, b) => b.score - a.score);
+    // Run the race simulation
+    const simulator = new RaceSimulator({
+      distance: this.distance,
+      going: this.going,
+      courseId: this.courseId,
+      runners
+    });
+    const simulation = simulator.run();
     
-    // Assign positions and calculate prizes
-    const results = performances.map((perf, index) => {
-      const position = index + 1;
+    // Combine simulation output with entrant details, in finishing order
+    const results = simulation.map(run => {
+      const index = this.entrants.findIndex(e => e.horseId === run.id);
+      const entrant = this.entrants[index];
+      const performance = performances.get(entrant.horseId);
+      const position = run.finishPosition;
       const prize = position <= this.prizes.length ? this.prizes[position - 1] : 0;
       
       return {
-        ...perf,
+        entrantIndex: index,
+        horseId: entrant.horseId,
+        horseName: entrant.horseName,
+        jockeyId: entrant.jockeyId || null,
+        jockeyName: entrant.jockeyName,
+        playerOwned: entrant.playerOwned,
+        odds: entrant.odds,
+        stableId: entrant.stableId || null,
+        score: performance ? performance.score : this.getAIRunnerProfile(entrant).score,
+        time: run.time,
+        // Outside runners don't need energy calculations or injury checks
+        energyUsed: performance ? performance.energyUsed : 0,
+        injury: performance ? performance.injury : { injured: false },
+        experience: performance ? performance.experience : 0,
         position,
         prize,
-        formattedTime: this.formatRaceTime(perf.time)
+        formattedTime: this.formatRaceTime(run.time),
+        margin: run.margin,
+        beatenLengths: run.beatenLengths,
+        sectionals: run.sectionals,
+        positionsByCall: run.positionsByCall,
+        startDelay: run.startDelay,
+        draw: entrant.draw || null,
+        tactic: this.isPacemaking(entrant) ? 'pacemaker' : null,
+        mark: typeof entrant.mark === 'number' ? entrant.mark : null,
+        // Weight allotted, plus any overweight the jockey had to put up
+        weight: run.weightCarried
       };
     });
     
+    // The handicapper's view of every run, from the margins, marks and weights
+    const figures = calculatePerformanceFigures(results.map(result => ({
+      id: result.horseId,
+      mark: result.mark,
+      weight: result.weight,
+      beatenLengths: result.beatenLengths
+    })), this.distance);
+    results.forEach(result => {
+      result.performanceFigure = figures[result.horseId] !== undefined ? figures[result.horseId] : null;
+    });
+    
     // Update race state
     this.hasRun = true;
     this.results = results;
     
-    // Return race results with focus on player's horse if entered
-    const playerResult = results.find(r => r.playerOwned);
+    // Each of the player's runners has its own result; the best placed leads
+    const playerResults = results.filter(r => r.playerOwned);
     
     return {
       success: true,
       message: 'Race completed',
       results,
-      playerResult,
+      playerResults,
+      playerResult: playerResults[0],
       purse: this.purse,
       prizes: this.prizes
     };
   }
   
+  /**
+   * Abandon a race that could not be run, so it is not tried again
+   * @returns {Array} The player's entrants left in the race
+   */
+  abandon() {
+    this.hasRun = true;
+    this.abandoned = true;
+    this.results = [];
+    return this.entrants.filter(entrant => entrant.playerOwned);
+  }
+  
+  /**
+   * Build the record of a run that goes into a horse's race history
+   * @param {Object} result - The horse's result from this race
+   * @returns {Object} Race record for Horse.addRaceResult
+   */
+  createRaceRecord(result) {
+    return {
+      raceId: this.id,
+      raceName: this.name,
+      tier: this.tier,
+      distance: this.distance,
+      surface: this.surface,
+      courseId: this.courseId,
+      going: this.going,
+      draw: result.draw,
+      weight: result.weight,
+      tactic: result.tactic || null,
+      mark: result.mark,
+      performanceFigure: result.performanceFigure,
+      position: result.position,
+      prize: result.prize,
+      experience: result.experience,
+      energyUsed: result.energyUsed,
+      injury: result.injury,
+      time: result.time,
+      beatenLengths: result.beatenLengths,
+      positionsByCall: result.positionsByCall,
+      sectionals: result.sectionals,
+      startDelay: result.startDelay
+    };
+  }
+  
+  /**
+   * Build a simulation profile for an AI entrant
+   * @param {Object} entrant - AI entrant data
+   * @returns {Object} Runner stats, condition and performance score
+   */
+  getAIRunnerProfile(entrant) {
+    // Older entries only carry odds, so estimate a rating from them
+    const rating = entrant.rating || Math.max(20, 100 - (entrant.odds * 4));
+    const stats = entrant.stats || {
+      speed: rating,
+      acceleration: rating,
+      stamina: rating,
+      temperament: rating
+    };
+    
+    // Distance, surface and going suitability, milder than for player horses
+    let condition = 1.0;
+    if (entrant.preferredDistance === this.distance) {
+      condition *= 1.1;
+    }
+    if (entrant.preferredSurface === this.surface) {
+      condition *= 1.05;
+    }
+    condition *= getGoingSuitability(entrant.preferredGoing, this.going);
+    
+    return {
+      speed: stats.speed,
+      acceleration: stats.acceleration,
+      stamina: stats.stamina,
+      temperament: stats.temperament,
+      condition,
+      score: rating * 0.8 * condition
+    };
+  }
+  
   /**
    * Format race time from seconds to MM:SS.ms format
    * @param {number} timeInSeconds - Race time in seconds
@@ -565,13 +1225,18 @@ class Race {
     return {
       id: this.id,
       name: this.name,
+      course: describeRacecourse(this.courseId),
       details: {
+        courseName: getRacecourseName(this.courseId),
         distance: this.distance,
         surface: this.surface,
+        going: this.going,
+        goingName: getGoingName(this.going),
         type: this.type,
         tier: this.tier,
         difficulty: this.difficulty,
-        entryFee: this.entryFee
+        entryFee: this.entryFee,
+        isHandicap: this.isHandicap
       },
       prizes: {
         purse: this.purse,
@@ -580,10 +1245,12 @@ class Race {
       requirements: this.requirements,
       status: {
         hasRun: this.hasRun,
+        abandoned: this.abandoned,
         entrantCount: this.entrants.length,
         maxEntrants: this.maxEntrants,
         scheduleDay: this.scheduleDay
       },
+      entry: this.getEntryStatus(),
       entrants: this.entrants,
       results: this.results
     };
@@ -621,6 +1288,8 @@ class Race {
       name: this.name,
       distance: this.distance,
       surface: this.surface,
+      courseId: this.courseId,
+      going: this.going,
       type: this.type,
       tier: this.tier,
       difficulty: this.difficulty,
@@ -630,11 +1299,19 @@ class Race {
       requirements: this.requirements,
       maxEntrants: this.maxEntrants,
       isSpecial: this.isSpecial,
+      isHandicap: this.isHandicap,
       hasRun: this.hasRun,
+      abandoned: this.abandoned,
       entrants: this.entrants,
+      entryCloseDays: this.entryCloseDays,
+      entriesClosed: this.entriesClosed,
+      fieldDeclared: this.fieldDeclared,
+      nonRunners: this.nonRunners,
       results: this.results,
       scheduleDay: this.scheduleDay,
       unlockCondition: this.unlockCondition
     };
   }
-} 
\ No newline at end of file
+}
+
+export default Race;
@@ -0,0 +1,365 @@
+/**
+ * Horse Tycoon - Race Simulator Class
+ * 
+ * Tick-based race engine that moves every runner through the race distance
+ * in small time steps and records furlong calls, sectionals and margins
+ */
+import rng from '../utils/rng.js';
+import { GOINGS } from '../utils/weather.js';
+import { getCourseProfile, getDrawPenalty } from '../utils/racecourses.js';
+import { STANDARD_WEIGHT, BOTTOM_WEIGHT } from '../utils/handicapping.js';
+
+// Approximate length of a horse in metres, used to convert time gaps into lengths
+const HORSE_LENGTH = 2.4;
+
+// How strongly the condition multiplier (fitness, preferences) bends top speed
+const CONDITION_WEIGHT = 0.06;
+
+// Speed lost for every kilo carried over the standard weight: about half a length a pound,
+// which is the scale handicap marks are assessed on
+const WEIGHT_EFFECT = 0.0013;
+
+// An average jockey who can ride at any weight, used for runners without one
+const NEUTRAL_JOCKEY = { tactics: 50, strength: 50, finish: 50, weight: BOTTOM_WEIGHT, familiarity: 0 };
+
+// A pacemaker goes off faster than its natural gallop and keeps up a strong pace for as long as
+// it can. Until the kick its stable-mates get a lead to follow and spend less stamina, while
+// front-runners from other stables that take it on spend more.
+const PACEMAKER_EARLY_PACE = 0.08;
+const PACEMAKER_CRUISE = 0.06;
+const PACED_STAMINA_COST = 0.98;
+const PACE_PRESSURE_STAMINA_COST = 1.02;
+
+// Speed kept and extra stamina spent climbing an uphill finish
+const UPHILL_SPEED = 0.96;
+const UPHILL_STAMINA = 1.5;
+
+class RaceSimulator {
+  /**
+   * Create a new Race Simulator
+   * @param {Object} config - The simulation configuration
+   * @param {string} config.distance - Race distance category ('sprint', 'middle' or 'long')
+   * @param {string} config.going - Going ('firm', 'good', 'soft', 'heavy' or 'sloppy')
+   * @param {string} config.courseId - Racecourse the race is run at, if any
+   * @param {Array} config.runners - Runner profiles ({ id, speed, acceleration, stamina, temperament, condition, style, startFactor, draw, weight, jockey, stable, tactic })
+   *   where weight is the weight allotted in kg, jockey is { tactics, strength, finish, weight, familiarity },
+   *   stable identifies stable-mates and tactic is 'pacemaker' for a horse making the running for them
+   */
+  constructor(config = {}) {
+    this.distance = config.distance || 'middle';
+    // Soft ground slows every runner and takes more out of them
+    this.going = GOINGS[config.going] || GOINGS.good;
+    this.runners = config.runners || [];
+    this.timeStep = config.timeStep || 0.1; // Seconds per tick
+    this.maxTime = config.maxTime || 600; // Safety cut-off in seconds
+    
+    // Resolve distance in metres and furlong calls
+    const profile = this.getDistanceProfile(this.distance);
+    this.meters = profile.meters;
+    this.furlongs = profile.furlongs;
+    this.furlongLength = this.meters / this.furlongs;
+    
+    // Bends, uphill finish and draw bias of the course, if the race is run at one
+    this.course = config.courseId ? getCourseProfile(config.courseId, this.meters) : null;
+    
+    // Stables with a pacemaker in the race
+    this.pacedStables = new Set(this.runners.filter(runner => runner.tactic === 'pacemaker' && runner.stable).map(runner => runner.stable));
+  }
+  
+  /**
+   * Get the length and number of furlong calls for a distance category
+   * @param {string} distance - Distance category
+   * @returns {Object} Distance in metres and number of furlongs
+   */
+  getDistanceProfile(distance) {
+    switch (distance) {
+      case 'sprint':
+        return { meters: 1200, furlongs: 6 };
+      case 'middle':
+        return { meters: 2000, furlongs: 10 };
+      case 'long':
+        return { meters: 3000, furlongs: 15 };
+      default:
+        return { meters: 2000, furlongs: 10 };
+    }
+  }
+  
+  /**
+   * Derive a running style from a runner's stats when none is given
+   * @param {Object} runner - Runner profile
+   * @returns {string} 'leader', 'stalker' or 'closer'
+   */
+  determineRunningStyle(runner) {
+    if (runner.style) return runner.style;
+    
+    // Quick, keen horses go forward; stout, relaxed horses come late
+    const balance = (runner.acceleration - runner.stamina) + (50 - runner.temperament) * 0.5;
+    if (balance > 10) return 'leader';
+    if (balance < -10) return 'closer';
+    return 'stalker';
+  }
+  
+  /**
+   * Build the mutable state used to simulate one runner
+   * @param {Object} runner - Runner profile
+   * @returns {Object} Runner state
+   */
+  createRunnerState(runner) {
+    const temperament = runner.temperament !== undefined ? runner.temperament : 50;
+    const condition = 1 + ((runner.condition !== undefined ? runner.condition : 1) - 1) * CONDITION_WEIGHT;
+    const jockey = { ...NEUTRAL_JOCKEY, ...(runner.jockey || {}) };
+    
+    // Weight carried is the weight allotted, or more if the jockey cannot ride that light
+    const weightCarried = Math.max(runner.weight || STANDARD_WEIGHT, jockey.weight);
+    const weightFactor = 1 - (weightCarried - STANDARD_WEIGHT) * WEIGHT_EFFECT;
+    
+    // Physical capabilities (metres per second, metres per second squared)
+    const topSpeed = (16 + runner.speed * 0.02) * condition * weightFactor * this.going.pace;
+    const accelRate = 1.5 + runner.acceleration * 0.035;
+    
+    // Stamina reserve, spent faster the closer a horse runs to its top speed
+    const reserve = 1000 + runner.stamina * 30;
+    
+    // Distance of the final drive
+    const kickDistance = Math.min(400, this.meters * 0.25);
+    
+    // Stable-mate tactics: a pacemaker makes the running and leads its stable-mates into the race;
+    // other front-runners are taken on for the lead
+    const pacemaker = runner.tactic === 'pacemaker';
+    const pacedStableMate = !pacemaker && this.pacedStables.has(runner.stable);
+    const style = pacemaker ? 'leader' : this.determineRunningStyle(runner);
+    let staminaCost = 1;
+    if (pacedStableMate) {
+      staminaCost = PACED_STAMINA_COST;
+    } else if (!pacemaker && style === 'leader' && this.pacedStables.size > 0) {
+      staminaCost = PACE_PRESSURE_STAMINA_COST;
+    }
+    
+    // Plan a cruising pace that should just last until the kick
+    const cruiseBudget = (reserve / (1.6 * staminaCost) - kickDistance) / (this.meters - kickDistance);
+    let cruise = Math.min(0.98, Math.max(0.7, Math.pow(Math.max(0, cruiseBudget), 0.25)));
+    
+    // Keen horses misjudge the pace and go too fast, less so for a tactically sharp jockey who knows them
+    const keenness = (100 - temperament) / 100;
+    const paceJudgement = 1.4 - (jockey.tactics / 100) * 0.8 - (jockey.familiarity / 100) * 0.2;
+    cruise *= 1 + rng.random() * keenness * 0.06 * paceJudgement;
+    
+    // Early pace depends on running style
+    let earlyOffset = 0;
+    switch (style) {
+      case 'leader':
+        earlyOffset = 0.05;
+        break;
+      case 'closer':
+        earlyOffset = -0.04;
+        break;
+      default:
+        earlyOffset = 0.01;
+    }
+    
+    // A pacemaker goes hard from the front
+    if (pacemaker) {
+      earlyOffset = PACEMAKER_EARLY_PACE;
+      cruise = Math.min(1, cruise + PACEMAKER_CRUISE);
+    }
+    
+    // Tight bends cost speed before the home straight, less for a handy horse that quickens well
+    const handiness = 1.5 - runner.acceleration / 100;
+    const bendFactor = this.course ? 1 - this.course.bendShare * (1 - this.course.bendSpeed) * handiness : 1;
+    
+    // A poor draw on a biased course means covering extra ground
+    const drawPenalty = this.course ? getDrawPenalty(this.course.drawBias, runner.draw, this.runners.length) : 0;
+    
+    // Reaction at the start - nervous horses are slower out of the gate, gate-shy ones slower still
+    const startFactor = (runner.startFactor !== undefined ? runner.startFactor : 1) * (1.1 - jockey.tactics / 500);
+    const startDelay = rng.random() * (0.2 + keenness * 0.6) * startFactor;
+    
+    return {
+      id: runner.id,
+      style,
+      topSpeed,
+      accelRate,
+      initialReserve: reserve,
+      reserve,
+      kickDistance,
+      cruise,
+      earlyOffset,
+      staminaCost,
+      rhythm: 1,
+      // A strong jockey keeps a horse balanced and in its rhythm
+      rhythmVariance: (0.02 + keenness * 0.03) * (1.2 - jockey.strength / 250),
+      // Driving finish in the final furlongs
+      drive: 1 + (jockey.finish - 50) / 5000,
+      bendFactor,
+      groundFactor: this.meters / (this.meters + drawPenalty),
+      weightCarried,
+      startDelay,
+      velocity: 0,
+      effort: 0,
+      effortCost: 0,
+      position: 0,
+      nextCall: 1,
+      callTimes: [],
+      finished: false
+    };
+  }
+  
+  /**
+   * Calculate the speed a runner is trying to travel at
+   * @param {Object} state - Runner state
+   * @param {number} remaining - Metres left to run
+   * @param {boolean} uphill - Whether the runner is climbing to the line
+   * @returns {number} Target speed in metres per second
+   */
+  calculateTargetSpeed(state, remaining, uphill) {
+    // Pace fraction for the current phase of the race
+    let fraction;
+    if (remaining <= state.kickDistance) {
+      fraction = 1.0;
+    } else if (state.position < this.meters * 0.25) {
+      fraction = state.cruise + state.earlyOffset;
+    } else {
+      fraction = state.cruise;
+    }
+    
+    // Tired horses cannot hold their speed
+    const fatigue = state.reserve >= 0 ? 1 : Math.max(0.72, 1 + state.reserve / (state.initialReserve * 0.6));
+    
+    // The jockey's drive only counts once the kick is on
+    const drive = remaining <= state.kickDistance ? state.drive : 1;
+    
+    // Course: bends before the home straight and a climb to the line
+    const bends = this.course && remaining > this.course.homeStraight ? state.bendFactor : 1;
+    const climb = uphill ? UPHILL_SPEED : 1;
+    
+    return state.topSpeed * Math.min(1.0, fraction) * fatigue * state.rhythm * drive * bends * climb;
+  }
+  
+  /**
+   * Advance a runner by one tick
+   * @param {Object} state - Runner state
+   * @param {number} time - Race clock at the start of the tick
+   */
+  advanceRunner(state, time) {
+    const dt = this.timeStep;
+    
+    // Still in the stalls
+    if (time + dt <= state.startDelay) return;
+    
+    const remaining = this.meters - state.position;
+    const uphill = this.course !== null && remaining <= this.course.uphillLength;
+    
+    // Move towards the target speed
+    const target = this.calculateTargetSpeed(state, remaining, uphill);
+    if (state.velocity < target) {
+      state.velocity = Math.min(target, state.velocity + state.accelRate * dt);
+    } else {
+      state.velocity = Math.max(target, state.velocity - 2.0 * dt);
+    }
+    
+    // Spend stamina relative to effort; how the pace is set only tells until the kick. A runner
+    // holding its speed makes the same effort tick after tick, so the power is only worked out
+    // when the speed changes.
+    const effort = state.velocity / state.topSpeed;
+    if (effort !== state.effort) {
+      state.effort = effort;
+      state.effortCost = Math.pow(effort, 4);
+    }
+    const climb = uphill ? UPHILL_STAMINA : 1;
+    const pace = remaining > state.kickDistance ? state.staminaCost : 1;
+    state.reserve -= 1.6 * state.effortCost * state.velocity * dt * this.going.stamina * climb * pace;
+    
+    // Move and record any furlong poles passed during the tick (a wide draw gains less ground)
+    const previousPosition = state.position;
+    state.position += state.velocity * dt * state.groundFactor;
+    
+    while (state.nextCall <= this.furlongs && state.position >= state.nextCall * this.furlongLength) {
+      const mark = state.nextCall * this.furlongLength;
+      const crossingTime = time + ((mark - previousPosition) / (state.position - previousPosition)) * dt;
+      state.callTimes.push(crossingTime);
+      state.nextCall++;
+      
+      // Horses change rhythm as the race unfolds
+      state.rhythm = 1 + (rng.random() - 0.5) * state.rhythmVariance;
+    }
+    
+    if (state.nextCall > this.furlongs) {
+      state.finished = true;
+    }
+  }
+  
+  /**
+   * Run the simulation
+   * @returns {Array} Runner results ordered by finishing position
+   */
+  run() {
+    const states = this.runners.map(runner => this.createRunnerState(runner));
+    
+    let running = states.length;
+    let time = 0;
+    while (running > 0 && time < this.maxTime) {
+      for (const state of states) {
+        if (!state.finished) {
+          this.advanceRunner(state, time);
+          if (state.finished) running--;
+        }
+      }
+      time += this.timeStep;
+    }
+    
+    // Anything that failed to finish is timed out at the cut-off
+    states.forEach(state => {
+      while (state.callTimes.length < this.furlongs) {
+        state.callTimes.push(this.maxTime);
+      }
+    });
+    
+    return this.compileResults(states);
+  }
+  
+  /**
+   * Turn raw runner states into positions, sectionals and margins
+   * @param {Array} states - Runner states after the race
+   * @returns {Array} Runner results ordered by finishing position
+   */
+  compileResults(states) {
+    // Positions at each furlong call
+    const positionsByRunner = new Map(states.map(state => [state.id, []]));
+    for (let call = 0; call < this.furlongs; call++) {
+      const order = [...states].sort((a, b) => a.callTimes[call] - b.callTimes[call]);
+      order.forEach((state, index) => {
+        positionsByRunner.get(state.id).push(index + 1);
+      });
+    }
+    
+    // Finishing order
+    const finishOrder = [...states].sort((a, b) => a.callTimes[this.furlongs - 1] - b.callTimes[this.furlongs - 1]);
+    const winnerTime = finishOrder[0] ? finishOrder[0].callTimes[this.furlongs - 1] : 0;
+    
+    return finishOrder.map((state, index) => {
+      const time = state.callTimes[this.furlongs - 1];
+      const sectionals = state.callTimes.map((callTime, call) =>
+        call === 0 ? callTime : callTime - state.callTimes[call - 1]
+      );
+      
+      // Convert time gaps into lengths at the runner's finishing speed
+      const finishSpeed = this.furlongLength / sectionals[sectionals.length - 1];
+      const aheadTime = index > 0 ? finishOrder[index - 1].callTimes[this.furlongs - 1] : time;
+      
+      return {
+        id: state.id,
+        finishPosition: index + 1,
+        time,
+        sectionals: sectionals.map(sectional => Math.round(sectional * 100) / 100),
+        positionsByCall: positionsByRunner.get(state.id),
+        margin: Math.round(((time - aheadTime) * finishSpeed / HORSE_LENGTH) * 100) / 100,
+        beatenLengths: Math.round(((time - winnerTime) * finishSpeed / HORSE_LENGTH) * 100) / 100,
+        style: state.style,
+        startDelay: Math.round(state.startDelay * 100) / 100,
+        weightCarried: state.weightCarried
+      };
+    });
+  }
+}
+
+export default RaceSimulator;
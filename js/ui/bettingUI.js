@@ -0,0 +1,284 @@
+import { formatMoney } from '../utils/utils.js';
+import calendar from '../utils/calendar.js';
+
+const POSITION_NAMES = ['1st', '2nd', '3rd'];
+
+class BettingUI {
+    constructor(gameManager, uiController) {
+        this.gameManager = gameManager;
+        this.uiController = uiController;
+        this.raceId = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Helper function to safely add event listeners
+        const safeAddEvent = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener(event, handler);
+            } else {
+                console.warn(`Element not found: ${id}. Unable to add ${event} event listener.`);
+            }
+        };
+
+        // Race cards are redrawn all the time, so their Bet buttons are picked up from the list
+        safeAddEvent('races-container', 'click', (e) => {
+            const button = e.target.closest('.bet-race-btn');
+            if (!button) return;
+
+            const card = button.closest('.race-card');
+            if (card) this.showMarket(card.dataset.raceId);
+        });
+        safeAddEvent('betting-ledger-btn', 'click', () => this.showLedger());
+        safeAddEvent('bet-type-select', 'change', () => this.renderSelection());
+        safeAddEvent('place-bet-btn', 'click', () => this.placeBet());
+
+        ['betting-modal', 'betting-ledger-modal'].forEach(modalId => {
+            const modal = document.getElementById(modalId);
+            if (modal) {
+                modal.querySelectorAll('.close-modal-btn').forEach(btn => {
+                    btn.addEventListener('click', () => this.hideModal(modalId));
+                });
+            }
+        });
+    }
+
+    openModal(modalId) {
+        const modalContainer = document.getElementById('modal-container');
+        if (modalContainer) {
+            modalContainer.classList.add('active');
+        }
+        this.uiController.showModal(modalId);
+    }
+
+    hideModal(modalId) {
+        const modal = document.getElementById(modalId);
+        this.uiController.closeModal(modal);
+
+        if (modalId === 'betting-modal') {
+            this.raceId = null;
+        }
+
+        const modalContainer = document.getElementById('modal-container');
+        if (modalContainer) {
+            modalContainer.classList.remove('active');
+        }
+    }
+
+    showMarket(raceId) {
+        const market = this.gameManager.getBettingMarket(raceId);
+
+        if (!market.success) {
+            this.uiController.showError(market.message);
+            return;
+        }
+
+        this.raceId = raceId;
+
+        const title = document.getElementById('betting-race-name');
+        if (title) title.textContent = market.raceName;
+
+        const typeSelect = document.getElementById('bet-type-select');
+        if (typeSelect) {
+            typeSelect.innerHTML = Object.entries(market.betTypes)
+                .map(([type, betType]) => `<option value="${type}">${betType.name}</option>`)
+                .join('');
+        }
+
+        this.renderMarket(market);
+        this.renderSelection(market);
+        this.openModal('betting-modal');
+    }
+
+    /**
+     * Redraw the odds of the open market; called from the game loop so prices stay live
+     */
+    refreshMarket() {
+        if (!this.raceId) return;
+
+        const market = this.gameManager.getBettingMarket(this.raceId);
+
+        if (!market.success) {
+            // The race has been run or its market has closed
+            this.hideModal('betting-modal');
+            return;
+        }
+
+        this.renderMarket(market);
+    }
+
+    renderMarket(market) {
+        const list = document.getElementById('betting-market');
+        if (!list) return;
+
+        // Compare with the last day's prices to show which way the odds are moving
+        const previous = market.history.length > 1 ? market.history[market.history.length - 2].odds : {};
+
+        const rows = market.runners.map(runner => {
+            const before = previous[runner.horseId];
+            let trend = '';
+            if (before !== undefined && runner.odds < before) trend = '<span class="odds-shortening" title="Shortening">▼</span>';
+            if (before !== undefined && runner.odds > before) trend = '<span class="odds-drifting" title="Drifting">▲</span>';
+
+            return `
+                <div class="betting-runner${runner.playerOwned ? ' own-runner' : ''}">
+                    <span class="runner-name"></span>
+                    <span class="runner-odds">${runner.odds}-1 ${trend}</span>
+                    <span class="runner-payout">${runner.placePayout.toFixed(2)}</span>
+                    <span class="runner-payout">${runner.showPayout.toFixed(2)}</span>
+                </div>
+            `;
+        });
+
+        list.innerHTML = `
+            <div class="betting-runner betting-runner-header">
+                <span class="runner-name">Runner</span>
+                <span class="runner-odds">Win</span>
+                <span class="runner-payout">Place $1</span>
+                <span class="runner-payout">Show $1</span>
+            </div>
+            ${rows.join('')}
+        `;
+
+        // Horse and jockey names are set as text to keep them out of the markup
+        const names = list.querySelectorAll('.betting-runner:not(.betting-runner-header) .runner-name');
+        market.runners.forEach((runner, index) => {
+            names[index].textContent = runner.jockeyName ? `${runner.horseName} (${runner.jockeyName})` : runner.horseName;
+        });
+
+        const pools = document.getElementById('betting-pools');
+        if (pools) {
+            pools.textContent = Object.entries(market.pools)
+                .map(([type, total]) => `${market.betTypes[type].name} ${formatMoney(total)}`)
+                .join(' • ');
+        }
+    }
+
+    renderSelection(market = null) {
+        const container = document.getElementById('bet-selection');
+        const typeSelect = document.getElementById('bet-type-select');
+        if (!container || !typeSelect || !this.raceId) return;
+
+        market = market || this.gameManager.getBettingMarket(this.raceId);
+        if (!market.success) return;
+
+        const betType = market.betTypes[typeSelect.value];
+        container.innerHTML = '';
+
+        // Exotics pick their runners in finishing order, one list per place
+        for (let i = 0; i < betType.selections; i++) {
+            const label = document.createElement('label');
+            label.textContent = betType.selections > 1 ? `${POSITION_NAMES[i]}: ` : 'Runner: ';
+
+            const select = document.createElement('select');
+            select.className = 'bet-runner-select';
+            market.runners.forEach((runner, index) => {
+                const option = document.createElement('option');
+                option.value = runner.horseId;
+                option.textContent = `${runner.horseName} (${runner.odds}-1)`;
+                // Start each place on a different runner
+                option.selected = index === i;
+                select.appendChild(option);
+            });
+
+            label.appendChild(select);
+            container.appendChild(label);
+        }
+    }
+
+    placeBet() {
+        if (!this.raceId) return;
+
+        const type = document.getElementById('bet-type-select').value;
+        const selection = [...document.querySelectorAll('#bet-selection .bet-runner-select')].map(select => select.value);
+        const stake = parseFloat(document.getElementById('bet-stake-input').value);
+
+        const result = this.gameManager.placeBet(this.raceId, type, selection, stake);
+
+        if (!result.success) {
+            this.uiController.showError(result.message);
+            return;
+        }
+
+        this.uiController.showSuccess(`${result.message}: probable return ${formatMoney(result.probablePayout)}`);
+        this.uiController.updatePlayerInfo();
+        this.refreshMarket();
+    }
+
+    showLedger() {
+        this.renderLedger();
+        this.openModal('betting-ledger-modal');
+    }
+
+    renderLedger() {
+        const summary = document.getElementById('betting-ledger-summary');
+        const list = document.getElementById('betting-ledger-list');
+        if (!summary || !list) return;
+
+        const ledger = this.gameManager.getBettingLedger();
+        const { totals } = ledger;
+
+        summary.innerHTML = `
+            <div class="ledger-totals">
+                <div>Settled bets: ${totals.bets} (${totals.winners} won)</div>
+                <div>Staked: ${formatMoney(totals.staked)}</div>
+                <div>Returned: ${formatMoney(totals.returned)}</div>
+                <div class="${this.profitClass(totals.profit)}">Profit/loss: ${this.formatProfit(totals.profit)}</div>
+                ${ledger.openBets.length > 0 ? `<div>Open bets: ${ledger.openBets.length}</div>` : ''}
+            </div>
+            <div class="ledger-by-type">
+                ${Object.entries(ledger.byType)
+                    .filter(([, record]) => record.bets > 0)
+                    .map(([type, record]) => `<div>${type.charAt(0).toUpperCase() + type.slice(1)}: ${record.bets} bet${record.bets === 1 ? '' : 's'}, ${record.winners} won, <span class="${this.profitClass(record.profit)}">${this.formatProfit(record.profit)}</span></div>`)
+                    .join('')}
+            </div>
+        `;
+
+        list.innerHTML = '';
+
+        if (ledger.bets.length === 0) {
+            list.innerHTML = '<p class="empty-message">No bets placed yet.</p>';
+            return;
+        }
+
+        ledger.bets.forEach(bet => {
+            list.appendChild(this.createBetRow(bet));
+        });
+    }
+
+    createBetRow(bet) {
+        const row = document.createElement('div');
+        row.className = `ledger-bet ledger-bet-${bet.status}`;
+
+        const profit = bet.status === 'open' ? null : bet.payout - bet.stake;
+
+        row.innerHTML = `
+            <div class="ledger-bet-header">
+                <span class="ledger-bet-race"></span>
+                <span class="ledger-bet-date">${calendar.formatDate(bet.settledOn || bet.placedOn)}</span>
+            </div>
+            <div class="ledger-bet-details">
+                <span class="ledger-bet-selection"></span>
+                <span>${formatMoney(bet.stake)} • ${bet.status}</span>
+                <span class="${profit === null ? '' : this.profitClass(profit)}">${profit === null ? 'Open' : this.formatProfit(profit)}</span>
+            </div>
+        `;
+
+        row.querySelector('.ledger-bet-race').textContent = bet.raceName;
+        row.querySelector('.ledger-bet-selection').textContent = `${bet.type}: ${bet.selectionNames.join(' - ')}`;
+
+        return row;
+    }
+
+    formatProfit(amount) {
+        const rounded = Math.round(amount * 100) / 100;
+        return rounded < 0 ? `-${formatMoney(-rounded)}` : `+${formatMoney(rounded)}`;
+    }
+
+    profitClass(amount) {
+        return amount < 0 ? 'loss' : 'profit';
+    }
+}
+
+export default BettingUI;
@@ -24,12 +24,79 @@ class BreedingUI {
         
         // Breeding history tab
         safeAddEvent('breedingHistoryTab', 'click', () => this.showBreedingHistory());
+        
+        // Outside stallion bookings
+        safeAddEvent('stud-roster', 'click', (e) => {
+            const button = e.target.closest('.book-stallion-btn');
+            if (button) this.bookStallion(button.dataset.stallionId);
+        });
     }
 
     showBreedingCenter() {
         this.resetBreedingSelection();
         this.updateAvailableHorses();
         this.updateBreedingStats();
+        this.renderStudRoster();
+    }
+
+    renderStudRoster() {
+        const container = document.getElementById('stud-roster');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        this.gameManager.getStudRoster().forEach(stallion => {
+            const card = document.createElement('div');
+            card.className = 'breeding-horse-card';
+            card.innerHTML = `
+                <div class="breeding-horse-details">
+                    <div class="breeding-horse-name">${stallion.name}</div>
+                    <div class="breeding-horse-stats">
+                        ${stallion.age}yo by ${stallion.pedigree.sire.name} out of ${stallion.pedigree.dam.name} • Rating ${stallion.rating}
+                    </div>
+                    <div class="breeding-horse-stats">
+                        Raced: ${stallion.record.wins} wins from ${stallion.record.starts} starts, $${stallion.record.earnings.toLocaleString()}
+                    </div>
+                    <div class="breeding-horse-stats">
+                        Progeny: ${stallion.progeny.foals} foals, ${stallion.progeny.wins} wins from ${stallion.progeny.runs} runs
+                    </div>
+                </div>
+                <button class="book-stallion-btn primary-btn" data-stallion-id="${stallion.id}">
+                    Book $${stallion.fee.toLocaleString()}
+                </button>
+            `;
+            container.appendChild(card);
+        });
+    }
+
+    bookStallion(stallionId) {
+        const mare = this.selectedHorse;
+        if (!mare || mare.gender !== 'female') {
+            this.uiController.showError('Select one of your mares before booking a stallion');
+            return;
+        }
+        
+        const stallion = this.gameManager.getStudRoster().find(entry => entry.id === stallionId);
+        if (!stallion) return;
+        
+        const inbreeding = this.gameManager.getInbreedingReport(mare.id, stallionId);
+        if (inbreeding.blocked) {
+            this.uiController.showError(inbreeding.warning);
+            return;
+        }
+        
+        const colors = this.describeColorOdds(mare.id, stallionId);
+        const warning = inbreeding.warning ? `\n${inbreeding.warning}` : '';
+        if (!window.confirm(`Book ${stallion.name} to cover ${mare.name} for $${stallion.fee.toLocaleString()}?\nFoal colour: ${colors}\nInbreeding (COI): ${inbreeding.percentage}%${warning}`)) return;
+        
+        const result = this.gameManager.breedHorses(mare.id, stallionId);
+        
+        if (result.success) {
+            this.uiController.showSuccess(result.message);
+            this.showBreedingCenter();
+        } else {
+            this.uiController.showError(result.message);
+        }
     }
 
     updateAvailableHorses() {
@@ -150,6 +217,7 @@ class BreedingUI {
         const confirmationPanel = document.getElementById('breedingConfirmation');
         const cost = this.calculateBreedingCost();
         const chance = this.calculateBreedingSuccess();
+        const inbreeding = this.gameManager.getInbreedingReport(this.selectedHorse.id, this.selectedMate.id);
         
         confirmationPanel.innerHTML = `
             <h3>Confirm Breeding</h3>
@@ -168,9 +236,12 @@ class BreedingUI {
                 <div>Cost: $${cost.toLocaleString()}</div>
                 <div>Success Chance: ${chance}%</div>
                 <div>Expected Foal Rating: ${this.calculateExpectedFoalRating()}</div>
+                <div>Foal Colour: ${this.describeColorOdds(this.selectedHorse.id, this.selectedMate.id)}</div>
+                <div>Inbreeding (COI): ${inbreeding.success ? `${inbreeding.percentage}%` : 'Unknown'}</div>
+                ${inbreeding.warning ? `<div class="breeding-warning ${inbreeding.level}">${inbreeding.warning}</div>` : ''}
             </div>
             <div class="breeding-buttons">
-                <button id="confirmBreedingBtn">Breed (${cost.toLocaleString()})</button>
+                <button id="confirmBreedingBtn" ${inbreeding.blocked ? 'disabled' : ''}>Breed (${cost.toLocaleString()})</button>
                 <button id="cancelBreedingBtn">Cancel</button>
             </div>
         `;
@@ -178,6 +249,16 @@ class BreedingUI {
         confirmationPanel.style.display = 'block';
     }
 
+    describeColorOdds(horseId, mateId) {
+        const result = this.gameManager.getFoalColorOdds(horseId, mateId);
+        if (!result.success) return 'Unknown';
+        
+        return result.odds
+            .filter(({ probability }) => probability >= 0.005)
+            .map(({ color, probability }) => `${color} ${Math.round(probability * 100)}%`)
+            .join(', ');
+    }
+
     calculateBreedingCost() {
         return this.gameManager.calculateBreedingCost(this.selectedHorse.id, this.selectedMate.id);
     }
@@ -21,6 +21,8 @@ class HorseUI {
         safeAddEvent('sellHorseBtn', 'click', () => this.initiateSale());
         safeAddEvent('breedHorseBtn', 'click', () => this.initiateBreeding());
         safeAddEvent('restHorseBtn', 'click', () => this.restHorse());
+        safeAddEvent('scan-mare-btn', 'click', () => this.scanMare());
+        safeAddEvent('export-pedigree-btn', 'click', () => this.exportPedigree());
         
         // Training Modal
         safeAddEvent('confirmTrainingBtn', 'click', () => this.executeTraining());
@@ -52,6 +54,7 @@ class HorseUI {
             <div class="horse-card-stats">
                 <div class="stat">Level ${horse.level}</div>
                 <div class="stat">Rating ${horse.overallRating}</div>
+                <div class="stat">${horse.age}yo ${horse.getLifeStage ? horse.getLifeStage().name : ''}</div>
             </div>
             <div class="horse-card-bars">
                 <div class="energy-bar">
@@ -76,6 +79,7 @@ class HorseUI {
         if (horse.isTraining) indicators.push('💪');
         if (horse.isRacing) indicators.push('🏃');
         if (horse.forSale) indicators.push('💰');
+        if (horse.pregnancy && horse.pregnancy.confirmed) indicators.push('🍼');
         if (horse.health < horse.maxHealth * 0.5) indicators.push('🏥');
         if (horse.energy < horse.maxEnergy * 0.2) indicators.push('😴');
         
@@ -193,6 +197,56 @@ class HorseUI {
         }
     }
 
+    scanMare() {
+        const horse = this.getCurrentHorse();
+        const result = this.gameManager.scanMare(horse.id);
+        
+        if (result.success) {
+            this.uiController.showSuccess(result.message);
+            this.updateBreedingStatus(horse);
+            this.updateHorseList();
+        } else {
+            this.uiController.showError(result.message);
+        }
+    }
+
+    updateBreedingStatus(horse) {
+        const element = document.getElementById('horse-breeding-status');
+        if (!element) return;
+        
+        const status = horse.getPregnancyStatus();
+        if (!status.covered) {
+            element.textContent = horse.gender === 'female' ? 'Open' : `Fertility ${horse.getFertility()}%`;
+        } else if (!status.confirmed) {
+            element.textContent = `Covered by ${status.sire.name} ${status.daysInFoal} days ago (not yet scanned)`;
+        } else {
+            element.textContent = `In foal to ${status.sire.name}, ${status.daysToDue} days to go`;
+        }
+    }
+
+    exportPedigree() {
+        const horse = this.getCurrentHorse();
+        const result = this.gameManager.exportPedigree(horse.id);
+        
+        if (!result.success) {
+            this.uiController.showError(result.message);
+            return;
+        }
+        
+        // Hand the file to the browser as a download
+        const blob = new Blob([result.contents], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        
+        this.uiController.showSuccess(result.message);
+    }
+
     getCurrentHorse() {
         const horseId = document.querySelector('#horseDetailModal').dataset.horseId;
         return this.gameManager.getHorse(horseId);
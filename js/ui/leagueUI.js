@@ -0,0 +1,165 @@
+import { formatMoney } from '../utils/utils.js';
+
+class LeagueUI {
+    constructor(gameManager, uiController) {
+        this.gameManager = gameManager;
+        this.uiController = uiController;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Helper function to safely add event listeners
+        const safeAddEvent = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener(event, handler);
+            } else {
+                console.warn(`Element not found: ${id}. Unable to add ${event} event listener.`);
+            }
+        };
+
+        safeAddEvent('league-btn', 'click', () => this.showLeague());
+
+        const screen = document.getElementById('league-screen');
+        if (screen) {
+            screen.querySelectorAll('.back-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.hideLeague());
+            });
+        }
+    }
+
+    showLeague() {
+        this.refreshLeague();
+
+        // The league sits beside the race screen and hands back to it
+        const raceScreen = document.getElementById('race-screen');
+        const leagueScreen = document.getElementById('league-screen');
+        if (raceScreen) raceScreen.classList.remove('active');
+        if (leagueScreen) leagueScreen.classList.add('active');
+    }
+
+    hideLeague() {
+        const raceScreen = document.getElementById('race-screen');
+        const leagueScreen = document.getElementById('league-screen');
+        if (leagueScreen) leagueScreen.classList.remove('active');
+        if (raceScreen) raceScreen.classList.add('active');
+    }
+
+    refreshLeague() {
+        const league = this.gameManager.getLeagueTable();
+
+        const header = document.getElementById('league-season-header');
+        if (header) header.textContent = `${league.season} League`;
+
+        this.renderTable(league.table);
+        this.renderRivalStables(this.gameManager.getRivalStables());
+        this.renderHistory(league.history);
+    }
+
+    renderTable(table) {
+        const container = document.getElementById('league-table');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="league-row league-row-header">
+                <span>Pos</span>
+                <span>Stable</span>
+                <span>Runs</span>
+                <span>Wins</span>
+                <span>Places</span>
+                <span>Strike</span>
+                <span>Prize money</span>
+            </div>
+        `;
+
+        table.forEach(row => {
+            const line = document.createElement('div');
+            line.className = `league-row${row.isPlayer ? ' player-stable' : ''}`;
+            line.innerHTML = `
+                <span>${row.position}</span>
+                <span class="league-stable-name"></span>
+                <span>${row.runs}</span>
+                <span>${row.wins}</span>
+                <span>${row.places}</span>
+                <span>${row.strikeRate}%</span>
+                <span>${formatMoney(row.earnings)}</span>
+            `;
+
+            // The player's stable name is set as text to keep it out of the markup
+            line.querySelector('.league-stable-name').textContent = row.trainer
+                ? `${row.name} (${row.trainer})`
+                : row.name;
+
+            container.appendChild(line);
+        });
+    }
+
+    renderRivalStables(stables) {
+        const container = document.getElementById('rival-stables');
+        if (!container) return;
+
+        // The game loop redraws the league, so keep open stables open
+        const open = new Set([...container.querySelectorAll('.rival-stable-card[open]')].map(card => card.dataset.stableId));
+
+        container.innerHTML = '';
+
+        stables.forEach(stable => {
+            const card = this.createStableCard(stable);
+            card.open = open.has(stable.id);
+            container.appendChild(card);
+        });
+    }
+
+    createStableCard(stable) {
+        const card = document.createElement('details');
+        card.className = 'rival-stable-card';
+        card.dataset.stableId = stable.id;
+
+        const horses = stable.racehorses.map(horse => `
+            <div class="rival-horse">
+                <span>${horse.name}</span>
+                <span>${horse.age}yo ${horse.gender}</span>
+                <span>${horse.racing.handicapMark === null ? 'Unrated' : `Mark ${horse.racing.handicapMark}`}</span>
+                <span>${horse.racing.racesWon}/${horse.racing.totalRaces} wins</span>
+                <span class="rival-form">${horse.form || '-'}</span>
+            </div>
+        `).join('');
+
+        card.innerHTML = `
+            <summary>
+                <span class="rival-stable-name">${stable.name}</span>
+                <span class="rival-stable-trainer">Trainer: ${stable.trainer}</span>
+            </summary>
+            <div class="rival-horses">
+                ${horses || '<p class="empty-message">No horses in training.</p>'}
+            </div>
+            <div class="rival-stable-summary">
+                ${stable.broodmares.length} broodmare${stable.broodmares.length === 1 ? '' : 's'} •
+                ${stable.youngstock.length} youngster${stable.youngstock.length === 1 ? '' : 's'} •
+                ${stable.retired.length} retired
+            </div>
+        `;
+
+        return card;
+    }
+
+    renderHistory(history) {
+        const container = document.getElementById('league-history');
+        if (!container) return;
+
+        if (history.length === 0) {
+            container.innerHTML = '<p class="empty-message">No seasons completed yet.</p>';
+            return;
+        }
+
+        container.innerHTML = '';
+        history.forEach(season => {
+            const line = document.createElement('div');
+            line.className = 'league-history-season';
+            line.textContent = `${season.season}: ${season.champion ? season.champion.name : 'No champion'}`;
+            container.appendChild(line);
+        });
+    }
+}
+
+export default LeagueUI;
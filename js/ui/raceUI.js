@@ -1,3 +1,7 @@
+import { getGoingName } from '../utils/weather.js';
+import { describeRacecourse } from '../utils/racecourses.js';
+import calendar from '../utils/calendar.js';
+
 class RaceUI {
     constructor(gameManager, uiController) {
         this.gameManager = gameManager;
@@ -19,7 +23,31 @@ class RaceUI {
         safeAddEvent('raceScheduleTab', 'click', () => this.showRaceSchedule());
         safeAddEvent('raceHistoryTab', 'click', () => this.showRaceHistory());
         safeAddEvent('enterRaceBtn', 'click', () => this.initiateRaceEntry());
-        safeAddEvent('confirmRaceEntryBtn', 'click', () => this.confirmRaceEntry());
+        safeAddEvent('confirm-race-entry-btn', 'click', () => this.confirmRaceEntry());
+
+        // Race cards and entry options are redrawn, so their buttons are picked up from the lists
+        safeAddEvent('races-container', 'click', (e) => {
+            const button = e.target.closest('.enter-race-btn');
+            if (!button) return;
+
+            const card = button.closest('.race-card');
+            if (card) this.initiateRaceEntry(card.dataset.raceId);
+        });
+        safeAddEvent('race-horse-selection', 'click', (e) => {
+            const option = e.target.closest('.horse-entry-option');
+            if (option && e.target.closest('.select-horse-btn')) this.selectHorse(option);
+        });
+        safeAddEvent('race-jockey-selection', 'click', (e) => {
+            const option = e.target.closest('.jockey-entry-option');
+            if (option && !option.classList.contains('unavailable')) this.selectJockey(option);
+        });
+
+        const modal = document.getElementById('race-entry-modal');
+        if (modal) {
+            modal.querySelectorAll('.close-modal-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.uiController.closeModal(modal));
+            });
+        }
     }
 
     showRaceSchedule() {
@@ -41,16 +69,20 @@ class RaceUI {
         const timeUntilRace = this.calculateTimeUntilRace(race.startTime);
         const entryFeeFormatted = race.entryFee.toLocaleString();
         const prizePurseFormatted = race.prizePurse.toLocaleString();
+        const course = describeRacecourse(race.courseId);
+        const entry = race.getEntryStatus ? race.getEntryStatus() : null;
         
         card.innerHTML = `
             <div class="race-header">
-                <h3>${race.name}</h3>
+                <h3>${race.name}${race.isHandicap ? ' (Handicap)' : ''}</h3>
                 <span class="race-time">${timeUntilRace}</span>
             </div>
             <div class="race-details">
                 <div class="race-info">
+                    ${course ? `<div title="${course.summary}">Course: ${course.name}</div>` : ''}
                     <div>Distance: ${race.distance}m</div>
                     <div>Terrain: ${race.terrain}</div>
+                    ${race.going ? `<div>Going: ${getGoingName(race.going)}</div>` : ''}
                     <div>Difficulty: ${race.difficulty}</div>
                 </div>
                 <div class="race-prizes">
@@ -61,9 +93,13 @@ class RaceUI {
             <div class="race-requirements">
                 ${this.formatRaceRequirements(race.requirements)}
             </div>
+            ${entry ? `<div class="race-entry-stage race-entry-${entry.stage}">${this.formatEntryStage(entry)}</div>` : ''}
             <button class="enter-race-btn" ${this.canEnterRace(race) ? '' : 'disabled'}>
                 Enter Race
             </button>
+            <button class="bet-race-btn secondary-btn" ${race.entriesClosed && !race.hasRun ? '' : 'disabled'}>
+                Bet
+            </button>
         `;
         
         return card;
@@ -75,10 +111,26 @@ class RaceUI {
         if (requirements.maxLevel) reqList.push(`Max Level: ${requirements.maxLevel}`);
         if (requirements.breed) reqList.push(`Breed: ${requirements.breed}`);
         if (requirements.minRating) reqList.push(`Min Rating: ${requirements.minRating}`);
+        if (requirements.maxMark !== undefined) reqList.push(`Max Mark: ${requirements.maxMark}`);
         
         return reqList.join(' • ');
     }
 
+    formatEntryStage(entry) {
+        const nonRunners = entry.nonRunners.map(nonRunner => `${nonRunner.horseName} (${nonRunner.reasonName})`);
+        const parts = [entry.stageName];
+
+        if (entry.stage === 'open' && entry.entriesClose) {
+            parts.push(`closing ${calendar.formatDate(entry.entriesClose)}`);
+        } else if (entry.stage === 'closed') {
+            parts.push(`${entry.entries} entries for ${entry.maxEntrants} places`);
+            if (entry.declarationDate) parts.push(`declarations ${calendar.formatDate(entry.declarationDate)}`);
+        }
+        if (nonRunners.length > 0) parts.push(`Non-runners: ${nonRunners.join(', ')}`);
+
+        return parts.join(' • ');
+    }
+
     calculateTimeUntilRace(startTime) {
         const now = this.gameManager.getCurrentGameTime();
         const diff = startTime - now;
@@ -150,19 +202,21 @@ class RaceUI {
         return `${minutes}:${seconds.padStart(4, '0')}`;
     }
 
-    initiateRaceEntry() {
-        const raceId = document.querySelector('.race-card.selected').dataset.raceId;
+    initiateRaceEntry(raceId = null) {
+        raceId = raceId || document.querySelector('.race-card.selected').dataset.raceId;
         const race = this.gameManager.getRace(raceId);
+        this.entryRaceId = raceId;
         
-        // Populate eligible horses
+        // Populate eligible horses; jockeys are offered once a horse is picked
         const eligibleHorses = this.gameManager.getEligibleHorsesForRace(raceId);
         this.populateHorseSelection(eligibleHorses, race);
+        document.getElementById('race-jockey-selection').innerHTML = '<p class="empty-message">Select a horse to see which jockeys can ride it.</p>';
         
-        this.uiController.showModal('raceEntry');
+        this.uiController.showModal('race-entry-modal');
     }
 
     populateHorseSelection(horses, race) {
-        const container = document.getElementById('raceHorseSelection');
+        const container = document.getElementById('race-horse-selection');
         container.innerHTML = '';
         
         horses.forEach(horse => {
@@ -175,10 +229,10 @@ class RaceUI {
             option.innerHTML = `
                 <div class="horse-entry-info">
                     <h4>${horse.name}</h4>
-                    <div>Level ${horse.level} • Rating ${horse.overallRating}</div>
+                    <div>Level ${horse.level} • Rating ${horse.calculateOverallRating()}</div>
                 </div>
                 <div class="horse-entry-stats">
-                    <div>Energy: ${horse.energy}/${horse.maxEnergy}</div>
+                    <div>Energy: ${horse.energy}/100</div>
                     <div>Win Chance: ${winChance}%</div>
                 </div>
                 <button class="select-horse-btn">Select</button>
@@ -188,6 +242,62 @@ class RaceUI {
         });
     }
 
+    selectHorse(option) {
+        document.querySelectorAll('.horse-entry-option.selected').forEach(other => other.classList.remove('selected'));
+        option.classList.add('selected');
+        
+        this.populateJockeySelection(option.dataset.horseId);
+    }
+
+    populateJockeySelection(horseId) {
+        const container = document.getElementById('race-jockey-selection');
+        container.innerHTML = '';
+        
+        const options = this.gameManager.getJockeyOptions(horseId, this.entryRaceId);
+        
+        if (!options.success) {
+            this.uiController.showError(options.message);
+            return;
+        }
+        
+        // The stable jockey always rides for nothing unless someone better is booked
+        const stableJockey = document.createElement('div');
+        stableJockey.className = 'jockey-entry-option selected';
+        stableJockey.dataset.jockeyId = '';
+        stableJockey.innerHTML = `
+            <div class="jockey-entry-info">
+                <h4>Stable Jockey</h4>
+                <div>No booking fee</div>
+            </div>
+        `;
+        container.appendChild(stableJockey);
+        
+        options.jockeys.forEach(jockey => {
+            const option = document.createElement('div');
+            option.className = `jockey-entry-option${jockey.available ? '' : ' unavailable'}`;
+            option.dataset.jockeyId = jockey.id;
+            
+            option.innerHTML = `
+                <div class="jockey-entry-info">
+                    <h4>${jockey.name}</h4>
+                    <div>Rating ${jockey.rating} • Tactics ${jockey.skills.tactics} • Strength ${jockey.skills.strength} • Finish ${jockey.skills.finish}</div>
+                    <div>${jockey.weight}kg • ${jockey.record.wins} wins from ${jockey.record.rides} rides${jockey.familiarity > 0 ? ` • Knows this horse (${jockey.familiarity}%)` : ''}</div>
+                </div>
+                <div class="jockey-entry-fee">
+                    <div>Fee: $${jockey.fee.toLocaleString()}</div>
+                    ${jockey.available ? '' : `<div class="jockey-unavailable">${jockey.reason}</div>`}
+                </div>
+            `;
+            
+            container.appendChild(option);
+        });
+    }
+
+    selectJockey(option) {
+        document.querySelectorAll('.jockey-entry-option.selected').forEach(other => other.classList.remove('selected'));
+        option.classList.add('selected');
+    }
+
     calculateWinChance(horse, race) {
         // This would be calculated based on horse stats, race requirements, and competition
         const chance = this.gameManager.calculateRaceWinChance(horse.id, race.id);
@@ -195,15 +305,25 @@ class RaceUI {
     }
 
     confirmRaceEntry() {
-        const raceId = document.querySelector('.race-card.selected').dataset.raceId;
-        const horseId = document.querySelector('.horse-entry-option.selected').dataset.horseId;
+        const raceId = this.entryRaceId;
+        const horseOption = document.querySelector('.horse-entry-option.selected');
+        
+        if (!horseOption) {
+            this.uiController.showError('Select a horse to enter');
+            return;
+        }
+        
+        const jockeyOption = document.querySelector('.jockey-entry-option.selected');
+        const jockeyId = jockeyOption && jockeyOption.dataset.jockeyId ? jockeyOption.dataset.jockeyId : null;
         
-        const result = this.gameManager.enterRace(raceId, horseId);
+        const result = this.gameManager.enterRace(horseOption.dataset.horseId, raceId, jockeyId);
         
         if (result.success) {
-            this.uiController.showSuccess('Successfully entered the race!');
+            this.uiController.showSuccess(result.jockeyFee > 0
+                ? `Successfully entered the race with ${result.jockey} ($${result.jockeyFee.toLocaleString()} fee)!`
+                : 'Successfully entered the race!');
             this.showRaceSchedule(); // Refresh the schedule
-            this.uiController.closeModal(document.getElementById('raceEntryModal'));
+            this.uiController.closeModal(document.getElementById('race-entry-modal'));
         } else {
             this.uiController.showError(result.message);
         }
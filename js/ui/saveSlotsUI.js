@@ -0,0 +1,243 @@
+import { formatTime, formatDate, formatMoney } from '../utils/utils.js';
+import { summarizeReport } from '../utils/saveMigrations.js';
+import calendar from '../utils/calendar.js';
+
+class SaveSlotsUI {
+    constructor(gameManager, uiController) {
+        this.gameManager = gameManager;
+        this.uiController = uiController;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Helper function to safely add event listeners
+        const safeAddEvent = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener(event, handler);
+            } else {
+                console.warn(`Element not found: ${id}. Unable to add ${event} event listener.`);
+            }
+        };
+
+        safeAddEvent('loadGameBtn', 'click', () => this.showSaveSlots());
+        safeAddEvent('save-slots-list', 'click', (e) => this.handleSlotAction(e));
+        safeAddEvent('import-save-btn', 'click', () => {
+            const input = document.getElementById('import-save-input');
+            if (input) input.click();
+        });
+        safeAddEvent('import-save-input', 'change', (e) => this.importFile(e.target));
+
+        // Close buttons inside the save browser
+        const modal = document.getElementById('save-slots-modal');
+        if (modal) {
+            modal.querySelectorAll('.close-modal-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.hideSaveSlots());
+            });
+        }
+    }
+
+    showSaveSlots() {
+        this.renderSaveSlots();
+
+        const modalContainer = document.getElementById('modal-container');
+        if (modalContainer) {
+            modalContainer.classList.add('active');
+        }
+        this.uiController.showModal('save-slots-modal');
+    }
+
+    hideSaveSlots() {
+        const modal = document.getElementById('save-slots-modal');
+        this.uiController.closeModal(modal);
+
+        const modalContainer = document.getElementById('modal-container');
+        if (modalContainer) {
+            modalContainer.classList.remove('active');
+        }
+    }
+
+    renderSaveSlots() {
+        const list = document.getElementById('save-slots-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        const slots = this.gameManager.listSaveSlots();
+        if (slots.length === 0) {
+            list.innerHTML = '<p class="empty-message">No saved games yet.</p>';
+            return;
+        }
+
+        slots.forEach(slot => {
+            list.appendChild(this.createSlotCard(slot));
+        });
+    }
+
+    createSlotCard(slot) {
+        const card = document.createElement('div');
+        card.className = `save-slot-card${slot.isCurrent ? ' current' : ''}`;
+        card.dataset.slotId = slot.id;
+
+        const gameDate = slot.gameTime
+            ? calendar.formatDate(slot.gameTime)
+            : 'Unknown date';
+        const savedAt = slot.savedAt
+            ? `${formatDate(slot.savedAt)} ${new Date(slot.savedAt).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}`
+            : 'Never';
+
+        card.innerHTML = `
+            <div class="save-slot-header">
+                <h4 class="save-slot-name"></h4>
+                <span class="save-slot-saved">${savedAt}</span>
+            </div>
+            <div class="save-slot-details">
+                <div class="save-slot-stable"></div>
+                <div>${gameDate}</div>
+                <div>${formatMoney(slot.funds)} • ${slot.horseCount} horse${slot.horseCount === 1 ? '' : 's'}</div>
+                <div>Playtime: ${formatTime(slot.playtime * 1000)}</div>
+            </div>
+            <div class="save-slot-actions">
+                <button class="primary-btn" data-action="load">Load</button>
+                <button class="secondary-btn" data-action="rename">Rename</button>
+                <button class="secondary-btn" data-action="export">Export</button>
+                <button class="secondary-btn" data-action="delete">Delete</button>
+            </div>
+        `;
+
+        // Player-entered names are set as text to keep them out of the markup
+        card.querySelector('.save-slot-name').textContent = slot.name;
+        card.querySelector('.save-slot-stable').textContent = slot.playerName
+            ? `${slot.stableName} (${slot.playerName})`
+            : slot.stableName;
+
+        return card;
+    }
+
+    handleSlotAction(e) {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        const card = button.closest('.save-slot-card');
+        if (!card) return;
+
+        const slotId = card.dataset.slotId;
+
+        switch (button.dataset.action) {
+            case 'load':
+                this.loadSlot(slotId);
+                break;
+            case 'rename':
+                this.renameSlot(slotId);
+                break;
+            case 'export':
+                this.exportSlot(slotId);
+                break;
+            case 'delete':
+                this.deleteSlot(slotId);
+                break;
+        }
+    }
+
+    loadSlot(slotId) {
+        const result = this.gameManager.loadGame(slotId);
+
+        if (!result.success) {
+            this.uiController.showError(result.message);
+            return;
+        }
+
+        this.hideSaveSlots();
+        this.uiController.showScreen('gameUI');
+        this.uiController.showSuccess(`Loaded "${result.slot.name}"`);
+
+        // Let the player know if an old save had to be upgraded or repaired
+        const summary = result.report ? summarizeReport(result.report) : '';
+        if (summary) {
+            console.info('Save migration report:', result.report);
+            this.uiController.showSuccess(summary);
+        }
+    }
+
+    renameSlot(slotId) {
+        const slot = this.gameManager.getSaveSlot(slotId);
+        if (!slot) return;
+
+        const name = window.prompt('New name for this save:', slot.name);
+        if (name === null) return;
+
+        const result = this.gameManager.renameSaveSlot(slotId, name);
+
+        if (!result.success) {
+            this.uiController.showError(result.message);
+            return;
+        }
+
+        this.renderSaveSlots();
+    }
+
+    async exportSlot(slotId) {
+        const result = await this.gameManager.exportSave(slotId);
+
+        if (!result.success) {
+            this.uiController.showError(result.message);
+            return;
+        }
+
+        // Hand the file to the browser as a download
+        const blob = new Blob([result.contents], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this.uiController.showSuccess(result.message);
+    }
+
+    async importFile(input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+
+        // Clear the input so picking the same file again still fires change
+        input.value = '';
+
+        const result = await this.gameManager.importSave(await file.text());
+
+        if (!result.success) {
+            this.uiController.showError(result.message);
+            return;
+        }
+
+        this.renderSaveSlots();
+        this.uiController.showSuccess(result.message);
+
+        const summary = result.report ? summarizeReport(result.report) : '';
+        if (summary) {
+            console.info('Save migration report:', result.report);
+            this.uiController.showSuccess(summary);
+        }
+    }
+
+    deleteSlot(slotId) {
+        const slot = this.gameManager.getSaveSlot(slotId);
+        if (!slot) return;
+
+        if (!window.confirm(`Delete "${slot.name}"? This cannot be undone.`)) return;
+
+        const result = this.gameManager.deleteSaveSlot(slotId);
+
+        if (!result.success) {
+            this.uiController.showError(result.message);
+            return;
+        }
+
+        // The browser stays reachable with no saves left so a file can still be imported
+        this.renderSaveSlots();
+    }
+}
+
+export default SaveSlotsUI;
@@ -1,3 +1,5 @@
+import calendar from '../utils/calendar.js';
+
 class UIController {
     constructor(gameManager) {
         if (!gameManager) {
@@ -216,9 +218,7 @@ class UIController {
                 retryQueue.push(['newGameBtn', 'click', () => this.showScreen('playerSetup')]);
             }
             
-            if (!safeAddEvent('loadGameBtn', 'click', () => this.gameManager.loadGame())) {
-                retryQueue.push(['loadGameBtn', 'click', () => this.gameManager.loadGame()]);
-            }
+            // Load Game opens the save slot browser (see SaveSlotsUI)
             
             // Player Setup
             if (!safeAddEvent('startGameBtn', 'click', () => this.handleGameStart())) {
@@ -544,11 +544,88 @@ class UIController {
                     <div>Temperament: ${horse.temperament}</div>
                 `;
             }
+
+            const colorElement = document.getElementById('horse-color');
+            if (colorElement) {
+                const rarity = horse.getColorRarity();
+                colorElement.textContent = rarity.id === 'common' ? horse.color : `${horse.color} (${rarity.name})`;
+            }
+
+            this.renderTraits(horse);
+            this.renderPedigree(horse.id);
         } catch (error) {
             console.error('Error updating horse detail modal:', error);
         }
     }
 
+    // Trait tags with what each trait does, weaknesses marked as negative
+    renderTraits(horse) {
+        const container = document.getElementById('traits-container');
+        if (!container) return;
+
+        const traits = horse.getDetails().traits;
+        if (traits.length === 0) {
+            container.textContent = 'No notable traits';
+            return;
+        }
+
+        container.innerHTML = traits.map(trait => `
+            <div class="trait-tag ${trait.polarity}" title="${trait.rarity}">
+                <div class="trait-name">${trait.name}</div>
+                <div class="trait-description">${trait.description}</div>
+            </div>
+        `).join('');
+    }
+
+    // Four-generation pedigree chart: each column is a generation, sires above dams
+    renderPedigree(horseId) {
+        const container = document.getElementById('pedigree-container');
+        if (!container) return;
+
+        const generations = 4;
+        const result = this.gameManager.getPedigree(horseId, generations);
+        if (!result.success) {
+            container.textContent = 'No pedigree on record';
+            return;
+        }
+
+        const describe = (node, gender) => {
+            if (!node) {
+                return `<td class="pedigree-unknown" rowspan="%ROWS%">Unknown ${gender === 'male' ? 'sire' : 'dam'}</td>`;
+            }
+
+            const details = [node.birthYear, node.color].filter(Boolean).join(' ');
+            const record = node.record
+                ? `${node.record.starts} starts, ${node.record.wins} wins, ${node.record.places} places, $${node.record.earnings.toLocaleString()}`
+                : 'No record';
+
+            return `
+                <td class="${node.gender === 'male' ? 'pedigree-male' : 'pedigree-female'}" rowspan="%ROWS%">
+                    <div class="pedigree-name">${node.name}</div>
+                    <div class="pedigree-record">${details}</div>
+                    <div class="pedigree-record">${record}</div>
+                </td>
+            `;
+        };
+
+        // Walk the tree so every row starts with the ancestors whose block begins on it
+        const rows = Array.from({ length: 2 ** generations }, () => []);
+        const place = (node, generation, row) => {
+            if (generation > generations) return;
+
+            const span = 2 ** (generations - generation);
+            const gender = row % (span * 2) === 0 ? 'male' : 'female';
+            rows[row].push(describe(node, gender).replace('%ROWS%', span));
+
+            place(node ? node.sire : null, generation + 1, row);
+            place(node ? node.dam : null, generation + 1, row + span / 2);
+        };
+        place(result.pedigree.sire, 1, 0);
+        place(result.pedigree.dam, 1, rows.length / 2);
+
+        container.innerHTML = `<table>${rows.map(cells => `<tr>${cells.join('')}</tr>`).join('')}</table>`;
+    }
+
     updatePlayerInfo() {
         try {
             if (!this.ready) {
@@ -572,6 +649,7 @@ class UIController {
             updateElement('money-display', `$${player.funds.toLocaleString()}`);
             updateElement('stable-level', player.stableLevel);
             updateElement('horse-count', `${player.horses.length}/${player.maxHorses}`);
+            updateElement('day-display', `${calendar.formatDate(this.gameManager.gameTime, true)} • ${calendar.getSeasonName(this.gameManager.gameTime)}`);
         } catch (error) {
             console.error('Error updating player info:', error);
         }
@@ -0,0 +1,189 @@
+// Game calendar.
+// One shared calendar for every subsystem: Gregorian month lengths (with
+// leap years), Monday-based weeks, meteorological seasons and the racing
+// year. The calendar keeps a reference to the game's date object and moves
+// it forward in place, so every manager holding that object sees the same
+// day. Crossing a week, month, season or year boundary emits the matching
+// GameEvents time event.
+
+import eventSystem, { GameEvents } from './eventSystem.js';
+
+export const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+export const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Seasons by month (northern hemisphere)
+export const SEASONS = {
+    spring: { name: 'Spring', months: [3, 4, 5] },
+    summer: { name: 'Summer', months: [6, 7, 8] },
+    autumn: { name: 'Autumn', months: [9, 10, 11] },
+    winter: { name: 'Winter', months: [12, 1, 2] }
+};
+
+// The racing year runs from 1 January, the same day every horse turns a year older
+export const RACING_YEAR_START = { day: 1, month: 1 };
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class Calendar {
+    constructor(date = { day: 1, month: 1, year: 2023 }) {
+        this.date = date;
+    }
+
+    // Use the given date object as the calendar's current date (kept by reference)
+    attach(date) {
+        this.date = date;
+        return this.date;
+    }
+
+    getDate() {
+        return { ...this.date };
+    }
+
+    isLeapYear(year) {
+        return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    }
+
+    getDaysInMonth(month, year) {
+        return new Date(Date.UTC(year, month, 0)).getUTCDate();
+    }
+
+    getDaysInYear(year) {
+        return this.isLeapYear(year) ? 366 : 365;
+    }
+
+    // Serial day number, handy for day arithmetic and for ledgers keyed by day
+    toDayNumber(date = this.date) {
+        const utc = new Date(0);
+        utc.setUTCFullYear(date.year, date.month - 1, date.day);
+        return Math.floor(utc.getTime() / MS_PER_DAY);
+    }
+
+    fromDayNumber(dayNumber) {
+        const utc = new Date(dayNumber * MS_PER_DAY);
+        return {
+            day: utc.getUTCDate(),
+            month: utc.getUTCMonth() + 1,
+            year: utc.getUTCFullYear()
+        };
+    }
+
+    addDays(date, days) {
+        return this.fromDayNumber(this.toDayNumber(date) + days);
+    }
+
+    daysBetween(from, to) {
+        return this.toDayNumber(to) - this.toDayNumber(from);
+    }
+
+    // Negative if a is before b, 0 on the same day, positive after
+    compareDates(a, b) {
+        return this.daysBetween(b, a);
+    }
+
+    isSameDay(a, b) {
+        return this.compareDates(a, b) === 0;
+    }
+
+    getDayOfYear(date = this.date) {
+        return this.daysBetween({ day: 1, month: 1, year: date.year }, date) + 1;
+    }
+
+    // 0 = Monday ... 6 = Sunday
+    getDayOfWeek(date = this.date) {
+        // Day number 0 (1 January 1970) was a Thursday
+        return ((this.toDayNumber(date) + 3) % 7 + 7) % 7;
+    }
+
+    getDayName(date = this.date) {
+        return DAY_NAMES[this.getDayOfWeek(date)];
+    }
+
+    getMonthName(month) {
+        return MONTH_NAMES[month - 1];
+    }
+
+    getSeason(date = this.date) {
+        return Object.keys(SEASONS).find(key => SEASONS[key].months.includes(date.month));
+    }
+
+    getSeasonName(date = this.date) {
+        return SEASONS[this.getSeason(date)].name;
+    }
+
+    getRacingYearStart(date = this.date) {
+        const start = { ...RACING_YEAR_START, year: date.year };
+        return this.compareDates(date, start) >= 0 ? start : { ...start, year: date.year - 1 };
+    }
+
+    // The racing year is labelled by the calendar year it starts in
+    getRacingYear(date = this.date) {
+        return this.getRacingYearStart(date).year;
+    }
+
+    // Week of the racing year, starting at 1
+    getRacingWeek(date = this.date) {
+        return Math.floor(this.daysBetween(this.getRacingYearStart(date), date) / 7) + 1;
+    }
+
+    // Full description of a date for UI and results
+    describe(date = this.date) {
+        return {
+            ...date,
+            dayOfWeek: this.getDayOfWeek(date),
+            dayName: this.getDayName(date),
+            monthName: this.getMonthName(date.month),
+            season: this.getSeason(date),
+            seasonName: this.getSeasonName(date),
+            racingYear: this.getRacingYear(date),
+            racingWeek: this.getRacingWeek(date)
+        };
+    }
+
+    formatDate(date = this.date, includeWeekday = false) {
+        const text = `${date.day} ${this.getMonthName(date.month)} ${date.year}`;
+        return includeWeekday ? `${this.getDayName(date).slice(0, 3)} ${text}` : text;
+    }
+
+    // Move the calendar forward, emitting a time event for every boundary crossed
+    advance(days = 1) {
+        const passed = [];
+
+        for (let i = 0; i < days; i++) {
+            const previous = this.getDate();
+            const next = this.addDays(previous, 1);
+            Object.assign(this.date, next);
+
+            if (this.getDayOfWeek(next) === 0) {
+                passed.push({ event: GameEvents.WEEK_PASSED, data: { date: { ...next }, racingWeek: this.getRacingWeek(next) } });
+            }
+
+            if (next.month !== previous.month) {
+                passed.push({ event: GameEvents.MONTH_PASSED, data: { date: { ...next }, month: next.month, previousMonth: previous.month } });
+            }
+
+            if (this.getSeason(next) !== this.getSeason(previous)) {
+                passed.push({ event: GameEvents.SEASON_CHANGED, data: { date: { ...next }, season: this.getSeason(next), previousSeason: this.getSeason(previous) } });
+            }
+
+            if (next.year !== previous.year) {
+                passed.push({ event: GameEvents.YEAR_PASSED, data: { date: { ...next }, year: next.year, racingYear: this.getRacingYear(next) } });
+            }
+        }
+
+        eventSystem.emitMultiple(passed);
+
+        return {
+            date: this.getDate(),
+            events: passed.map(({ event, data }) => ({ type: event, ...data }))
+        };
+    }
+}
+
+const calendar = new Calendar();
+export default calendar;
+
+export { Calendar };
@@ -23,9 +23,18 @@ class EventSystem {
             HORSE_RECOVERED: 'horseRecovered',
             HORSE_RESTED: 'horseRested',
             HORSE_STATS_UPDATED: 'horseStatsUpdated',
+            HORSE_TRAIT_GAINED: 'horseTraitGained',
+            HORSE_TRAIT_LOST: 'horseTraitLost',
+            HANDICAP_MARK_CHANGED: 'handicapMarkChanged',
             
             // Race events
             RACE_SCHEDULED: 'raceScheduled',
+            RACE_ENTRIES_OPENED: 'raceEntriesOpened',
+            RACE_ENTRIES_CLOSED: 'raceEntriesClosed',
+            RACE_HORSE_SCRATCHED: 'raceHorseScratched',
+            RACE_HORSES_BALLOTED_OUT: 'raceHorsesBallotedOut',
+            RACE_FIELD_DECLARED: 'raceFieldDeclared',
+            RACE_DAY_DIGEST: 'raceDayDigest',
             RACE_STARTED: 'raceStarted',
             RACE_FINISHED: 'raceFinished',
             RACE_RESULTS: 'raceResults',
@@ -37,6 +46,20 @@ class EventSystem {
             BREEDING_FAILED: 'breedingFailed',
             FOAL_BORN: 'foalBorn',
             
+            // Weather events
+            WEATHER_CHANGED: 'weatherChanged',
+            GOING_CHANGED: 'goingChanged',
+            
+            // Betting events
+            BET_PLACED: 'betPlaced',
+            BETS_SETTLED: 'betsSettled',
+            
+            // Rival events
+            RIVAL_HORSE_RETIRED: 'rivalHorseRetired',
+            RIVAL_HORSE_TRADED: 'rivalHorseTraded',
+            RIVAL_FOAL_BORN: 'rivalFoalBorn',
+            LEAGUE_SEASON_ENDED: 'leagueSeasonEnded',
+            
             // Market events
             MARKET_UPDATED: 'marketUpdated',
             LISTING_CREATED: 'listingCreated',
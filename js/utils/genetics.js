@@ -0,0 +1,426 @@
+// Horse genetics.
+// Every horse carries a hidden genotype: a pair of alleles at each locus,
+// written paternal allele first (e.g. "Aa"). Loci sit at map positions on a
+// few chromosomes, so a gamete passes on runs of linked alleles together and
+// crossovers between loci happen more often the further apart they are.
+// Stats, racing preferences and coat colour are expressed from the genotype,
+// which makes pairings and line-breeding (fixing alleles by doubling up on a
+// line) matter.
+
+import rng from './rng.js';
+
+// Loci by chromosome with map positions in centimorgans
+export const CHROMOSOMES = [
+    { id: 1, loci: [{ id: 'SPD1', position: 0 }, { id: 'SPD2', position: 18 }, { id: 'DST', position: 32 }, { id: 'STA1', position: 70 }] },
+    { id: 2, loci: [{ id: 'SPD3', position: 0 }, { id: 'STA2', position: 25 }, { id: 'TMP1', position: 60 }] },
+    { id: 3, loci: [{ id: 'STA3', position: 0 }, { id: 'SRF', position: 20 }, { id: 'GNG', position: 38 }, { id: 'TMP2', position: 55 }] },
+    { id: 4, loci: [{ id: 'SPD4', position: 0 }, { id: 'STA4', position: 40 }, { id: 'TMP3', position: 85 }] },
+    // Coat colour: extension sits on the same chromosome as KIT, where roan and tobiano are found
+    { id: 5, loci: [{ id: 'EXT', position: 0 }, { id: 'ROAN', position: 12 }, { id: 'TOB', position: 13 }] },
+    { id: 6, loci: [{ id: 'AGO', position: 0 }] },
+    { id: 7, loci: [{ id: 'CRM', position: 0 }] },
+    { id: 8, loci: [{ id: 'DUN', position: 0 }] },
+    { id: 9, loci: [{ id: 'GRY', position: 0 }] }
+];
+
+// Additive loci behind the quantitative traits: "A" is the favourable allele, "a" the plain one
+export const QUANTITATIVE_TRAITS = {
+    speed: ['SPD1', 'SPD2', 'SPD3', 'SPD4'],
+    stamina: ['STA1', 'STA2', 'STA3', 'STA4'],
+    temperament: ['TMP1', 'TMP2', 'TMP3']
+};
+
+// Distance aptitude: "S" (sprint) and "L" (long) are co-dominant, so SL horses stay middle distances
+export const DISTANCE_LOCUS = 'DST';
+
+// Surface aptitude: turf ("T") is dominant over dirt ("D"), which is dominant over synthetic ("Y")
+export const SURFACE_LOCUS = 'SRF';
+const SURFACE_ALLELES = { turf: 'T', dirt: 'D', synthetic: 'Y' };
+const SURFACE_DOMINANCE = ['T', 'D', 'Y'];
+
+// Going preference: fast-ground ("F") and soft-ground ("W") alleles are co-dominant, so FW horses like good ground
+export const GOING_LOCUS = 'GNG';
+
+// Coat colour loci, written dominant allele first. Extension (E) allows black pigment,
+// agouti (A) limits it to the points (bay), cream (C) is incomplete dominant, and
+// dun (D), roan (R), tobiano (T) and grey (G) are dominant.
+export const COLOR_LOCI = {
+    EXT: { alleles: 'Ee', frequency: 0.55 },
+    AGO: { alleles: 'Aa', frequency: 0.6 },
+    CRM: { alleles: 'Cn', frequency: 0.06 },
+    DUN: { alleles: 'Dd', frequency: 0.05 },
+    ROAN: { alleles: 'Rr', frequency: 0.03 },
+    TOB: { alleles: 'Tt', frequency: 0.04 },
+    GRY: { alleles: 'Gg', frequency: 0.08 }
+};
+
+// Allowed alleles at every locus
+const LOCUS_ALLELES = {
+    ...Object.fromEntries(Object.values(QUANTITATIVE_TRAITS).flat().map(locus => [locus, 'Aa'])),
+    [DISTANCE_LOCUS]: 'SL',
+    [SURFACE_LOCUS]: 'TDY',
+    [GOING_LOCUS]: 'FW',
+    ...Object.fromEntries(Object.entries(COLOR_LOCI).map(([locus, { alleles }]) => [locus, alleles]))
+};
+
+// Names of the base colours once cream has been applied, by number of cream alleles
+const CREAM_COLORS = {
+    chestnut: ['Chestnut', 'Palomino', 'Cremello'],
+    bay: ['Bay', 'Buckskin', 'Perlino'],
+    black: ['Black', 'Smoky Black', 'Smoky Cream']
+};
+const DUN_COLORS = { Chestnut: 'Red Dun', Bay: 'Dun', Black: 'Grullo' };
+const ROAN_COLORS = { Chestnut: 'Red Roan', Bay: 'Bay Roan', Black: 'Blue Roan' };
+
+// Rarity points for each colour feature and the market value they add
+const COLOR_RARITY_POINTS = { black: 1, singleCream: 1, doubleCream: 2, dun: 1, roan: 1, tobiano: 2 };
+const COLOR_RARITY_LEVELS = [
+    { id: 'common', name: 'Common', minPoints: 0, valueMultiplier: 1 },
+    { id: 'uncommon', name: 'Uncommon', minPoints: 1, valueMultiplier: 1.05 },
+    { id: 'rare', name: 'Rare', minPoints: 2, valueMultiplier: 1.12 },
+    { id: 'very_rare', name: 'Very Rare', minPoints: 3, valueMultiplier: 1.25 }
+];
+
+// Value of a heterozygous locus relative to the two homozygotes (0 and 2); slightly dominant
+const HETEROZYGOTE_VALUE = 1.25;
+
+// Expressed stats run from STAT_FLOOR (no favourable alleles) to STAT_CEILING (all favourable)
+const STAT_FLOOR = 15;
+const STAT_CEILING = 100;
+
+// Chance of an odd number of crossovers between two loci (Haldane map function)
+function recombinationFraction(distance) {
+    return 0.5 * (1 - Math.exp(-2 * distance / 100));
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function locusValue(pair) {
+    const favourable = (pair[0] === 'A' ? 1 : 0) + (pair[1] === 'A' ? 1 : 0);
+    return favourable === 1 ? HETEROZYGOTE_VALUE : favourable;
+}
+
+// Genetic merit of a trait from 0 (no favourable alleles) to 1 (all favourable)
+export function getGeneticMerit(genotype, trait) {
+    const loci = QUANTITATIVE_TRAITS[trait];
+    const total = loci.reduce((sum, locus) => sum + locusValue(genotype[locus]), 0);
+    return total / (loci.length * 2);
+}
+
+// Stat value (0-100 scale) the genotype gives a trait before environment and training
+export function getGeneticValue(genotype, trait) {
+    return Math.round(STAT_FLOOR + getGeneticMerit(genotype, trait) * (STAT_CEILING - STAT_FLOOR));
+}
+
+export function expressDistance(genotype) {
+    const pair = genotype[DISTANCE_LOCUS];
+    if (pair === 'SS') return 'sprint';
+    if (pair === 'LL') return 'long';
+    return 'middle';
+}
+
+export function expressSurface(genotype) {
+    const pair = genotype[SURFACE_LOCUS];
+    const dominant = SURFACE_DOMINANCE.find(allele => pair.includes(allele));
+    return Object.keys(SURFACE_ALLELES).find(surface => SURFACE_ALLELES[surface] === dominant);
+}
+
+export function expressGoing(genotype) {
+    const pair = genotype[GOING_LOCUS];
+    if (pair === 'FF') return 'firm';
+    if (pair === 'WW') return 'soft';
+    return 'good';
+}
+
+function hasAllele(genotype, locus) {
+    return genotype[locus].includes(COLOR_LOCI[locus].alleles[0]);
+}
+
+function countAllele(genotype, locus) {
+    return genotype[locus].split('').filter(allele => allele === COLOR_LOCI[locus].alleles[0]).length;
+}
+
+// Coat colour features the colour genotype expresses
+function getColorFeatures(genotype) {
+    let base = 'chestnut';
+    if (hasAllele(genotype, 'EXT')) {
+        base = hasAllele(genotype, 'AGO') ? 'bay' : 'black';
+    }
+
+    return {
+        base,
+        cream: countAllele(genotype, 'CRM'),
+        dun: hasAllele(genotype, 'DUN'),
+        roan: hasAllele(genotype, 'ROAN'),
+        tobiano: hasAllele(genotype, 'TOB'),
+        grey: hasAllele(genotype, 'GRY')
+    };
+}
+
+export function expressColor(genotype) {
+    const features = getColorFeatures(genotype);
+
+    // Grey horses lighten until their underlying colour no longer shows
+    if (features.grey) return 'Grey';
+
+    let color = CREAM_COLORS[features.base][features.cream];
+
+    if (features.dun) {
+        color = DUN_COLORS[color] || `${color} Dun`;
+    }
+
+    if (features.roan) {
+        color = ROAN_COLORS[color] || `${color} Roan`;
+    }
+
+    if (features.tobiano) {
+        color = `${color} Pinto`;
+    }
+
+    return color;
+}
+
+// How rare a horse's colour is and what it adds to market value
+export function getColorRarity(genotype) {
+    const features = getColorFeatures(genotype);
+    let points = 0;
+
+    // Grey hides everything else
+    if (!features.grey) {
+        if (features.base === 'black') points += COLOR_RARITY_POINTS.black;
+        if (features.cream === 1) points += COLOR_RARITY_POINTS.singleCream;
+        if (features.cream === 2) points += COLOR_RARITY_POINTS.doubleCream;
+        if (features.dun) points += COLOR_RARITY_POINTS.dun;
+        if (features.roan) points += COLOR_RARITY_POINTS.roan;
+        if (features.tobiano) points += COLOR_RARITY_POINTS.tobiano;
+    }
+
+    const level = [...COLOR_RARITY_LEVELS].reverse().find(rarity => points >= rarity.minPoints);
+    return { id: level.id, name: level.name, valueMultiplier: level.valueMultiplier };
+}
+
+// Everything the genotype expresses (speed loci drive both speed and acceleration)
+export function expressPhenotype(genotype) {
+    return {
+        speed: getGeneticValue(genotype, 'speed'),
+        acceleration: getGeneticValue(genotype, 'speed'),
+        stamina: getGeneticValue(genotype, 'stamina'),
+        temperament: getGeneticValue(genotype, 'temperament'),
+        preferredDistance: expressDistance(genotype),
+        preferredSurface: expressSurface(genotype),
+        preferredGoing: expressGoing(genotype),
+        color: expressColor(genotype)
+    };
+}
+
+// Random pair at a colour locus drawn from the population allele frequency
+function randomColorPair(locus) {
+    const { alleles, frequency } = COLOR_LOCI[locus];
+    const allele = () => (rng.random() < frequency ? alleles[0] : alleles[1]);
+    return allele() + allele();
+}
+
+// Pair at a colour locus that shows the dominant allele
+function dominantColorPair(locus) {
+    const [dominant, recessive] = COLOR_LOCI[locus].alleles;
+    const roll = rng.random();
+    if (roll < 1 / 3) return dominant + dominant;
+    return roll < 2 / 3 ? dominant + recessive : recessive + dominant;
+}
+
+function recessiveColorPair(locus) {
+    const recessive = COLOR_LOCI[locus].alleles[1];
+    return recessive + recessive;
+}
+
+// Colour genotype that expresses a colour name (random from the population if there is none).
+// Older names are read as the nearest colour: sorrel is chestnut and white is cremello.
+export function inferColorGenotype(color) {
+    const genotype = {};
+    Object.keys(COLOR_LOCI).forEach(locus => {
+        genotype[locus] = randomColorPair(locus);
+    });
+
+    if (!color) return genotype;
+
+    const name = color.toLowerCase();
+    const matches = pattern => pattern.test(name);
+
+    if (matches(/grey|gray/)) {
+        genotype.GRY = dominantColorPair('GRY');
+        return genotype;
+    }
+    genotype.GRY = recessiveColorPair('GRY');
+
+    if (matches(/chestnut|sorrel|palomino|cremello|red|white/)) {
+        genotype.EXT = recessiveColorPair('EXT');
+    } else if (matches(/black|smoky|grullo|blue/)) {
+        genotype.EXT = dominantColorPair('EXT');
+        genotype.AGO = recessiveColorPair('AGO');
+    } else {
+        // Bay, buckskin, perlino, dun and plain roans or pintos
+        genotype.EXT = dominantColorPair('EXT');
+        genotype.AGO = dominantColorPair('AGO');
+    }
+
+    if (matches(/cremello|perlino|smoky cream|white/)) {
+        genotype.CRM = 'CC';
+    } else if (matches(/palomino|buckskin|smoky black/)) {
+        genotype.CRM = rng.random() < 0.5 ? 'Cn' : 'nC';
+    } else {
+        genotype.CRM = 'nn';
+    }
+
+    genotype.DUN = matches(/dun|grullo/) ? dominantColorPair('DUN') : recessiveColorPair('DUN');
+    genotype.ROAN = matches(/roan/) ? dominantColorPair('ROAN') : recessiveColorPair('ROAN');
+    genotype.TOB = matches(/pinto/) ? dominantColorPair('TOB') : recessiveColorPair('TOB');
+
+    return genotype;
+}
+
+// Build a genotype that would plausibly express a horse's current stats, preferences and colour.
+// Used for horses with no recorded ancestry (generated horses and older saves).
+export function inferGenotype(horse) {
+    const genotype = inferColorGenotype(horse.color);
+
+    const fillTrait = (trait, stat) => {
+        const merit = clamp((stat - STAT_FLOOR) / (STAT_CEILING - STAT_FLOOR), 0, 1);
+        // Allele frequency whose expected locus value matches the merit:
+        // E[value] / 2 = (2.5p - 0.5p^2) / 2 with the heterozygote at 1.25
+        const p = clamp(2.5 - Math.sqrt(6.25 - 4 * merit), 0, 1);
+        QUANTITATIVE_TRAITS[trait].forEach(locus => {
+            genotype[locus] = (rng.random() < p ? 'A' : 'a') + (rng.random() < p ? 'A' : 'a');
+        });
+    };
+
+    fillTrait('speed', ((horse.speed || 50) + (horse.acceleration || horse.speed || 50)) / 2);
+    fillTrait('stamina', horse.stamina || 50);
+    fillTrait('temperament', horse.temperament || 50);
+
+    // Preferences are matched exactly
+    const distancePairs = { sprint: ['SS'], middle: ['SL', 'LS'], long: ['LL'] };
+    const distanceOptions = distancePairs[horse.preferredDistance] || distancePairs.middle;
+    genotype[DISTANCE_LOCUS] = distanceOptions[Math.floor(rng.random() * distanceOptions.length)];
+
+    // A dominant surface allele can hide any allele lower in the order
+    const expressed = SURFACE_ALLELES[horse.preferredSurface] || 'D';
+    const hidden = SURFACE_DOMINANCE.slice(SURFACE_DOMINANCE.indexOf(expressed));
+    const other = hidden[Math.floor(rng.random() * hidden.length)];
+    genotype[SURFACE_LOCUS] = rng.random() < 0.5 ? expressed + other : other + expressed;
+
+    genotype[GOING_LOCUS] = inferGoingPair(horse.preferredGoing);
+
+    return genotype;
+}
+
+// Going locus pair that expresses a going preference (drawn at even allele frequencies if there is none)
+export function inferGoingPair(preferredGoing) {
+    if (preferredGoing === 'firm') return 'FF';
+    if (preferredGoing === 'soft') return 'WW';
+    if (preferredGoing === 'good') return rng.random() < 0.5 ? 'FW' : 'WF';
+    return (rng.random() < 0.5 ? 'F' : 'W') + (rng.random() < 0.5 ? 'F' : 'W');
+}
+
+// Probability of every gamete a genotype can form over the given loci, accounting for linkage
+function getGameteDistribution(genotype, loci) {
+    let gametes = [{ alleles: {}, probability: 1 }];
+
+    CHROMOSOMES.forEach(chromosome => {
+        const chromosomeLoci = chromosome.loci.filter(locus => loci.includes(locus.id));
+        if (chromosomeLoci.length === 0) return;
+
+        // Every strand each locus can come from, starting on either strand
+        let strands = [0, 1].map(strand => ({ path: [strand], probability: 0.5 }));
+        for (let i = 1; i < chromosomeLoci.length; i++) {
+            const r = recombinationFraction(chromosomeLoci[i].position - chromosomeLoci[i - 1].position);
+            strands = strands.flatMap(({ path, probability }) => {
+                const last = path[path.length - 1];
+                return [
+                    { path: [...path, last], probability: probability * (1 - r) },
+                    { path: [...path, 1 - last], probability: probability * r }
+                ];
+            });
+        }
+
+        gametes = gametes.flatMap(gamete => strands.map(({ path, probability }) => {
+            const alleles = { ...gamete.alleles };
+            chromosomeLoci.forEach((locus, index) => {
+                alleles[locus.id] = genotype[locus.id][path[index]];
+            });
+            return { alleles, probability: gamete.probability * probability };
+        }));
+    });
+
+    return gametes;
+}
+
+// Chance of every coat colour for a foal of the given sire and dam, most likely first
+export function getColorOdds(sireGenotype, damGenotype) {
+    const loci = Object.keys(COLOR_LOCI);
+    const fromSire = getGameteDistribution(sireGenotype, loci);
+    const fromDam = getGameteDistribution(damGenotype, loci);
+    const odds = {};
+
+    fromSire.forEach(sireGamete => {
+        fromDam.forEach(damGamete => {
+            const genotype = {};
+            loci.forEach(locus => {
+                genotype[locus] = sireGamete.alleles[locus] + damGamete.alleles[locus];
+            });
+
+            const color = expressColor(genotype);
+            odds[color] = (odds[color] || 0) + sireGamete.probability * damGamete.probability;
+        });
+    });
+
+    return Object.entries(odds)
+        .map(([color, probability]) => ({ color, probability }))
+        .sort((a, b) => b.probability - a.probability);
+}
+
+// Form a gamete: one allele per locus, switching strands at crossovers along each chromosome
+export function makeGamete(genotype) {
+    const gamete = {};
+
+    CHROMOSOMES.forEach(chromosome => {
+        let strand = rng.random() < 0.5 ? 0 : 1;
+
+        chromosome.loci.forEach((locus, index) => {
+            if (index > 0) {
+                const distance = locus.position - chromosome.loci[index - 1].position;
+                if (rng.random() < recombinationFraction(distance)) {
+                    strand = 1 - strand;
+                }
+            }
+            gamete[locus.id] = genotype[locus.id][strand];
+        });
+    });
+
+    return gamete;
+}
+
+// Genotype of a foal from its sire's and dam's genotypes
+export function breedGenotype(sireGenotype, damGenotype) {
+    const fromSire = makeGamete(sireGenotype);
+    const fromDam = makeGamete(damGenotype);
+    const genotype = {};
+
+    Object.keys(fromSire).forEach(locus => {
+        genotype[locus] = fromSire[locus] + fromDam[locus];
+    });
+
+    return genotype;
+}
+
+export function isValidGenotype(genotype) {
+    if (!genotype || typeof genotype !== 'object') return false;
+
+    return CHROMOSOMES.every(chromosome => chromosome.loci.every(locus => {
+        const pair = genotype[locus.id];
+        return typeof pair === 'string' &&
+            pair.length === 2 &&
+            pair.split('').every(allele => LOCUS_ALLELES[locus.id].includes(allele));
+    }));
+}
@@ -0,0 +1,128 @@
+// Handicapping.
+// Every horse that has run holds an official handicap mark in pounds. After
+// each run the handicapper works out a performance figure from the beaten
+// margins against the other runners' marks (allowing for the weight each
+// carried) and moves the mark towards it: quickly upwards, more slowly down.
+// In a handicap the highest mark in the field carries top weight and every
+// pound lower on the scale carries a pound less, down to the bottom weight, so
+// that in theory the whole field would finish together.
+
+export const KG_PER_LB = 0.4536;
+
+// Weight carried in races that are not handicaps, and the range used in handicaps (kg)
+export const STANDARD_WEIGHT = 57;
+export const TOP_WEIGHT = 62;
+export const BOTTOM_WEIGHT = 50;
+
+export const MIN_MARK = 0;
+export const MAX_MARK = 140;
+
+// Pounds a length is worth: a length is more time over a short race, and weight
+// tells more the further a horse has to carry it
+export const LBS_PER_LENGTH = {
+    sprint: 3,
+    middle: 2,
+    long: 1
+};
+
+// Margins beyond this many lengths say little about ability
+const MAX_COUNTED_LENGTHS = 30;
+
+// Share of the gap between mark and performance that is taken at each reassessment,
+// and the most a mark can move in one go
+const RISE_RATE = 0.6;
+const FALL_RATE = 0.4;
+const MAX_RISE = 12;
+const MAX_FALL = 6;
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// Mark a horse of this overall rating would be expected to earn (about two pounds a rating point)
+export function getMarkForRating(rating) {
+    return Math.round(clamp(rating * 2 - 60, MIN_MARK, MAX_MARK));
+}
+
+export function getRatingForMark(mark) {
+    return (mark + 60) / 2;
+}
+
+// Weights for a handicap field. Runners: [{ id, mark }]. Returns { id: kg } rounded to half a kilo.
+export function allocateHandicapWeights(runners) {
+    const marks = runners.map(runner => runner.mark).filter(mark => typeof mark === 'number');
+    const topMark = marks.length > 0 ? Math.max(...marks) : 0;
+    const weights = {};
+
+    runners.forEach(runner => {
+        const lbsBelowTop = typeof runner.mark === 'number' ? topMark - runner.mark : 0;
+        const weight = Math.max(BOTTOM_WEIGHT, TOP_WEIGHT - lbsBelowTop * KG_PER_LB);
+        weights[runner.id] = Math.round(weight * 2) / 2;
+    });
+
+    return weights;
+}
+
+// Performance figures for a race. Runners: [{ id, mark, weight (kg), beatenLengths }].
+// Each rated rival gives an estimate from its own mark, the margin between the two and
+// the difference in weight; closer rivals count for more. Returns { id: figure }.
+export function calculatePerformanceFigures(runners, distance) {
+    const lbsPerLength = LBS_PER_LENGTH[distance] || LBS_PER_LENGTH.middle;
+    const figures = {};
+
+    runners.forEach(runner => {
+        let total = 0;
+        let totalWeight = 0;
+
+        runners.forEach(rival => {
+            if (rival.id === runner.id || typeof rival.mark !== 'number') return;
+
+            const lengths = Math.min(MAX_COUNTED_LENGTHS, rival.beatenLengths) - Math.min(MAX_COUNTED_LENGTHS, runner.beatenLengths);
+            const weightLbs = ((runner.weight || STANDARD_WEIGHT) - (rival.weight || STANDARD_WEIGHT)) / KG_PER_LB;
+            const estimate = rival.mark + lengths * lbsPerLength + weightLbs;
+            const reliability = 1 / (1 + Math.abs(lengths) / 5);
+
+            total += estimate * reliability;
+            totalWeight += reliability;
+        });
+
+        if (totalWeight > 0) {
+            figures[runner.id] = Math.round(clamp(total / totalWeight, MIN_MARK, MAX_MARK));
+        }
+    });
+
+    return figures;
+}
+
+// Marks for horses with no official mark, from their average beaten margins over a set of
+// level-weight runs. Runs: [[{ id, beatenLengths }]]. The average horse gets the anchor mark.
+export function assessMarks(runs, distance, anchorMark) {
+    const lbsPerLength = LBS_PER_LENGTH[distance] || LBS_PER_LENGTH.middle;
+    const totals = {};
+
+    runs.forEach(run => run.forEach(runner => {
+        totals[runner.id] = (totals[runner.id] || 0) + Math.min(MAX_COUNTED_LENGTHS, runner.beatenLengths);
+    }));
+
+    const ids = Object.keys(totals);
+    if (ids.length === 0) return {};
+
+    const averageLengths = ids.reduce((sum, id) => sum + totals[id], 0) / ids.length / runs.length;
+    const marks = {};
+    ids.forEach(id => {
+        const lengths = totals[id] / runs.length;
+        marks[id] = Math.round(clamp(anchorMark + (averageLengths - lengths) * lbsPerLength, MIN_MARK, MAX_MARK));
+    });
+
+    return marks;
+}
+
+// New mark after a run. Unrated horses are given their performance figure.
+export function reassessMark(mark, figure) {
+    if (typeof figure !== 'number') return mark;
+    if (typeof mark !== 'number') return Math.round(clamp(figure, MIN_MARK, MAX_MARK));
+
+    const gap = figure - mark;
+    const change = gap > 0 ? Math.min(MAX_RISE, gap * RISE_RATE) : Math.max(-MAX_FALL, gap * FALL_RATE);
+    return Math.round(clamp(mark + change, MIN_MARK, MAX_MARK));
+}
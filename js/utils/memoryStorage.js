@@ -0,0 +1,39 @@
+// In-memory stand-in for window.localStorage.
+// Lets the game managers run headless (Node, tests, balance simulations)
+// with the same getItem/setItem/removeItem API the browser provides.
+class MemoryStorage {
+    constructor(initialData = {}) {
+        this.data = new Map(Object.entries(initialData).map(([key, value]) => [key, String(value)]));
+    }
+
+    get length() {
+        return this.data.size;
+    }
+
+    key(index) {
+        return Array.from(this.data.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+
+    clear() {
+        this.data.clear();
+    }
+
+    // Plain object copy of everything stored, handy for dumping a headless run
+    toJSON() {
+        return Object.fromEntries(this.data);
+    }
+}
+
+export default MemoryStorage;
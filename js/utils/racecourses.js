@@ -0,0 +1,180 @@
+// Racecourses.
+// Every race is run at a named course. A course offers one or more surfaces and
+// has a direction, a circuit length, tight or galloping bends, a home straight,
+// maybe an uphill finish and a draw bias. Races on a course are simulated with
+// its profile: small circuits mean more bends, tight bends cost speed (less so
+// for handy, quick-accelerating horses), an uphill finish takes more stamina
+// and a draw bias makes the wrong stalls cover extra ground.
+
+// Metres of running and the speed kept on each bend, by type of bend
+const BEND_TYPES = {
+    tight: { length: 220, speed: 0.95 },
+    galloping: { length: 280, speed: 0.985 }
+};
+
+// Metres climbed to the line on an uphill finish
+const UPHILL_LENGTH = 300;
+
+export const RACECOURSES = {
+    ashcombe_park: {
+        name: 'Ashcombe Park',
+        surfaces: ['turf', 'dirt'],
+        direction: 'left-handed',
+        length: 2400,
+        bends: 'galloping',
+        homeStraight: 550,
+        straightCourse: 0,
+        uphillFinish: false,
+        drawBias: null,
+        drainage: 1
+    },
+    bramley_downs: {
+        name: 'Bramley Downs',
+        surfaces: ['turf'],
+        direction: 'right-handed',
+        length: 1800,
+        bends: 'tight',
+        homeStraight: 300,
+        straightCourse: 0,
+        uphillFinish: true,
+        drawBias: { side: 'inside', metresPerStall: 0.5 },
+        drainage: 0.8
+    },
+    carrick_heath: {
+        name: 'Carrick Heath',
+        surfaces: ['turf'],
+        direction: 'right-handed',
+        length: 2800,
+        bends: 'galloping',
+        homeStraight: 900,
+        straightCourse: 1600,
+        uphillFinish: true,
+        drawBias: { side: 'outside', metresPerStall: 0.3 },
+        drainage: 1.2
+    },
+    dunmore: {
+        name: 'Dunmore',
+        surfaces: ['dirt', 'synthetic'],
+        direction: 'left-handed',
+        length: 1600,
+        bends: 'tight',
+        homeStraight: 280,
+        straightCourse: 0,
+        uphillFinish: false,
+        drawBias: { side: 'inside', metresPerStall: 0.6 },
+        drainage: 1.1
+    },
+    elmstead_vale: {
+        name: 'Elmstead Vale',
+        surfaces: ['turf'],
+        direction: 'left-handed',
+        length: 2200,
+        bends: 'galloping',
+        homeStraight: 450,
+        straightCourse: 1200,
+        uphillFinish: false,
+        drawBias: null,
+        drainage: 1
+    },
+    fenwick_marsh: {
+        name: 'Fenwick Marsh',
+        surfaces: ['turf', 'dirt'],
+        direction: 'right-handed',
+        length: 2000,
+        bends: 'tight',
+        homeStraight: 350,
+        straightCourse: 0,
+        uphillFinish: false,
+        drawBias: { side: 'inside', metresPerStall: 0.35 },
+        drainage: 0.7
+    },
+    glenrowan: {
+        name: 'Glenrowan',
+        surfaces: ['synthetic', 'turf'],
+        direction: 'right-handed',
+        length: 2000,
+        bends: 'galloping',
+        homeStraight: 400,
+        straightCourse: 0,
+        uphillFinish: true,
+        drawBias: null,
+        drainage: 0.9
+    },
+    holloway: {
+        name: 'Holloway',
+        surfaces: ['dirt'],
+        direction: 'left-handed',
+        length: 1800,
+        bends: 'tight',
+        homeStraight: 320,
+        straightCourse: 0,
+        uphillFinish: false,
+        drawBias: { side: 'outside', metresPerStall: 0.3 },
+        drainage: 1.2
+    }
+};
+
+export function getRacecourse(courseId) {
+    return RACECOURSES[courseId] || null;
+}
+
+export function getRacecourseName(courseId) {
+    return RACECOURSES[courseId] ? RACECOURSES[courseId].name : 'Unknown course';
+}
+
+// IDs of the courses that offer a surface
+export function getRacecoursesForSurface(surface) {
+    return Object.keys(RACECOURSES).filter(id => RACECOURSES[id].surfaces.includes(surface));
+}
+
+// Course details for race cards
+export function describeRacecourse(courseId) {
+    const course = getRacecourse(courseId);
+    if (!course) return null;
+
+    const bias = course.drawBias ? `favours ${course.drawBias.side} draws` : 'no draw bias';
+    return {
+        id: courseId,
+        name: course.name,
+        surfaces: [...course.surfaces],
+        direction: course.direction,
+        length: course.length,
+        bends: course.bends,
+        homeStraight: course.homeStraight,
+        uphillFinish: course.uphillFinish,
+        drawBias: course.drawBias ? { ...course.drawBias } : null,
+        summary: `${course.direction}, ${course.length}m circuit with ${course.bends} bends, ` +
+            `${course.uphillFinish ? 'uphill finish' : 'flat finish'}, ${bias}`
+    };
+}
+
+// Profile the race simulator uses for a race of this many metres at a course
+export function getCourseProfile(courseId, meters) {
+    const course = getRacecourse(courseId);
+    if (!course) return null;
+
+    // Races up to the length of the straight course have no bends at all
+    const straight = course.straightCourse >= meters;
+    const bend = BEND_TYPES[course.bends] || BEND_TYPES.galloping;
+
+    // A circuit has two bends per lap; only the running before the home straight can be on one
+    const bends = straight ? 0 : Math.max(1, Math.round((2 * meters) / course.length));
+    const beforeStraight = Math.max(0, meters - course.homeStraight);
+    const bendShare = beforeStraight > 0 ? Math.min(0.8, (bends * bend.length) / beforeStraight) : 0;
+
+    return {
+        homeStraight: straight ? meters : course.homeStraight,
+        bendShare: straight ? 0 : bendShare,
+        bendSpeed: bend.speed,
+        uphillLength: course.uphillFinish ? UPHILL_LENGTH : 0,
+        drawBias: course.drawBias ? { ...course.drawBias } : null
+    };
+}
+
+// Extra ground a runner covers because of its draw on a course with a draw bias
+export function getDrawPenalty(drawBias, draw, fieldSize) {
+    if (!drawBias || !draw) return 0;
+
+    const stallsFromBest = drawBias.side === 'inside' ? draw - 1 : fieldSize - draw;
+    return Math.max(0, stallsFromBest) * drawBias.metresPerStall;
+}
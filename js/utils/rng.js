@@ -0,0 +1,122 @@
+// Seeded random number service shared by every model and manager.
+// The same seed and stream state always produce the same sequence, so a
+// save file plus the same player actions replays to the same outcomes.
+
+// Default generator: mulberry32, a small 32-bit PRNG with a single word of state
+export function createMulberry32(seed) {
+    let state = seed >>> 0;
+
+    return {
+        next() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        },
+        getState() {
+            return state;
+        },
+        setState(value) {
+            state = value >>> 0;
+        }
+    };
+}
+
+// Turn a string or number into a 32-bit seed
+export function hashSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return value >>> 0;
+    }
+
+    const text = String(value);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+class RandomService {
+    constructor(seed = Date.now(), factory = createMulberry32) {
+        this.factory = factory;
+        this.seed(seed);
+    }
+
+    // Restart the stream from a new seed
+    seed(value) {
+        this.seedValue = hashSeed(value);
+        this.generator = this.factory(this.seedValue);
+        this.draws = 0;
+    }
+
+    // Swap in a different generator; factory(seed) must return { next, getState, setState }
+    use(factory) {
+        this.factory = factory;
+        this.generator = factory(this.seedValue);
+        this.draws = 0;
+    }
+
+    // Float in [0, 1) - drop-in replacement for Math.random()
+    random() {
+        this.draws++;
+        return this.generator.next();
+    }
+
+    // Integer in [min, max] inclusive
+    int(min, max) {
+        return Math.floor(this.random() * (max - min + 1)) + min;
+    }
+
+    // Float in [min, max)
+    float(min, max) {
+        return this.random() * (max - min) + min;
+    }
+
+    // True with the given probability (0-1)
+    chance(probability) {
+        return this.random() < probability;
+    }
+
+    // Random element of an array
+    pick(array) {
+        return array[Math.floor(this.random() * array.length)];
+    }
+
+    // ID for a new horse, race, bet and so on. IDs are sort and lookup keys and show up in
+    // notifications, so they come from the stream like everything else rather than the clock.
+    id(prefix = '') {
+        const part = () => Math.floor(this.random() * 0x100000000).toString(36).padStart(7, '0');
+        const id = part() + part();
+        return prefix ? `${prefix}_${id}` : id;
+    }
+
+    // Snapshot of the seed and stream position for saving
+    getState() {
+        return {
+            seed: this.seedValue,
+            state: this.generator.getState(),
+            draws: this.draws
+        };
+    }
+
+    // Restore a snapshot created by getState()
+    setState(snapshot) {
+        if (!snapshot || snapshot.seed === undefined) return false;
+
+        this.seedValue = hashSeed(snapshot.seed);
+        this.generator = this.factory(this.seedValue);
+        if (snapshot.state !== undefined) {
+            this.generator.setState(snapshot.state);
+        }
+        this.draws = snapshot.draws || 0;
+        return true;
+    }
+}
+
+// Create and export a singleton instance
+const rng = new RandomService();
+export default rng;
+
+export { RandomService };
@@ -0,0 +1,916 @@
+// Save format versioning.
+// Every save is stamped with SAVE_VERSION. Older saves are upgraded one
+// version at a time by the MIGRATIONS steps below and then validated; the
+// returned report lists every migration applied and every field that had
+// to be repaired or dropped along the way.
+
+import calendar from './calendar.js';
+import { getRacecoursesForSurface } from './racecourses.js';
+import { getMarkForRating, MIN_MARK, MAX_MARK } from './handicapping.js';
+import { inferGenotype, inferColorGenotype, inferGoingPair, expressColor, expressGoing, isValidGenotype, GOING_LOCUS } from './genetics.js';
+import { TRAITS, resolveTraitId } from './traits.js';
+
+export const SAVE_VERSION = 18;
+
+const DEFAULT_GAME_TIME = { day: 1, month: 1, year: 2023 };
+const HORSE_STATS = ['speed', 'acceleration', 'stamina', 'jumping', 'temperament'];
+const HORSE_CONDITION = ['energy', 'health', 'happiness'];
+const DEFAULT_FERTILITY = 75;
+// Age given to horses whose saved age cannot be read: old saves only held horses old enough to race
+const DEFAULT_HORSE_AGE = 3;
+// Stat weights of a horse's overall rating, before training and age
+const RATING_WEIGHTS = { speed: 0.25, acceleration: 0.2, stamina: 0.2, jumping: 0.15, temperament: 0.2 };
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isGameDate(value) {
+    return isPlainObject(value) &&
+        isFiniteNumber(value.day) &&
+        isFiniteNumber(value.month) &&
+        isFiniteNumber(value.year);
+}
+
+function describe(value) {
+    if (value === undefined) return 'missing';
+    const text = JSON.stringify(value);
+    return text && text.length > 40 ? `${text.slice(0, 37)}...` : String(text);
+}
+
+function createReport(fromVersion) {
+    return {
+        fromVersion,
+        toVersion: SAVE_VERSION,
+        migrationsApplied: [],
+        repaired: [],
+        dropped: []
+    };
+}
+
+function repair(report, path, oldValue, newValue, reason) {
+    report.repaired.push({ path, from: describe(oldValue), to: describe(newValue), reason });
+    return newValue;
+}
+
+function drop(report, path, value, reason) {
+    report.dropped.push({ path, value: describe(value), reason });
+}
+
+// A saved age as a whole number of years, or null if it cannot be read
+function readAge(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const age = Number(value);
+    return Number.isFinite(age) ? Math.max(0, Math.floor(age)) : null;
+}
+
+// Work out the calendar date a horse was born from its age and the save's date
+function estimateBirthDate(horse, gameTime) {
+    const age = readAge(horse.age);
+    return { day: gameTime.day, month: gameTime.month, year: gameTime.year - (age === null ? DEFAULT_HORSE_AGE : age) };
+}
+
+// Dates written with 30-day months can fall on days that do not exist (30 February)
+function toCalendarDate(date) {
+    const month = Math.min(12, Math.max(1, Math.round(date.month)));
+    const day = Math.min(calendar.getDaysInMonth(month, date.year), Math.max(1, Math.round(date.day)));
+    return { day, month, year: Math.round(date.year) };
+}
+
+function fixCalendarDate(report, target, key, path) {
+    const date = target[key];
+    if (!isGameDate(date)) return;
+
+    const fixed = toCalendarDate(date);
+    if (fixed.day !== date.day || fixed.month !== date.month || fixed.year !== date.year) {
+        target[key] = repair(report, path, date, fixed, 'date does not exist in the calendar');
+    }
+}
+
+// Each step upgrades a save from version `from` to `from + 1`
+const MIGRATIONS = [
+    {
+        from: 0,
+        description: 'Store horse birth dates as {day, month, year} objects',
+        migrate(saveData, report) {
+            const gameTime = isGameDate(saveData.gameTime) ? saveData.gameTime : DEFAULT_GAME_TIME;
+            const horses = saveData.horseManager && Array.isArray(saveData.horseManager.horses)
+                ? saveData.horseManager.horses
+                : [];
+
+            horses.forEach((horse, index) => {
+                if (!isPlainObject(horse) || isGameDate(horse.birthDay)) return;
+
+                // A horse whose age was lost is taken as an adult rather than a newborn foal
+                if (readAge(horse.age) === null) {
+                    horse.age = repair(report, `horseManager.horses[${index}].age`, horse.age, DEFAULT_HORSE_AGE,
+                        'unknown age taken as an adult');
+                }
+
+                // Old saves wrote a numeric "game day of birth" that was never kept up to date
+                const birthDay = estimateBirthDate(horse, gameTime);
+                horse.birthDay = repair(report, `horseManager.horses[${index}].birthDay`, horse.birthDay, birthDay,
+                    'numeric birth day converted to a date');
+            });
+
+            return saveData;
+        }
+    },
+    {
+        from: 1,
+        description: 'Move game dates onto the real calendar and count player days by calendar day number',
+        migrate(saveData, report) {
+            if (isGameDate(saveData.gameTime)) {
+                fixCalendarDate(report, saveData, 'gameTime', 'gameTime');
+            }
+            const gameTime = isGameDate(saveData.gameTime) ? saveData.gameTime : DEFAULT_GAME_TIME;
+
+            // Manager copies of the date follow the game date
+            ['horseManager', 'raceManager'].forEach(key => {
+                if (isPlainObject(saveData[key])) {
+                    saveData[key].gameTime = { ...gameTime };
+                }
+            });
+
+            const horses = saveData.horseManager && Array.isArray(saveData.horseManager.horses)
+                ? saveData.horseManager.horses
+                : [];
+            horses.forEach((horse, index) => {
+                if (isPlainObject(horse)) {
+                    fixCalendarDate(report, horse, 'birthDay', `horseManager.horses[${index}].birthDay`);
+                }
+            });
+
+            const races = saveData.raceManager && Array.isArray(saveData.raceManager.races)
+                ? saveData.raceManager.races
+                : [];
+            races.forEach((race, index) => {
+                if (isPlainObject(race)) {
+                    fixCalendarDate(report, race, 'scheduleDay', `raceManager.races[${index}].scheduleDay`);
+                }
+            });
+
+            // The player's day counter was separate from the game date; shift it and the ledger onto day numbers
+            if (isPlainObject(saveData.player)) {
+                const player = saveData.player;
+                const dayNumber = calendar.toDayNumber(gameTime);
+                const offset = isFiniteNumber(player.gameTime) ? dayNumber - Math.floor(player.gameTime) : null;
+
+                ['income', 'expenses'].forEach(key => {
+                    if (!Array.isArray(player[key])) return;
+
+                    player[key].forEach(entry => {
+                        if (!isPlainObject(entry)) return;
+                        entry.day = offset !== null && isFiniteNumber(entry.day) ? entry.day + offset : dayNumber;
+                    });
+                });
+
+                player.gameTime = repair(report, 'player.gameTime', player.gameTime, dayNumber, 'converted to a calendar day number');
+            }
+
+            return saveData;
+        }
+    },
+    {
+        from: 2,
+        description: 'Age horses from their birth date on the racing birthday',
+        migrate(saveData, report) {
+            const gameTime = isGameDate(saveData.gameTime) ? saveData.gameTime : DEFAULT_GAME_TIME;
+            const horses = saveData.horseManager && Array.isArray(saveData.horseManager.horses)
+                ? saveData.horseManager.horses
+                : [];
+
+            horses.forEach((horse, index) => {
+                if (!isPlainObject(horse)) return;
+
+                // Age now comes from the calendar, so the old day counter is no longer needed
+                delete horse.daysSinceBirthday;
+
+                if (!isGameDate(horse.birthDay)) return;
+
+                const age = Math.max(0, calendar.getRacingYear(gameTime) - calendar.getRacingYear(horse.birthDay));
+                if (horse.age !== age) {
+                    horse.age = repair(report, `horseManager.horses[${index}].age`, horse.age, age,
+                        'age recalculated from birth date');
+                }
+            });
+
+            return saveData;
+        }
+    },
+    {
+        from: 3,
+        description: 'Give horses a fertility rating and an empty pregnancy record',
+        migrate(saveData) {
+            const horses = saveData.horseManager && Array.isArray(saveData.horseManager.horses)
+                ? saveData.horseManager.horses
+                : [];
+
+            horses.forEach(horse => {
+                if (!isPlainObject(horse)) return;
+
+                // Foals used to be born at covering, so no older save has a mare in foal
+                if (horse.fertility === undefined) horse.fertility = DEFAULT_FERTILITY;
+                if (horse.pregnancy === undefined) horse.pregnancy = null;
+            });
+
+            return saveData;
+        }
+    },
+    {
+        from: 4,
+        description: 'Add the outside stallion roster (a new roster is drawn up when the save loads)',
+        migrate(saveData) {
+            if (saveData.studManager === undefined) {
+                saveData.studManager = null;
+            }
+
+            return saveData;
+        }
+    },
+    {
+        from: 5,
+        description: 'Give every horse a hidden genotype that matches its stats and preferences',
+        migrate(saveData) {
+            const horses = saveData.horseManager && Array.isArray(saveData.horseManager.horses)
+                ? saveData.horseManager.horses
+                : [];
+            const stallions = saveData.studManager && Array.isArray(saveData.studManager.stallions)
+                ? saveData.studManager.stallions.map(entry => isPlainObject(entry) ? entry.horse : null)
+                : [];
+
+            [...horses, ...stallions].forEach(horse => {
+                if (!isPlainObject(horse)) return;
+
+                if (horse.genotype === undefined) horse.genotype = inferGenotype(horse);
+
+                // Sires of mares in foal are kept as snapshots and pass their genes on at foaling
+                const pregnancy = horse.pregnancy;
+                if (isPlainObject(pregnancy) && isPlainObject(pregnancy.sire) && pregnancy.sire.genotype === undefined) {
+                    pregnancy.sire.genotype = inferGenotype(pregnancy.sire);
+                }
+            });
+
+            return saveData;
+        }
+    },
+    {
+        from: 6,
+        description: 'Add coat colour genes to every genotype and rename colours to match',
+        migrate(saveData, report) {
+            const horses = saveData.horseManager && Array.isArray(saveData.horseManager.horses)
+                ? saveData.horseManager.horses.map((horse, index) => ({ horse, path: `horseManager.horses[${index}]` }))
+                : [];
+            const stallions = saveData.studManager && Array.isArray(saveData.studManager.stallions)
+                ? saveData.studManager.stallions.map((entry, index) => ({
+                    horse: isPlainObject(entry) ? entry.horse : null,
+                    path: `studManager.stallions[${index}].horse`
+                }))
+                : [];
+
+            const addColorGenes = (horse, path) => {
+                if (!isPlainObject(horse) || !isPlainObject(horse.genotype)) return;
+
+                Object.assign(horse.genotype, inferColorGenotype(horse.color));
+
+                // Older colour names such as Sorrel or White become the colour the genes express
+                const color = expressColor(horse.genotype);
+                if (horse.color !== undefined && horse.color !== color) {
+                    horse.color = repair(report, `${path}.color`, horse.color, color, 'renamed to its genetic colour');
+                }
+            };
+
+            [...horses, ...stallions].forEach(({ horse, path }) => {
+                if (!isPlainObject(horse)) return;
+
+                addColorGenes(horse, path);
+
+                const pregnancy = horse.pregnancy;
+                if (isPlainObject(pregnancy) && isPlainObject(pregnancy.sire)) {
+                    addColorGenes(pregnancy.sire, `${path}.pregnancy.sire`);
+                }
+            });
+
+            return saveData;
+        }
+    },
+    {
+        from: 7,
+        description: 'Add the pedigree registry (started from the current horses and their parents when the save loads)',
+        migrate(saveData) {
+            if (saveData.pedigreeManager === undefined) {
+                saveData.pedigreeManager = null;
+            }
+
+            return saveData;
+        }
+    },
+    {
+        from: 8,
+        description: 'Record coefficients of inbreeding and block parent/offspring matings by default',
+        migrate(saveData) {
+            const horses = saveData.horseManager && Array.isArray(saveData.horseManager.horses)
+                ? saveData.horseManager.horses
+                : [];
+
+            // Earlier foals were never assessed, so they count as outbred
+            horses.forEach(horse => {
+                if (!isPlainObject(horse)) return;
+
+                if (horse.inbreeding === undefined) horse.inbreeding = 0;
+                if (isPlainObject(horse.pregnancy) && horse.pregnancy.inbreeding === undefined) {
+                    horse.pregnancy.inbreeding = 0;
+                }
+            });
+
+            if (saveData.blockParentOffspringMatings === undefined) {
+                saveData.blockParentOffspringMatings = true;
+            }
+
+            return saveData;
+        }
+    },
+    {
+        from: 9,
+        description: 'Store traits as trait registry IDs instead of names',
+        migrate(saveData, report) {
+            const horses = saveData.horseManager && Array.isArray(saveData.horseManager.horses)
+                ? saveData.horseManager.horses.map((horse, index) => ({ horse, path: `horseManager.horses[${index}]` }))
+                : [];
+            const stallions = saveData.studManager && Array.isArray(saveData.studManager.stallions)
+                ? saveData.studManager.stallions.map((entry, index) => ({
+                    horse: isPlainObject(entry) ? entry.horse : null,
+                    path: `studManager.stallions[${index}].horse`
+                }))
+                : [];
+
+            // Names such as 'Quick Learner' become 'quick_learner'; traits the registry does not know are dropped
+            const convertTraits = (horse, key, path) => {
+                if (!Array.isArray(horse[key])) return;
+
+                horse[key] = horse[key].reduce((traits, trait, index) => {
+                    const id = resolveTraitId(trait);
+                    if (!id) {
+                        drop(report, `${path}.${key}[${index}]`, trait, 'unknown trait');
+                    } else if (!traits.includes(id)) {
+                        traits.push(id);
+                    }
+                    return traits;
+                }, []);
+            };
+
+            [...horses, ...stallions].forEach(({ horse, path }) => {
+                if (!isPlainObject(horse)) return;
+
+                convertTraits(horse, 'traits', path);
+                convertTraits(horse, 'acquiredTraits', path);
+
+                const pregnancy = horse.pregnancy;
+                if (isPlainObject(pregnancy) && isPlainObject(pregnancy.sire)) {
+                    convertTraits(pregnancy.sire, 'traits', `${path}.pregnancy.sire`);
+                }
+            });
+
+            return saveData;
+        }
+    },
+    {
+        from: 10,
+        description: 'Track progress towards gaining and losing acquired traits',
+        migrate(saveData) {
+            const horses = saveData.horseManager && Array.isArray(saveData.horseManager.horses)
+                ? saveData.horseManager.horses
+                : [];
+
+            // Acquired traits were never awarded before, so there is nothing to carry over
+            horses.forEach(horse => {
+                if (isPlainObject(horse) && horse.acquiredTraitProgress === undefined) {
+                    horse.acquiredTraitProgress = {};
+                }
+            });
+
+            return saveData;
+        }
+    },
+    {
+        from: 11,
+        description: 'Add the jockey roster (a fresh roster is engaged when the save loads)',
+        migrate(saveData) {
+            if (saveData.jockeyManager === undefined) {
+                saveData.jockeyManager = null;
+            }
+
+            return saveData;
+        }
+    },
+    {
+        from: 12,
+        description: 'Add the tote and betting ledger',
+        migrate(saveData) {
+            if (saveData.bettingManager === undefined) {
+                saveData.bettingManager = null;
+            }
+
+            return saveData;
+        }
+    },
+    {
+        from: 13,
+        description: 'Add weather and going, and a going-preference gene to every genotype',
+        migrate(saveData) {
+            if (saveData.weatherManager === undefined) {
+                saveData.weatherManager = null;
+            }
+
+            const horses = saveData.horseManager && Array.isArray(saveData.horseManager.horses)
+                ? saveData.horseManager.horses
+                : [];
+            const stallions = saveData.studManager && Array.isArray(saveData.studManager.stallions)
+                ? saveData.studManager.stallions.map(entry => isPlainObject(entry) ? entry.horse : null)
+                : [];
+
+            // Horses had no going preference before, so one is drawn from the population
+            const addGoingGene = horse => {
+                if (!isPlainObject(horse) || !isPlainObject(horse.genotype)) return;
+
+                if (horse.genotype[GOING_LOCUS] === undefined) {
+                    horse.genotype[GOING_LOCUS] = inferGoingPair(horse.preferredGoing);
+                }
+                if (horse.preferredGoing === undefined) {
+                    horse.preferredGoing = expressGoing(horse.genotype);
+                }
+            };
+
+            [...horses, ...stallions].forEach(horse => {
+                if (!isPlainObject(horse)) return;
+
+                addGoingGene(horse);
+
+                const pregnancy = horse.pregnancy;
+                if (isPlainObject(pregnancy) && isPlainObject(pregnancy.sire)) {
+                    addGoingGene(pregnancy.sire);
+                }
+            });
+
+            return saveData;
+        }
+    },
+    {
+        from: 14,
+        description: 'Run races at named racecourses, each with its own going',
+        migrate(saveData) {
+            // Races still to be run go to the first course offering their surface
+            const races = saveData.raceManager && Array.isArray(saveData.raceManager.races)
+                ? saveData.raceManager.races
+                : [];
+            races.forEach(race => {
+                if (isPlainObject(race) && !race.hasRun && race.courseId === undefined) {
+                    race.courseId = getRacecoursesForSurface(race.surface || 'dirt')[0] || null;
+                }
+            });
+
+            // There was one track per surface; every course's track on that surface starts as wet as it was
+            const weather = saveData.weatherManager;
+            if (isPlainObject(weather) && isPlainObject(weather.tracks)) {
+                const tracks = {};
+                Object.values(weather.tracks).forEach(track => {
+                    if (!isPlainObject(track) || track.courseId !== undefined) return;
+
+                    getRacecoursesForSurface(track.surface).forEach(courseId => {
+                        tracks[`${courseId}_${track.surface}`] = { moisture: track.moisture };
+                    });
+                });
+                weather.tracks = tracks;
+            }
+
+            return saveData;
+        }
+    },
+    {
+        from: 15,
+        description: 'Give horses that have already raced an official handicap mark',
+        migrate(saveData) {
+            const horses = saveData.horseManager && Array.isArray(saveData.horseManager.horses)
+                ? saveData.horseManager.horses
+                : [];
+
+            // There are no performance figures for earlier runs, so the mark starts from the horse's rating
+            horses.forEach(horse => {
+                if (!isPlainObject(horse) || horse.handicapMark !== undefined) return;
+
+                const hasRun = Array.isArray(horse.races) && horse.races.length > 0;
+                const rating = HORSE_STATS.reduce((sum, stat) => sum + (Number(horse[stat]) || 0) * RATING_WEIGHTS[stat], 0);
+                horse.handicapMark = hasRun ? getMarkForRating(rating) : null;
+                horse.markHistory = [];
+            });
+
+            return saveData;
+        }
+    },
+    {
+        from: 16,
+        description: 'Add the rival stables and the stables league',
+        migrate(saveData) {
+            if (saveData.rivalManager === undefined) {
+                saveData.rivalManager = null;
+            }
+
+            return saveData;
+        }
+    },
+    {
+        from: 17,
+        description: 'Give races an entry lifecycle with closing dates, declarations, ballots and non-runners',
+        migrate(saveData) {
+            // Races whose field was declared had closed to entries
+            const races = saveData.raceManager && Array.isArray(saveData.raceManager.races)
+                ? saveData.raceManager.races
+                : [];
+            races.forEach(race => {
+                if (!isPlainObject(race)) return;
+
+                if (race.entriesClosed === undefined) {
+                    race.entriesClosed = !!race.fieldDeclared;
+                }
+                if (race.nonRunners === undefined) {
+                    race.nonRunners = [];
+                }
+            });
+
+            // Rival stables' declared runners became their entries
+            const rivals = saveData.rivalManager;
+            if (isPlainObject(rivals) && rivals.entries === undefined) {
+                rivals.entries = isPlainObject(rivals.declarations) ? rivals.declarations : {};
+                delete rivals.declarations;
+            }
+
+            return saveData;
+        }
+    }
+];
+
+// Upgrade a save step by step until it reaches SAVE_VERSION
+function runMigrations(saveData, report) {
+    let version = report.fromVersion;
+
+    while (version < SAVE_VERSION) {
+        const step = MIGRATIONS.find(migration => migration.from === version);
+        if (!step) {
+            throw new Error(`No migration available from save version ${version}`);
+        }
+
+        saveData = step.migrate(saveData, report);
+        report.migrationsApplied.push({ from: version, to: version + 1, description: step.description });
+        version++;
+    }
+
+    saveData.saveVersion = SAVE_VERSION;
+    return saveData;
+}
+
+// Missing optional fields are left for the model constructors to default
+function clampNumber(report, target, key, path, min, max, fallback, optional = false) {
+    const value = target[key];
+
+    if (optional && value === undefined) return;
+
+    if (!isFiniteNumber(value)) {
+        const parsed = Number(value);
+        const repaired = value !== undefined && value !== null && value !== '' && Number.isFinite(parsed)
+            ? Math.min(max, Math.max(min, parsed))
+            : fallback;
+        target[key] = repair(report, path, value, repaired, 'not a number');
+    } else if (value < min || value > max) {
+        target[key] = repair(report, path, value, Math.min(max, Math.max(min, value)), `out of range ${min}-${max}`);
+    }
+}
+
+function validateHorse(horse, path, report) {
+    HORSE_STATS.forEach(stat => clampNumber(report, horse, stat, `${path}.${stat}`, 0, 100, 50));
+    HORSE_CONDITION.forEach(stat => clampNumber(report, horse, stat, `${path}.${stat}`, 0, 100, 100, true));
+    clampNumber(report, horse, 'age', `${path}.age`, 0, 40, DEFAULT_HORSE_AGE, true);
+
+    if (horse.gender !== 'male' && horse.gender !== 'female') {
+        horse.gender = repair(report, `${path}.gender`, horse.gender, 'female', 'unknown gender');
+    }
+
+    if (horse.birthDay !== null && horse.birthDay !== undefined && !isGameDate(horse.birthDay)) {
+        horse.birthDay = repair(report, `${path}.birthDay`, horse.birthDay, null, 'unreadable birth date');
+    }
+
+    clampNumber(report, horse, 'fertility', `${path}.fertility`, 0, 100, DEFAULT_FERTILITY, true);
+    clampNumber(report, horse, 'inbreeding', `${path}.inbreeding`, 0, 1, 0, true);
+
+    if (horse.genotype !== undefined && !isValidGenotype(horse.genotype)) {
+        horse.genotype = repair(report, `${path}.genotype`, horse.genotype, inferGenotype(horse), 'unreadable genotype');
+    }
+
+    if (horse.pregnancy !== null && horse.pregnancy !== undefined) {
+        const pregnancy = horse.pregnancy;
+        const readable = isPlainObject(pregnancy) &&
+            isPlainObject(pregnancy.sire) &&
+            isGameDate(pregnancy.coveredOn) &&
+            isGameDate(pregnancy.dueDate);
+
+        if (!readable) {
+            horse.pregnancy = repair(report, `${path}.pregnancy`, pregnancy, null, 'unreadable pregnancy record');
+        } else {
+            if (!Array.isArray(pregnancy.scans)) {
+                pregnancy.scans = [];
+            }
+
+            if (pregnancy.sire.genotype !== undefined && !isValidGenotype(pregnancy.sire.genotype)) {
+                pregnancy.sire.genotype = repair(report, `${path}.pregnancy.sire.genotype`, pregnancy.sire.genotype,
+                    inferGenotype(pregnancy.sire), 'unreadable genotype');
+            }
+        }
+    }
+
+    if (horse.handicapMark !== null) {
+        clampNumber(report, horse, 'handicapMark', `${path}.handicapMark`, MIN_MARK, MAX_MARK, null, true);
+    }
+
+    ['races', 'traits', 'acquiredTraits', 'markHistory'].forEach(key => {
+        if (horse[key] !== undefined && !Array.isArray(horse[key])) {
+            horse[key] = repair(report, `${path}.${key}`, horse[key], [], 'expected a list');
+        }
+    });
+
+    if (horse.acquiredTraitProgress !== undefined && !isPlainObject(horse.acquiredTraitProgress)) {
+        horse.acquiredTraitProgress = repair(report, `${path}.acquiredTraitProgress`, horse.acquiredTraitProgress, {}, 'unreadable trait progress');
+    }
+
+    ['traits', 'acquiredTraits'].forEach(key => {
+        if (!Array.isArray(horse[key])) return;
+
+        horse[key] = horse[key].filter((trait, index) => {
+            if (TRAITS[trait]) return true;
+            drop(report, `${path}.${key}[${index}]`, trait, 'unknown trait');
+            return false;
+        });
+    });
+}
+
+// Sections every save must have and the shape each must take. Without them there is no game to
+// load, so the save is rejected rather than loaded over whatever game is already running.
+const REQUIRED_SECTIONS = [
+    { key: 'player', name: 'player record', isValid: section => isPlainObject(section) },
+    { key: 'horseManager', name: 'horses', isValid: section => isPlainObject(section) && Array.isArray(section.horses) },
+    { key: 'raceManager', name: 'races', isValid: section => isPlainObject(section) && Array.isArray(section.races) }
+];
+
+function checkRequiredSections(saveData) {
+    REQUIRED_SECTIONS.forEach(({ key, name, isValid }) => {
+        if (saveData[key] === undefined || saveData[key] === null) {
+            throw new Error(`Save has no ${name}`);
+        }
+        if (!isValid(saveData[key])) {
+            throw new Error(`Save ${name} cannot be read (${describe(saveData[key])})`);
+        }
+    });
+}
+
+// Repair or drop anything that would break the model constructors. Throws if a required section is missing.
+function validateSave(saveData, report) {
+    checkRequiredSections(saveData);
+
+    if (!isGameDate(saveData.gameTime)) {
+        saveData.gameTime = repair(report, 'gameTime', saveData.gameTime, { ...DEFAULT_GAME_TIME }, 'unreadable game date');
+    }
+
+    clampNumber(report, saveData.player, 'funds', 'player.funds', -Infinity, Infinity, 0, true);
+    clampNumber(report, saveData.player, 'reputation', 'player.reputation', 0, 100, 0, true);
+
+    const seenIds = new Set();
+
+    saveData.horseManager.horses = saveData.horseManager.horses.filter((horse, index) => {
+        const path = `horseManager.horses[${index}]`;
+
+        if (!isPlainObject(horse)) {
+            drop(report, path, horse, 'horse data is not an object');
+            return false;
+        }
+
+        if (!horse.id || seenIds.has(horse.id)) {
+            drop(report, path, horse.name || horse.id, horse.id ? 'duplicate horse id' : 'horse has no id');
+            return false;
+        }
+
+        seenIds.add(horse.id);
+        validateHorse(horse, path, report);
+        return true;
+    });
+
+    if (isPlainObject(saveData.studManager)) {
+        if (!Array.isArray(saveData.studManager.stallions)) {
+            saveData.studManager.stallions = repair(report, 'studManager.stallions', saveData.studManager.stallions, [], 'expected a list');
+        } else {
+            saveData.studManager.stallions = saveData.studManager.stallions.filter((entry, index) => {
+                const path = `studManager.stallions[${index}]`;
+
+                if (!isPlainObject(entry) || !isPlainObject(entry.horse) || !entry.horse.id || !isPlainObject(entry.progeny)) {
+                    drop(report, path, entry, 'stallion data is unreadable');
+                    return false;
+                }
+
+                validateHorse(entry.horse, `${path}.horse`, report);
+                clampNumber(report, entry, 'fee', `${path}.fee`, 0, Infinity, entry.baseFee || 0);
+                return true;
+            });
+        }
+    }
+
+    if (isPlainObject(saveData.pedigreeManager)) {
+        if (!Array.isArray(saveData.pedigreeManager.records)) {
+            saveData.pedigreeManager.records = repair(report, 'pedigreeManager.records', saveData.pedigreeManager.records, [], 'expected a list');
+        } else {
+            saveData.pedigreeManager.records = saveData.pedigreeManager.records.filter((record, index) => {
+                if (isPlainObject(record) && record.id && typeof record.name === 'string') return true;
+
+                drop(report, `pedigreeManager.records[${index}]`, record, 'pedigree record is unreadable');
+                return false;
+            });
+        }
+    }
+
+    if (isPlainObject(saveData.jockeyManager)) {
+        if (!Array.isArray(saveData.jockeyManager.jockeys)) {
+            saveData.jockeyManager.jockeys = repair(report, 'jockeyManager.jockeys', saveData.jockeyManager.jockeys, [], 'expected a list');
+        } else {
+            saveData.jockeyManager.jockeys = saveData.jockeyManager.jockeys.filter((jockey, index) => {
+                const path = `jockeyManager.jockeys[${index}]`;
+
+                if (!isPlainObject(jockey) || !jockey.id || !isPlainObject(jockey.skills)) {
+                    drop(report, path, jockey, 'jockey data is unreadable');
+                    return false;
+                }
+
+                ['tactics', 'strength', 'finish'].forEach(skill => clampNumber(report, jockey.skills, skill, `${path}.skills.${skill}`, 0, 100, 50));
+                clampNumber(report, jockey, 'weight', `${path}.weight`, 40, 70, 54);
+                clampNumber(report, jockey, 'fee', `${path}.fee`, 0, Infinity, 100);
+
+                ['partnerships', 'unavailable'].forEach(key => {
+                    if (!isPlainObject(jockey[key])) {
+                        jockey[key] = repair(report, `${path}.${key}`, jockey[key], {}, 'expected an object');
+                    }
+                });
+                if (!Array.isArray(jockey.bookings)) {
+                    jockey.bookings = repair(report, `${path}.bookings`, jockey.bookings, [], 'expected a list');
+                }
+
+                return true;
+            });
+        }
+    }
+
+    if (isPlainObject(saveData.weatherManager)) {
+        if (!isPlainObject(saveData.weatherManager.tracks)) {
+            saveData.weatherManager.tracks = repair(report, 'weatherManager.tracks', saveData.weatherManager.tracks, {}, 'expected an object');
+        } else {
+            Object.entries(saveData.weatherManager.tracks).forEach(([id, track]) => {
+                const path = `weatherManager.tracks.${id}`;
+
+                // Unreadable tracks are set up again at the usual going for the season
+                if (!isPlainObject(track)) {
+                    drop(report, path, track, 'track data is unreadable');
+                    delete saveData.weatherManager.tracks[id];
+                    return;
+                }
+
+                clampNumber(report, track, 'moisture', `${path}.moisture`, 0, 100, 40);
+            });
+        }
+        if (!Array.isArray(saveData.weatherManager.history)) {
+            saveData.weatherManager.history = repair(report, 'weatherManager.history', saveData.weatherManager.history, [], 'expected a list');
+        }
+        if (saveData.weatherManager.today !== null && !isPlainObject(saveData.weatherManager.today)) {
+            saveData.weatherManager.today = repair(report, 'weatherManager.today', saveData.weatherManager.today, null, 'unreadable weather');
+        }
+    }
+
+    if (isPlainObject(saveData.bettingManager)) {
+        if (!isPlainObject(saveData.bettingManager.markets)) {
+            saveData.bettingManager.markets = repair(report, 'bettingManager.markets', saveData.bettingManager.markets, {}, 'expected an object');
+        }
+        if (!Array.isArray(saveData.bettingManager.bets)) {
+            saveData.bettingManager.bets = repair(report, 'bettingManager.bets', saveData.bettingManager.bets, [], 'expected a list');
+        } else {
+            saveData.bettingManager.bets = saveData.bettingManager.bets.filter((bet, index) => {
+                const path = `bettingManager.bets[${index}]`;
+
+                if (!isPlainObject(bet) || !bet.id || !bet.raceId || !Array.isArray(bet.selection)) {
+                    drop(report, path, bet, 'bet data is unreadable');
+                    return false;
+                }
+
+                clampNumber(report, bet, 'stake', `${path}.stake`, 0, Infinity, 0);
+                clampNumber(report, bet, 'payout', `${path}.payout`, 0, Infinity, 0);
+
+                return true;
+            });
+        }
+    }
+
+    if (isPlainObject(saveData.rivalManager)) {
+        if (!Array.isArray(saveData.rivalManager.stables)) {
+            saveData.rivalManager.stables = repair(report, 'rivalManager.stables', saveData.rivalManager.stables, [], 'expected a list');
+        } else {
+            saveData.rivalManager.stables = saveData.rivalManager.stables.filter((stable, index) => {
+                const path = `rivalManager.stables[${index}]`;
+
+                if (!isPlainObject(stable) || !stable.id || !Array.isArray(stable.horses)) {
+                    drop(report, path, stable, 'stable data is unreadable');
+                    return false;
+                }
+
+                stable.horses = stable.horses.filter((horse, horseIndex) => {
+                    if (isPlainObject(horse) && horse.id) {
+                        validateHorse(horse, `${path}.horses[${horseIndex}]`, report);
+                        return true;
+                    }
+
+                    drop(report, `${path}.horses[${horseIndex}]`, horse, 'horse data is unreadable');
+                    return false;
+                });
+                clampNumber(report, stable, 'funds', `${path}.funds`, -Infinity, Infinity, 0);
+                if (!Array.isArray(stable.broodmareIds)) {
+                    stable.broodmareIds = repair(report, `${path}.broodmareIds`, stable.broodmareIds, [], 'expected a list');
+                }
+
+                return true;
+            });
+        }
+        ['lastRuns', 'entries'].forEach(key => {
+            if (!isPlainObject(saveData.rivalManager[key])) {
+                saveData.rivalManager[key] = repair(report, `rivalManager.${key}`, saveData.rivalManager[key], {}, 'expected an object');
+            }
+        });
+        if (!isPlainObject(saveData.rivalManager.league) || !isPlainObject(saveData.rivalManager.league.stables)) {
+            saveData.rivalManager.league = repair(report, 'rivalManager.league', saveData.rivalManager.league, null, 'unreadable league table');
+        }
+        if (!Array.isArray(saveData.rivalManager.leagueHistory)) {
+            saveData.rivalManager.leagueHistory = repair(report, 'rivalManager.leagueHistory', saveData.rivalManager.leagueHistory, [], 'expected a list');
+        }
+    }
+
+    if (isPlainObject(saveData.raceManager) && Array.isArray(saveData.raceManager.races)) {
+        saveData.raceManager.races = saveData.raceManager.races.filter((race, index) => {
+            if (isPlainObject(race) && race.id) return true;
+
+            drop(report, `raceManager.races[${index}]`, race, 'race data is unreadable');
+            return false;
+        });
+        saveData.raceManager.races.forEach((race, index) => {
+            if (race.nonRunners !== undefined && !Array.isArray(race.nonRunners)) {
+                race.nonRunners = repair(report, `raceManager.races[${index}].nonRunners`, race.nonRunners, [], 'expected a list');
+            }
+        });
+    }
+
+    return saveData;
+}
+
+// Upgrade and validate a parsed save. Throws if the save is newer than this build or is
+// missing the player, horses or races.
+export function migrateSave(rawSaveData) {
+    if (!isPlainObject(rawSaveData)) {
+        throw new Error('Save data is not an object');
+    }
+
+    const fromVersion = isFiniteNumber(rawSaveData.saveVersion) ? rawSaveData.saveVersion : 0;
+
+    if (fromVersion > SAVE_VERSION) {
+        throw new Error(`This save was made by a newer version of the game (save version ${fromVersion}, supported up to ${SAVE_VERSION})`);
+    }
+
+    // Work on a copy so a failed migration never touches the caller's data
+    const saveData = JSON.parse(JSON.stringify(rawSaveData));
+    const report = createReport(fromVersion);
+
+    const migrated = runMigrations(saveData, report);
+    const validated = validateSave(migrated, report);
+
+    return { saveData: validated, report };
+}
+
+// One-line summary of a migration report for notifications
+export function summarizeReport(report) {
+    const parts = [];
+
+    if (report.migrationsApplied.length > 0) {
+        parts.push(`upgraded from version ${report.fromVersion} to ${report.toVersion}`);
+    }
+    if (report.repaired.length > 0) {
+        parts.push(`${report.repaired.length} field${report.repaired.length === 1 ? '' : 's'} repaired`);
+    }
+    if (report.dropped.length > 0) {
+        parts.push(`${report.dropped.length} entr${report.dropped.length === 1 ? 'y' : 'ies'} dropped`);
+    }
+
+    return parts.length > 0 ? `Save ${parts.join(', ')}` : '';
+}
@@ -0,0 +1,139 @@
+// Save file export/import.
+// A save file is a small JSON envelope around the gzip-compressed, base64
+// encoded save data. The envelope carries a CRC-32 checksum of the
+// uncompressed JSON so truncated or hand-edited files are rejected with a
+// clear message instead of loading a corrupted game.
+
+import { SAVE_VERSION } from './saveMigrations.js';
+
+export const SAVE_FILE_FORMAT = 'horse-tycoon-save';
+export const SAVE_FILE_VERSION = 1;
+export const SAVE_FILE_EXTENSION = '.htsave';
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function pipeThrough(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+function compressionAvailable() {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+// Build the text contents of a save file
+export async function encodeSaveFile(saveData) {
+    const json = JSON.stringify(saveData);
+    const bytes = new TextEncoder().encode(json);
+    const compression = compressionAvailable() ? 'gzip' : 'none';
+    const payload = compression === 'gzip'
+        ? await pipeThrough(bytes, new CompressionStream('gzip'))
+        : bytes;
+
+    return JSON.stringify({
+        format: SAVE_FILE_FORMAT,
+        formatVersion: SAVE_FILE_VERSION,
+        saveVersion: saveData.saveVersion || 0,
+        exportedAt: new Date().toISOString(),
+        compression,
+        length: bytes.length,
+        checksum: crc32(bytes),
+        data: bytesToBase64(payload)
+    });
+}
+
+// Read save data back out of a save file, throwing a readable error for bad files
+export async function decodeSaveFile(contents) {
+    let envelope;
+    try {
+        envelope = JSON.parse(contents);
+    } catch (error) {
+        throw new Error('The file is incomplete or is not a Horse Tycoon save file');
+    }
+
+    if (!envelope || envelope.format !== SAVE_FILE_FORMAT) {
+        throw new Error('The file is not a Horse Tycoon save file');
+    }
+
+    if (typeof envelope.formatVersion !== 'number' || envelope.formatVersion > SAVE_FILE_VERSION) {
+        throw new Error(`Unsupported save file format (version ${envelope.formatVersion}); update the game to import it`);
+    }
+
+    if (typeof envelope.saveVersion === 'number' && envelope.saveVersion > SAVE_VERSION) {
+        throw new Error(`This save was made by a newer version of the game (save version ${envelope.saveVersion}, supported up to ${SAVE_VERSION})`);
+    }
+
+    if (envelope.compression !== 'gzip' && envelope.compression !== 'none') {
+        throw new Error(`Unsupported save file compression "${envelope.compression}"`);
+    }
+
+    if (envelope.compression === 'gzip' && !compressionAvailable()) {
+        throw new Error('This browser cannot decompress save files');
+    }
+
+    if (typeof envelope.data !== 'string' || typeof envelope.checksum !== 'string') {
+        throw new Error('The save file is missing its data or checksum');
+    }
+
+    // Decode and decompress the payload
+    let bytes;
+    try {
+        const payload = base64ToBytes(envelope.data);
+        bytes = envelope.compression === 'gzip'
+            ? await pipeThrough(payload, new DecompressionStream('gzip'))
+            : payload;
+    } catch (error) {
+        throw new Error('The save data is truncated or corrupted and cannot be read');
+    }
+
+    if (typeof envelope.length === 'number' && bytes.length !== envelope.length) {
+        throw new Error('The save data is truncated or corrupted and cannot be read');
+    }
+
+    if (crc32(bytes) !== envelope.checksum) {
+        throw new Error('The save file has been modified or damaged (checksum mismatch)');
+    }
+
+    try {
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error('The save data is truncated or corrupted and cannot be read');
+    }
+}
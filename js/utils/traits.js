@@ -0,0 +1,346 @@
+// Trait registry.
+// Every trait a horse can carry is defined here once: what it does, when it
+// applies, how rare it is and how readily it passes to foals. Horses store
+// trait IDs; racing, training, valuation and breeding all read their effects
+// through the helpers below so a trait means the same thing everywhere.
+// Acquired traits are not inherited: a horse earns or loses them from its
+// career (see evaluateAcquiredTraits).
+//
+// Effects:
+//   race      - added to race performance (percentage points of condition)
+//   rating    - added to overall rating
+//   value     - fraction added to market value (0.1 = +10%)
+//   training  - multiplier on training gains (optionally only for trainingStats)
+//   energy    - multiplier on energy used racing
+//   injury    - multiplier on injury chance
+//   fertility - added to fertility
+//   start     - multiplier on the time taken to leave the stalls
+// Conditions limit race, energy and injury effects to matching races
+// (surface, distance, going, raceType, tier) and any effect to an age range
+// (minAge, maxAge).
+
+export const TRAIT_RARITIES = {
+    common: { name: 'Common', weight: 10 },
+    uncommon: { name: 'Uncommon', weight: 5 },
+    rare: { name: 'Rare', weight: 2 },
+    legendary: { name: 'Legendary', weight: 0.5 }
+};
+
+export const TRAITS = {
+    sprinter: {
+        name: 'Sprinter',
+        description: 'Blistering early pace; at its best over sprint distances.',
+        polarity: 'positive',
+        rarity: 'common',
+        heritability: 0.4,
+        conditions: { distance: ['sprint'] },
+        effects: { race: 8, value: 0.05 }
+    },
+    endurance: {
+        name: 'Endurance',
+        description: 'Stays all day: stronger and less tired in long races.',
+        polarity: 'positive',
+        rarity: 'common',
+        heritability: 0.4,
+        conditions: { distance: ['long'] },
+        effects: { race: 8, energy: 0.85, value: 0.05 }
+    },
+    quick_learner: {
+        name: 'Quick Learner',
+        description: 'Picks up training a quarter faster than most.',
+        polarity: 'positive',
+        rarity: 'uncommon',
+        heritability: 0.25,
+        effects: { training: 1.25, value: 0.08 }
+    },
+    calm: {
+        name: 'Calm',
+        description: 'Settles well in the preliminaries and rarely gets hurt through silly behaviour.',
+        polarity: 'positive',
+        rarity: 'common',
+        heritability: 0.35,
+        effects: { race: 2, injury: 0.8, value: 0.03 }
+    },
+    competitive: {
+        name: 'Competitive',
+        description: 'Rises to the occasion in the big races.',
+        polarity: 'positive',
+        rarity: 'uncommon',
+        heritability: 0.3,
+        conditions: { tier: ['high', 'elite'] },
+        effects: { race: 6, value: 0.08 }
+    },
+    late_bloomer: {
+        name: 'Late Bloomer',
+        description: 'Slow to come to hand but keeps improving into maturity.',
+        polarity: 'positive',
+        rarity: 'uncommon',
+        heritability: 0.3,
+        conditions: { minAge: 5 },
+        effects: { rating: 4, value: 0.04 }
+    },
+    early_developer: {
+        name: 'Early Developer',
+        description: 'Precocious: races like an older horse as a juvenile.',
+        polarity: 'positive',
+        rarity: 'uncommon',
+        heritability: 0.3,
+        conditions: { maxAge: 3 },
+        effects: { rating: 4, value: 0.04 }
+    },
+    mud_runner: {
+        name: 'Mud Runner',
+        description: 'Relishes soft, heavy and sloppy going that stops other horses.',
+        polarity: 'positive',
+        rarity: 'common',
+        heritability: 0.4,
+        conditions: { going: ['soft', 'heavy', 'sloppy'] },
+        effects: { race: 8, value: 0.03 }
+    },
+    turf_specialist: {
+        name: 'Turf Specialist',
+        description: 'Finds an extra gear on grass.',
+        polarity: 'positive',
+        rarity: 'common',
+        heritability: 0.4,
+        conditions: { surface: ['turf'] },
+        effects: { race: 6, value: 0.04 }
+    },
+    fragile: {
+        name: 'Fragile',
+        description: 'Light-framed and prone to injury.',
+        polarity: 'negative',
+        rarity: 'uncommon',
+        heritability: 0.2,
+        weakness: true,
+        effects: { injury: 1.8, value: -0.1 }
+    },
+    nervous: {
+        name: 'Nervous',
+        description: 'Frets before races and does not concentrate in training.',
+        polarity: 'negative',
+        rarity: 'uncommon',
+        heritability: 0.2,
+        weakness: true,
+        effects: { race: -4, training: 0.9, value: -0.05 }
+    },
+    poor_doer: {
+        name: 'Poor Doer',
+        description: 'Hard to keep condition on; tires quickly in races.',
+        polarity: 'negative',
+        rarity: 'uncommon',
+        heritability: 0.2,
+        weakness: true,
+        effects: { energy: 1.2, value: -0.05 }
+    },
+    weak_constitution: {
+        name: 'Weak Constitution',
+        description: 'Less fertile and more easily hurt.',
+        polarity: 'negative',
+        rarity: 'uncommon',
+        heritability: 0.2,
+        weakness: true,
+        effects: { fertility: -10, injury: 1.3, value: -0.1 }
+    },
+
+    // Acquired traits: gain and lose are checked against the horse's career summary
+    front_runner: {
+        name: 'Front Runner',
+        description: 'Used to bowling along in front; dictates the pace up to a mile and a quarter.',
+        polarity: 'positive',
+        rarity: 'uncommon',
+        heritability: 0,
+        acquired: true,
+        conditions: { distance: ['sprint', 'middle'] },
+        effects: { race: 3, value: 0.03 },
+        gain: career => career.ledAtHalfway(5) >= 3,
+        lose: career => career.ledAtHalfway(5) <= 1
+    },
+    gate_shy: {
+        name: 'Gate Shy',
+        description: 'Has learned to fear the stalls and is slow away. Schooling through acceleration work can cure it.',
+        polarity: 'negative',
+        rarity: 'uncommon',
+        heritability: 0,
+        acquired: true,
+        effects: { start: 1.6, value: -0.05 },
+        gain: career => career.slowStarts(4) >= 2,
+        lose: career => (career.starts >= 3 && career.slowStarts(3) === 0) || career.trainingSinceGained('acceleration') >= 5
+    },
+    battle_hardened: {
+        name: 'Battle Hardened',
+        description: 'Seasoned by many big races and unfazed by the best company.',
+        polarity: 'positive',
+        rarity: 'rare',
+        heritability: 0,
+        acquired: true,
+        conditions: { tier: ['high', 'elite'] },
+        effects: { race: 4, value: 0.06 },
+        gain: career => career.highTierStarts >= 8,
+        lose: () => false
+    },
+    injury_prone: {
+        name: 'Injury Prone',
+        description: 'Repeated injuries have left weak spots. Ten clean runs will see it off.',
+        polarity: 'negative',
+        rarity: 'uncommon',
+        heritability: 0,
+        acquired: true,
+        effects: { injury: 1.5, value: -0.08 },
+        gain: career => career.injuries(10) >= 2,
+        lose: career => career.starts >= 10 && career.injuries(10) === 0
+    }
+};
+
+// Leaving the stalls this many seconds after the off counts as a slow start
+const SLOW_START_SECONDS = 0.4;
+
+// Multiplier effects combine by multiplying; the rest add up
+const MULTIPLIER_EFFECTS = ['training', 'energy', 'injury', 'start'];
+
+export function getTrait(id) {
+    return TRAITS[id] ? { id, ...TRAITS[id] } : null;
+}
+
+// Look up a trait ID from an ID, a display name or an old trait object
+export function resolveTraitId(trait) {
+    if (!trait) return null;
+
+    const key = typeof trait === 'string' ? trait : (trait.id || trait.name);
+    if (!key) return null;
+    if (TRAITS[key]) return key;
+
+    const normalized = String(key).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (TRAITS[normalized]) return normalized;
+
+    return Object.keys(TRAITS).find(id => TRAITS[id].name.toLowerCase() === String(key).toLowerCase()) || null;
+}
+
+// Does a trait's conditions hold in this context? Race conditions only hold in a race.
+function conditionsMet(trait, context, raceEffect) {
+    const conditions = trait.conditions || {};
+
+    if (conditions.minAge !== undefined && !(context.age >= conditions.minAge)) return false;
+    if (conditions.maxAge !== undefined && !(context.age <= conditions.maxAge)) return false;
+
+    const raceKeys = ['surface', 'distance', 'going', 'raceType', 'tier'];
+    const raceConditions = raceKeys.filter(key => conditions[key]);
+    if (raceConditions.length === 0) return true;
+    if (!raceEffect || !context.race) return false;
+
+    return raceConditions.every(key => {
+        const value = key === 'raceType' ? context.race.type : context.race[key];
+        return conditions[key].includes(value);
+    });
+}
+
+// Combined effect of a list of trait IDs. Context: { age, race, stat } where race is
+// { distance, surface, type, tier, going } and stat the stat being trained.
+export function getTraitEffect(traitIds, effect, context = {}) {
+    const multiplier = MULTIPLIER_EFFECTS.includes(effect);
+    const raceEffect = ['race', 'energy', 'injury', 'start'].includes(effect);
+
+    return (traitIds || []).reduce((total, id) => {
+        const trait = TRAITS[id];
+        if (!trait || trait.effects[effect] === undefined) return total;
+        if (!conditionsMet(trait, context, raceEffect)) return total;
+
+        if (effect === 'training' && trait.trainingStats && !trait.trainingStats.includes(context.stat)) {
+            return total;
+        }
+
+        return multiplier ? total * trait.effects[effect] : total + trait.effects[effect];
+    }, multiplier ? 1 : 0);
+}
+
+// Summary of a horse's career for acquired trait rules. races is the race history
+// (oldest first) and progress the per-trait record of acquired traits:
+// { gainedOn, training } while held, { lostOn, lostAfterStarts } once lost.
+function summarizeCareer(races, progress, traitId) {
+    const recent = count => races.slice(-count);
+    const led = race => {
+        const calls = race.positionsByCall || [];
+        return calls.length > 0 && calls[Math.floor((calls.length - 1) / 2)] === 1;
+    };
+
+    return {
+        starts: races.length,
+        highTierStarts: races.filter(race => race.tier === 'high' || race.tier === 'elite').length,
+        ledAtHalfway: count => recent(count).filter(led).length,
+        slowStarts: count => recent(count).filter(race => race.startDelay >= SLOW_START_SECONDS).length,
+        injuries: count => recent(count).filter(race => race.injury && race.injury.injured).length,
+        trainingSinceGained: stat => {
+            const record = progress[traitId];
+            return record && record.training ? (record.training[stat] || 0) : 0;
+        }
+    };
+}
+
+// Work out which acquired traits a horse gains and loses given its history
+export function evaluateAcquiredTraits(acquiredTraits, races, progress = {}) {
+    const gained = [];
+    const lost = [];
+
+    Object.keys(TRAITS).filter(id => TRAITS[id].acquired).forEach(id => {
+        if (acquiredTraits.includes(id)) {
+            if (TRAITS[id].lose(summarizeCareer(races || [], progress, id))) lost.push(id);
+            return;
+        }
+
+        // A trait that was lost has to be earned again from races run since
+        const since = (progress[id] && progress[id].lostAfterStarts) || 0;
+        if (TRAITS[id].gain(summarizeCareer((races || []).slice(since), progress, id))) {
+            gained.push(id);
+        }
+    });
+
+    return { gained, lost };
+}
+
+// Traits a foal inherits from its parents' innate traits
+export function inheritTraits(damTraits, sireTraits, random) {
+    const inherited = [];
+    const candidates = new Set([...(damTraits || []), ...(sireTraits || [])]);
+
+    candidates.forEach(id => {
+        const trait = TRAITS[id];
+        if (!trait || trait.acquired) return;
+
+        // Each carrying parent gets its own chance to pass the trait on
+        const carriers = [damTraits, sireTraits].filter(traits => traits && traits.includes(id)).length;
+        const chance = 1 - Math.pow(1 - trait.heritability, carriers);
+        if (random() < chance) {
+            inherited.push(id);
+        }
+    });
+
+    return inherited;
+}
+
+// Pick a trait at random weighted by rarity, from innate traits matching the filter
+export function rollTrait(random, filter = () => true) {
+    const pool = Object.keys(TRAITS).filter(id => !TRAITS[id].acquired && filter(TRAITS[id]));
+    const totalWeight = pool.reduce((sum, id) => sum + TRAIT_RARITIES[TRAITS[id].rarity].weight, 0);
+    let roll = random() * totalWeight;
+
+    for (const id of pool) {
+        roll -= TRAIT_RARITIES[TRAITS[id].rarity].weight;
+        if (roll < 0) return id;
+    }
+
+    return pool[pool.length - 1] || null;
+}
+
+// Display details for a list of trait IDs
+export function describeTraits(traitIds) {
+    return (traitIds || [])
+        .map(getTrait)
+        .filter(Boolean)
+        .map(trait => ({
+            id: trait.id,
+            name: trait.name,
+            description: trait.description,
+            polarity: trait.polarity,
+            rarity: TRAIT_RARITIES[trait.rarity].name
+        }));
+}
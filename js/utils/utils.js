@@ -1,19 +1,21 @@
+import rng from './rng.js';
+
 // Random number generation
 export function randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(rng.random() * (max - min + 1)) + min;
 }
 
 export function randomFloat(min, max) {
-    return Math.random() * (max - min) + min;
+    return rng.random() * (max - min) + min;
 }
 
 export function randomFromArray(array) {
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(rng.random() * array.length)];
 }
 
 export function randomFromWeighted(options) {
     const totalWeight = options.reduce((sum, option) => sum + (option.weight || 1), 0);
-    let random = Math.random() * totalWeight;
+    let random = rng.random() * totalWeight;
     
     for (const option of options) {
         random -= (option.weight || 1);
@@ -122,7 +124,7 @@ export const raceTerrains = [
 export function generateRace() {
     const type = randomFromWeighted(raceTypes);
     const terrain = randomFromWeighted(raceTerrains);
-    const purse = Math.round(type.distance * (Math.random() * 0.5 + 0.75));
+    const purse = Math.round(type.distance * (rng.random() * 0.5 + 0.75));
     const entryFee = Math.round(purse * 0.1);
     
     return {
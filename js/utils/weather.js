@@ -0,0 +1,111 @@
+// Weather and going.
+// Each day's weather is drawn from the season's climate. Rain soaks into every
+// track and dries out at a rate set by the weather, the season and how well the
+// track drains. The going is read from how wet a track is, on a scale that
+// depends on the surface: turf runs from firm to heavy, dirt turns sloppy when
+// wet and synthetic tracks drain so well that they always ride the same.
+
+// Daily weather: typical rainfall in mm and how much the weather dries a track
+export const WEATHER_TYPES = {
+    sunny: { name: 'Sunny', rainfall: 0, drying: 9 },
+    cloudy: { name: 'Cloudy', rainfall: 0, drying: 4 },
+    showers: { name: 'Showers', rainfall: 6, drying: 2 },
+    rain: { name: 'Rain', rainfall: 15, drying: 0 },
+    heavy_rain: { name: 'Heavy Rain', rainfall: 30, drying: 0 },
+    snow: { name: 'Snow', rainfall: 8, drying: 0 }
+};
+
+// Chance of each weather type by season, and how fast tracks dry in that season
+export const SEASON_CLIMATE = {
+    spring: { weather: { sunny: 0.3, cloudy: 0.3, showers: 0.22, rain: 0.14, heavy_rain: 0.04 }, drying: 1 },
+    summer: { weather: { sunny: 0.5, cloudy: 0.25, showers: 0.13, rain: 0.07, heavy_rain: 0.05 }, drying: 1.5 },
+    autumn: { weather: { sunny: 0.2, cloudy: 0.3, showers: 0.2, rain: 0.2, heavy_rain: 0.1 }, drying: 0.7 },
+    winter: { weather: { sunny: 0.15, cloudy: 0.35, showers: 0.15, rain: 0.2, heavy_rain: 0.07, snow: 0.08 }, drying: 0.4 }
+};
+
+// Goings from fast to deep ground. Wetness places each on one scale for going
+// preferences; pace slows every runner and stamina is how much harder the
+// ground makes them work.
+export const GOINGS = {
+    firm: { name: 'Firm', wetness: 0, pace: 1.01, stamina: 0.95 },
+    good: { name: 'Good', wetness: 1, pace: 1, stamina: 1 },
+    soft: { name: 'Soft', wetness: 2, pace: 0.97, stamina: 1.12 },
+    sloppy: { name: 'Sloppy', wetness: 2.5, pace: 0.97, stamina: 1.1 },
+    heavy: { name: 'Heavy', wetness: 3, pace: 0.93, stamina: 1.25 }
+};
+
+// Going by track moisture (0-100) for each surface: the first band the moisture is below
+const GOING_SCALES = {
+    turf: [{ below: 25, going: 'firm' }, { below: 50, going: 'good' }, { below: 75, going: 'soft' }, { below: Infinity, going: 'heavy' }],
+    dirt: [{ below: 30, going: 'firm' }, { below: 60, going: 'good' }, { below: Infinity, going: 'sloppy' }],
+    synthetic: [{ below: Infinity, going: 'good' }]
+};
+
+// Moisture at which a track takes up no more rain, and the share of its water lost on a still, grey day
+const SATURATION = 120;
+const BASE_WATER_LOSS = 0.04;
+
+// How fast each surface drains, relative to turf
+export const SURFACE_DRAINAGE = {
+    turf: 1,
+    dirt: 1.3,
+    synthetic: 3
+};
+
+// Horses prefer fast, good or soft ground; soft-ground horses handle heavy and sloppy going too
+const PREFERRED_WETNESS = {
+    firm: 0,
+    good: 1,
+    soft: 2.5
+};
+
+// Going preference suitability: a bonus on the preferred going, less for each step away
+const GOING_MATCH_BONUS = 0.06;
+const GOING_STEP_PENALTY = 0.06;
+const MIN_GOING_SUITABILITY = 0.88;
+
+export function getGoing(surface, moisture) {
+    const scale = GOING_SCALES[surface] || GOING_SCALES.dirt;
+    return scale.find(band => moisture < band.below).going;
+}
+
+export function getGoingName(going) {
+    return GOINGS[going] ? GOINGS[going].name : 'Good';
+}
+
+// Typical track moisture for a season, used for tracks with no weather history
+export function getSeasonalMoisture(season) {
+    return { spring: 40, summer: 25, autumn: 60, winter: 75 }[season] || 40;
+}
+
+export function rollWeather(season, random) {
+    const climate = (SEASON_CLIMATE[season] || SEASON_CLIMATE.spring).weather;
+    const roll = random() * Object.values(climate).reduce((sum, chance) => sum + chance, 0);
+
+    let cumulative = 0;
+    const type = Object.keys(climate).find(key => {
+        cumulative += climate[key];
+        return roll < cumulative;
+    }) || 'cloudy';
+
+    // Rain varies from day to day around the typical amount
+    const rainfall = Math.round(WEATHER_TYPES[type].rainfall * (0.5 + random()) * 10) / 10;
+    return { type, name: WEATHER_TYPES[type].name, rainfall };
+}
+
+// Track moisture after a day's weather
+export function updateMoisture(moisture, weather, season, drainage) {
+    // Wet ground takes up less of the rain and loses more of what it holds
+    const absorbed = weather.rainfall * (1 - moisture / SATURATION);
+    const lost = moisture * (BASE_WATER_LOSS + WEATHER_TYPES[weather.type].drying / 100) *
+        (SEASON_CLIMATE[season] || SEASON_CLIMATE.spring).drying * drainage;
+    return Math.max(0, Math.min(100, Math.round((moisture + absorbed - lost) * 10) / 10));
+}
+
+// Multiplier for how well a going suits a horse's preference
+export function getGoingSuitability(preferredGoing, going) {
+    if (!preferredGoing || !GOINGS[going]) return 1;
+
+    const steps = Math.abs(GOINGS[going].wetness - (PREFERRED_WETNESS[preferredGoing] ?? 1));
+    return Math.max(MIN_GOING_SUITABILITY, 1 + GOING_MATCH_BONUS - steps * GOING_STEP_PENALTY);
+}
@@ -0,0 +1,387 @@
+/**
+ * Horse Tycoon - Headless Simulation Runner
+ * 
+ * Plays AI-driven careers through GameManager without a browser and writes
+ * aggregate balance statistics (win rate by tier, bankruptcy rate, average
+ * foal rating by generation) to JSON and CSV.
+ * 
+ * Usage: node scripts/simulate.js [--years=5] [--runs=20] [--seed=1] [--difficulty=normal] [--out=sim-results]
+ */
+import fs from 'fs';
+import path from 'path';
+import GameManager from '../js/managers/gameManager.js';
+import MemoryStorage from '../js/utils/memoryStorage.js';
+import calendar from '../js/utils/calendar.js';
+
+const TIERS = ['low', 'medium', 'high', 'elite'];
+
+/**
+ * Parse --key=value command line options
+ * @param {Array} argv - Command line arguments
+ * @returns {Object} Simulation options
+ */
+function parseOptions(argv) {
+  const options = {
+    years: 5,
+    runs: 20,
+    seed: 1,
+    difficulty: 'normal',
+    out: 'sim-results'
+  };
+  
+  argv.forEach(arg => {
+    const match = arg.match(/^--([^=]+)=(.*)$/);
+    if (!match) return;
+    
+    const [, key, value] = match;
+    if (key in options) {
+      options[key] = typeof options[key] === 'number' ? Number(value) : value;
+    }
+  });
+  
+  return options;
+}
+
+/**
+ * Create the per-run statistics record
+ * @param {number} run - Run index
+ * @param {string} seed - Seed used for the run
+ * @returns {Object} Empty run statistics
+ */
+function createRunStats(run, seed) {
+  const tiers = {};
+  TIERS.forEach(tier => {
+    tiers[tier] = { starts: 0, wins: 0, places: 0, prize: 0 };
+  });
+  
+  return {
+    run,
+    seed,
+    days: 0,
+    bankrupt: false,
+    bankruptDay: null,
+    finalFunds: 0,
+    finalReputation: 0,
+    horsesOwned: 0,
+    tiers,
+    foals: []
+  };
+}
+
+/**
+ * Record the stable's runs from a race day digest
+ * @param {Object} raceDay - Race day digest from the day's update
+ * @param {Object} stats - Run statistics
+ */
+function recordRaceDay(raceDay, stats) {
+  raceDay.playerRuns.forEach(run => {
+    const tierStats = stats.tiers[run.tier];
+    tierStats.starts += 1;
+    tierStats.prize += run.prize;
+    if (run.position === 1) tierStats.wins += 1;
+    if (run.position <= 3) tierStats.places += 1;
+  });
+}
+
+/**
+ * Enter every fit horse without an entry in the soonest race still taking entries, the
+ * richest one on that day
+ * @param {GameManager} game - Game being simulated
+ */
+function enterRaces(game) {
+  const entered = new Set();
+  game.raceManager.getAllRaces()
+    .filter(race => !race.hasRun)
+    .forEach(race => race.entrants.forEach(entrant => {
+      if (entrant.playerOwned) entered.add(entrant.horseId);
+    }));
+  
+  const horses = [...game.horseManager.getAllHorses()]
+    .sort((a, b) => b.calculateOverallRating() - a.calculateOverallRating());
+  
+  horses.forEach(horse => {
+    if (horse.energy < 60 || entered.has(horse.id)) return;
+    
+    const race = game.raceManager.getEligibleRaces(horse)
+      .filter(r => game.player.canAfford(r.entryFee))
+      .sort((a, b) => calendar.compareDates(a.scheduleDay, b.scheduleDay) || b.purse - a.purse)[0];
+    
+    if (race && game.enterRace(horse.id, race.id).success) {
+      entered.add(horse.id);
+    }
+  });
+}
+
+/**
+ * Train rested horses on their weakest racing stat
+ * @param {GameManager} game - Game being simulated
+ */
+function trainToday(game) {
+  const reserve = game.player.calculateDailyMaintenanceCost() * 30;
+  
+  game.horseManager.getAllHorses().forEach(horse => {
+    if (horse.energy < 70 || horse.injured || game.player.funds < reserve) return;
+    
+    const stat = ['speed', 'acceleration', 'stamina']
+      .sort((a, b) => horse[a] - horse[b])[0];
+    
+    game.trainHorse(horse.id, stat, 1);
+  });
+}
+
+/**
+ * Monthly stable management: retire old horses, buy stock, breed
+ * @param {GameManager} game - Game being simulated
+ * @param {Object} stats - Run statistics
+ * @param {Map} generations - Horse id to generation number
+ */
+function manageStable(game, stats, generations) {
+  const horseManager = game.horseManager;
+  
+  // Retire (sell) horses past their racing and breeding prime
+  horseManager.getAllHorses()
+    .filter(horse => horse.age > 14)
+    .forEach(horse => game.sellHorse(horse.id));
+  
+  // Make sure there is a breeding pair once the stable can afford it
+  const horses = horseManager.getAllHorses();
+  const hasMare = horses.some(horse => horse.gender === 'female' && horse.age >= 3);
+  const hasStallion = horses.some(horse => horse.gender === 'male' && horse.age >= 3);
+  
+  if ((!hasMare || !hasStallion) && horses.length < game.player.maxHorses) {
+    const wanted = hasMare ? 'male' : 'female';
+    const candidate = horseManager.generateMarketHorses(5)
+      .filter(horse => horse.gender === wanted)
+      .sort((a, b) => a.salePrice - b.salePrice)[0];
+    
+    if (candidate && game.player.funds > candidate.salePrice * 3) {
+      horseManager.playerFunds = game.player.funds;
+      const purchase = game.buyHorse(candidate, candidate.salePrice);
+      if (purchase.success) {
+        generations.set(candidate.id, 0);
+      }
+    }
+  }
+  
+  // Breed the best available pair
+  const mares = horseManager.getAllHorses()
+    .filter(horse => horse.gender === 'female' && horse.age >= 3 && horse.breedingCooldown === 0 && !horse.pregnancy);
+  const stallions = horseManager.getAllHorses()
+    .filter(horse => horse.gender === 'male' && horse.age >= 3);
+  
+  if (mares.length === 0 || stallions.length === 0) return;
+  if (horseManager.getAllHorses().length >= game.player.maxHorses) return;
+  
+  const byRating = (a, b) => b.calculateOverallRating() - a.calculateOverallRating();
+  const dam = mares.sort(byRating)[0];
+  const sire = stallions.sort(byRating)[0];
+  
+  game.breedHorses(dam.id, sire.id);
+}
+
+/**
+ * Record foals born today, a generation after the younger-generation parent
+ * @param {Array} foalings - Foalings from the day's horse update
+ * @param {Object} stats - Run statistics
+ * @param {Map} generations - Generation number by horse ID
+ */
+function recordFoals(foalings, stats, generations) {
+  foalings.forEach(({ damId, sire, foal }) => {
+    const generation = Math.max(generations.get(damId) || 0, generations.get(sire.id) || 0) + 1;
+    generations.set(foal.id, generation);
+    stats.foals.push({
+      generation,
+      rating: foal.calculateOverallRating(),
+      potential: foal.potential
+    });
+  });
+}
+
+/**
+ * Play one AI-driven career
+ * @param {number} run - Run index
+ * @param {Object} options - Simulation options
+ * @returns {Object} Run statistics
+ */
+function simulateCareer(run, options) {
+  const seed = `${options.seed}-${run}`;
+  const stats = createRunStats(run, seed);
+  
+  const game = new GameManager({
+    storage: new MemoryStorage(),
+    autosaveEnabled: false,
+    difficulty: options.difficulty
+  });
+  game.initGame();
+  
+  const start = game.startNewGame({ name: 'Simulator', stableName: `Sim Stable ${run}`, seed });
+  const starter = [...start.starterHorses].sort((a, b) => b.calculateOverallRating() - a.calculateOverallRating())[0];
+  game.selectStarterHorse(starter);
+  
+  const generations = new Map([[starter.id, 0]]);
+  const endYear = game.gameTime.year + options.years;
+  
+  while (game.gameTime.year < endYear) {
+    const dayResult = game.advanceDay();
+    stats.days += 1;
+    
+    // Bankrupt once the stable can no longer pay its upkeep
+    if (!dayResult.playerUpdate.maintenancePaid) {
+      stats.bankrupt = true;
+      stats.bankruptDay = stats.days;
+      break;
+    }
+    
+    recordRaceDay(dayResult.raceDay, stats);
+    recordFoals(dayResult.horsesUpdate.foalings, stats, generations);
+    
+    if (game.gameTime.day === 1) {
+      manageStable(game, stats, generations);
+    }
+    
+    enterRaces(game);
+    trainToday(game);
+  }
+  
+  stats.finalFunds = game.player.funds;
+  stats.finalReputation = game.player.reputation;
+  stats.horsesOwned = game.horseManager.getAllHorses().length;
+  
+  return stats;
+}
+
+/**
+ * Combine run statistics into the balance report
+ * @param {Array} runs - Statistics for every run
+ * @param {Object} options - Simulation options
+ * @returns {Object} Aggregate statistics
+ */
+function aggregate(runs, options) {
+  const winRateByTier = {};
+  TIERS.forEach(tier => {
+    const starts = runs.reduce((sum, run) => sum + run.tiers[tier].starts, 0);
+    const wins = runs.reduce((sum, run) => sum + run.tiers[tier].wins, 0);
+    const places = runs.reduce((sum, run) => sum + run.tiers[tier].places, 0);
+    const prize = runs.reduce((sum, run) => sum + run.tiers[tier].prize, 0);
+    
+    winRateByTier[tier] = {
+      starts,
+      wins,
+      winRate: starts > 0 ? wins / starts : 0,
+      placeRate: starts > 0 ? places / starts : 0,
+      averagePrize: starts > 0 ? prize / starts : 0
+    };
+  });
+  
+  const generations = {};
+  runs.forEach(run => {
+    run.foals.forEach(foal => {
+      if (!generations[foal.generation]) {
+        generations[foal.generation] = { count: 0, totalRating: 0, totalPotential: 0 };
+      }
+      generations[foal.generation].count += 1;
+      generations[foal.generation].totalRating += foal.rating;
+      generations[foal.generation].totalPotential += foal.potential;
+    });
+  });
+  
+  const averageFoalRatingByGeneration = {};
+  Object.keys(generations).forEach(generation => {
+    const entry = generations[generation];
+    averageFoalRatingByGeneration[generation] = {
+      count: entry.count,
+      averageRating: entry.totalRating / entry.count,
+      averagePotential: entry.totalPotential / entry.count
+    };
+  });
+  
+  const bankruptcies = runs.filter(run => run.bankrupt).length;
+  
+  return {
+    options,
+    runs: runs.length,
+    bankruptcyRate: runs.length > 0 ? bankruptcies / runs.length : 0,
+    averageFinalFunds: runs.reduce((sum, run) => sum + run.finalFunds, 0) / (runs.length || 1),
+    winRateByTier,
+    averageFoalRatingByGeneration
+  };
+}
+
+/**
+ * Turn an array of flat objects into CSV text
+ * @param {Array} rows - Rows to write
+ * @returns {string} CSV text
+ */
+function toCSV(rows) {
+  if (rows.length === 0) return '';
+  
+  const headers = Object.keys(rows[0]);
+  const escape = value => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  
+  return [
+    headers.join(','),
+    ...rows.map(row => headers.map(header => escape(row[header])).join(','))
+  ].join('\n') + '\n';
+}
+
+/**
+ * Write the report files
+ * @param {Object} summary - Aggregate statistics
+ * @param {Array} runs - Statistics for every run
+ * @param {string} outDir - Output directory
+ */
+function writeReport(summary, runs, outDir) {
+  fs.mkdirSync(outDir, { recursive: true });
+  
+  fs.writeFileSync(path.join(outDir, 'summary.json'), JSON.stringify({ ...summary, runDetails: runs }, null, 2));
+  
+  fs.writeFileSync(path.join(outDir, 'runs.csv'), toCSV(runs.map(run => ({
+    run: run.run,
+    seed: run.seed,
+    days: run.days,
+    bankrupt: run.bankrupt,
+    bankruptDay: run.bankruptDay,
+    finalFunds: run.finalFunds,
+    finalReputation: run.finalReputation,
+    horsesOwned: run.horsesOwned,
+    foals: run.foals.length,
+    ...Object.fromEntries(TIERS.flatMap(tier => [
+      [`${tier}Starts`, run.tiers[tier].starts],
+      [`${tier}Wins`, run.tiers[tier].wins]
+    ]))
+  }))));
+  
+  fs.writeFileSync(path.join(outDir, 'tiers.csv'), toCSV(TIERS.map(tier => ({
+    tier,
+    ...summary.winRateByTier[tier]
+  }))));
+  
+  fs.writeFileSync(path.join(outDir, 'generations.csv'), toCSV(
+    Object.entries(summary.averageFoalRatingByGeneration).map(([generation, entry]) => ({
+      generation,
+      ...entry
+    }))
+  ));
+}
+
+// Entry point
+const options = parseOptions(process.argv.slice(2));
+const runs = [];
+
+for (let run = 0; run < options.runs; run++) {
+  runs.push(simulateCareer(run, options));
+  console.log(`Run ${run + 1}/${options.runs} finished`);
+}
+
+const summary = aggregate(runs, options);
+writeReport(summary, runs, options.out);
+
+console.log(`Bankruptcy rate: ${(summary.bankruptcyRate * 100).toFixed(1)}%`);
+TIERS.forEach(tier => {
+  const entry = summary.winRateByTier[tier];
+  console.log(`${tier.padEnd(7)} starts ${String(entry.starts).padStart(5)}  win rate ${(entry.winRate * 100).toFixed(1)}%`);
+});
+console.log(`Report written to ${options.out}/`);